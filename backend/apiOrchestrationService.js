@@ -3,28 +3,51 @@ const path = require('path');
 const crypto = require('crypto');
 const axios = require('axios');
 const logger = require('./logger');
+const searchProviderService = require('./searchProviderService');
+
+function createApiError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
 
 class ApiOrchestrationService {
     constructor() {
         this.configs = new Map();
         this.encryptionKey = process.env.API_ENCRYPTION_KEY || 'default-dev-key-do-not-use-in-prod';
+        // Built-in entries (the web search providers); api_configs.json holds what users configured
+        this.defaultsFile = path.join(__dirname, 'api_config.json');
         this.storageFile = path.join(__dirname, 'api_configs.json');
         this.loadConfigs();
     }
 
-    async loadConfigs() {
+    async readConfigFile(file) {
         try {
-            const data = await fs.readFile(this.storageFile, 'utf8');
-            const configs = JSON.parse(data);
-            this.configs = new Map(configs.map(c => [c.id, c]));
-            logger.info(`Loaded ${this.configs.size} API configurations`);
+            const configs = JSON.parse(await fs.readFile(file, 'utf8'));
+            return Array.isArray(configs) ? configs : [];
         } catch (error) {
             if (error.code !== 'ENOENT') {
-                logger.error('Failed to load API configs', { error: error.message });
+                logger.error('Failed to load API configs', { file, error: error.message });
             }
+            return [];
         }
     }
 
+    async loadConfigs() {
+        const defaults = await this.readConfigFile(this.defaultsFile);
+        const saved = await this.readConfigFile(this.storageFile);
+        const configs = new Map(defaults.map(c => [c.id, { ...c, builtIn: true }]));
+
+        // Saved settings of a built-in entry are layered over its defaults
+        saved.forEach(c => {
+            const builtIn = configs.get(c.id);
+            configs.set(c.id, builtIn ? { ...builtIn, ...c, config: { ...builtIn.config, ...c.config }, builtIn: true } : c);
+        });
+
+        this.configs = configs;
+        logger.info(`Loaded ${this.configs.size} API configurations`);
+    }
+
     async saveConfigs() {
         try {
             const configs = Array.from(this.configs.values());
@@ -149,15 +172,127 @@ class ApiOrchestrationService {
     listApis() {
         return Array.from(this.configs.values()).map(api => {
             const { credentials, ...safeConfig } = api;
-            return safeConfig;
+            if (!searchProviderService.isSearchApi(api.id)) {
+                return safeConfig;
+            }
+            return {
+                ...safeConfig,
+                search: true,
+                hasKey: !!credentials?.apiKey,
+                missing: searchProviderService.missingSettings(api.id, this.searchSettings(api, false))
+            };
         });
     }
 
+    /**
+     * Settings a search provider is called with; `reveal` decrypts the API key
+     */
+    searchSettings(api, reveal = true) {
+        const apiKey = api.credentials?.apiKey;
+        return {
+            ...api.config,
+            baseUrl: api.baseUrl,
+            apiKey: reveal && apiKey ? this.decrypt(apiKey) : apiKey
+        };
+    }
+
+    /**
+     * Update an API from the configuration panel: { enabled, apiKey, cx, baseUrl }.
+     * A new API key is stored encrypted; an empty one keeps the current key, unless the
+     * baseUrl changes: the stored key is never sent to a host it was not entered for.
+     * @returns {Promise<Array>} All APIs, as listApis()
+     */
+    async updateApiConfig(id, changes = {}) {
+        const api = this.configs.get(id);
+        if (!api) {
+            throw createApiError(`API ${id} not found`, 404);
+        }
+
+        const updated = { ...api, config: { ...api.config }, credentials: { ...api.credentials } };
+
+        if (changes.enabled !== undefined) {
+            updated.enabled = changes.enabled === true;
+        }
+        if (typeof changes.apiKey === 'string' && changes.apiKey.trim()) {
+            updated.credentials.apiKey = this.encrypt(changes.apiKey.trim());
+        }
+        if (typeof changes.cx === 'string' && changes.cx.trim()) {
+            updated.config.cx = changes.cx.trim();
+        }
+        if (typeof changes.baseUrl === 'string' && changes.baseUrl.trim()) {
+            if (!/^https?:\/\/[^\s]+$/i.test(changes.baseUrl.trim())) {
+                throw createApiError('baseUrl must be an http(s) URL', 400);
+            }
+            if (changes.baseUrl.trim() !== api.baseUrl && !(typeof changes.apiKey === 'string' && changes.apiKey.trim())) {
+                delete updated.credentials.apiKey;
+            }
+            updated.baseUrl = changes.baseUrl.trim();
+        }
+
+        if (updated.enabled && searchProviderService.isSearchApi(id)) {
+            const missing = searchProviderService.missingSettings(id, this.searchSettings(updated, false));
+            if (missing.length) {
+                throw createApiError(`${api.name} needs ${missing.join(', ')} before it can be enabled`, 400);
+            }
+        }
+
+        updated.updatedAt = new Date().toISOString();
+        this.configs.set(id, updated);
+        await this.saveConfigs();
+        searchProviderService.clearCache(id);
+
+        logger.info('API configuration updated', { id, enabled: updated.enabled });
+        return this.listApis();
+    }
+
+    /**
+     * Search the web. With an apiId only that provider is used; otherwise the enabled
+     * providers are tried in order until one answers.
+     * @returns {Promise<Array<{title: string, link: string, snippet: string}>>}
+     */
+    async executeSearch(query, apiId, options = {}) {
+        if (!query || typeof query !== 'string' || !query.trim()) {
+            throw createApiError('Query is required', 400);
+        }
+
+        let providers;
+        if (apiId) {
+            const api = this.configs.get(apiId);
+            if (!api || !searchProviderService.isSearchApi(apiId)) {
+                throw createApiError(`Search provider ${apiId} not found`, 404);
+            }
+            if (!api.enabled) {
+                throw createApiError(`${api.name} is disabled`, 400);
+            }
+            providers = [api];
+        } else {
+            providers = Array.from(this.configs.values())
+                .filter(api => api.enabled && searchProviderService.isSearchApi(api.id));
+            if (!providers.length) {
+                throw createApiError('No web search provider is enabled', 503);
+            }
+        }
+
+        let lastError;
+        for (const api of providers) {
+            try {
+                return await searchProviderService.search(api.id, query, this.searchSettings(api), options);
+            } catch (error) {
+                lastError = error;
+                logger.warn('Search provider failed', { apiId: api.id, error: error.message });
+            }
+        }
+        throw lastError;
+    }
+
     getApi(id) {
         return this.configs.get(id);
     }
 
     async deleteApi(id) {
+        if (this.configs.get(id)?.builtIn) {
+            throw createApiError('Built-in APIs can be disabled but not deleted', 400);
+        }
         const deleted = this.configs.delete(id);
         if (deleted) {
             await this.saveConfigs();
@@ -89,6 +89,87 @@ describe('ApiOrchestrationService', () => {
         });
     });
 
+    describe('web search', () => {
+        const google = {
+            id: 'google_search',
+            name: 'Google Search',
+            baseUrl: 'https://www.googleapis.com/customsearch/v1',
+            enabled: false,
+            config: { cx: '' },
+            builtIn: true
+        };
+        const searxng = {
+            id: 'searxng_search',
+            name: 'SearXNG',
+            baseUrl: 'http://localhost:8888/search',
+            enabled: true,
+            config: {},
+            builtIn: true
+        };
+
+        beforeEach(() => {
+            apiOrchestrationService.configs.set(google.id, google);
+            apiOrchestrationService.configs.set(searxng.id, searxng);
+        });
+
+        it('should store the key encrypted and only enable configured providers', async () => {
+            await expect(apiOrchestrationService.updateApiConfig('google_search', { enabled: true, apiKey: 'secret' }))
+                .rejects.toMatchObject({ status: 400, message: expect.stringContaining('cx') });
+
+            const apis = await apiOrchestrationService.updateApiConfig('google_search', { enabled: true, apiKey: 'secret', cx: 'engine' });
+            const stored = apiOrchestrationService.getApi('google_search');
+
+            expect(stored.credentials.apiKey).not.toBe('secret');
+            expect(apiOrchestrationService.searchSettings(stored)).toMatchObject({ apiKey: 'secret', cx: 'engine' });
+            expect(apis.find(api => api.id === 'google_search')).toMatchObject({ enabled: true, hasKey: true, missing: [], search: true });
+            expect(apis.find(api => api.id === 'google_search').credentials).toBeUndefined();
+            expect(fs.writeFile).toHaveBeenCalled();
+        });
+
+        it('should drop the stored key when the baseUrl changes without a new one', async () => {
+            apiOrchestrationService.configs.set('google_search', {
+                ...google,
+                enabled: true,
+                config: { cx: 'engine' },
+                credentials: { apiKey: apiOrchestrationService.encrypt('secret') }
+            });
+
+            await expect(apiOrchestrationService.updateApiConfig('google_search', { baseUrl: 'https://attacker.example/collect' }))
+                .rejects.toMatchObject({ status: 400, message: expect.stringContaining('apiKey') });
+            expect(apiOrchestrationService.getApi('google_search').baseUrl).toBe(google.baseUrl);
+
+            await apiOrchestrationService.updateApiConfig('google_search', { enabled: false, baseUrl: 'https://proxy.example/customsearch' });
+            expect(apiOrchestrationService.getApi('google_search').credentials.apiKey).toBeUndefined();
+
+            await apiOrchestrationService.updateApiConfig('google_search', { enabled: true, baseUrl: 'https://proxy.example/v2', apiKey: 'new-secret' });
+            expect(apiOrchestrationService.searchSettings(apiOrchestrationService.getApi('google_search')))
+                .toMatchObject({ baseUrl: 'https://proxy.example/v2', apiKey: 'new-secret' });
+        });
+
+        it('should search the enabled providers in order until one answers', async () => {
+            apiOrchestrationService.configs.set('google_search', {
+                ...google,
+                enabled: true,
+                config: { cx: 'engine' },
+                credentials: { apiKey: apiOrchestrationService.encrypt('secret') }
+            });
+            axios.get
+                .mockRejectedValueOnce(new Error('quota exceeded'))
+                .mockResolvedValueOnce({ data: { results: [{ title: 'Hit', url: 'https://example.com', content: 'From SearXNG' }] } });
+
+            const results = await apiOrchestrationService.executeSearch('fallback query');
+
+            expect(axios.get.mock.calls.map(call => call[0])).toEqual([google.baseUrl, searxng.baseUrl]);
+            expect(results).toEqual([{ title: 'Hit', link: 'https://example.com', snippet: 'From SearXNG' }]);
+        });
+
+        it('should reject disabled providers and keep built-in ones', async () => {
+            await expect(apiOrchestrationService.executeSearch('query', 'google_search')).rejects.toMatchObject({ status: 400 });
+            await expect(apiOrchestrationService.executeSearch('query', 'unknown')).rejects.toMatchObject({ status: 404 });
+            await expect(apiOrchestrationService.deleteApi('searxng_search')).rejects.toMatchObject({ status: 400 });
+        });
+    });
+
     describe('executeRequest', () => {
         it('should execute request with correct parameters', async () => {
             const config = {
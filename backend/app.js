@@ -1,17 +1,90 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
 const logger = require('./logger');
 const { requestLogger, errorHandler } = require('./middleware');
 const { register, activeConnections } = require('./metrics');
 const llmService = require('./llmService');
+const modelRegistry = require('./modelRegistry');
 const intentDetector = require('./intentDetector');
 const ragService = require('./ragService');
 const agentReviewService = require('./agentReviewService');
 const apiOrchestrationService = require('./apiOrchestrationService');
+const pageReaderService = require('./pageReaderService');
 const imageGenerationService = require('./imageGenerationService');
+const toolService = require('./toolService');
+const conversationService = require('./conversationService');
+const localKnowledgeService = require('./localKnowledgeService');
+
+// Abort in-flight generation when the client disconnects before we finish responding.
+// `res` is watched instead of `req`: the request emits 'close' as soon as its body is read.
+const createClientAbortController = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller;
+};
+
+// Errors on the OpenAI-compatible routes use the OpenAI error envelope so SDK clients can parse them
+const sendOpenAIError = (res, status, message, type = 'invalid_request_error', param = null, code = null) => {
+  res.status(status).json({
+    error: { message, type, param, code }
+  });
+};
+
+// RAG document errors carry a code (INVALID_FILENAME, QUOTA_EXCEEDED, ...) next to the message;
+// unexpected errors only get the fallback message
+const sendRagError = (res, error, fallback) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallback,
+    ...(error.status && error.code && { code: error.code })
+  });
+};
+
+const MAX_RAG_UPLOAD_BYTES = parseInt(process.env.RAG_MAX_UPLOAD_BYTES, 10) || 20 * 1024 * 1024;
+const MAX_RAG_UPLOAD_FILES = 10;
+
+// Multipart RAG uploads are kept in memory; extraction needs the whole file anyway
+const ragUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_RAG_UPLOAD_BYTES, files: MAX_RAG_UPLOAD_FILES }
+}).any();
+
+// Shape the API orchestrator asks the LLM for when mapping a query to an endpoint
+const API_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    endpoint: { type: ['string', 'null'] },
+    method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] },
+    params: { type: 'object' },
+    body: { type: 'object' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  },
+  required: ['endpoint', 'confidence']
+};
+
+// Map OpenAI chat messages (string or content-part arrays) to LLMService's message shape
+const fromOpenAIMessages = (messages) => messages.map(msg => {
+  if (!Array.isArray(msg.content)) {
+    return { role: msg.role, content: typeof msg.content === 'string' ? msg.content : '' };
+  }
+
+  const text = msg.content
+    .filter(part => part && part.type === 'text')
+    .map(part => part.text || '')
+    .join('\n');
+  const imagePart = msg.content.find(part => part && part.type === 'image_url');
+  const image = typeof imagePart?.image_url === 'string' ? imagePart.image_url : imagePart?.image_url?.url;
+
+  return { role: msg.role, content: text, ...(image && { image }) };
+});
 
 const createApp = () => {
   const app = express();
@@ -26,6 +99,7 @@ const createApp = () => {
     legacyHeaders: false,
   });
   app.use('/api', limiter);
+  app.use('/v1', limiter);
 
   app.use(cors());
   app.use(express.json());
@@ -76,11 +150,15 @@ const createApp = () => {
     });
   });
 
-  app.get('/api/v1/models', (req, res) => {
+  app.get('/api/v1/models', async (req, res) => {
     try {
-      const models = llmService.getAvailableModels();
+      await llmService.discoverOllamaModels({ force: req.query.refresh === 'true' });
+      const models = llmService.getAvailableModels({
+        includeDisabled: req.query.includeDisabled === 'true'
+      });
       res.json({
         models,
+        providers: llmService.getProviderHealth(),
         configured: llmService.isConfigured(),
         default: llmService.defaultModel
       });
@@ -90,6 +168,127 @@ const createApp = () => {
     }
   });
 
+  // Model registry management. Ids contain slashes (e.g. "ollama/llama3.2:3b"), hence `(*)`.
+  app.get('/api/v1/models/:id(*)', async (req, res) => {
+    try {
+      await llmService.discoverOllamaModels();
+      const model = llmService.getAvailableModels({ includeDisabled: true })
+        .find(entry => entry.id === req.params.id);
+
+      if (!model) {
+        return res.status(404).json({ error: `Model ${req.params.id} not found` });
+      }
+
+      res.json(model);
+    } catch (error) {
+      logger.error('Failed to get model', { error: error.message });
+      res.status(500).json({ error: 'Failed to retrieve model' });
+    }
+  });
+
+  app.post('/api/v1/models', async (req, res) => {
+    try {
+      const model = await modelRegistry.register(req.body || {});
+      res.status(201).json(model);
+    } catch (error) {
+      logger.error('Failed to register model', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+  });
+
+  app.put('/api/v1/models/:id(*)', async (req, res) => {
+    try {
+      const model = await modelRegistry.update(req.params.id, req.body || {});
+      res.json(model);
+    } catch (error) {
+      logger.error('Failed to update model', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+  });
+
+  app.delete('/api/v1/models/:id(*)', async (req, res) => {
+    try {
+      const result = await modelRegistry.remove(req.params.id);
+      res.json(result);
+    } catch (error) {
+      logger.error('Failed to remove model', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+  });
+
+  // Knowledge packs of the built-in assistant: categories of pattern -> response entries
+  app.get('/api/v1/local-kb', (req, res) => {
+    res.json(localKnowledgeService.list());
+  });
+
+  app.post('/api/v1/local-kb', async (req, res) => {
+    try {
+      const category = await localKnowledgeService.createCategory(req.body || {});
+      res.status(201).json(category);
+    } catch (error) {
+      logger.error('Failed to create knowledge category', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+  });
+
+  app.get('/api/v1/local-kb/:category', (req, res) => {
+    try {
+      res.json(localKnowledgeService.get(req.params.category));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  app.put('/api/v1/local-kb/:category', async (req, res) => {
+    try {
+      const category = await localKnowledgeService.updateCategory(req.params.category, req.body || {});
+      res.json(category);
+    } catch (error) {
+      logger.error('Failed to update knowledge category', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+  });
+
+  app.delete('/api/v1/local-kb/:category', async (req, res) => {
+    try {
+      const result = await localKnowledgeService.deleteCategory(req.params.category);
+      res.json(result);
+    } catch (error) {
+      logger.error('Failed to delete knowledge category', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/v1/local-kb/:category/entries', async (req, res) => {
+    try {
+      const entry = await localKnowledgeService.addEntry(req.params.category, req.body || {});
+      res.status(201).json(entry);
+    } catch (error) {
+      logger.error('Failed to add knowledge entry', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+  });
+
+  app.put('/api/v1/local-kb/:category/entries/:id', async (req, res) => {
+    try {
+      const entry = await localKnowledgeService.updateEntry(req.params.category, req.params.id, req.body || {});
+      res.json(entry);
+    } catch (error) {
+      logger.error('Failed to update knowledge entry', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+  });
+
+  app.delete('/api/v1/local-kb/:category/entries/:id', async (req, res) => {
+    try {
+      const result = await localKnowledgeService.deleteEntry(req.params.category, req.params.id);
+      res.json(result);
+    } catch (error) {
+      logger.error('Failed to delete knowledge entry', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
   app.get('/api/v1/apis', (req, res) => {
     try {
       const apis = apiOrchestrationService.listApis();
@@ -100,15 +299,24 @@ const createApp = () => {
     }
   });
 
-  app.put('/api/v1/apis/:id', (req, res) => {
+  app.put('/api/v1/apis/:id', async (req, res) => {
     try {
       const { id } = req.params;
       const config = req.body;
-      const updatedApis = apiOrchestrationService.updateApiConfig(id, config);
+      const updatedApis = await apiOrchestrationService.updateApiConfig(id, config);
       res.json(updatedApis);
     } catch (error) {
       logger.error('Failed to update API config', { error: error.message });
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/v1/tools', (req, res) => {
+    try {
+      res.json({ tools: toolService.toFunctionSchemas(toolService.getTools()) });
+    } catch (error) {
+      logger.error('Failed to list tools', { error: error.message });
+      res.status(500).json({ error: 'Failed to list tools' });
     }
   });
 
@@ -119,11 +327,11 @@ const createApp = () => {
         return res.status(400).json({ error: 'Query is required' });
       }
 
-      const results = await apiOrchestrationService.executeSearch(query, apiId);
+      const results = await apiOrchestrationService.executeSearch(query, apiId, { count: req.body.count });
       res.json({ results });
     } catch (error) {
       logger.error('Search tool failed', { error: error.message });
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, ...(error.code && { code: error.code }) });
     }
   });
 
@@ -142,6 +350,82 @@ const createApp = () => {
     }
   });
 
+  app.get('/api/v1/conversations', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const conversations = await conversationService.list({ query: req.query.q, limit });
+      res.json({ conversations });
+    } catch (error) {
+      logger.error('Failed to list conversations', { error: error.message });
+      res.status(500).json({ error: 'Failed to list conversations' });
+    }
+  });
+
+  app.post('/api/v1/conversations', async (req, res) => {
+    try {
+      const conversation = await conversationService.create(req.body || {});
+      res.status(201).json(conversation);
+    } catch (error) {
+      logger.error('Failed to create conversation', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+  });
+
+  app.get('/api/v1/conversations/:id', async (req, res) => {
+    try {
+      const conversation = await conversationService.get(req.params.id);
+      res.json(conversation);
+    } catch (error) {
+      logger.error('Failed to get conversation', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // PUT creates the conversation if needed so offline clients can sync with their own ids
+  app.put('/api/v1/conversations/:id', async (req, res) => {
+    try {
+      const conversation = await conversationService.update(req.params.id, req.body || {}, { upsert: true });
+      res.json(conversation);
+    } catch (error) {
+      logger.error('Failed to update conversation', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+  });
+
+  app.delete('/api/v1/conversations/:id', async (req, res) => {
+    try {
+      const result = await conversationService.remove(req.params.id);
+      res.json(result);
+    } catch (error) {
+      logger.error('Failed to delete conversation', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/v1/conversations/:id/messages', async (req, res) => {
+    try {
+      const { messages, ...message } = req.body || {};
+      const conversation = await conversationService.appendMessages(req.params.id, messages || [message]);
+      res.status(201).json(conversation);
+    } catch (error) {
+      logger.error('Failed to append messages', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+  });
+
+  app.post('/api/v1/conversations/:id/title', async (req, res) => {
+    try {
+      const conversation = await conversationService.generateTitle(req.params.id, {
+        llmService,
+        model: req.body?.model
+      });
+      res.json(conversation);
+    } catch (error) {
+      logger.error('Failed to generate conversation title', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
   app.post('/api/v1/chat', async (req, res) => {
     try {
       const { messages, model, options } = req.body;
@@ -153,7 +437,7 @@ const createApp = () => {
       }
 
       // Inject API context if APIs are configured
-      const apis = apiOrchestrationService.listApis();
+      const apis = apiOrchestrationService.listApis().filter(api => !api.search);
       if (apis.length > 0) {
         const apiContext = `\n\n[System Note: You have access to the following external APIs. If the user asks for data from these sources, you can help them construct a query using the API Orchestrator.\n${apis.map(a => `- ${a.name}: ${a.description} (${a.baseUrl})`).join('\n')}\n]`;
 
@@ -165,23 +449,34 @@ const createApp = () => {
         }
       }
 
-      const result = await llmService.chat(messages, model, options);
+      const abortController = createClientAbortController(res);
+      const result = await llmService.chat(messages, model, { ...options, abortSignal: abortController.signal });
 
       res.json({
         message: result.message,
         model: result.model,
         modelInfo: result.modelInfo,
         loading: result.loading || false,
-        notices: result.notices || []
+        notices: result.notices || [],
+        ...(result.knowledgeMatch !== undefined && { knowledgeMatch: result.knowledgeMatch }),
+        ...(result.sources && { sources: result.sources }),
+        ...(options?.jsonSchema && { data: result.data, attempts: result.attempts })
       });
     } catch (error) {
+      if (res.destroyed || llmService.isAbortError(error)) {
+        logger.info('Chat completion cancelled by client');
+        return;
+      }
+
       logger.error('Chat completion failed', {
         error: error.message,
         stack: error.stack
       });
 
-      res.status(500).json({
-        error: error.message || 'Failed to generate response'
+      res.status(error.status || 500).json({
+        error: error.message || 'Failed to generate response',
+        details: error.details,
+        output: error.output
       });
     }
   });
@@ -200,14 +495,23 @@ const createApp = () => {
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
 
+      const abortController = createClientAbortController(res);
+
       const lastMessage = messages[messages.length - 1].content;
 
+      // Tool-capable models decide themselves when to search, query documents or draw. An
+      // unavailable one falls back to models without tools, so intents are handled below then
+      const toolsModel = model || llmService.defaultModel;
+      const tools = options?.tools === false || !llmService.supportsTools(toolsModel) || !llmService.getModelAvailability(toolsModel).available
+        ? []
+        : toolService.getTools();
+
       // Auto-detect intent
       const intent = intentDetector.detectIntent(lastMessage);
       const searchMode = options?.searchMode || 'auto';
 
       // Handle Image Generation
-      if (intent.intent === 'IMAGE_GENERATION') {
+      if (intent.intent === 'IMAGE_GENERATION' && !tools.length) {
         try {
           res.write(`data: ${JSON.stringify({ content: `*Generating image...*\n\n` })}\n\n`);
           const imageUrl = await imageGenerationService.generateImage(lastMessage);
@@ -228,12 +532,16 @@ const createApp = () => {
       if (searchMode === 'on') {
         shouldSearch = true;
       } else if (searchMode === 'auto') {
-        shouldSearch = intent.intent === 'WEB_SEARCH';
+        shouldSearch = intent.intent === 'WEB_SEARCH' && !tools.length;
       }
 
       if (shouldSearch) {
         const apis = apiOrchestrationService.listApis();
-        const searchApi = apis.find(a => a.enabled && (a.id === 'google_search' || a.id === 'bing_search'));
+        const searchApi = apis.find(a => a.enabled && a.search);
+
+        if (!searchApi && searchMode === 'on') {
+          res.write(`data: ${JSON.stringify({ content: `*Web search is on, but no search provider is enabled.*\n\n` })}\n\n`);
+        }
 
         if (searchApi) {
           try {
@@ -242,7 +550,21 @@ const createApp = () => {
             const results = await apiOrchestrationService.executeSearch(lastMessage, searchApi.id);
 
             if (results.length > 0) {
-              const searchContext = `\n\n[Web Search Results (${searchApi.name}):\n${results.map(r => `- [${r.title}](${r.link}): ${r.snippet}`).join('\n')}\n]\n[Instruction: Use the above search results to answer the user's question. Cite your sources using [Title](Link) format.]`;
+              // Snippets are rarely enough to answer from, so read the top pages too
+              let passages = [];
+              if (options?.readPages !== false) {
+                try {
+                  res.write(`data: ${JSON.stringify({ content: `*Reading the top results...*\n\n` })}\n\n`);
+                  ({ passages } = await pageReaderService.readPages(results, lastMessage));
+                } catch (e) {
+                  logger.warn('Reading search results failed, using snippets', { error: e.message });
+                }
+              }
+
+              const excerpts = passages.length
+                ? `\n[Excerpts from the result pages:\n${passages.map(p => `Source: [${p.title}](${p.url})\n${p.content}`).join('\n---\n')}\n]`
+                : '';
+              const searchContext = `\n\n[Web Search Results (${searchApi.name}):\n${results.map(r => `- [${r.title}](${r.link}): ${r.snippet}`).join('\n')}\n]${excerpts}\n[Instruction: Use the above search results to answer the user's question. Cite your sources using [Title](Link) format.]`;
 
               // Inject into system message
               const systemMsgIndex = messages.findIndex(m => m.role === 'system');
@@ -259,9 +581,10 @@ const createApp = () => {
         }
       }
 
-      // Inject API context if APIs are configured (general context)
-      const apis = apiOrchestrationService.listApis();
-      if (apis.length > 0) {
+      // Inject API context if APIs are configured (general context); with tools the
+      // APIs are described by their function schemas instead
+      const apis = apiOrchestrationService.listApis().filter(api => !api.search);
+      if (apis.length > 0 && !tools.length) {
         const apiContext = `\n\n[System Note: You have access to the following external APIs. If the user asks for data from these sources, you can help them construct a query using the API Orchestrator.\n${apis.map(a => `- ${a.name}: ${a.description} (${a.baseUrl})`).join('\n')}\n]`;
 
         // Find system message or add one
@@ -276,16 +599,38 @@ const createApp = () => {
       }
 
       try {
-        const stream = llmService.generateStream(lastMessage, model, options);
+        // Send the whole conversation (with the injected system notes); generateStream
+        // trims it to the model's history budget
+        const stream = llmService.generateStream(messages, model, {
+          ...options,
+          tools,
+          abortSignal: abortController.signal
+        });
 
         for await (const chunk of stream) {
-          if (chunk.content) {
+          if (abortController.signal.aborted) {
+            break;
+          }
+          if (chunk.toolEvent) {
+            res.write(`data: ${JSON.stringify({ tool: chunk.toolEvent })}\n\n`);
+          } else if (chunk.content) {
             res.write(`data: ${JSON.stringify({ content: chunk.content })}\n\n`);
           }
         }
+
+        if (abortController.signal.aborted) {
+          logger.info('Chat stream cancelled by client', { model });
+          return;
+        }
+
         res.write('data: [DONE]\n\n');
         res.end();
       } catch (error) {
+        if (llmService.isAbortError(error, abortController.signal)) {
+          logger.info('Chat stream cancelled by client', { model });
+          return;
+        }
+
         logger.error('Streaming failed', { error: error.message });
         res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
         res.end();
@@ -308,14 +653,21 @@ const createApp = () => {
         });
       }
 
-      const result = await llmService.generateText(prompt, model, options);
+      // `sessionId` lets the local model remember earlier prompts of the same session
+      const result = await llmService.generateText(prompt, model, {
+        ...options,
+        ...(req.body.sessionId && { sessionId: `${req.body.sessionId}` })
+      });
 
       res.json({
         text: result.text,
         model: result.model,
         modelInfo: result.modelInfo,
         loading: result.loading || false,
-        notices: result.notices || []
+        notices: result.notices || [],
+        ...(result.knowledgeMatch !== undefined && { knowledgeMatch: result.knowledgeMatch }),
+        ...(result.sources && { sources: result.sources }),
+        ...(options?.jsonSchema && { data: result.data, attempts: result.attempts })
       });
     } catch (error) {
       logger.error('Text generation failed', {
@@ -323,8 +675,11 @@ const createApp = () => {
         stack: error.stack
       });
 
-      res.status(500).json({
-        error: error.message || 'Failed to generate text'
+      // 400: unusable jsonSchema, 422: no schema-conforming output
+      res.status(error.status || 500).json({
+        error: error.message || 'Failed to generate text',
+        details: error.details,
+        output: error.output
       });
     }
   });
@@ -450,32 +805,100 @@ const createApp = () => {
     }
   });
 
+  // Shared by /rag/query and /rag/query/stream; responds with 400 and returns null when invalid
+  const readRagQuery = (req, res) => {
+    const { query, source, model, options, history } = req.body;
+    const mode = req.body.mode || options?.mode || 'hybrid';
+
+    if (!query) {
+      res.status(400).json({
+        error: 'Invalid request: query is required'
+      });
+      return null;
+    }
+
+    if (!['keyword', 'vector', 'hybrid'].includes(mode)) {
+      res.status(400).json({
+        error: 'Invalid request: mode must be one of keyword, vector, hybrid'
+      });
+      return null;
+    }
+
+    if (history !== undefined && !Array.isArray(history)) {
+      res.status(400).json({
+        error: 'Invalid request: history must be an array of { role, content } turns'
+      });
+      return null;
+    }
+
+    return {
+      query,
+      model,
+      options,
+      retrieval: {
+        source,
+        ...options,
+        mode,
+        collections: req.body.collections || req.body.collection || options?.collections,
+        versions: req.body.versions || options?.versions,
+        // Follow-ups are condensed using prior turns; `rewrite` also searches paraphrases
+        history,
+        rewrite: req.body.rewrite === true || options?.rewrite === true,
+        llmService,
+        model,
+        token: req.get('x-collection-token')
+      }
+    };
+  };
+
+  // The built-in local model cannot write an answer from sources, so it quotes them instead
+  const extractForLocalModel = (model, ragResult) => (
+    modelRegistry.get(model || llmService.defaultModel)?.type === 'local'
+      ? ragService.extractAnswer(ragResult.rewrite.standalone, ragResult.context)
+      : null
+  );
+
   app.post('/api/v1/rag/query', async (req, res) => {
     try {
-      const { query, source, model, options } = req.body;
+      const request = readRagQuery(req, res);
+      if (!request) {
+        return;
+      }
 
-      if (!query) {
-        return res.status(400).json({
-          error: 'Invalid request: query is required'
+      const { query, model, options } = request;
+      const ragResult = await ragService.query(query, request.retrieval);
+
+      // Nothing relevant was retrieved: say so rather than let the model guess
+      if (!ragResult.answerable) {
+        return res.json({
+          answer: ragResult.answer,
+          sources: [],
+          citations: [],
+          context: [],
+          grounding: ragResult.grounding,
+          rewrite: ragResult.rewrite,
+          notices: []
         });
       }
 
-      const ragResult = await ragService.query(query, { source, ...options });
-      const llmResult = await llmService.generateText(
-        ragResult.augmentedPrompt,
-        model,
-        options
-      );
+      const extract = extractForLocalModel(model, ragResult);
+      const llmResult = extract
+        ? { text: extract.text, model: model || llmService.defaultModel, notices: [] }
+        : await llmService.generateText(ragResult.augmentedPrompt, model, options);
 
       res.json({
         answer: llmResult.text,
         sources: ragResult.sources,
+        citations: ragService.extractCitations(llmResult.text, ragResult.sources).cited,
+        grounding: ragService.checkGrounding(llmResult.text, ragResult.context),
         context: ragResult.context.map(ctx => ({
           source: ctx.source,
           path: ctx.path,
           excerpt: ctx.content.substring(0, 200) + '...',
-          score: ctx.score
+          score: ctx.score,
+          retrieval: ctx.retrieval
         })),
+        rewrite: ragResult.rewrite,
         model: llmResult.model,
         notices: llmResult.notices || []
       });
@@ -485,23 +908,105 @@ const createApp = () => {
         stack: error.stack
       });
 
-      res.status(500).json({
+      res.status(error.status || 500).json({
         error: error.message || 'Failed to process RAG query'
       });
     }
   });
 
+  // Streaming variant: a `sources` event (with the `rewrite` plan) first, then the answer as `content` events
+  // (citing sources as [1], [2]), then the `citations` used with the `grounding` check and [DONE]
+  app.post('/api/v1/rag/query/stream', async (req, res) => {
+    try {
+      const request = readRagQuery(req, res);
+      if (!request) {
+        return;
+      }
+
+      const { query, model, options } = request;
+      const ragResult = await ragService.query(query, request.retrieval);
+
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      const abortController = createClientAbortController(res);
+      res.write(`data: ${JSON.stringify({ sources: ragResult.sources, rewrite: ragResult.rewrite })}\n\n`);
+
+      if (!ragResult.answerable) {
+        res.write(`data: ${JSON.stringify({ content: ragResult.answer })}\n\n`);
+        res.write(`data: ${JSON.stringify({ citations: [], invalidCitations: [], grounding: ragResult.grounding })}\n\n`);
+        res.write('data: [DONE]\n\n');
+        return res.end();
+      }
+
+      let answer = '';
+      try {
+        const extract = extractForLocalModel(model, ragResult);
+        const stream = extract
+          ? [{ content: extract.text }]
+          : llmService.generateStream(ragResult.augmentedPrompt, model, {
+            ...options,
+            abortSignal: abortController.signal
+          });
+
+        for await (const chunk of stream) {
+          if (abortController.signal.aborted) {
+            break;
+          }
+          if (chunk.content) {
+            answer += chunk.content;
+            res.write(`data: ${JSON.stringify({ content: chunk.content })}\n\n`);
+          }
+        }
+
+        if (abortController.signal.aborted) {
+          logger.info('RAG stream cancelled by client', { model });
+          return;
+        }
+
+        const citations = ragService.extractCitations(answer, ragResult.sources);
+        res.write(`data: ${JSON.stringify({
+          citations: citations.cited,
+          invalidCitations: citations.invalid,
+          grounding: ragService.checkGrounding(answer, ragResult.context)
+        })}\n\n`);
+        res.write('data: [DONE]\n\n');
+        res.end();
+      } catch (error) {
+        if (llmService.isAbortError(error, abortController.signal)) {
+          logger.info('RAG stream cancelled by client', { model });
+          return;
+        }
+
+        logger.error('RAG streaming failed', { error: error.message });
+        res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
+        res.end();
+      }
+    } catch (error) {
+      logger.error('RAG stream setup failed', { error: error.message });
+      if (!res.headersSent) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    }
+  });
+
   app.post('/api/v1/rag/upload', async (req, res) => {
     try {
-      const { filename, content } = req.body;
+      const { filename, content, collection, uploader } = req.body;
 
-      if (!filename || !content) {
+      if (!filename || typeof content !== 'string' || !content) {
         return res.status(400).json({
-          error: 'Invalid request: filename and content are required'
+          error: 'Invalid request: filename and content are required',
+          code: 'INVALID_REQUEST'
         });
       }
 
-      const result = await ragService.uploadDocument(filename, content);
+      const result = await ragService.uploadDocument(filename, content, {
+        collection,
+        uploader,
+        token: req.get('x-collection-token')
+      });
       res.json(result);
     } catch (error) {
       logger.error('Document upload failed', {
@@ -509,30 +1014,235 @@ const createApp = () => {
         stack: error.stack
       });
 
-      res.status(500).json({
-        error: error.message || 'Failed to upload document'
-      });
+      sendRagError(res, error, 'Failed to upload document');
     }
   });
 
+  // Multipart upload of PDF, DOCX, HTML, CSV and text files (any field name, up to 10 files)
+  app.post('/api/v1/rag/upload/file', (req, res) => {
+    ragUpload(req, res, async (uploadError) => {
+      try {
+        if (uploadError) {
+          const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+          return res.status(tooLarge ? 413 : 400).json({
+            error: uploadError.message,
+            code: tooLarge ? 'DOCUMENT_TOO_LARGE' : 'INVALID_REQUEST'
+          });
+        }
+
+        if (!req.files || req.files.length === 0) {
+          return res.status(400).json({
+            error: 'Invalid request: at least one file is required',
+            code: 'INVALID_REQUEST'
+          });
+        }
+
+        const results = [];
+        for (const file of req.files) {
+          try {
+            const result = await ragService.ingestDocument(file.originalname, file.buffer, {
+              mimeType: file.mimetype,
+              collection: req.body.collection || req.query.collection,
+              uploader: req.body.uploader,
+              token: req.get('x-collection-token')
+            });
+            results.push(result);
+          } catch (error) {
+            results.push({
+              success: false,
+              filename: file.originalname,
+              error: error.status ? error.message : 'Failed to store file',
+              status: error.status || 500,
+              ...(error.status && error.code && { code: error.code })
+            });
+          }
+        }
+
+        const failed = results.filter(result => !result.success);
+        if (failed.length === results.length) {
+          return res.status(failed[0].status).json({
+            error: failed[0].error,
+            ...(failed[0].code && { code: failed[0].code }),
+            documents: results
+          });
+        }
+
+        res.status(failed.length ? 207 : 201).json({ documents: results });
+      } catch (error) {
+        logger.error('Document file upload failed', {
+          error: error.message,
+          stack: error.stack
+        });
+
+        res.status(500).json({
+          error: error.message || 'Failed to upload files'
+        });
+      }
+    });
+  });
+
   app.get('/api/v1/rag/documents', async (req, res) => {
     try {
-      const documents = await ragService.listDocuments();
+      const documents = await ragService.listDocuments({
+        collection: req.query.collection,
+        token: req.get('x-collection-token')
+      });
       res.json({ documents });
     } catch (error) {
       logger.error('Failed to list documents', { error: error.message });
-      res.status(500).json({ error: 'Failed to list documents' });
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to list documents' });
+    }
+  });
+
+  // Re-uploading a document keeps the previous content as an older version
+  app.get('/api/v1/rag/documents/:filename/versions', async (req, res) => {
+    try {
+      res.json(await ragService.listVersions(req.params.filename, {
+        collection: req.query.collection,
+        token: req.get('x-collection-token')
+      }));
+    } catch (error) {
+      logger.error('Failed to list document versions', { error: error.message });
+      sendRagError(res, error, 'Failed to list document versions');
+    }
+  });
+
+  app.get('/api/v1/rag/documents/:filename/versions/:version', async (req, res) => {
+    try {
+      res.json(await ragService.getVersion(req.params.filename, req.params.version, {
+        collection: req.query.collection,
+        token: req.get('x-collection-token')
+      }));
+    } catch (error) {
+      logger.error('Failed to get document version', { error: error.message });
+      sendRagError(res, error, 'Failed to get document version');
+    }
+  });
+
+  app.get('/api/v1/rag/documents/:filename/diff', async (req, res) => {
+    try {
+      res.json(await ragService.diffVersions(req.params.filename, {
+        from: req.query.from,
+        to: req.query.to,
+        collection: req.query.collection,
+        token: req.get('x-collection-token')
+      }));
+    } catch (error) {
+      logger.error('Failed to diff document versions', { error: error.message });
+      sendRagError(res, error, 'Failed to diff document versions');
     }
   });
 
   app.delete('/api/v1/rag/documents/:filename', async (req, res) => {
     try {
       const { filename } = req.params;
-      const result = await ragService.deleteDocument(filename);
+      const result = await ragService.deleteDocument(filename, {
+        collection: req.query.collection,
+        token: req.get('x-collection-token')
+      });
       res.json(result);
     } catch (error) {
       logger.error('Document deletion failed', { error: error.message });
-      res.status(500).json({ error: 'Failed to delete document' });
+      sendRagError(res, error, 'Failed to delete document');
+    }
+  });
+
+  // Collections keep teams' documents apart. A collection created with an accessToken
+  // can only be read or changed with that token in the X-Collection-Token header.
+  app.get('/api/v1/rag/collections', async (req, res) => {
+    try {
+      res.json({ collections: await ragService.listCollections() });
+    } catch (error) {
+      logger.error('Failed to list collections', { error: error.message });
+      res.status(500).json({ error: 'Failed to list collections' });
+    }
+  });
+
+  app.post('/api/v1/rag/collections', async (req, res) => {
+    try {
+      const collection = await ragService.createCollection(req.body || {});
+      res.status(201).json(collection);
+    } catch (error) {
+      logger.error('Failed to create collection', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message || 'Failed to create collection' });
+    }
+  });
+
+  app.get('/api/v1/rag/collections/:name', async (req, res) => {
+    try {
+      await ragService.authorizeCollection(req.params.name, req.get('x-collection-token'));
+      await ragService.loadIndex();
+      res.json(ragService.getCollection(req.params.name));
+    } catch (error) {
+      logger.error('Failed to get collection', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message || 'Failed to get collection' });
+    }
+  });
+
+  app.delete('/api/v1/rag/collections/:name', async (req, res) => {
+    try {
+      const result = await ragService.deleteCollection(req.params.name, { token: req.get('x-collection-token') });
+      res.json(result);
+    } catch (error) {
+      logger.error('Failed to delete collection', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message || 'Failed to delete collection' });
+    }
+  });
+
+  app.get('/api/v1/rag/repositories', async (req, res) => {
+    try {
+      await ragService.loadIndex();
+      res.json({ repositories: ragService.listRepositories() });
+    } catch (error) {
+      logger.error('Failed to list repositories', { error: error.message });
+      res.status(500).json({ error: 'Failed to list repositories' });
+    }
+  });
+
+  // Index a GitHub repository ({ owner, repo, branch }) or local checkout ({ localPath, branch }).
+  // Indexing runs in the background (202) unless `wait` is true.
+  app.post('/api/v1/rag/repositories', async (req, res) => {
+    try {
+      const { token, wait, ...repository } = req.body || {};
+      const result = await ragService.addRepository(repository, { token, wait: wait === true });
+      res.status(wait === true ? 201 : 202).json(result);
+    } catch (error) {
+      logger.error('Repository indexing failed', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message || 'Failed to index repository' });
+    }
+  });
+
+  // Repository ids may contain a slash ("owner/repo"), hence `(*)`
+  app.post('/api/v1/rag/repositories/:id(*)/sync', async (req, res) => {
+    try {
+      const { token, force, wait } = req.body || {};
+      await ragService.loadIndex();
+
+      if (!ragService.getRepository(req.params.id)) {
+        return res.status(404).json({ error: `Repository ${req.params.id} not found` });
+      }
+
+      const sync = ragService.syncRepository(req.params.id, { token, force: force === true });
+      if (wait === true) {
+        return res.json(await sync);
+      }
+
+      // Failures of background syncs are reported in the repository's sync status
+      sync.catch(() => {});
+      res.status(202).json(ragService.getRepository(req.params.id));
+    } catch (error) {
+      logger.error('Repository sync failed', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message || 'Failed to sync repository' });
+    }
+  });
+
+  app.delete('/api/v1/rag/repositories/:id(*)', async (req, res) => {
+    try {
+      const result = await ragService.removeRepository(req.params.id);
+      res.json(result);
+    } catch (error) {
+      logger.error('Repository removal failed', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message || 'Failed to remove repository' });
     }
   });
 
@@ -827,11 +1537,20 @@ ${stack_trace ? `Stack Trace:\n${stack_trace}\n\n` : ''}${context ? `Context: ${
           logs: 'backend/logs/combined.log'
         },
         models: '/api/v1/models',
+        localKnowledge: '/api/v1/local-kb',
         chat: '/api/v1/chat',
+        openaiCompatible: {
+          chatCompletions: '/v1/chat/completions',
+          models: '/v1/models'
+        },
         rag: {
           query: '/api/v1/rag/query',
+          queryStream: '/api/v1/rag/query/stream',
           upload: '/api/v1/rag/upload',
+          uploadFile: '/api/v1/rag/upload/file',
           documents: '/api/v1/rag/documents',
+          collections: '/api/v1/rag/collections',
+          repositories: '/api/v1/rag/repositories',
           status: '/api/v1/rag/status'
         },
         agent: {
@@ -991,7 +1710,7 @@ ${stack_trace ? `Stack Trace:\n${stack_trace}\n\n` : ''}${context ? `Context: ${
       res.json({ success: true });
     } catch (error) {
       logger.error('Failed to delete API', { error: error.message });
-      res.status(500).json({ error: 'Failed to delete API' });
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete API' });
     }
   });
 
@@ -1010,7 +1729,7 @@ ${stack_trace ? `Stack Trace:\n${stack_trace}\n\n` : ''}${context ? `Context: ${
       let targetApiId = apiId;
       if (!targetApiId) {
         // Simple heuristic: check if query contains any API name
-        const apis = apiOrchestrationService.listApis();
+        const apis = apiOrchestrationService.listApis().filter(api => !api.search);
         const foundApi = apis.find(api => query.toLowerCase().includes(api.name.toLowerCase()));
         if (foundApi) {
           targetApiId = foundApi.id;
@@ -1050,18 +1769,21 @@ Return a JSON object with:
 5. "confidence": A number between 0 and 1 indicating confidence in this mapping
 
 If no suitable endpoint is found, set "endpoint" to null.
-Only return the JSON object, no other text.
 `;
 
-      const analysisResult = await llmService.generateText(analysisPrompt, model, { temperature: 0 });
       let plan;
       try {
-        // Extract JSON from potential markdown code blocks
-        const jsonMatch = analysisResult.text.match(/\{[\s\S]*\}/);
-        plan = JSON.parse(jsonMatch ? jsonMatch[0] : analysisResult.text);
+        const analysisResult = await llmService.generateText(analysisPrompt, model, {
+          temperature: 0,
+          jsonSchema: API_PLAN_SCHEMA
+        });
+        plan = analysisResult.data;
       } catch (e) {
-        logger.error('Failed to parse LLM API plan', { text: analysisResult.text, error: e.message });
-        return res.status(500).json({ error: 'Failed to understand query for this API' });
+        if (e.status !== 422) {
+          throw e;
+        }
+        logger.error('Failed to parse LLM API plan', { text: e.output, error: e.message, details: e.details });
+        return res.status(422).json({ error: 'Failed to understand query for this API', details: e.details });
       }
 
       if (!plan.endpoint || plan.confidence < 0.6) {
@@ -1103,6 +1825,148 @@ Please summarize this data to answer the user's query naturally. Highlight key i
     }
   });
 
+  // OpenAI-compatible gateway (Chat Completions wire format) over LLMService
+  app.get('/v1/models', async (req, res) => {
+    try {
+      await llmService.discoverOllamaModels();
+      const data = llmService.getAvailableModels()
+        .filter(model => model.available)
+        .map(model => ({
+          id: model.id,
+          object: 'model',
+          created: 0,
+          owned_by: model.provider
+        }));
+
+      res.json({ object: 'list', data });
+    } catch (error) {
+      logger.error('Failed to list OpenAI-compatible models', { error: error.message });
+      sendOpenAIError(res, 500, 'Failed to retrieve models', 'server_error');
+    }
+  });
+
+  app.get('/v1/models/:model(*)', async (req, res) => {
+    await llmService.discoverOllamaModels();
+    const model = llmService.getAvailableModels().find(entry => entry.id === req.params.model);
+    if (!model || !model.available) {
+      return sendOpenAIError(res, 404, `The model '${req.params.model}' does not exist`, 'invalid_request_error', 'model', 'model_not_found');
+    }
+
+    res.json({ id: model.id, object: 'model', created: 0, owned_by: model.provider });
+  });
+
+  app.post('/v1/chat/completions', async (req, res) => {
+    const { messages, stream, max_tokens: maxTokens, temperature, top_p: topP, stop } = req.body || {};
+    const modelId = req.body?.model || llmService.defaultModel;
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return sendOpenAIError(res, 400, "'messages' must be a non-empty array", 'invalid_request_error', 'messages');
+    }
+
+    // Same contract as /v1/models: models that cannot serve requests right now do not exist
+    await llmService.ensureModelDiscovered(modelId);
+    if (!llmService.getAvailableModels().some(entry => entry.id === modelId)
+      || !llmService.getModelAvailability(modelId).available) {
+      return sendOpenAIError(res, 404, `The model '${modelId}' does not exist`, 'invalid_request_error', 'model', 'model_not_found');
+    }
+
+    // Images are passed on as base64 data URLs; remote image URLs are not downloaded
+    const chatMessages = fromOpenAIMessages(messages);
+    if (chatMessages.some(msg => msg.image && !/^data:image\/[\w.+-]+;base64,/i.test(msg.image))) {
+      return sendOpenAIError(res, 400, 'image_url must be a base64 data: URL', 'invalid_request_error', 'messages');
+    }
+
+    const abortController = createClientAbortController(res);
+    const options = {
+      ...(typeof maxTokens === 'number' && { maxTokens }),
+      ...(typeof temperature === 'number' && { temperature }),
+      ...(typeof topP === 'number' && { topP }),
+      ...(stop && { stop }),
+      abortSignal: abortController.signal
+    };
+    const id = `chatcmpl-${crypto.randomUUID()}`;
+    const created = Math.floor(Date.now() / 1000);
+
+    if (!stream) {
+      try {
+        const result = await llmService.chat(chatMessages, modelId, options);
+        const promptTokens = chatMessages.reduce((total, msg) => total + llmService.estimateTokens(msg.content), 0);
+        const completionTokens = llmService.estimateTokens(result.message);
+
+        res.json({
+          id,
+          object: 'chat.completion',
+          created,
+          model: result.model,
+          choices: [{
+            index: 0,
+            message: { role: 'assistant', content: result.message },
+            finish_reason: 'stop'
+          }],
+          usage: {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+          }
+        });
+      } catch (error) {
+        if (llmService.isAbortError(error, abortController.signal)) {
+          logger.info('OpenAI-compatible completion cancelled by client', { model: modelId });
+          return;
+        }
+
+        logger.error('OpenAI-compatible completion failed', { error: error.message, model: modelId });
+        sendOpenAIError(res, 500, error.message || 'Failed to generate response', 'server_error');
+      }
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    const writeChunk = (delta, finishReason = null) => {
+      res.write(`data: ${JSON.stringify({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model: modelId,
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+      })}\n\n`);
+    };
+
+    try {
+      writeChunk({ role: 'assistant', content: '' });
+
+      for await (const chunk of llmService.generateStream(chatMessages, modelId, options)) {
+        if (abortController.signal.aborted) {
+          break;
+        }
+        if (chunk.content) {
+          writeChunk({ content: chunk.content });
+        }
+      }
+
+      if (abortController.signal.aborted) {
+        logger.info('OpenAI-compatible stream cancelled by client', { model: modelId });
+        return;
+      }
+
+      writeChunk({}, 'stop');
+      res.write('data: [DONE]\n\n');
+      res.end();
+    } catch (error) {
+      if (llmService.isAbortError(error, abortController.signal)) {
+        logger.info('OpenAI-compatible stream cancelled by client', { model: modelId });
+        return;
+      }
+
+      logger.error('OpenAI-compatible stream failed', { error: error.message, model: modelId });
+      res.write(`data: ${JSON.stringify({ error: { message: error.message, type: 'server_error', param: null, code: null } })}\n\n`);
+      res.end();
+    }
+  });
+
   app.use((req, res) => {
     res.status(404).json({
       error: {
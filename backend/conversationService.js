@@ -0,0 +1,321 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const Joi = require('joi');
+const logger = require('./logger');
+
+/**
+ * Conversation Service
+ * File-backed chat history (one JSON file per conversation) so conversations
+ * survive browser changes and can be opened from any device by id.
+ */
+
+const DEFAULT_TITLE = 'New Conversation';
+const MAX_TITLE_LENGTH = 60;
+const SNIPPET_RADIUS = 60;
+
+const idSchema = Joi.string().trim().max(100).pattern(/^[\w-]+$/)
+  .messages({ 'string.pattern.base': '"id" may only contain letters, numbers, _ and -' });
+
+// UI metadata (model badges, tool calls) travels with the message, so unknown keys are kept
+const messageSchema = Joi.object({
+  role: Joi.string().valid('system', 'user', 'assistant', 'tool').required(),
+  content: Joi.string().allow('').max(200000).required(),
+  image: Joi.string().max(10 * 1024 * 1024),
+  createdAt: Joi.string().isoDate()
+}).unknown(true);
+
+const conversationSchema = Joi.object({
+  id: idSchema,
+  title: Joi.string().trim().max(200).allow(''),
+  model: Joi.string().trim().max(200).allow(''),
+  messages: Joi.array().items(messageSchema).max(1000)
+});
+
+function createConversationError(message, status, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+function validate(schema, value) {
+  const { error, value: validated } = schema.validate(value, { abortEarly: false });
+
+  if (error) {
+    throw createConversationError(
+      `Invalid conversation: ${error.details.map(detail => detail.message).join('; ')}`,
+      400,
+      error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+    );
+  }
+
+  return validated;
+}
+
+/**
+ * Title from the first user message: its first sentence, cut at a word boundary.
+ */
+function deriveTitle(messages = []) {
+  const first = messages.find(msg => msg.role === 'user' && msg.content?.trim());
+  if (!first) {
+    return DEFAULT_TITLE;
+  }
+
+  const text = first.content
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/[#*_`>[\]]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const sentence = text.split(/(?<=[.?!])\s/)[0];
+
+  if (sentence.length <= MAX_TITLE_LENGTH) {
+    return sentence || DEFAULT_TITLE;
+  }
+
+  const cut = sentence.slice(0, MAX_TITLE_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 20 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+}
+
+function summarize(conversation) {
+  const { messages, ...meta } = conversation;
+  return { ...meta, messageCount: messages.length };
+}
+
+class ConversationService {
+  constructor() {
+    this.storagePath = process.env.CONVERSATION_STORAGE_PATH || path.join(__dirname, 'conversation_storage');
+    this.conversations = new Map();
+    this.pendingWrites = new Map();
+    this.ready = this.loadConversations();
+  }
+
+  async loadConversations() {
+    try {
+      await fs.mkdir(this.storagePath, { recursive: true });
+      const files = (await fs.readdir(this.storagePath)).filter(file => file.endsWith('.json'));
+
+      for (const file of files) {
+        try {
+          const conversation = JSON.parse(await fs.readFile(path.join(this.storagePath, file), 'utf8'));
+          this.conversations.set(conversation.id, conversation);
+        } catch (error) {
+          logger.warn('Skipping unreadable conversation file', { file, error: error.message });
+        }
+      }
+
+      logger.info(`Loaded ${this.conversations.size} conversations`, { path: this.storagePath });
+    } catch (error) {
+      logger.error('Failed to load conversations', { error: error.message });
+    }
+  }
+
+  /**
+   * Write a conversation atomically; writes to the same file are serialized.
+   */
+  async saveConversation(conversation) {
+    const file = path.join(this.storagePath, `${conversation.id}.json`);
+    const write = async () => {
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(conversation, null, 2));
+      await fs.rename(tempFile, file);
+    };
+
+    const pending = (this.pendingWrites.get(conversation.id) || Promise.resolve()).then(write, write);
+    this.pendingWrites.set(conversation.id, pending);
+
+    try {
+      await pending;
+    } catch (error) {
+      logger.error('Failed to save conversation', { id: conversation.id, error: error.message });
+      throw error;
+    } finally {
+      if (this.pendingWrites.get(conversation.id) === pending) {
+        this.pendingWrites.delete(conversation.id);
+      }
+    }
+  }
+
+  /**
+   * List conversations, newest first. With `query`, only conversations whose title or
+   * messages match are returned, each with a snippet around the first match.
+   */
+  async list({ query, limit = 50 } = {}) {
+    await this.ready;
+    const needle = (query || '').trim().toLowerCase();
+    const results = [];
+
+    for (const conversation of this.conversations.values()) {
+      if (!needle) {
+        results.push(summarize(conversation));
+        continue;
+      }
+
+      const titleMatch = conversation.title.toLowerCase().includes(needle);
+      const matchingMessages = conversation.messages.filter(msg => msg.content.toLowerCase().includes(needle));
+
+      if (titleMatch || matchingMessages.length) {
+        const snippetSource = matchingMessages[0]?.content || conversation.title;
+        const index = snippetSource.toLowerCase().indexOf(needle);
+        const start = Math.max(0, index - SNIPPET_RADIUS);
+        const snippet = snippetSource.slice(start, index + needle.length + SNIPPET_RADIUS).replace(/\s+/g, ' ').trim();
+
+        results.push({
+          ...summarize(conversation),
+          matchCount: matchingMessages.length,
+          snippet: `${start > 0 ? '…' : ''}${snippet}`
+        });
+      }
+    }
+
+    return results
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .slice(0, limit);
+  }
+
+  async get(id) {
+    await this.ready;
+    const conversation = this.conversations.get(id);
+
+    if (!conversation) {
+      throw createConversationError(`Conversation ${id} not found`, 404);
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Create a conversation. Clients may supply their own id (used when syncing
+   * conversations that were started offline).
+   */
+  async create(data = {}) {
+    await this.ready;
+    const input = validate(conversationSchema, data);
+    const id = input.id || `conv-${crypto.randomUUID()}`;
+
+    if (this.conversations.has(id)) {
+      throw createConversationError(`Conversation ${id} already exists`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const messages = input.messages || [];
+    const conversation = {
+      id,
+      title: input.title || deriveTitle(messages),
+      autoTitle: !input.title,
+      model: input.model || '',
+      createdAt: now,
+      updatedAt: now,
+      messages
+    };
+
+    this.conversations.set(id, conversation);
+    await this.saveConversation(conversation);
+
+    logger.info('Conversation created', { id, messageCount: messages.length });
+    return conversation;
+  }
+
+  /**
+   * Update title, model and/or replace the messages. With `upsert`, a missing
+   * conversation is created instead; with `append`, the messages are added to the
+   * current ones.
+   */
+  async update(id, changes = {}, { upsert = false, append = false } = {}) {
+    await this.ready;
+    validate(idSchema.required(), id);
+    const existing = this.conversations.get(id);
+    // Appends are applied to the stored list here, with no await before it is saved back,
+    // so concurrent appends to one conversation all keep their messages
+    const messages = append && existing && changes.messages ? [...existing.messages, ...changes.messages] : changes.messages;
+    const input = validate(conversationSchema, { ...changes, ...(messages && { messages }), id });
+
+    if (!existing) {
+      if (upsert) {
+        return this.create(input);
+      }
+      throw createConversationError(`Conversation ${id} not found`, 404);
+    }
+
+    const conversation = {
+      ...existing,
+      ...(input.model !== undefined && { model: input.model }),
+      ...(input.messages && { messages: input.messages }),
+      updatedAt: new Date().toISOString()
+    };
+
+    if (input.title) {
+      conversation.title = input.title;
+      conversation.autoTitle = false;
+    } else if (conversation.autoTitle) {
+      conversation.title = deriveTitle(conversation.messages);
+    }
+
+    this.conversations.set(id, conversation);
+    await this.saveConversation(conversation);
+    return conversation;
+  }
+
+  async appendMessages(id, messages) {
+    const additions = validate(Joi.array().items(messageSchema).min(1).max(100).required(), messages);
+    const now = new Date().toISOString();
+
+    return this.update(id, {
+      messages: additions.map(msg => ({ ...msg, createdAt: msg.createdAt || now }))
+    }, { append: true });
+  }
+
+  async remove(id) {
+    await this.get(id);
+
+    this.conversations.delete(id);
+    await (this.pendingWrites.get(id) || Promise.resolve()).catch(() => {});
+    await fs.rm(path.join(this.storagePath, `${id}.json`), { force: true });
+
+    logger.info('Conversation deleted', { id });
+    return { success: true, id };
+  }
+
+  /**
+   * Ask the conversation's model for a short title; falls back to the first-message
+   * heuristic when no model answers cleanly (e.g. the request fell back to another model).
+   * The local assistant answers with canned replies rather than titles, so it is not used.
+   */
+  async generateTitle(id, { llmService, model } = {}) {
+    const conversation = await this.get(id);
+    let title = deriveTitle(conversation.messages);
+
+    if (llmService && conversation.messages.length) {
+      const transcript = conversation.messages
+        .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+        .slice(0, 4)
+        .map(msg => `${msg.role}: ${msg.content.slice(0, 500)}`)
+        .join('\n');
+
+      try {
+        const result = await llmService.generateText(
+          `Write a short title (at most 6 words) for this conversation. Reply with the title only.\n\n${transcript}\n\nTitle:`,
+          model || conversation.model || undefined,
+          { maxTokens: 20, temperature: 0.3 }
+        );
+        const candidate = (result.text || '').split('\n')[0].replace(/^["'\s]+|["'.\s]+$/g, '');
+
+        if (!result.fallbacks && result.modelInfo?.type !== 'local' && candidate && candidate.length <= MAX_TITLE_LENGTH) {
+          title = candidate;
+        }
+      } catch (error) {
+        logger.warn('Title generation failed, using first message', { id, error: error.message });
+      }
+    }
+
+    const updated = { ...conversation, title, autoTitle: false, updatedAt: new Date().toISOString() };
+    this.conversations.set(id, updated);
+    await this.saveConversation(updated);
+    return updated;
+  }
+}
+
+module.exports = new ConversationService();
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+process.env.CONVERSATION_STORAGE_PATH = storagePath;
+
+const conversationService = require('./conversationService');
+
+describe('ConversationService', () => {
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  });
+
+  test('should create a conversation with a title from the first user message', async () => {
+    const conversation = await conversationService.create({
+      messages: [
+        { role: 'system', content: 'You are helpful.' },
+        { role: 'user', content: 'How do I **rotate** Kubernetes secrets? We use Vault today.' }
+      ]
+    });
+
+    expect(conversation.id).toMatch(/^conv-/);
+    expect(conversation.title).toBe('How do I rotate Kubernetes secrets?');
+    expect(fs.existsSync(path.join(storagePath, `${conversation.id}.json`))).toBe(true);
+  });
+
+  test('should upsert client ids and keep explicit titles', async () => {
+    const created = await conversationService.update('conv-offline-1', {
+      title: 'Release notes',
+      messages: [{ role: 'user', content: 'Draft the release notes' }]
+    }, { upsert: true });
+
+    const updated = await conversationService.update('conv-offline-1', {
+      messages: [...created.messages, { role: 'assistant', content: 'Here is a draft' }]
+    });
+
+    expect(updated.title).toBe('Release notes');
+    expect(updated.messages).toHaveLength(2);
+    await expect(conversationService.update('conv-missing', { title: 'x' })).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('should append messages and re-derive automatic titles', async () => {
+    const { id } = await conversationService.create({});
+    const updated = await conversationService.appendMessages(id, [{ role: 'user', content: 'Compare Postgres and MySQL' }]);
+
+    expect(updated.title).toBe('Compare Postgres and MySQL');
+    expect(updated.messages[0].createdAt).toBeDefined();
+  });
+
+  test('should keep every message when appends arrive at the same time', async () => {
+    const { id } = await conversationService.create({});
+
+    await Promise.all([
+      conversationService.appendMessages(id, [{ role: 'user', content: 'First question' }]),
+      conversationService.appendMessages(id, [{ role: 'user', content: 'Second question' }])
+    ]);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(storagePath, `${id}.json`), 'utf8'));
+    expect(stored.messages.map(msg => msg.content)).toEqual(['First question', 'Second question']);
+    await expect(conversationService.appendMessages('conv-missing', [{ role: 'user', content: 'Hi' }]))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  test('should search titles and message contents', async () => {
+    await conversationService.create({
+      messages: [
+        { role: 'user', content: 'Tell me about caching' },
+        { role: 'assistant', content: 'A write-through cache updates the store on every write.' }
+      ]
+    });
+
+    const results = await conversationService.list({ query: 'write-through' });
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ title: 'Tell me about caching', matchCount: 1 });
+    expect(results[0].snippet).toContain('write-through');
+    expect(results[0].messages).toBeUndefined();
+  });
+
+  test('should reject invalid messages', async () => {
+    await expect(conversationService.create({ messages: [{ role: 'robot', content: 'hi' }] }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  test('should generate a title with the model unless it fell back', async () => {
+    const { id } = await conversationService.create({ messages: [{ role: 'user', content: 'Help me plan a database migration' }] });
+    const llmService = { generateText: jest.fn() };
+
+    llmService.generateText.mockResolvedValueOnce({ text: '"Database Migration Plan."' });
+    expect((await conversationService.generateTitle(id, { llmService })).title).toBe('Database Migration Plan');
+
+    llmService.generateText.mockResolvedValueOnce({ text: 'Unrelated fallback reply', fallbacks: [{ model: 'gpt-4o' }] });
+    expect((await conversationService.generateTitle(id, { llmService })).title).toBe('Help me plan a database migration');
+
+    llmService.generateText.mockResolvedValueOnce({ text: 'Here is a structured way to plan it', modelInfo: { type: 'local' } });
+    expect((await conversationService.generateTitle(id, { llmService })).title).toBe('Help me plan a database migration');
+  });
+
+  test('should delete conversations and their files', async () => {
+    const { id } = await conversationService.create({});
+
+    await conversationService.remove(id);
+
+    expect(fs.existsSync(path.join(storagePath, `${id}.json`))).toBe(false);
+    await expect(conversationService.get(id)).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,311 @@
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Document Extraction Service
+ * Turns uploaded files into plain text for RAG indexing. Extractors are looked up
+ * by file extension or MIME type; more can be added with registerExtractor().
+ */
+
+const BLOCK_TAGS = 'address|article|aside|blockquote|br|dd|div|dl|dt|figcaption|figure|h[1-6]|hr|li|main|ol|p|pre|section|table|td|th|tr|ul';
+// Page chrome that would otherwise be indexed on every page of a site
+const BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'nav', 'header', 'footer', 'aside', 'form'];
+
+// Leading bytes of binary formats, to catch files whose extension does not match their content
+const SIGNATURES = [
+  { mimeType: 'application/pdf', bytes: '%PDF-' },
+  { mimeType: 'application/zip', bytes: 'PK\x03\x04' },
+  { mimeType: 'image/png', bytes: '\x89PNG\r\n\x1a\n' },
+  { mimeType: 'image/jpeg', bytes: '\xff\xd8\xff' },
+  { mimeType: 'image/gif', bytes: 'GIF8' },
+  { mimeType: 'application/gzip', bytes: '\x1f\x8b' },
+  { mimeType: 'application/x-executable', bytes: '\x7fELF' }
+].map(signature => ({ ...signature, bytes: Buffer.from(signature.bytes, 'latin1') }));
+const SNIFF_BYTES = 8192;
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…',
+  copy: '©',
+  reg: '®'
+};
+
+function createExtractionError(message, status = 422, code = 'UNREADABLE_DOCUMENT') {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function htmlToText(html) {
+  let body = html.replace(/<!--[\s\S]*?-->/g, '');
+  const title = (body.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+
+  BOILERPLATE_TAGS.forEach(tag => {
+    body = body.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  });
+
+  // Prefer the page's main content when it is marked up
+  const main = body.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i) || body.match(/<article\b[^>]*>([\s\S]*?)<\/article>/i);
+  if (main) {
+    body = main[1];
+  } else {
+    body = (body.match(/<body\b[^>]*>([\s\S]*?)<\/body>/i) || [null, body])[1];
+  }
+
+  const text = body
+    .replace(new RegExp(`<\\/?(?:${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]+>/g, ' ');
+
+  return {
+    text: normalizeWhitespace(decodeEntities(text)),
+    title: title ? normalizeWhitespace(decodeEntities(title)) : undefined
+  };
+}
+
+// RFC 4180 parsing: quoted fields may contain delimiters, quotes ("") and newlines
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return [',', ';', '\t', '|']
+    .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+class DocumentExtractionService {
+  constructor() {
+    this.extractors = [];
+
+    this.registerExtractor({
+      format: 'text',
+      extensions: ['.txt', '.md', '.markdown', '.json', '.log'],
+      mimeTypes: ['text/plain', 'text/markdown', 'application/json'],
+      sniffed: ['text/plain'],
+      extract: async buffer => ({ text: buffer.toString('utf-8') })
+    });
+
+    this.registerExtractor({
+      format: 'pdf',
+      extensions: ['.pdf'],
+      mimeTypes: ['application/pdf'],
+      sniffed: ['application/pdf'],
+      extract: async buffer => {
+        // The package entry point runs a self-test when loaded directly
+        const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+        // pdf.js ignores the byte offset of pooled Buffers, so hand it a standalone copy
+        const result = await pdfParse(new Uint8Array(buffer));
+        return {
+          text: normalizeWhitespace(result.text || ''),
+          metadata: { pages: result.numpages, title: result.info?.Title || undefined }
+        };
+      }
+    });
+
+    this.registerExtractor({
+      format: 'docx',
+      extensions: ['.docx'],
+      mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+      sniffed: ['application/zip'],
+      extract: async buffer => {
+        const mammoth = require('mammoth');
+        const result = await mammoth.extractRawText({ buffer });
+        return {
+          text: normalizeWhitespace(result.value || ''),
+          metadata: { warnings: result.messages.length }
+        };
+      }
+    });
+
+    this.registerExtractor({
+      format: 'html',
+      extensions: ['.html', '.htm'],
+      mimeTypes: ['text/html', 'application/xhtml+xml'],
+      sniffed: ['text/plain'],
+      extract: async buffer => {
+        const { text, title } = htmlToText(buffer.toString('utf-8'));
+        return { text, metadata: { title } };
+      }
+    });
+
+    this.registerExtractor({
+      format: 'csv',
+      extensions: ['.csv', '.tsv'],
+      mimeTypes: ['text/csv', 'text/tab-separated-values'],
+      sniffed: ['text/plain'],
+      extract: async (buffer, { extension }) => {
+        const source = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+        const delimiter = extension === '.tsv' ? '\t' : detectDelimiter(source);
+        const [header = [], ...rows] = parseDelimited(source, delimiter);
+        const columns = header.map((name, i) => name.trim() || `column ${i + 1}`);
+
+        // One self-describing line per row, so any chunk of rows stands on its own
+        const lines = rows.map(cells => cells
+          .map((cell, i) => (cell.trim() ? `${columns[i] || `column ${i + 1}`}: ${cell.trim()}` : null))
+          .filter(Boolean)
+          .join('; '));
+
+        return {
+          text: lines.join('\n'),
+          chunking: 'rows',
+          metadata: { rows: rows.length, columns }
+        };
+      }
+    });
+  }
+
+  /**
+   * Add or replace an extractor
+   * @param {Object} extractor - { format, extensions, mimeTypes, sniffed, extract(buffer, { filename, extension, mimeType }) }
+   *   `sniffed` lists the content types sniff() may report for the format
+   */
+  registerExtractor(extractor) {
+    this.extractors = this.extractors.filter(existing => existing.format !== extractor.format);
+    this.extractors.push(extractor);
+  }
+
+  getSupportedExtensions() {
+    return this.extractors.flatMap(extractor => extractor.extensions);
+  }
+
+  /**
+   * Content type from the file's leading bytes: a known binary signature,
+   * application/octet-stream for other binary data, otherwise text/plain
+   */
+  sniff(buffer) {
+    const head = buffer.subarray(0, SNIFF_BYTES);
+    const signature = SIGNATURES.find(candidate => head.subarray(0, candidate.bytes.length).equals(candidate.bytes));
+
+    if (signature) {
+      return signature.mimeType;
+    }
+    return head.includes(0) ? 'application/octet-stream' : 'text/plain';
+  }
+
+  findExtractor(filename, mimeType) {
+    const extension = path.extname(filename || '').toLowerCase();
+    const baseMimeType = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+    // The extension wins: browsers report many files as application/octet-stream
+    return this.extractors.find(extractor => extractor.extensions.includes(extension))
+      || this.extractors.find(extractor => extractor.mimeTypes.includes(baseMimeType));
+  }
+
+  /**
+   * Extract the text of an uploaded file
+   * @param {Buffer} buffer - File contents
+   * @param {Object} file - { filename, mimeType }
+   * @returns {Promise<{format: string, text: string, chunking: string, metadata: Object}>}
+   */
+  async extract(buffer, { filename, mimeType } = {}) {
+    const extractor = this.findExtractor(filename, mimeType);
+
+    if (!extractor) {
+      throw createExtractionError(
+        `Unsupported file type for ${filename}. Supported: ${this.getSupportedExtensions().join(', ')}`,
+        415,
+        'UNSUPPORTED_TYPE'
+      );
+    }
+
+    // Text that is not the claimed format is left to the extractor to reject as unreadable;
+    // recognizably binary content is refused outright
+    const sniffed = this.sniff(buffer);
+    if (sniffed !== 'text/plain' && !(extractor.sniffed || []).includes(sniffed)) {
+      throw createExtractionError(`${filename} looks like ${sniffed}, not ${extractor.format}`, 415, 'CONTENT_MISMATCH');
+    }
+
+    let result;
+    try {
+      result = await extractor.extract(buffer, {
+        filename,
+        mimeType,
+        extension: path.extname(filename || '').toLowerCase()
+      });
+    } catch (error) {
+      logger.error('Document extraction failed', { filename, format: extractor.format, error: error.message });
+      throw createExtractionError(`Could not read ${filename} as ${extractor.format}: ${error.message}`);
+    }
+
+    if (!result.text || !result.text.trim()) {
+      throw createExtractionError(`No text could be extracted from ${filename}`, 422, 'EMPTY_DOCUMENT');
+    }
+
+    return {
+      format: extractor.format,
+      text: result.text,
+      chunking: result.chunking || 'text',
+      metadata: result.metadata || {}
+    };
+  }
+}
+
+module.exports = new DocumentExtractionService();
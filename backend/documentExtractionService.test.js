@@ -0,0 +1,114 @@
+jest.mock('./logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const documentExtractionService = require('./documentExtractionService');
+
+// Smallest PDF pdf.js will open: one page of Helvetica text, with a correct xref table
+const makePdf = lines => {
+  const stream = `BT /F1 12 Tf 72 720 Td ${lines.map((line, i) => `${i ? '0 -16 Td ' : ''}(${line}) Tj`).join(' ')} ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f\r\n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n\r\n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+describe('DocumentExtractionService', () => {
+  test('should extract the text of a PDF', async () => {
+    const result = await documentExtractionService.extract(
+      makePdf(['Restore the database', 'from the nightly backup.']),
+      { filename: 'runbook.pdf' }
+    );
+
+    expect(result).toMatchObject({ format: 'pdf', chunking: 'text', metadata: { pages: 1 } });
+    expect(result.text).toBe('Restore the database\nfrom the nightly backup.');
+  });
+
+  test('should strip page chrome from HTML and keep the main content', async () => {
+    const html = `<html><head><title>Backup &amp; Restore</title><style>p { color: red; }</style></head>
+      <body>
+        <nav><a href="/">Home</a></nav>
+        <main><h1>Restoring</h1><p>Pick the latest&nbsp;snapshot.</p><script>track();</script></main>
+        <footer>Copyright</footer>
+      </body></html>`;
+
+    const result = await documentExtractionService.extract(Buffer.from(html), { filename: 'restore.html' });
+
+    expect(result.format).toBe('html');
+    expect(result.text).toBe('Restoring\n\nPick the latest snapshot.');
+    expect(result.metadata.title).toBe('Backup & Restore');
+  });
+
+  test('should turn CSV rows into self-describing lines', async () => {
+    const csv = 'host,owner,notes\nweb-1,ops,"Restarts nightly, see ""runbook"""\ndb-1,dba,\n';
+
+    const result = await documentExtractionService.extract(Buffer.from(csv), { filename: 'hosts.csv' });
+
+    expect(result).toMatchObject({
+      format: 'csv',
+      chunking: 'rows',
+      metadata: { rows: 2, columns: ['host', 'owner', 'notes'] }
+    });
+    expect(result.text).toBe('host: web-1; owner: ops; notes: Restarts nightly, see "runbook"\nhost: db-1; owner: dba');
+  });
+
+  test('should detect the delimiter of semicolon-separated files', async () => {
+    const result = await documentExtractionService.extract(Buffer.from('name;team\nalice;ops'), { filename: 'team.csv' });
+
+    expect(result.text).toBe('name: alice; team: ops');
+  });
+
+  test('should fall back to the MIME type when the extension is unknown', async () => {
+    const result = await documentExtractionService.extract(Buffer.from('plain notes'), {
+      filename: 'notes',
+      mimeType: 'text/plain; charset=utf-8'
+    });
+
+    expect(result).toMatchObject({ format: 'text', text: 'plain notes' });
+  });
+
+  test('should reject unsupported file types with 415', async () => {
+    await expect(documentExtractionService.extract(Buffer.from('MZ'), { filename: 'setup.exe' }))
+      .rejects.toMatchObject({ status: 415, code: 'UNSUPPORTED_TYPE' });
+  });
+
+  test('should sniff binary content', () => {
+    expect(documentExtractionService.sniff(makePdf(['x']))).toBe('application/pdf');
+    expect(documentExtractionService.sniff(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0]))).toBe('image/png');
+    expect(documentExtractionService.sniff(Buffer.from('text\u0000with a NUL'))).toBe('application/octet-stream');
+    expect(documentExtractionService.sniff(Buffer.from('MZ is just text here'))).toBe('text/plain');
+  });
+
+  test('should reject content that does not match the file extension', async () => {
+    await expect(documentExtractionService.extract(makePdf(['x']), { filename: 'notes.txt' }))
+      .rejects.toMatchObject({ status: 415, code: 'CONTENT_MISMATCH', message: expect.stringContaining('application/pdf') });
+    await expect(documentExtractionService.extract(Buffer.from('a\u0000b'), { filename: 'hosts.csv' }))
+      .rejects.toMatchObject({ status: 415, code: 'CONTENT_MISMATCH' });
+  });
+
+  test('should reject corrupt documents with 422', async () => {
+    await expect(documentExtractionService.extract(Buffer.from('not a zip'), { filename: 'report.docx' }))
+      .rejects.toMatchObject({ status: 422, code: 'UNREADABLE_DOCUMENT', message: expect.stringContaining('as docx') });
+  });
+
+  test('should reject documents without text with 422', async () => {
+    await expect(documentExtractionService.extract(Buffer.from('<html><body><script>x()</script></body></html>'), { filename: 'empty.html' }))
+      .rejects.toMatchObject({ status: 422 });
+  });
+});
@@ -0,0 +1,150 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Document Storage Service
+ * Guards what RAG uploads may write: client-supplied names are turned into validated
+ * document IDs that can only address a file directly inside a collection's directory,
+ * and stored bytes are kept within per-collection and global quotas.
+ */
+
+// Stored file names: no separators, no leading dot, nothing a shell or URL has to escape
+const DOCUMENT_ID = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+const MAX_NAME_LENGTH = 128;
+
+function parseBytes(value, fallback) {
+  const bytes = parseInt(value, 10);
+  return bytes > 0 ? bytes : fallback;
+}
+
+function createStorageError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+class DocumentStorageService {
+  constructor() {
+    this.maxDocumentBytes = parseBytes(process.env.RAG_MAX_DOCUMENT_BYTES, 20 * 1024 * 1024);
+    this.maxCollectionBytes = parseBytes(process.env.RAG_MAX_COLLECTION_BYTES, 200 * 1024 * 1024);
+    this.maxStorageBytes = parseBytes(process.env.RAG_MAX_STORAGE_BYTES, 1024 * 1024 * 1024);
+  }
+
+  /**
+   * Document ID for a display name: unsafe characters become "-", so
+   * "Q3 report (final).md" is stored as "Q3-report-final.md". Names that try to
+   * leave the directory are rejected rather than cleaned up.
+   * @throws 400 INVALID_FILENAME
+   */
+  documentId(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw createStorageError('A filename is required', 400, 'INVALID_FILENAME');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw createStorageError(`Filenames are limited to ${MAX_NAME_LENGTH} characters`, 400, 'INVALID_FILENAME');
+    }
+    if (/[/\\\u0000-\u001f]/.test(name) || name.startsWith('.')) {
+      throw createStorageError(`Invalid filename "${name}": path separators, control characters and leading dots are not allowed`, 400, 'INVALID_FILENAME');
+    }
+
+    const id = name
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9._-]+/g, '-')
+      .replace(/-+\./g, '.')
+      .replace(/^[-_.]+/, '');
+
+    if (!DOCUMENT_ID.test(id)) {
+      throw createStorageError(`Invalid filename "${name}": it needs at least one letter or digit`, 400, 'INVALID_FILENAME');
+    }
+    return id;
+  }
+
+  /**
+   * Check an ID sent back by a client (delete, versions, diff)
+   * @throws 400 INVALID_FILENAME
+   */
+  validateId(id) {
+    if (typeof id !== 'string' || !DOCUMENT_ID.test(id)) {
+      throw createStorageError(`Invalid document ID "${id}"`, 400, 'INVALID_FILENAME');
+    }
+    return id;
+  }
+
+  /**
+   * Absolute path of a document, which must sit directly inside `directory`
+   */
+  resolve(directory, id) {
+    const root = path.resolve(directory);
+    const filePath = path.resolve(root, this.validateId(id));
+
+    if (path.dirname(filePath) !== root) {
+      throw createStorageError(`Invalid document ID "${id}"`, 400, 'INVALID_FILENAME');
+    }
+    return filePath;
+  }
+
+  /**
+   * @throws 413 DOCUMENT_TOO_LARGE
+   */
+  checkDocumentSize(bytes, name) {
+    if (bytes > this.maxDocumentBytes) {
+      throw createStorageError(`${name} is ${bytes} bytes; documents are limited to ${this.maxDocumentBytes}`, 413, 'DOCUMENT_TOO_LARGE');
+    }
+  }
+
+  /**
+   * Bytes stored under a directory. Dotfiles (index, registries) are bookkeeping and not counted.
+   * @param {Array<string>} skip - Entry names to leave out at the top level
+   */
+  async usage(directory, skip = []) {
+    const entries = await fs.readdir(directory, { withFileTypes: true }).catch(() => []);
+    let total = 0;
+
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (skip.includes(entry.name)) {
+        continue;
+      }
+      if (entry.isDirectory()) {
+        total += await this.usage(entryPath);
+      } else if (entry.isFile() && !entry.name.startsWith('.')) {
+        total += (await fs.stat(entryPath)).size;
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * Make sure `incoming` more bytes fit in a collection and in storage as a whole
+   * @param {Object} target - { name, directory, skip, maxBytes } of the collection, and the storage root
+   * @throws 413 QUOTA_EXCEEDED
+   */
+  async checkQuota({ name, directory, skip = [], maxBytes }, storageRoot, incoming) {
+    const collectionLimit = maxBytes || this.maxCollectionBytes;
+    const collectionUsed = await this.usage(directory, skip);
+
+    if (collectionUsed + incoming > collectionLimit) {
+      throw createStorageError(
+        `Collection ${name} would exceed its quota (${collectionUsed + incoming} of ${collectionLimit} bytes)`,
+        413,
+        'QUOTA_EXCEEDED'
+      );
+    }
+
+    const storageUsed = await this.usage(storageRoot);
+    if (storageUsed + incoming > this.maxStorageBytes) {
+      throw createStorageError(
+        `Document storage would exceed its quota (${storageUsed + incoming} of ${this.maxStorageBytes} bytes)`,
+        413,
+        'QUOTA_EXCEEDED'
+      );
+    }
+
+    return { collectionUsed, collectionLimit, storageUsed, storageLimit: this.maxStorageBytes };
+  }
+}
+
+module.exports = new DocumentStorageService();
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const documentStorageService = require('./documentStorageService');
+
+describe('DocumentStorageService', () => {
+  describe('documentId', () => {
+    test('should keep safe names and clean up display names', () => {
+      expect(documentStorageService.documentId('runbook.md')).toBe('runbook.md');
+      expect(documentStorageService.documentId('Q3 report (final).md')).toBe('Q3-report-final.md');
+      expect(documentStorageService.documentId('Café notes.txt')).toBe('Cafe-notes.txt');
+    });
+
+    test.each([
+      '../../app.js',
+      '..',
+      'notes/../../etc/passwd',
+      '..\\server.js',
+      '.env',
+      'report\u0000.md',
+      '   ',
+      '!!!',
+      'x'.repeat(129)
+    ])('should reject %j', name => {
+      expect(() => documentStorageService.documentId(name))
+        .toThrow(expect.objectContaining({ status: 400, code: 'INVALID_FILENAME' }));
+    });
+  });
+
+  test('should only resolve IDs directly inside the directory', () => {
+    expect(documentStorageService.resolve('/srv/rag', 'runbook.md')).toBe(path.resolve('/srv/rag/runbook.md'));
+    expect(() => documentStorageService.resolve('/srv/rag', '../app.js')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => documentStorageService.resolve('/srv/rag', 'a/b.md')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  describe('quotas', () => {
+    let root;
+    const limits = {};
+
+    beforeAll(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-quota-'));
+      fs.mkdirSync(path.join(root, 'collections', 'ops'), { recursive: true });
+      fs.writeFileSync(path.join(root, 'a.md'), 'x'.repeat(100));
+      fs.writeFileSync(path.join(root, '.index.json'), 'x'.repeat(5000));
+      fs.writeFileSync(path.join(root, 'collections', 'ops', 'b.md'), 'x'.repeat(300));
+      Object.assign(limits, {
+        maxCollectionBytes: documentStorageService.maxCollectionBytes,
+        maxStorageBytes: documentStorageService.maxStorageBytes
+      });
+    });
+
+    afterAll(() => {
+      Object.assign(documentStorageService, limits);
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('should count stored bytes without bookkeeping files', async () => {
+      expect(await documentStorageService.usage(root)).toBe(400);
+      expect(await documentStorageService.usage(root, ['collections'])).toBe(100);
+    });
+
+    test('should reject uploads over the collection or the global quota', async () => {
+      const ops = { name: 'ops', directory: path.join(root, 'collections', 'ops') };
+
+      await expect(documentStorageService.checkQuota({ ...ops, maxBytes: 350 }, root, 100))
+        .rejects.toMatchObject({ status: 413, code: 'QUOTA_EXCEEDED', message: expect.stringContaining('Collection ops') });
+
+      documentStorageService.maxStorageBytes = 450;
+      await expect(documentStorageService.checkQuota(ops, root, 100))
+        .rejects.toMatchObject({ status: 413, message: expect.stringContaining('Document storage') });
+
+      documentStorageService.maxStorageBytes = limits.maxStorageBytes;
+      await expect(documentStorageService.checkQuota(ops, root, 100)).resolves.toMatchObject({ collectionUsed: 300, storageUsed: 400 });
+    });
+  });
+});
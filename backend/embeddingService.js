@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Embedding Service
+ * Local sentence embeddings (transformers.js feature extraction) and an optional
+ * cross-encoder reranker. Like the xenova chat models, the models must already be
+ * in backend/models (see scripts/download_models.js); nothing is downloaded at runtime.
+ */
+
+const MODEL_DIR = path.join(__dirname, 'models');
+const DEFAULT_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const DEFAULT_RERANKER_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+const EMBEDDING_BATCH_SIZE = 16;
+
+let transformersLib = null;
+
+async function getTransformers() {
+  if (!transformersLib) {
+    transformersLib = await import('@xenova/transformers');
+    if (transformersLib?.env) {
+      transformersLib.env.allowLocalModels = true;
+      transformersLib.env.allowRemoteModels = false;
+      transformersLib.env.localModelPath = MODEL_DIR;
+    }
+  }
+  return transformersLib;
+}
+
+class EmbeddingService {
+  constructor() {
+    this.modelName = process.env.RAG_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+    this.rerankerName = process.env.RAG_RERANKER_MODEL || DEFAULT_RERANKER_MODEL;
+    this.extractor = null;
+    this.reranker = null;
+    this.loadError = null;
+    this.rerankerError = null;
+  }
+
+  isAvailable() {
+    return !this.loadError && fs.existsSync(path.join(MODEL_DIR, this.modelName, 'config.json'));
+  }
+
+  isRerankerAvailable() {
+    return !this.rerankerError && fs.existsSync(path.join(MODEL_DIR, this.rerankerName, 'config.json'));
+  }
+
+  getStatus() {
+    return {
+      model: this.modelName,
+      available: this.isAvailable(),
+      reason: this.loadError || (this.isAvailable() ? null : `Model files not found in backend/models/${this.modelName}`),
+      reranker: {
+        model: this.rerankerName,
+        available: this.isRerankerAvailable()
+      }
+    };
+  }
+
+  async loadExtractor() {
+    if (!this.extractor) {
+      this.extractor = (async () => {
+        const { pipeline } = await getTransformers();
+        return pipeline('feature-extraction', this.modelName, { quantized: true });
+      })();
+    }
+
+    try {
+      return await this.extractor;
+    } catch (error) {
+      // A broken model stays broken until restart; callers fall back to keyword search
+      this.loadError = error.message;
+      logger.error('Failed to load embedding model', { model: this.modelName, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Embed texts into unit-length vectors, so cosine similarity is a dot product
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>|null>} One vector per text, or null when no model is available
+   */
+  async embed(texts) {
+    if (!texts.length || !this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const extractor = await this.loadExtractor();
+      const vectors = [];
+
+      for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+        const output = await extractor(texts.slice(i, i + EMBEDDING_BATCH_SIZE), { pooling: 'mean', normalize: true });
+        vectors.push(...output.tolist());
+      }
+
+      return vectors;
+    } catch (error) {
+      logger.warn('Embedding failed', { model: this.modelName, error: error.message });
+      return null;
+    }
+  }
+
+  async loadReranker() {
+    if (!this.reranker) {
+      this.reranker = (async () => {
+        const { AutoTokenizer, AutoModelForSequenceClassification } = await getTransformers();
+        const [tokenizer, model] = await Promise.all([
+          AutoTokenizer.from_pretrained(this.rerankerName),
+          AutoModelForSequenceClassification.from_pretrained(this.rerankerName, { quantized: true })
+        ]);
+        return { tokenizer, model };
+      })();
+    }
+
+    try {
+      return await this.reranker;
+    } catch (error) {
+      this.rerankerError = error.message;
+      logger.error('Failed to load reranker model', { model: this.rerankerName, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Score how well each passage answers the query with the cross-encoder
+   * @param {string} query
+   * @param {Array<string>} passages
+   * @returns {Promise<Array<number>|null>} One relevance logit per passage (higher is better), or null
+   */
+  async rerank(query, passages) {
+    if (!passages.length || !this.isRerankerAvailable()) {
+      return null;
+    }
+
+    try {
+      const { tokenizer, model } = await this.loadReranker();
+      const inputs = tokenizer(new Array(passages.length).fill(query), {
+        text_pair: passages,
+        padding: true,
+        truncation: true
+      });
+      const { logits } = await model(inputs);
+
+      return logits.tolist().map(row => row[0]);
+    } catch (error) {
+      logger.warn('Reranking failed', { model: this.rerankerName, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = new EmbeddingService();
@@ -1,7 +1,15 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const logger = require('./logger');
 const axios = require('axios');
 const OpenAI = require('openai');
 const tinyLLM = require('./tinyLLM');
+const nlpService = require('./nlpService');
+const ragService = require('./ragService');
+const modelRegistry = require('./modelRegistry');
+const toolService = require('./toolService');
+const structuredOutputService = require('./structuredOutputService');
 
 const HUGGINGFACE_API_KEY =
   process.env.HUGGINGFACE_API_KEY ||
@@ -13,6 +21,22 @@ const HUGGINGFACE_API_KEY =
 const HF_ROUTER_BASE = 'https://router.huggingface.co/v1';
 const HF_CHAT_COMPLETIONS_ENDPOINT = `${HF_ROUTER_BASE}/chat/completions`;
 const OLLAMA_HOST = (process.env.OLLAMA_HOST || 'http://localhost:11434').replace(/\/$/, '');
+// How long /api/tags results are reused before asking Ollama again
+const OLLAMA_DISCOVERY_TTL_MS = 30000;
+const OLLAMA_DISCOVERY_TIMEOUT_MS = 3000;
+const XENOVA_MODEL_DIR = path.join(__dirname, 'models');
+const HEALTH_PROBE_INTERVAL_MS = parseInt(process.env.LLM_HEALTH_PROBE_INTERVAL_MS, 10) || 60000;
+const HEALTH_PROBE_TIMEOUT_MS = 5000;
+// Rounds of tool calls allowed before the model must answer without tools
+const MAX_TOOL_STEPS = parseInt(process.env.LLM_MAX_TOOL_STEPS, 10) || 4;
+// Requests made for `options.jsonSchema` before giving up on a schema-conforming reply
+const MAX_STRUCTURED_ATTEMPTS = parseInt(process.env.LLM_STRUCTURED_OUTPUT_ATTEMPTS, 10) || 3;
+
+// Tried after a model's own `fallbacks` and before the built-in assistant (comma-separated ids)
+const DEFAULT_FALLBACK_CHAIN = (process.env.LLM_FALLBACK_CHAIN || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
 
 // Lazy-load cache for transformers.js pipelines
 const XENOVA_PIPELINES = new Map();
@@ -27,8 +51,7 @@ async function getTransformers() {
       transformersLib.env.allowRemoteModels = false;
 
       // Set local model path to backend/models directory
-      const path = require('path');
-      transformersLib.env.localModelPath = path.join(__dirname, 'models');
+      transformersLib.env.localModelPath = XENOVA_MODEL_DIR;
 
       logger.info('Transformers configured for local-only mode', {
         path: transformersLib.env.localModelPath
@@ -55,6 +78,44 @@ function formatTopicList(topics) {
   return `${head}, and "${topics[topics.length - 1]}"`;
 }
 
+// Which local knowledge entry answered, reported with local model responses for debugging
+function toKnowledgeMatch(match) {
+  if (!match) {
+    return null;
+  }
+
+  const { category, id, pattern, score } = match;
+  return { category, id, pattern, score };
+}
+
+// Rough token estimate (~4 characters per token) used for history budgeting
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  return Math.ceil(`${text}`.length / 4);
+}
+
+function estimateMessageTokens(message) {
+  // Every message carries a few tokens of role/formatting overhead
+  return estimateTokens(message?.content) + 4;
+}
+
+function summarizeTurns(turns, maxChars = 120) {
+  return turns
+    .filter(turn => turn.role === 'user' || turn.role === 'assistant')
+    .map(turn => {
+      const flattened = `${turn.content || ''}`.replace(/\s+/g, ' ').trim();
+      const firstSentence = flattened.split(/(?<=[.!?])\s/)[0] || flattened;
+      const excerpt = firstSentence.length > maxChars
+        ? `${firstSentence.slice(0, maxChars).trim()}...`
+        : firstSentence;
+      return excerpt ? `- ${turn.role === 'user' ? 'User' : 'Assistant'}: ${excerpt}` : '';
+    })
+    .filter(Boolean);
+}
+
 async function loadXenovaPipeline(modelId, modelConfig) {
   const cacheKey = modelConfig.transformersModel || modelId;
   if (XENOVA_PIPELINES.has(cacheKey)) {
@@ -70,6 +131,102 @@ async function loadXenovaPipeline(modelId, modelConfig) {
   return generator;
 }
 
+// Ollama's /api/chat takes images as raw base64 (no data URL prefix)
+function toOllamaMessages(messages, model) {
+  return messages.map(msg => {
+    const converted = { role: msg.role, content: msg.content };
+    // Ollama takes the bare base64 data, so only data: URLs can be passed on
+    const data = /^data:[^,]*;base64,(.+)$/s.exec(msg.image || '')?.[1];
+    if (data && model?.vision) {
+      converted.images = [data];
+    }
+    return converted;
+  });
+}
+
+// Convert internal messages (optional `image` data URL) to the OpenAI wire format
+function toOpenAIMessages(messages, model) {
+  return messages.map(msg => {
+    if (msg.image && model?.vision) {
+      return {
+        role: msg.role,
+        content: [
+          { type: 'text', text: msg.content || '' },
+          { type: 'image_url', image_url: { url: msg.image } }
+        ]
+      };
+    }
+    return { role: msg.role, content: msg.content };
+  });
+}
+
+function createAbortError() {
+  const error = new Error('Generation aborted by client');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Yield the `data:` payloads of a server-sent event stream, buffering partial lines
+async function* readServerSentEvents(stream) {
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('data:')) {
+        yield trimmed.slice(5).trim();
+      }
+    }
+  }
+
+  const rest = buffer.trim();
+  if (rest.startsWith('data:')) {
+    yield rest.slice(5).trim();
+  }
+}
+
+// Ollama streams newline-delimited JSON; objects can be split across chunks
+async function* readJsonLines(stream) {
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line);
+      }
+    }
+  }
+
+  if (buffer.trim()) {
+    yield JSON.parse(buffer);
+  }
+}
+
+async function readStreamBody(stream) {
+  if (!stream || typeof stream[Symbol.asyncIterator] !== 'function') {
+    return stream;
+  }
+
+  let body = '';
+  for await (const chunk of stream) {
+    body += chunk.toString();
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+}
+
 function normalizeNotices(value) {
   if (!value) {
     return [];
@@ -95,6 +252,11 @@ function prepareNotices(model, options = {}) {
   const modelNotices = normalizeNotices(model?.notice);
   const extra = [...modelNotices];
 
+  // Anything prepended to structured output would break its JSON
+  if (options.jsonSchema) {
+    return { inline: [], extra: [...inline, ...modelNotices] };
+  }
+
   const inlineModelNotice =
     typeof options.inlineModelNotice === 'boolean'
       ? options.inlineModelNotice
@@ -109,6 +271,19 @@ function prepareNotices(model, options = {}) {
   return { inline, extra };
 }
 
+// Ollama treats "llava" and "llava:latest" as the same model
+function normalizeOllamaName(name = '') {
+  return name.includes(':') ? name : `${name}:latest`;
+}
+
+function isDefaultOllamaHost(model) {
+  return !model.endpoint || model.endpoint.replace(/\/$/, '') === OLLAMA_HOST;
+}
+
+function isXenovaModelInstalled(model) {
+  return fs.existsSync(path.join(XENOVA_MODEL_DIR, model.transformersModel, 'config.json'));
+}
+
 function composeContent(content, inlineNotices) {
   if (!Array.isArray(inlineNotices) || !inlineNotices.length) {
     return content;
@@ -117,101 +292,14 @@ function composeContent(content, inlineNotices) {
   return `${inlineNotices.join('\n\n')}\n\n${content}`;
 }
 
-const AVAILABLE_MODELS = {
-  // 1. Rule-Based Assistant (100% Local, No Downloads)
-  'local/instruct': {
-    name: 'Tiny LLM (Local Assistant)',
-    provider: 'Built-in',
-    description: 'Lightweight, rule-based language model running locally. No downloads required.',
-    maxTokens: 1024,
-    free: true,
-    type: 'local'
-  },
-
-  // 2. Local LLMs (Require manual download to backend/models)
-  'xenova/tinyllama-chat': {
-    name: 'TinyLlama Chat (Local LLM)',
-    provider: 'Local CPU',
-    description: '1.1B model. Requires model files in backend/models.',
-    maxTokens: 512,
-    free: true,
-    type: 'xenova',
-    transformersModel: 'Xenova/tinyllama-chat',
-    notice: 'Requires model files to be manually downloaded to backend/models.'
-  },
-  'xenova/phi-1_5': {
-    name: 'Phi-1.5 (Local LLM)',
-    provider: 'Local CPU',
-    description: 'Microsoft Phi-1.5. Requires model files in backend/models.',
-    maxTokens: 512,
-    free: true,
-    type: 'xenova',
-    transformersModel: 'Xenova/phi-1_5',
-    notice: 'Requires model files to be manually downloaded to backend/models.'
-  },
-
-  // 3. Ollama (Local Service)
-  'ollama/mistral:7b': {
-    name: 'Mistral 7B (Ollama)',
-    provider: 'Ollama Local',
-    description: 'Requires Ollama app running locally.',
-    maxTokens: 2048,
-    free: true,
-    type: 'ollama',
-    endpoint: `${OLLAMA_HOST}`,
-    ollamaModel: 'mistral:7b',
-    notice: 'Requires Ollama running locally.'
-  },
-
-  // 4. Remote / Cloud Models (Optional)
-  'huggingface/meta-llama-3.1-8b-instruct': {
-    name: 'Llama 3.1 8B (Cloud)',
-    provider: 'Hugging Face',
-    description: 'Remote inference via Hugging Face API.',
-    maxTokens: 4096,
-    free: false,
-    type: 'huggingface',
-    requiresKey: 'HUGGINGFACE_API_KEY',
-    hfModel: 'meta-llama/Llama-3.1-8B-Instruct:fastest',
-    notice: 'Requires API Key.'
-  },
-  'gpt-3.5-turbo': {
-    name: 'GPT-3.5 Turbo',
-    provider: 'OpenAI',
-    description: 'OpenAI Cloud API.',
-    maxTokens: 4096,
-    free: false,
-    requiresKey: 'OPENAI_API_KEY',
-    type: 'openai'
-  },
-  'gpt-4o': {
-    name: 'GPT-4o (Vision)',
-    provider: 'OpenAI',
-    description: 'OpenAI Multimodal Model (Text + Vision).',
-    maxTokens: 4096,
-    free: false,
-    requiresKey: 'OPENAI_API_KEY',
-    type: 'openai',
-    vision: true
-  },
-  'ollama/llava': {
-    name: 'LLaVA (Vision)',
-    provider: 'Ollama Local',
-    description: 'Local Multimodal Model (Text + Vision). Requires Ollama.',
-    maxTokens: 2048,
-    free: true,
-    type: 'ollama',
-    endpoint: `${OLLAMA_HOST}`,
-    ollamaModel: 'llava',
-    vision: true,
-    notice: 'Requires Ollama running locally with "llava" model.'
-  }
-};
-
 class LLMService {
   constructor() {
     this.defaultModel = 'local/instruct';
     this.openaiClient = null;
+    this.ollamaDiscovery = null;
+    this.pendingOllamaDiscovery = null;
+    this.providerHealth = {};
+    this.healthProbeTimer = null;
 
     if (process.env.OPENAI_API_KEY) {
       this.openaiClient = new OpenAI({
@@ -229,87 +317,525 @@ class LLMService {
     return !!process.env[key];
   }
 
-  getAvailableModels() {
-    return Object.entries(AVAILABLE_MODELS).map(([id, info]) => {
-      const model = { id, ...info };
+  /**
+   * Whether an error came from the caller cancelling the request
+   * (axios, the OpenAI SDK and our own abort errors all name it differently).
+   */
+  isAbortError(error, abortSignal) {
+    if (abortSignal?.aborted) {
+      return true;
+    }
+
+    return ['AbortError', 'CanceledError', 'APIUserAbortError'].includes(error?.name) ||
+      error?.code === 'ERR_CANCELED';
+  }
+
+  getAvailableModels(options = {}) {
+    return modelRegistry.list(options).map(info => {
+      const { available, reason } = this.getModelAvailability(info.id);
+
+      return {
+        ...info,
+        available,
+        configured: info.requiresKey ? this.isKeyAvailable(info.requiresKey) : true,
+        ...(reason && { reason })
+      };
+    });
+  }
+
+  /**
+   * Whether a model can serve requests right now, from its API key and the latest
+   * provider health probe. Unprobed providers are assumed to be available.
+   * @returns {{ available: boolean, reason?: string }}
+   */
+  getModelAvailability(modelId) {
+    const model = modelRegistry.get(modelId, { includeDisabled: true });
+
+    if (!model) {
+      return { available: false, reason: 'Model is not registered' };
+    }
+
+    if (model.enabled === false) {
+      return { available: false, reason: 'Model is disabled' };
+    }
+
+    if (model.requiresKey && !this.isKeyAvailable(model.requiresKey)) {
+      return { available: false, reason: `Requires ${model.requiresKey} environment variable` };
+    }
+
+    if (model.type === 'xenova' && !isXenovaModelInstalled(model)) {
+      return { available: false, reason: `Model files not found in backend/models/${model.transformersModel}` };
+    }
+
+    // Models on other Ollama hosts are not probed, so their availability stays unknown
+    const discovery = this.ollamaDiscovery;
+    if (model.type === 'ollama' && discovery && isDefaultOllamaHost(model)) {
+      if (!discovery.reachable) {
+        return { available: false, reason: `Ollama is not reachable at ${OLLAMA_HOST}` };
+      }
+
+      const targetModel = normalizeOllamaName(model.ollamaModel);
+      if (!discovery.models.some(entry => entry.name === targetModel)) {
+        return { available: false, reason: `Not installed in Ollama. Run: ollama pull ${model.ollamaModel}` };
+      }
+    }
+
+    const health = this.providerHealth[model.type];
+    if (health && !health.healthy) {
+      return { available: false, reason: health.reason };
+    }
+
+    return { available: true };
+  }
+
+  getProviderHealth() {
+    return { ...this.providerHealth };
+  }
 
-      if (info.requiresKey) {
-        model.available = this.isKeyAvailable(info.requiresKey);
-        model.configured = model.available;
-        if (!model.available) {
-          model.message = `Requires ${info.requiresKey} environment variable`;
+  /**
+   * Probe every remote provider once: Ollama reachability and installed models, and
+   * whether the OpenAI and Hugging Face APIs accept the configured keys.
+   * Local Xenova model files are checked per model in getModelAvailability.
+   */
+  async probeProviders() {
+    const probes = {
+      ollama: async () => {
+        const discovery = await this.discoverOllamaModels({ force: true });
+        if (!discovery.reachable) {
+          throw new Error(`Ollama is not reachable at ${OLLAMA_HOST}`);
         }
-      } else {
-        model.available = true;
-        model.configured = true;
       }
+    };
+
+    if (this.openaiClient) {
+      probes.openai = () => this.openaiClient.models.list({ timeout: HEALTH_PROBE_TIMEOUT_MS });
+    }
+
+    if (HUGGINGFACE_API_KEY) {
+      probes.huggingface = () => axios.get(`${HF_ROUTER_BASE}/models`, {
+        headers: { Authorization: `Bearer ${HUGGINGFACE_API_KEY}` },
+        timeout: HEALTH_PROBE_TIMEOUT_MS
+      });
+    }
+
+    await Promise.all(Object.entries(probes).map(async ([provider, probe]) => {
+      try {
+        await probe();
+        this.providerHealth[provider] = { healthy: true, checkedAt: new Date().toISOString() };
+      } catch (error) {
+        const { reason } = this.describeFailure(error);
+        logger.warn('Provider health probe failed', { provider, reason });
+        this.providerHealth[provider] = { healthy: false, reason, checkedAt: new Date().toISOString() };
+      }
+    }));
 
-      return model;
-    });
+    return this.getProviderHealth();
   }
 
-  async generateText(prompt, modelId = this.defaultModel, options = {}) {
-    const requestedModel = AVAILABLE_MODELS[modelId] ? modelId : this.defaultModel;
-    const model = AVAILABLE_MODELS[requestedModel];
+  /**
+   * Probe providers now and then every LLM_HEALTH_PROBE_INTERVAL_MS (default 60s).
+   */
+  startHealthProbes(intervalMs = HEALTH_PROBE_INTERVAL_MS) {
+    this.stopHealthProbes();
+    this.probeProviders();
 
-    logger.info('Generating text', {
-      requestedModel: modelId,
-      model: requestedModel,
-      promptLength: (prompt || '').length,
-      options
-    });
+    this.healthProbeTimer = setInterval(() => this.probeProviders(), intervalMs);
+    // Probes must not keep the process alive on shutdown
+    this.healthProbeTimer.unref();
+  }
 
-    if (model.type === 'local') {
-      return this.generateWithLocalModel(prompt, requestedModel, { requestedModel: modelId, notice: options.notice });
+  stopHealthProbes() {
+    if (this.healthProbeTimer) {
+      clearInterval(this.healthProbeTimer);
+      this.healthProbeTimer = null;
     }
+  }
 
-    if (model.type === 'openai') {
-      return this.generateWithOpenAI(prompt, requestedModel, options);
+  /**
+   * Models to try for a request, in order: the model itself, its registry `fallbacks`,
+   * LLM_FALLBACK_CHAIN, and finally the built-in assistant.
+   */
+  getFallbackChain(modelId) {
+    const model = modelRegistry.get(modelId);
+    const chain = [
+      ...(model ? [modelId] : []),
+      ...(model?.fallbacks || []),
+      ...DEFAULT_FALLBACK_CHAIN,
+      this.defaultModel
+    ];
+
+    return [...new Set(chain)].filter(id => modelRegistry.get(id));
+  }
+
+  /**
+   * Turn a provider error into a short, user-facing reason.
+   * @returns {{ reason: string, loading?: boolean }}
+   */
+  describeFailure(error, modelId) {
+    const model = modelId ? modelRegistry.get(modelId) : null;
+    const status = error.response?.status ?? error.status;
+    const data = error.response?.data;
+    const detail = data?.error?.message || data?.message || data?.detail || error.message;
+
+    if (error.code === 'ECONNREFUSED') {
+      const target = model?.type === 'ollama'
+        ? `Ollama at ${(model.endpoint || OLLAMA_HOST).replace(/\/$/, '')}`
+        : 'the model server';
+      return { reason: `Could not reach ${target}. Ensure the service is running and the model is pulled` };
     }
 
-    if (model.type === 'xenova') {
-      return this.generateWithXenova(prompt, requestedModel, options);
+    if (status === 503) {
+      return { reason: 'Model is currently loading. This can take 20-30 seconds for the first request', loading: true };
     }
 
-    if (model.type === 'ollama') {
-      return this.generateWithOllama(prompt, requestedModel, options);
+    if (status === 429) {
+      return { reason: 'Rate limit reached for the selected model' };
     }
 
-    if (model.type === 'huggingface' && !HUGGINGFACE_API_KEY) {
-      logger.warn('Hugging Face API key missing, using local fallback', {
-        requestedModel: modelId
+    if ([401, 403].includes(status)) {
+      const keyHint = model?.requiresKey ? `. Please double-check the ${model.requiresKey} value` : '';
+      return { reason: `Authentication failed: ${detail}${keyHint}` };
+    }
+
+    if (status === 410) {
+      return { reason: 'The model endpoint returned 410 (gone)' };
+    }
+
+    if (status === 400) {
+      return { reason: `Request was rejected: ${detail}` };
+    }
+
+    return { reason: status ? `Generation failed (status ${status}): ${detail}` : `Generation failed: ${detail}` };
+  }
+
+  describeFallback(failures, modelId) {
+    const model = modelRegistry.get(modelId);
+    const lines = failures.map(failure => {
+      const name = modelRegistry.get(failure.model, { includeDisabled: true })?.name || failure.model;
+      return `${name} could not be used: ${failure.reason}.`;
+    });
+
+    return `${lines.join(' ')} Using ${model?.name || modelId} instead.`;
+  }
+
+  /**
+   * Run `attempt` against each model in the fallback chain until one succeeds.
+   * Unavailable models are skipped; the failures are reported in a notice and in
+   * `fallbacks` on the result.
+   */
+  async runWithFallbacks(modelId, options, attempt) {
+    const failures = [];
+    let lastError = null;
+
+    for (const candidateId of this.getFallbackChain(modelId)) {
+      const availability = this.getModelAvailability(candidateId);
+      if (!availability.available) {
+        failures.push({ model: candidateId, reason: availability.reason });
+        continue;
+      }
+
+      const notice = failures.length
+        ? [...normalizeNotices(options.notice), this.describeFallback(failures, candidateId)]
+        : options.notice;
+
+      try {
+        const result = await attempt(candidateId, { ...options, notice });
+
+        if (failures.length) {
+          result.requestedModel = modelId;
+          result.fallbacks = failures;
+          result.loading = result.loading || failures.some(failure => failure.loading);
+        }
+
+        return result;
+      } catch (error) {
+        if (this.isAbortError(error, options.abortSignal)) {
+          throw error;
+        }
+
+        lastError = error;
+        const failure = this.describeFailure(error, candidateId);
+        logger.warn('Model failed, trying the next model in the fallback chain', {
+          model: candidateId,
+          requestedModel: modelId,
+          reason: failure.reason
+        });
+        failures.push({ model: candidateId, ...failure });
+      }
+    }
+
+    throw lastError || new Error(`No available model to handle ${modelId}`);
+  }
+
+  /**
+   * Repeat `request` until its reply parses and matches `options.jsonSchema`. Each
+   * retry gets the earlier replies and their validation errors.
+   * @param {Function} request - (previousAttempts) => Promise<result with text or message>
+   */
+  async runStructured(options, request) {
+    const validator = structuredOutputService.compile(options.jsonSchema);
+    const previousAttempts = [];
+
+    for (let attempt = 1; attempt <= MAX_STRUCTURED_ATTEMPTS; attempt += 1) {
+      const result = await request(previousAttempts);
+      const output = result.text ?? result.message ?? '';
+      const { value, errors } = structuredOutputService.validate(output, validator);
+
+      if (!errors) {
+        return { ...result, data: value, attempts: attempt };
+      }
+
+      logger.warn('Model output did not match the JSON schema', {
+        model: result.model,
+        attempt,
+        errors
+      });
+      previousAttempts.push({ output, errors });
+    }
+
+    const { output, errors } = previousAttempts[previousAttempts.length - 1];
+    const error = new Error(`Model output did not match the JSON schema after ${MAX_STRUCTURED_ATTEMPTS} attempts`);
+    error.status = 422;
+    error.details = errors;
+    error.output = output;
+    throw error;
+  }
+
+  estimateTokens(text) {
+    return estimateTokens(text);
+  }
+
+  /**
+   * Find the models installed on OLLAMA_HOST (/api/tags) and their capabilities (/api/show).
+   * Installed models missing from the registry are added as discovered models.
+   * Results are cached for a short time and failures are cached too, so a stopped
+   * Ollama does not slow down every model listing.
+   */
+  async discoverOllamaModels({ force = false } = {}) {
+    const cached = this.ollamaDiscovery;
+    if (!force && cached && Date.now() - cached.checkedAt < OLLAMA_DISCOVERY_TTL_MS) {
+      return cached;
+    }
+
+    if (!this.pendingOllamaDiscovery) {
+      this.pendingOllamaDiscovery = this.fetchOllamaModels().finally(() => {
+        this.pendingOllamaDiscovery = null;
       });
-      return this.generateWithLocalModel(prompt, this.defaultModel, {
-        requestedModel: modelId,
-        notice: 'Hugging Face API key not configured. Using built-in assistant instead.'
+    }
+
+    return this.pendingOllamaDiscovery;
+  }
+
+  async fetchOllamaModels() {
+    let discovery;
+
+    try {
+      const response = await axios.get(`${OLLAMA_HOST}/api/tags`, { timeout: OLLAMA_DISCOVERY_TIMEOUT_MS });
+      const tags = Array.isArray(response.data?.models) ? response.data.models : [];
+      const models = await Promise.all(tags.map(tag => this.describeOllamaModel(tag)));
+
+      discovery = { reachable: true, models, checkedAt: Date.now() };
+      logger.info('Discovered Ollama models', { host: OLLAMA_HOST, count: models.length });
+    } catch (error) {
+      logger.warn('Ollama model discovery failed', { host: OLLAMA_HOST, error: error.message });
+      discovery = { reachable: false, models: [], error: error.message, checkedAt: Date.now() };
+    }
+
+    this.ollamaDiscovery = discovery;
+
+    const registered = new Set(modelRegistry.list({ includeDisabled: true, includeDiscovered: false })
+      .filter(model => model.type === 'ollama' && isDefaultOllamaHost(model))
+      .map(model => normalizeOllamaName(model.ollamaModel)));
+
+    modelRegistry.setDiscoveredModels(discovery.models
+      .filter(entry => entry.chat && !registered.has(entry.name))
+      .map(entry => ({
+        id: `ollama/${entry.name.replace(/:latest$/, '')}`,
+        name: `${entry.name} (Ollama)`,
+        type: 'ollama',
+        description: [`Installed on ${OLLAMA_HOST}.`, entry.parameterSize && `${entry.parameterSize} parameters.`]
+          .filter(Boolean).join(' '),
+        maxTokens: entry.contextLength ? Math.min(entry.contextLength, 8192) : 2048,
+        vision: entry.vision,
+        ...(typeof entry.tools === 'boolean' && { tools: entry.tools }),
+        ollamaModel: entry.name
+      })));
+
+    return discovery;
+  }
+
+  /**
+   * Read capability hints for one installed model. Older Ollama versions have no
+   * `capabilities` list, so vision falls back to the model families (clip/mllama).
+   */
+  async describeOllamaModel(tag) {
+    const name = normalizeOllamaName(tag.name || tag.model);
+    const families = tag.details?.families || [];
+    const entry = {
+      name,
+      parameterSize: tag.details?.parameter_size,
+      vision: families.some(family => ['clip', 'mllama'].includes(family)),
+      chat: !families.some(family => family.includes('bert')),
+      contextLength: null
+    };
+
+    try {
+      // `name` is what Ollama versions before 0.3 expect, `model` is the current field
+      const response = await axios.post(`${OLLAMA_HOST}/api/show`, { model: name, name }, {
+        timeout: OLLAMA_DISCOVERY_TIMEOUT_MS
       });
+      const info = response.data || {};
+
+      if (Array.isArray(info.capabilities)) {
+        entry.vision = info.capabilities.includes('vision');
+        entry.chat = info.capabilities.includes('completion');
+        entry.tools = info.capabilities.includes('tools');
+      }
+
+      const contextKey = Object.keys(info.model_info || {}).find(key => key.endsWith('.context_length'));
+      if (contextKey) {
+        entry.contextLength = info.model_info[contextKey];
+      }
+    } catch (error) {
+      logger.warn('Failed to read Ollama model details', { model: name, error: error.message });
     }
 
-    if (model.type === 'huggingface') {
-      return this.generateWithHuggingFace(prompt, requestedModel, options);
+    return entry;
+  }
+
+  /**
+   * Make sure a discovered Ollama model id resolves even if nothing listed models yet.
+   */
+  async ensureModelDiscovered(modelId) {
+    if (typeof modelId === 'string' && modelId.startsWith('ollama/') && !modelRegistry.get(modelId)) {
+      await this.discoverOllamaModels();
     }
+  }
 
-    logger.warn('Unsupported model type for text generation, falling back to built-in assistant', {
-      requestedModel: modelId,
-      resolvedModel: requestedModel,
-      type: model.type
+  /**
+   * Fit a conversation into the model's token budget.
+   * System messages and the latest turn are always kept; older turns that do not
+   * fit are condensed into a summary note (or dropped when even that does not fit).
+   */
+  buildHistoryWindow(messages, modelId = this.defaultModel, options = {}) {
+    const model = modelRegistry.get(modelId) || modelRegistry.get(this.defaultModel);
+    const safeMessages = Array.isArray(messages)
+      ? messages.filter(entry => entry && typeof entry.content === 'string')
+      : [];
+
+    if (!safeMessages.length) {
+      return [];
+    }
+
+    const contextTokens = typeof options.contextTokens === 'number' && options.contextTokens > 0
+      ? options.contextTokens
+      : (model.maxTokens || 1024);
+    const responseReserve = Math.min(
+      typeof options.maxTokens === 'number' && options.maxTokens > 0 ? options.maxTokens : Math.floor(contextTokens / 4),
+      Math.floor(contextTokens / 2)
+    );
+    const budget = contextTokens - responseReserve;
+
+    const systemMessages = safeMessages.filter(msg => msg.role === 'system');
+    const turns = safeMessages.filter(msg => msg.role !== 'system');
+
+    let used = systemMessages.reduce((total, msg) => total + estimateMessageTokens(msg), 0);
+    const turnsCost = turns.reduce((total, msg) => total + estimateMessageTokens(msg), 0);
+    // When turns have to be dropped, leave part of the budget for their summary
+    const turnBudget = used + turnsCost > budget ? budget - Math.floor(budget * 0.15) : budget;
+    let firstKept = turns.length;
+
+    for (let i = turns.length - 1; i >= 0; i -= 1) {
+      const cost = estimateMessageTokens(turns[i]);
+      // The latest turn is what we are answering, so it is kept regardless of size
+      if (i !== turns.length - 1 && used + cost > turnBudget) {
+        break;
+      }
+      used += cost;
+      firstKept = i;
+    }
+
+    const kept = turns.slice(firstKept);
+    const dropped = turns.slice(0, firstKept);
+
+    if (!dropped.length) {
+      return [...systemMessages, ...kept];
+    }
+
+    const header = 'Summary of earlier conversation (older turns condensed to fit the context window):';
+    const summaryLines = [];
+    let summaryTokens = estimateMessageTokens({ content: header });
+
+    for (const line of summarizeTurns(dropped).reverse()) {
+      const cost = estimateTokens(line) + 1;
+      if (used + summaryTokens + cost > budget) {
+        break;
+      }
+      summaryTokens += cost;
+      summaryLines.unshift(line);
+    }
+
+    logger.info('Trimmed conversation history to fit model budget', {
+      model: modelId,
+      budget,
+      keptTurns: kept.length,
+      droppedTurns: dropped.length,
+      summarizedTurns: summaryLines.length
     });
 
-    return this.generateWithLocalModel(prompt, this.defaultModel, {
+    const summary = summaryLines.length
+      ? [{ role: 'system', content: `${header}\n${summaryLines.join('\n')}` }]
+      : [];
+
+    return [...systemMessages, ...summary, ...kept];
+  }
+
+  async generateText(prompt, modelId = this.defaultModel, options = {}) {
+    await this.ensureModelDiscovered(modelId);
+
+    logger.info('Generating text', {
       requestedModel: modelId,
-      notice: 'Requested model type is not supported. Using the built-in assistant instead.'
+      promptLength: (prompt || '').length,
+      options
     });
-  }
 
-  async generateWithHuggingFace(prompt = '', modelId, options = {}) {
-    const model = AVAILABLE_MODELS[modelId];
+    if (options.jsonSchema) {
+      return this.runStructured(options, previousAttempts => this.runWithFallbacks(modelId, options,
+        (candidateId, candidateOptions) => this.generateWithModel(
+          structuredOutputService.buildPrompt(prompt, options.jsonSchema, previousAttempts),
+          candidateId,
+          candidateOptions
+        )));
+    }
 
-    if (!model) {
-      return this.generateWithLocalModel(prompt, this.defaultModel, {
-        requestedModel: modelId,
-        notice: 'Requested Hugging Face model was not found. Using built-in assistant instead.'
-      });
+    return this.runWithFallbacks(modelId, options,
+      (candidateId, candidateOptions) => this.generateWithModel(prompt, candidateId, candidateOptions));
+  }
+
+  /**
+   * Generate with exactly one model; errors propagate so the fallback chain can move on.
+   */
+  async generateWithModel(prompt, modelId, options = {}) {
+    const model = modelRegistry.get(modelId);
+
+    switch (model?.type) {
+      case 'local':
+        return this.generateWithLocalModel(prompt, modelId, options);
+      case 'openai':
+        return this.generateWithOpenAI(prompt, modelId, options);
+      case 'xenova':
+        return this.generateWithXenova(prompt, modelId, options);
+      case 'ollama':
+        return this.generateWithOllama(prompt, modelId, options);
+      case 'huggingface':
+        return this.generateWithHuggingFace(prompt, modelId, options);
+      default:
+        throw new Error(`Unsupported model type for ${modelId}: ${model?.type}`);
     }
+  }
+
+  async generateWithHuggingFace(prompt = '', modelId, options = {}) {
+    const model = modelRegistry.get(modelId);
 
     try {
       const { data } = await this.requestHuggingFaceChat([
@@ -339,17 +865,30 @@ class LLMService {
         notices: extra
       };
     } catch (error) {
-      return this.handleHuggingFaceTextError(error, prompt, modelId);
+      if (this.isAbortError(error, options.abortSignal)) {
+        throw error;
+      }
+
+      logger.error('Hugging Face text generation failed', {
+        error: error.message,
+        model: modelId,
+        status: error.response?.status
+      });
+      throw error;
     }
   }
 
   async requestHuggingFaceChat(messages, modelId, options = {}) {
-    const model = AVAILABLE_MODELS[modelId];
+    const model = modelRegistry.get(modelId);
 
     if (!model) {
       throw new Error(`Unknown Hugging Face model: ${modelId}`);
     }
 
+    if (!HUGGINGFACE_API_KEY) {
+      throw new Error('Hugging Face API key not configured. Please set HUGGINGFACE_API_KEY environment variable.');
+    }
+
     const safeMessages = Array.isArray(messages)
       ? messages.filter(entry => entry && typeof entry.content === 'string')
       : [];
@@ -391,7 +930,7 @@ class LLMService {
       max_tokens: maxTokens,
       temperature,
       top_p: topP,
-      stream: false
+      stream: options.stream === true
     };
 
     const numericKeys = ['frequency_penalty', 'presence_penalty', 'top_k', 'repetition_penalty'];
@@ -409,7 +948,8 @@ class LLMService {
       payload.stop = [stopSequences];
     }
 
-    const responseFormat = options.response_format || parameters.response_format;
+    const responseFormat = options.response_format || parameters.response_format
+      || (options.jsonSchema && structuredOutputService.toResponseFormat(options.jsonSchema));
     if (responseFormat) {
       payload.response_format = responseFormat;
     }
@@ -426,89 +966,15 @@ class LLMService {
       axiosOptions.signal = options.abortSignal;
     }
 
-    return axios.post(HF_CHAT_COMPLETIONS_ENDPOINT, payload, axiosOptions);
-  }
-
-  handleHuggingFaceTextError(error, prompt, requestedModel) {
-    logger.error('Hugging Face text generation failed', {
-      error: error.message,
-      model: requestedModel,
-      status: error.response?.status,
-      data: error.response?.data
-    });
-
-    const model = AVAILABLE_MODELS[requestedModel];
-    const modelNotices = normalizeNotices(model?.notice);
-
-    if (error.response) {
-      const status = error.response.status;
-      const errorMessage =
-        error.response.data?.error?.message ||
-        error.response.data?.message ||
-        error.response.data?.detail;
-
-      if (status === 503) {
-        return {
-          text: 'Model is currently loading. This can take 20-30 seconds for the first request. Please try again in a moment...\n\nFalling back to the built-in assistant for now.',
-          model: this.defaultModel,
-          modelInfo: AVAILABLE_MODELS[this.defaultModel],
-          loading: true,
-          notices: modelNotices
-        };
-      }
-
-      if (status === 429) {
-        return {
-          text: 'Rate limit reached for the selected Hugging Face model. Using the built-in assistant instead.',
-          model: this.defaultModel,
-          modelInfo: AVAILABLE_MODELS[this.defaultModel],
-          loading: false,
-          notices: modelNotices
-        };
-      }
-
-      if ([401, 403].includes(status)) {
-        const authMessage = errorMessage
-          ? `Authentication failed for the Hugging Face router: ${errorMessage}. Please double-check the HUGGINGFACE_API_KEY value.`
-          : 'Authentication failed for the Hugging Face router. Please double-check the HUGGINGFACE_API_KEY value.';
-
-        return {
-          text: authMessage,
-          model: requestedModel,
-          modelInfo: model,
-          loading: false,
-          notices: modelNotices
-        };
-      }
-
-      if (status === 410) {
-        return this.generateWithLocalModel(prompt, this.defaultModel, {
-          requestedModel,
-          notice: 'The selected Hugging Face model endpoint returned 410 (gone). Using the built-in assistant instead.'
-        });
-      }
-
-      if (status === 400 && errorMessage) {
-        return this.generateWithLocalModel(prompt, this.defaultModel, {
-          requestedModel,
-          notice: `Hugging Face router rejected the request: ${errorMessage}. Using the built-in assistant instead.`
-        });
-      }
+    if (payload.stream) {
+      axiosOptions.responseType = 'stream';
     }
 
-    const statusLabel = error.response?.status ? ` (status ${error.response.status})` : '';
-    const detail = error.response?.data?.error?.message || error.message;
-
-    return this.generateWithLocalModel(prompt, this.defaultModel, {
-      requestedModel,
-      notice: detail
-        ? `Remote generation failed${statusLabel}: ${detail}. Using the built-in assistant instead.`
-        : 'Remote generation failed. Using the built-in assistant instead.'
-    });
+    return axios.post(HF_CHAT_COMPLETIONS_ENDPOINT, payload, axiosOptions);
   }
 
   async generateWithOpenAI(prompt, modelId, options = {}) {
-    const model = AVAILABLE_MODELS[modelId];
+    const model = modelRegistry.get(modelId);
 
     if (!this.openaiClient) {
       throw new Error('OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.');
@@ -516,12 +982,13 @@ class LLMService {
 
     try {
       const completion = await this.openaiClient.chat.completions.create({
-        model: modelId,
+        model: model.openaiModel || modelId,
         messages: [{ role: 'user', content: prompt }],
         max_tokens: options.maxTokens || 1000,
         temperature: options.temperature || 0.7,
-        top_p: options.topP || 1
-      });
+        top_p: options.topP || 1,
+        ...(options.jsonSchema && { response_format: structuredOutputService.toResponseFormat(options.jsonSchema) })
+      }, { signal: options.abortSignal });
 
       const generatedText = completion.choices[0].message.content;
       const { inline, extra } = prepareNotices(model, options);
@@ -548,14 +1015,7 @@ class LLMService {
   }
 
   async generateWithXenova(prompt = '', modelId, options = {}) {
-    const model = AVAILABLE_MODELS[modelId];
-
-    if (!model) {
-      return this.generateWithLocalModel(prompt, this.defaultModel, {
-        requestedModel: modelId,
-        notice: 'Requested local transformer model was not found. Using built-in assistant instead.'
-      });
-    }
+    const model = modelRegistry.get(modelId);
 
     try {
       logger.info('Generating text with local transformers.js model', {
@@ -568,7 +1028,13 @@ class LLMService {
         max_new_tokens: Math.min(options.maxTokens || model.maxTokens || 256, model.maxTokens || 256),
         temperature: typeof options.temperature === 'number' ? options.temperature : 0.7,
         top_p: typeof options.topP === 'number' ? options.topP : 0.95,
-        repetition_penalty: typeof options.repetitionPenalty === 'number' ? options.repetitionPenalty : 1.1
+        repetition_penalty: typeof options.repetitionPenalty === 'number' ? options.repetitionPenalty : 1.1,
+        // transformers.js has no cancellation hook, so stop generation from the step callback
+        callback_function: () => {
+          if (options.abortSignal?.aborted) {
+            throw createAbortError();
+          }
+        }
       };
 
       const outputs = await pipelineInstance(prompt, generationOptions);
@@ -592,129 +1058,438 @@ class LLMService {
         notices: extra
       };
     } catch (error) {
+      if (this.isAbortError(error, options.abortSignal)) {
+        throw error;
+      }
+
       logger.error('Local transformers.js generation failed', {
         error: error.message,
         model: modelId
       });
-
-      return this.generateWithLocalModel(prompt, this.defaultModel, {
-        requestedModel: modelId,
-        notice: `Local transformers.js model ${modelId} failed: ${error.message}. Using built-in assistant instead.`
-      });
+      throw error;
     }
   }
 
   async *generateStream(input, modelId, options = {}) {
-    const model = AVAILABLE_MODELS[modelId];
-    if (!model) {
+    await this.ensureModelDiscovered(modelId);
+    if (!modelRegistry.get(modelId)) {
       yield { content: 'Model not found' };
       return;
     }
 
-    // Normalize input to messages array
-    let messages = [];
-    if (Array.isArray(input)) {
-      messages = input;
-    } else {
-      messages = [{ role: 'user', content: input }];
-    }
+    const failures = [];
+    let lastError = null;
 
-    if (model.type === 'openai') {
-      if (!this.openaiClient) throw new Error('OpenAI API key not configured');
-
-      const openaiMessages = messages.map(msg => {
-        if (msg.image && model.vision) {
-          return {
-            role: msg.role,
-            content: [
-              { type: 'text', text: msg.content || '' },
-              { type: 'image_url', image_url: { url: msg.image } }
-            ]
-          };
-        }
-        return { role: msg.role, content: msg.content };
-      });
-
-      const stream = await this.openaiClient.chat.completions.create({
-        model: modelId,
-        messages: openaiMessages,
-        stream: true,
-        max_tokens: options.maxTokens || 1000,
-        temperature: options.temperature || 0.7
-      });
-      for await (const chunk of stream) {
-        const content = chunk.choices[0]?.delta?.content || '';
-        if (content) yield { content };
+    for (const candidateId of this.getFallbackChain(modelId)) {
+      const availability = this.getModelAvailability(candidateId);
+      if (!availability.available) {
+        failures.push({ model: candidateId, reason: availability.reason });
+        continue;
       }
-    } else if (model.type === 'ollama') {
-      const baseUrl = (model.endpoint || OLLAMA_HOST || 'http://localhost:11434').replace(/\/$/, '');
-      const targetModel = model.ollamaModel || modelId.replace(/^ollama\//, '');
-
-      // Use /api/chat for chat history and images
-      const ollamaMessages = messages.map(msg => {
-        const m = { role: msg.role, content: msg.content };
-        if (msg.image && model.vision) {
-          // Ollama expects base64 without data prefix
-          const base64 = msg.image.split(',')[1];
-          m.images = [base64];
-        }
-        return m;
-      });
 
-      const response = await axios.post(`${baseUrl}/api/chat`, {
-        model: targetModel,
-        messages: ollamaMessages,
-        stream: true,
-        options: { temperature: options.temperature || 0.7 }
-      }, { responseType: 'stream' });
-
-      for await (const chunk of response.data) {
-        const lines = chunk.toString().split('\n').filter(Boolean);
-        for (const line of lines) {
-          try {
-            const json = JSON.parse(line);
-            if (json.error) {
-              throw new Error(json.error);
-            }
-            if (json.message && json.message.content) yield { content: json.message.content };
-          } catch (e) {
-            if (e.message !== 'Unexpected end of JSON input') {
-              logger.error('Ollama stream parse error', { error: e.message, line });
-              // If it's an API error from Ollama, we should probably stop and report it
-              if (line.includes('"error":')) {
-                try {
-                  const errJson = JSON.parse(line);
-                  if (errJson.error) throw new Error(errJson.error);
-                } catch (inner) { }
-              }
-            }
+      // Normalize input to messages array and fit it to this model's history budget
+      const messages = Array.isArray(input)
+        ? this.buildHistoryWindow(input, candidateId, options)
+        : [{ role: 'user', content: input }];
+      let emitted = false;
+
+      try {
+        for await (const chunk of this.streamFromModel(messages, candidateId, options)) {
+          if (!emitted && failures.length) {
+            yield { content: composeContent('', [this.describeFallback(failures, candidateId)]) };
           }
+          emitted = true;
+          yield chunk;
+        }
+        return;
+      } catch (error) {
+        // Once text has been streamed, switching models would splice two answers together
+        if (emitted || this.isAbortError(error, options.abortSignal)) {
+          throw error;
         }
+
+        lastError = error;
+        const failure = this.describeFailure(error, candidateId);
+        logger.warn('Model stream failed, trying the next model in the fallback chain', {
+          model: candidateId,
+          requestedModel: modelId,
+          reason: failure.reason
+        });
+        failures.push({ model: candidateId, ...failure });
       }
+    }
+
+    throw lastError || new Error(`No available model to handle ${modelId}`);
+  }
+
+  /**
+   * Stream from exactly one model; errors propagate so generateStream can fall back.
+   */
+  async *streamFromModel(messages, modelId, options = {}) {
+    const model = modelRegistry.get(modelId);
+
+    if (options.tools?.length && this.supportsTools(modelId)) {
+      yield* this.streamWithTools(messages, modelId, options);
+    } else if (model.type === 'openai') {
+      yield* this.streamOpenAITurn(toOpenAIMessages(messages, model), modelId, [], options);
+    } else if (model.type === 'ollama') {
+      yield* this.streamOllamaTurn(toOllamaMessages(messages, model), modelId, [], options);
+    } else if (model.type === 'huggingface' && HUGGINGFACE_API_KEY) {
+      yield* this.streamWithHuggingFace(messages, modelId, options);
+    } else if (model.type === 'xenova') {
+      yield* this.streamWithXenova(messages, modelId, options);
     } else {
       // Fallback for non-streaming models (simulate stream)
-      // Use the last message content as prompt
-      const lastMsg = messages[messages.length - 1];
-      const result = await this.generateText(lastMsg.content, modelId, options);
-      const text = result.text;
+      // Run the full conversation through chat so history and system notes are kept
+      const result = await this.chatWithModel(messages, modelId, options);
+      const text = result.message || '';
       const chunkSize = 10;
       for (let i = 0; i < text.length; i += chunkSize) {
+        if (options.abortSignal?.aborted) {
+          return;
+        }
         yield { content: text.slice(i, i + chunkSize) };
         await new Promise(r => setTimeout(r, 10)); // Simulate delay
       }
     }
   }
 
-  async generateWithOllama(prompt = '', modelId, options = {}) {
-    const model = AVAILABLE_MODELS[modelId];
+  supportsTools(modelId) {
+    const model = modelRegistry.get(modelId);
+    return ['openai', 'ollama'].includes(model?.type) && model.tools !== false;
+  }
 
-    if (!model) {
-      return this.generateWithLocalModel(prompt, this.defaultModel, {
-        requestedModel: modelId,
-        notice: 'Requested Ollama model was not found. Using built-in assistant instead.'
+  /**
+   * Function-calling loop: stream the model's reply, run the tools it calls, feed the
+   * results back and repeat. Yields `{ content }` chunks and `{ toolEvent }` updates.
+   */
+  async *streamWithTools(messages, modelId, options = {}) {
+    const model = modelRegistry.get(modelId);
+    const isOpenAI = model.type === 'openai';
+    const maxSteps = options.maxToolSteps || MAX_TOOL_STEPS;
+    const conversation = isOpenAI ? toOpenAIMessages(messages, model) : toOllamaMessages(messages, model);
+    let tools = options.tools;
+
+    for (let step = 0; step <= maxSteps; step += 1) {
+      // The last round offers no tools, so the model has to answer with what it has
+      const offeredTools = step < maxSteps ? tools : [];
+      const turn = isOpenAI
+        ? this.streamOpenAITurn(conversation, modelId, offeredTools, options)
+        : this.streamOllamaTurn(conversation, modelId, offeredTools, options);
+
+      let content = '';
+      let toolCalls = [];
+
+      try {
+        for await (const event of turn) {
+          if (event.toolCalls) {
+            toolCalls = event.toolCalls;
+          } else {
+            content += event.content;
+            yield event;
+          }
+        }
+      } catch (error) {
+        // Not every Ollama model was trained for tools; answer without them instead
+        if (!isOpenAI && offeredTools.length && !content && error.response?.status === 400) {
+          const body = await readStreamBody(error.response.data);
+          if (/does not support tools/i.test(body?.error || body)) {
+            logger.info('Model does not support tools, continuing without them', { model: modelId });
+            tools = [];
+            step -= 1;
+            continue;
+          }
+        }
+        throw error;
+      }
+
+      if (!toolCalls.length) {
+        return;
+      }
+
+      conversation.push(isOpenAI
+        ? {
+          role: 'assistant',
+          content: content || null,
+          tool_calls: toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: call.arguments }
+          }))
+        }
+        : {
+          role: 'assistant',
+          content,
+          tool_calls: toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments } }))
+        });
+
+      for (const call of toolCalls) {
+        yield { toolEvent: { type: 'call', id: call.id, name: call.name, arguments: call.arguments } };
+
+        const result = await toolService.executeTool(tools, call.name, call.arguments);
+        if (options.abortSignal?.aborted) {
+          throw createAbortError();
+        }
+
+        yield {
+          toolEvent: {
+            type: 'result',
+            id: call.id,
+            name: call.name,
+            error: !!result.error,
+            ...(result.image && { image: result.image })
+          }
+        };
+
+        conversation.push(isOpenAI
+          ? { role: 'tool', tool_call_id: call.id, content: result.content }
+          : { role: 'tool', tool_name: call.name, content: result.content });
+      }
+    }
+  }
+
+  /**
+   * One streamed OpenAI completion. Text is yielded as it arrives; tool calls are
+   * assembled from their fragments and yielded once at the end as `{ toolCalls }`.
+   */
+  async *streamOpenAITurn(conversation, modelId, tools, options = {}) {
+    const model = modelRegistry.get(modelId);
+    if (!this.openaiClient) throw new Error('OpenAI API key not configured');
+
+    const stream = await this.openaiClient.chat.completions.create({
+      model: model.openaiModel || modelId,
+      messages: conversation,
+      stream: true,
+      max_tokens: options.maxTokens || 1000,
+      temperature: options.temperature || 0.7,
+      ...(tools.length && { tools: toolService.toFunctionSchemas(tools) })
+    }, { signal: options.abortSignal });
+
+    const calls = [];
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta || {};
+      if (delta.content) {
+        yield { content: delta.content };
+      }
+
+      // Fragments are keyed by index; the arguments JSON is split across chunks
+      for (const fragment of delta.tool_calls || []) {
+        calls[fragment.index] = calls[fragment.index] || { id: '', name: '', arguments: '' };
+        const call = calls[fragment.index];
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+      }
+    }
+
+    if (calls.length) {
+      yield { toolCalls: calls.filter(Boolean) };
+    }
+  }
+
+  /**
+   * One streamed Ollama /api/chat completion, with the same events as streamOpenAITurn.
+   */
+  async *streamOllamaTurn(conversation, modelId, tools, options = {}) {
+    const model = modelRegistry.get(modelId);
+    const baseUrl = (model.endpoint || OLLAMA_HOST || 'http://localhost:11434').replace(/\/$/, '');
+    const targetModel = model.ollamaModel || modelId.replace(/^ollama\//, '');
+
+    const response = await axios.post(`${baseUrl}/api/chat`, {
+      model: targetModel,
+      messages: conversation,
+      stream: true,
+      options: { temperature: options.temperature || 0.7 },
+      ...(tools.length && { tools: toolService.toFunctionSchemas(tools) })
+    }, { responseType: 'stream', signal: options.abortSignal });
+
+    const calls = [];
+    for await (const json of readJsonLines(response.data)) {
+      if (json.error) {
+        throw new Error(json.error);
+      }
+
+      if (json.message?.content) {
+        yield { content: json.message.content };
+      }
+
+      // Ollama sends complete tool calls (arguments already parsed) and no call ids
+      for (const call of json.message?.tool_calls || []) {
+        calls.push({
+          id: `call_${crypto.randomUUID()}`,
+          name: call.function?.name,
+          arguments: call.function?.arguments || {}
+        });
+      }
+    }
+
+    if (calls.length) {
+      yield { toolCalls: calls };
+    }
+  }
+
+  async *streamWithHuggingFace(messages, modelId, options = {}) {
+    const model = modelRegistry.get(modelId);
+    const { inline } = prepareNotices(model, options);
+
+    try {
+      const { data } = await this.requestHuggingFaceChat(
+        messages.map(msg => ({ role: msg.role, content: msg.content })),
+        modelId,
+        { ...options, stream: true }
+      );
+
+      // Notices go out with the first delta: a chunk counts as output for the fallback chain,
+      // so yielding them early would stop a failing stream from falling back
+      let pendingNotice = inline.length ? composeContent('', inline) : '';
+
+      for await (const payload of readServerSentEvents(data)) {
+        if (payload === '[DONE]') {
+          break;
+        }
+
+        let json;
+        try {
+          json = JSON.parse(payload);
+        } catch (e) {
+          logger.warn('Hugging Face stream parse error', { error: e.message, payload });
+          continue;
+        }
+
+        if (json.error) {
+          throw new Error(json.error.message || json.error);
+        }
+
+        const content = json.choices?.[0]?.delta?.content || '';
+        if (content) {
+          yield { content: `${pendingNotice}${content}` };
+          pendingNotice = '';
+        }
+      }
+
+      if (pendingNotice) {
+        yield { content: pendingNotice };
+      }
+    } catch (error) {
+      if (this.isAbortError(error, options.abortSignal)) {
+        logger.info('Hugging Face stream aborted', { model: modelId });
+        return;
+      }
+
+      // Streamed error bodies must be read before describeFailure can see the message
+      if (error.response) {
+        error.response.data = await readStreamBody(error.response.data);
+      }
+      logger.error('Hugging Face stream failed', {
+        error: error.message,
+        model: modelId,
+        status: error.response?.status
       });
+      throw error;
+    }
+  }
+
+  async *streamWithXenova(messages, modelId, options = {}) {
+    const model = modelRegistry.get(modelId);
+    const prompt = this.formatMessagesAsPrompt(messages, modelId);
+    const { inline } = prepareNotices(model, options);
+
+    const pipelineInstance = await loadXenovaPipeline(modelId, model);
+
+    if (inline.length) {
+      yield { content: composeContent('', inline) };
     }
 
+    // The pipeline reports every decoding step through callback_function; queue the
+    // newly decoded text and hand it to the consumer as soon as it arrives.
+    const queue = [];
+    let wake = null;
+    let finished = false;
+    let failure = null;
+    let previousText = null;
+
+    const notify = () => {
+      if (wake) {
+        const resolve = wake;
+        wake = null;
+        resolve();
+      }
+    };
+
+    const { tokenizer } = pipelineInstance;
+    const generationOptions = {
+      max_new_tokens: Math.min(options.maxTokens || model.maxTokens || 256, model.maxTokens || 256),
+      temperature: typeof options.temperature === 'number' ? options.temperature : 0.7,
+      top_p: typeof options.topP === 'number' ? options.topP : 0.95,
+      repetition_penalty: typeof options.repetitionPenalty === 'number' ? options.repetitionPenalty : 1.1,
+      callback_function: beams => {
+        if (options.abortSignal?.aborted) {
+          throw createAbortError();
+        }
+
+        const tokenIds = beams?.[0]?.output_token_ids;
+        if (!tokenIds || !tokenizer) {
+          return;
+        }
+
+        if (previousText === null) {
+          // Everything before the first sampled token is the prompt
+          previousText = tokenizer.decode(tokenIds.slice(0, -1), { skip_special_tokens: true });
+        }
+
+        const text = tokenizer.decode(tokenIds, { skip_special_tokens: true });
+        if (text.length > previousText.length && text.startsWith(previousText)) {
+          queue.push(text.slice(previousText.length));
+          previousText = text;
+          notify();
+        }
+      }
+    };
+
+    pipelineInstance(prompt, generationOptions).then(
+      () => {
+        finished = true;
+        notify();
+      },
+      error => {
+        failure = error;
+        finished = true;
+        notify();
+      }
+    );
+
+    while (true) {
+      if (queue.length) {
+        yield { content: queue.shift() };
+        continue;
+      }
+
+      if (finished) {
+        break;
+      }
+
+      await new Promise(resolve => {
+        wake = resolve;
+      });
+    }
+
+    if (failure && this.isAbortError(failure, options.abortSignal)) {
+      logger.info('Local transformers.js generation aborted', { model: modelId });
+      return;
+    }
+
+    if (failure) {
+      logger.error('Local transformers.js streaming failed', {
+        error: failure.message,
+        model: modelId
+      });
+      throw failure;
+    }
+  }
+
+  async generateWithOllama(prompt = '', modelId, options = {}) {
+    const model = modelRegistry.get(modelId);
+
     const baseUrl = (model.endpoint || OLLAMA_HOST || 'http://localhost:11434').replace(/\/$/, '');
     const targetModel = model.ollamaModel || modelId.replace(/^ollama\//, '');
 
@@ -727,12 +1502,15 @@ class LLMService {
         top_p: typeof options.topP === 'number' ? options.topP : 0.9,
         repeat_penalty: typeof options.repetitionPenalty === 'number' ? options.repetitionPenalty : 1.1,
         num_predict: Math.min(options.maxTokens || model.maxTokens || 256, model.maxTokens || 256)
-      }
+      },
+      // Ollama constrains decoding to the schema
+      ...(options.jsonSchema && { format: options.jsonSchema })
     };
 
     try {
       const response = await axios.post(`${baseUrl}/api/generate`, body, {
-        timeout: options.timeout || 60000
+        timeout: options.timeout || 60000,
+        signal: options.abortSignal
       });
 
       const data = response.data;
@@ -761,28 +1539,26 @@ class LLMService {
         notices: extra
       };
     } catch (error) {
+      if (this.isAbortError(error, options.abortSignal)) {
+        throw error;
+      }
+
       logger.error('Ollama generation failed', {
         error: error.message,
         model: modelId
       });
-
-      let notice = `Ollama model ${targetModel} failed: ${error.message}. Using built-in assistant instead.`;
-      if (error.code === 'ECONNREFUSED') {
-        notice = `Could not reach Ollama at ${baseUrl}. Ensure the Ollama service is running and the model is pulled. Using built-in assistant instead.`;
-      }
-
-      return this.generateWithLocalModel(prompt, this.defaultModel, {
-        requestedModel: modelId,
-        notice
-      });
+      throw error;
     }
   }
 
-  generateLocalChatResponse(messages = [], modelId = this.defaultModel, options = {}) {
-    const fallbackModelId = AVAILABLE_MODELS[modelId] && AVAILABLE_MODELS[modelId].type === 'local'
+  /**
+   * Rule-based reply for the built-in assistant, using only the conversation passed in
+   */
+  async generateLocalChatResponse(messages = [], modelId = this.defaultModel, options = {}) {
+    const fallbackModelId = modelRegistry.get(modelId) && modelRegistry.get(modelId).type === 'local'
       ? modelId
       : this.defaultModel;
-    const model = AVAILABLE_MODELS[fallbackModelId];
+    const model = modelRegistry.get(fallbackModelId);
 
     const safeMessages = Array.isArray(messages)
       ? messages.filter(entry => entry && typeof entry.content === 'string')
@@ -793,7 +1569,7 @@ class LLMService {
     const lastUserMessage = lastUserIndex >= 0 ? safeMessages[lastUserIndex] : null;
 
     if (!lastUserMessage || !lastUserMessage.content.trim()) {
-      return this.generateWithLocalModel('', fallbackModelId, options);
+      return this.generateWithLocalModel('', fallbackModelId, { ...options, messages: safeMessages });
     }
 
     const rawContent = lastUserMessage.content.trim();
@@ -806,10 +1582,22 @@ class LLMService {
       .map(item => item.msg.content.trim())
       .filter(Boolean);
 
+    // Knowledge pack entries whose whole multi-word pattern appears, then quotes from the
+    // uploaded documents, answer before the built-in guidance below. Looser matches such as
+    // a single "hi" or "python" would take over ordinary requests.
+    const knowledgeMatch = tinyLLM.matchKnowledge(rawContent, { phrase: true });
+    const documentAnswer = knowledgeMatch || options.documents === false
+      ? null
+      : await ragService.answerFromDocuments(rawContent);
     let response;
 
+    if (knowledgeMatch) {
+      response = knowledgeMatch.response;
+    } else if (documentAnswer) {
+      response = documentAnswer.text;
+    }
     // Check for NLP-specific queries first
-    if (lowerContent.includes('nlp') || lowerContent.includes('natural language')) {
+    else if (lowerContent.includes('nlp') || lowerContent.includes('natural language')) {
       response = `I now have advanced NLP capabilities powered by compromise.js! Here's what I can do:
 
 **Entity Recognition**: I can identify people, places, organizations, dates, and values in your text.
@@ -965,16 +1753,19 @@ Tell me which step feels fuzzy and we'll flesh it out.`;
       : '';
     const closingLine = 'If you want examples, drafts, or a deeper dive, just ask.';
 
+    // Knowledge pack answers and quotes are returned as written
     let finalResponse = response;
-    if (topicLine) {
-      finalResponse = `${response}
+    if (!knowledgeMatch && !documentAnswer) {
+      if (topicLine) {
+        finalResponse = `${response}
 
 ${topicLine}`;
-    }
+      }
 
-    finalResponse = `${finalResponse}
+      finalResponse = `${finalResponse}
 
 ${closingLine}`;
+    }
 
     const { inline, extra } = prepareNotices(model, options);
     finalResponse = composeContent(finalResponse, inline);
@@ -984,15 +1775,17 @@ ${closingLine}`;
       model: fallbackModelId,
       modelInfo: model,
       loading: false,
-      notices: extra
+      notices: extra,
+      knowledgeMatch: toKnowledgeMatch(knowledgeMatch),
+      ...(documentAnswer && { sources: documentAnswer.sources })
     };
   }
 
   async generateWithLocalModel(prompt = '', modelId = this.defaultModel, options = {}) {
-    const fallbackModelId = AVAILABLE_MODELS[modelId] && AVAILABLE_MODELS[modelId].type === 'local'
+    const fallbackModelId = modelRegistry.get(modelId) && modelRegistry.get(modelId).type === 'local'
       ? modelId
       : this.defaultModel;
-    const model = AVAILABLE_MODELS[fallbackModelId];
+    const model = modelRegistry.get(fallbackModelId);
     const lowerPrompt = (prompt || '').toLowerCase();
 
     // Use NLP to enhance understanding of the prompt
@@ -1011,93 +1804,78 @@ ${closingLine}`;
       }
     }
 
-    let response;
-
-    // Use TinyLLM for generation
-    response = await tinyLLM.generate(prompt);
+    // Use TinyLLM for generation. Its context is the conversation in `options.messages` or,
+    // for single prompts, whatever it remembered for `options.sessionId`
+    const { text, match, sources } = await tinyLLM.respond(prompt, {
+      sessionId: options.sessionId,
+      messages: options.messages,
+      documents: options.documents !== false
+    });
 
     const { inline, extra } = prepareNotices(model, options);
-    response = composeContent(response, inline);
+    const response = composeContent(text, inline);
 
     return {
       text: response,
       model: fallbackModelId,
       modelInfo: model,
       loading: false,
-      notices: extra
+      notices: extra,
+      knowledgeMatch: toKnowledgeMatch(match),
+      ...(sources && { sources })
     };
   }
 
   async chat(messages, modelId = this.defaultModel, options = {}) {
-    const resolvedModelId = AVAILABLE_MODELS[modelId] ? modelId : this.defaultModel;
-    const model = AVAILABLE_MODELS[resolvedModelId];
-
-    if (model.type === 'openai') {
-      return this.chatWithOpenAI(messages, resolvedModelId, options);
-    }
-
-    if (model.type === 'local') {
-      // Keep the original rule-based assistant behavior for the built-in instruct model
-      // but route other local models (for example the new `local/aakarsh`) through
-      // the neural local generator so they produce LLM replies instead of canned text.
-      if (resolvedModelId === 'local/instruct') {
-        const result = this.generateLocalChatResponse(messages, resolvedModelId, options);
-
-        return {
-          message: result.text,
-          model: result.model,
-          modelInfo: result.modelInfo,
-          loading: result.loading,
-          notices: result.notices
-        };
-      }
-
-      // For other local models, compose a prompt and run the neural local generator
-      const prompt = this.formatMessagesAsPrompt(messages, resolvedModelId);
-      const result = await this.generateWithLocalModel(prompt, resolvedModelId, options);
-
-      return {
-        message: result.text,
-        model: result.model,
-        modelInfo: result.modelInfo,
-        loading: result.loading,
-        notices: result.notices
-      };
+    await this.ensureModelDiscovered(modelId);
+
+    if (options.jsonSchema) {
+      return this.runStructured(options, previousAttempts => this.runWithFallbacks(modelId, options,
+        (candidateId, candidateOptions) => this.chatWithModel(
+          structuredOutputService.buildMessages(messages, options.jsonSchema, previousAttempts),
+          candidateId,
+          candidateOptions
+        )));
     }
 
-    if (model.type === 'huggingface' && !HUGGINGFACE_API_KEY) {
-      const fallback = this.generateLocalChatResponse(messages, this.defaultModel, {
-        requestedModel: modelId,
-        notice: 'Hugging Face API key not configured. Using built-in assistant instead.'
-      });
+    return this.runWithFallbacks(modelId, options,
+      (candidateId, candidateOptions) => this.chatWithModel(messages, candidateId, candidateOptions));
+  }
 
-      return {
-        message: fallback.text,
-        model: fallback.model,
-        modelInfo: fallback.modelInfo,
-        loading: fallback.loading,
-        notices: fallback.notices
-      };
+  /**
+   * Chat with exactly one model; errors propagate so the fallback chain can move on.
+   */
+  async chatWithModel(messages, modelId, options = {}) {
+    const model = modelRegistry.get(modelId);
+
+    if (model.type === 'openai') {
+      return this.chatWithOpenAI(messages, modelId, options);
     }
 
     if (model.type === 'huggingface') {
-      return this.chatWithHuggingFace(messages, resolvedModelId, options);
+      return this.chatWithHuggingFace(messages, modelId, options);
     }
 
-    const prompt = this.formatMessagesAsPrompt(messages, resolvedModelId);
-    const result = await this.generateText(prompt, resolvedModelId, options);
+    // Keep the original rule-based assistant behavior for the built-in instruct model;
+    // other models (for example the new `local/aakarsh`) get the conversation as a prompt
+    // so they produce LLM replies instead of canned text.
+    const result = modelId === 'local/instruct'
+      ? await this.generateLocalChatResponse(messages, modelId, options)
+      : await this.generateWithModel(this.formatMessagesAsPrompt(messages, modelId), modelId, { ...options, messages });
 
     return {
       message: result.text,
       model: result.model,
       modelInfo: result.modelInfo,
       loading: result.loading,
-      notices: result.notices
+      notices: result.notices,
+      ...(result.knowledgeMatch !== undefined && { knowledgeMatch: result.knowledgeMatch }),
+      ...(result.sources && { sources: result.sources })
     };
   }
 
   async chatWithOpenAI(messages, modelId, options = {}) {
-    const model = AVAILABLE_MODELS[modelId];
+    const model = modelRegistry.get(modelId);
 
     if (!this.openaiClient) {
       throw new Error('OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.');
@@ -1105,12 +1883,13 @@ ${closingLine}`;
 
     try {
       const completion = await this.openaiClient.chat.completions.create({
-        model: modelId,
-        messages,
+        model: model.openaiModel || modelId,
+        messages: toOpenAIMessages(messages, model),
         max_tokens: options.maxTokens || 1000,
         temperature: options.temperature || 0.7,
-        top_p: options.topP || 1
-      });
+        top_p: options.topP || 1,
+        ...(options.jsonSchema && { response_format: structuredOutputService.toResponseFormat(options.jsonSchema) })
+      }, { signal: options.abortSignal });
 
       const responseMessage = completion.choices[0].message.content;
       const { inline, extra } = prepareNotices(model, options);
@@ -1137,21 +1916,7 @@ ${closingLine}`;
   }
 
   async chatWithHuggingFace(messages, modelId, options = {}) {
-    const model = AVAILABLE_MODELS[modelId];
-
-    if (!model) {
-      const fallback = this.generateLocalChatResponse(messages, this.defaultModel, {
-        requestedModel: modelId,
-        notice: 'Requested Hugging Face model was not found. Using built-in assistant instead.'
-      });
-
-      return {
-        message: fallback.text,
-        model: fallback.model,
-        modelInfo: fallback.modelInfo,
-        loading: fallback.loading
-      };
-    }
+    const model = modelRegistry.get(modelId);
 
     try {
       const { data } = await this.requestHuggingFaceChat(messages, modelId, options);
@@ -1178,113 +1943,17 @@ ${closingLine}`;
         notices: extra
       };
     } catch (error) {
-      return this.handleHuggingFaceChatError(error, messages, modelId);
-    }
-  }
-
-  handleHuggingFaceChatError(error, messages, requestedModel) {
-    logger.error('Hugging Face chat failed', {
-      error: error.message,
-      model: requestedModel,
-      status: error.response?.status,
-      data: error.response?.data
-    });
-
-    const model = AVAILABLE_MODELS[requestedModel];
-    const status = error.response?.status;
-    const errorMessage =
-      error.response?.data?.error?.message ||
-      error.response?.data?.message ||
-      error.message;
-
-    if (status === 503) {
-      const fallbackLoading = this.generateLocalChatResponse(messages, this.defaultModel, {
-        requestedModel,
-        notice: 'Model is currently loading. This can take 20-30 seconds for the first request. Please try again in a moment...\n\nFalling back to the built-in assistant for now.'
-      });
-
-      return {
-        message: fallbackLoading.text,
-        model: fallbackLoading.model,
-        modelInfo: fallbackLoading.modelInfo,
-        loading: true,
-        notices: fallbackLoading.notices
-      };
-    }
-
-    if (status === 429) {
-      const fallbackRateLimit = this.generateLocalChatResponse(messages, this.defaultModel, {
-        requestedModel,
-        notice: 'Rate limit reached for the selected Hugging Face model. Using the built-in assistant instead.'
-      });
-
-      return {
-        message: fallbackRateLimit.text,
-        model: fallbackRateLimit.model,
-        modelInfo: fallbackRateLimit.modelInfo,
-        loading: fallbackRateLimit.loading,
-        notices: fallbackRateLimit.notices
-      };
-    }
-
-    if ([401, 403].includes(status)) {
-      const authMessage = errorMessage
-        ? `Authentication failed for the Hugging Face router: ${errorMessage}. Please double-check the HUGGINGFACE_API_KEY value.`
-        : 'Authentication failed for the Hugging Face router. Please double-check the HUGGINGFACE_API_KEY value.';
-
-      return {
-        message: authMessage,
-        model: requestedModel,
-        modelInfo: model,
-        loading: false,
-        notices: normalizeNotices(model?.notice)
-      };
-    }
-
-    if (status === 410) {
-      const fallbackGone = this.generateLocalChatResponse(messages, this.defaultModel, {
-        requestedModel,
-        notice: 'The selected Hugging Face model endpoint returned 410 (gone). Using the built-in assistant instead.'
-      });
-
-      return {
-        message: fallbackGone.text,
-        model: fallbackGone.model,
-        modelInfo: fallbackGone.modelInfo,
-        loading: fallbackGone.loading,
-        notices: fallbackGone.notices
-      };
-    }
+      if (this.isAbortError(error, options.abortSignal)) {
+        throw error;
+      }
 
-    if (status === 400 && errorMessage) {
-      const fallbackBadRequest = this.generateLocalChatResponse(messages, this.defaultModel, {
-        requestedModel,
-        notice: `Hugging Face router rejected the request: ${errorMessage}. Using the built-in assistant instead.`
+      logger.error('Hugging Face chat failed', {
+        error: error.message,
+        model: modelId,
+        status: error.response?.status
       });
-
-      return {
-        message: fallbackBadRequest.text,
-        model: fallbackBadRequest.model,
-        modelInfo: fallbackBadRequest.modelInfo,
-        loading: fallbackBadRequest.loading,
-        notices: fallbackBadRequest.notices
-      };
+      throw error;
     }
-
-    const fallbackGeneric = this.generateLocalChatResponse(messages, this.defaultModel, {
-      requestedModel,
-      notice: status
-        ? `Remote generation failed (status ${status}). Using the built-in assistant instead.`
-        : 'Remote generation failed. Using the built-in assistant instead.'
-    });
-
-    return {
-      message: fallbackGeneric.text,
-      model: fallbackGeneric.model,
-      modelInfo: fallbackGeneric.modelInfo,
-      loading: fallbackGeneric.loading,
-      notices: fallbackGeneric.notices
-    };
   }
 
   formatMessagesAsPrompt(messages, modelId) {
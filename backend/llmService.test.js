@@ -0,0 +1,508 @@
+const { Readable } = require('stream');
+
+process.env.HUGGINGFACE_API_KEY = process.env.HUGGINGFACE_API_KEY || 'test-hf-key';
+
+jest.mock('axios');
+jest.mock('./logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const axios = require('axios');
+const llmService = require('./llmService');
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk.content);
+  }
+  return chunks;
+};
+
+describe('LLM Service', () => {
+  describe('buildHistoryWindow', () => {
+    const longTurn = (role, index) => ({
+      role,
+      content: `Turn ${index}. ${'This is filler text for the conversation. '.repeat(20)}`
+    });
+
+    test('should keep short conversations unchanged', () => {
+      const messages = [
+        { role: 'system', content: 'You are a helpful AI assistant.' },
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', content: 'Hi there!' },
+        { role: 'user', content: 'How are you?' }
+      ];
+
+      const result = llmService.buildHistoryWindow(messages, 'gpt-4o');
+
+      expect(result).toEqual(messages);
+    });
+
+    test('should always keep system messages and the latest turn', () => {
+      const messages = [
+        { role: 'system', content: 'System prompt' },
+        ...Array.from({ length: 10 }, (_, i) => longTurn(i % 2 === 0 ? 'user' : 'assistant', i)),
+        { role: 'user', content: 'Latest question' }
+      ];
+
+      const result = llmService.buildHistoryWindow(messages, 'xenova/tinyllama-chat');
+
+      expect(result[0]).toEqual({ role: 'system', content: 'System prompt' });
+      expect(result[result.length - 1]).toEqual({ role: 'user', content: 'Latest question' });
+      expect(result.length).toBeLessThan(messages.length);
+    });
+
+    test('should summarize dropped turns into a system note', () => {
+      const messages = [
+        ...Array.from({ length: 12 }, (_, i) => longTurn(i % 2 === 0 ? 'user' : 'assistant', i)),
+        { role: 'user', content: 'Latest question' }
+      ];
+
+      const result = llmService.buildHistoryWindow(messages, 'ollama/mistral:7b');
+      const summary = result.find(msg => msg.role === 'system');
+
+      expect(summary).toBeDefined();
+      expect(summary.content).toContain('Summary of earlier conversation');
+      expect(summary.content).toContain('User: Turn 0.');
+    });
+
+    test('should respect an explicit context budget', () => {
+      const messages = Array.from({ length: 6 }, (_, i) => longTurn(i % 2 === 0 ? 'user' : 'assistant', i));
+
+      const small = llmService.buildHistoryWindow(messages, 'gpt-4o', { contextTokens: 300 });
+      const large = llmService.buildHistoryWindow(messages, 'gpt-4o', { contextTokens: 4000 });
+
+      expect(small.filter(msg => msg.role !== 'system').length)
+        .toBeLessThan(large.filter(msg => msg.role !== 'system').length);
+    });
+
+    test('should return an empty array for invalid input', () => {
+      expect(llmService.buildHistoryWindow(null)).toEqual([]);
+      expect(llmService.buildHistoryWindow([{ role: 'user' }])).toEqual([]);
+    });
+  });
+
+  describe('generateStream (huggingface)', () => {
+    const modelId = 'huggingface/meta-llama-3.1-8b-instruct';
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should stream deltas from the router SSE response', async () => {
+      const sse = [
+        'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"lo"}}]}\n\ndata: {"choices":[{"del',
+        'ta":{"content":" world"}}]}\n\n',
+        'data: [DONE]\n\n'
+      ];
+      axios.post.mockResolvedValueOnce({ data: Readable.from(sse) });
+
+      const chunks = await collect(llmService.generateStream([{ role: 'user', content: 'Hi' }], modelId));
+
+      expect(chunks.join('')).toBe('Hello world');
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/chat/completions'),
+        expect.objectContaining({ stream: true, messages: [{ role: 'user', content: 'Hi' }] }),
+        expect.objectContaining({ responseType: 'stream' })
+      );
+    });
+
+    test('should fall back to the built-in assistant when the router fails', async () => {
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429, data: Readable.from(['{"error":{"message":"rate limited"}}']) };
+      axios.post.mockRejectedValueOnce(error);
+
+      const chunks = await collect(llmService.generateStream([{ role: 'user', content: 'Hello there' }], modelId));
+
+      expect(chunks.join('')).toContain('Rate limit reached');
+    });
+
+    test('should still fall back when the stream fails before any delta, with a notice to show', async () => {
+      axios.post.mockResolvedValueOnce({ data: Readable.from(['data: {"error":{"message":"model overloaded"}}\n\n']) });
+
+      const chunks = await collect(llmService.generateStream(
+        [{ role: 'user', content: 'Hello there' }],
+        modelId,
+        { notice: 'Using a shared endpoint.' }
+      ));
+
+      expect(chunks.join('')).toContain('model overloaded');
+      expect(chunks.join('')).toContain('Using a shared endpoint.');
+    });
+
+    test('should send the notice with the first delta', async () => {
+      axios.post.mockResolvedValueOnce({ data: Readable.from(['data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n', 'data: [DONE]\n\n']) });
+
+      const chunks = await collect(llmService.generateStream([{ role: 'user', content: 'Hi' }], modelId, { notice: 'Heads up.' }));
+
+      expect(chunks).toEqual(['Heads up.\n\nHi']);
+    });
+  });
+
+  describe('Ollama discovery', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should surface installed models with capability hints', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          models: [
+            { name: 'mistral:7b', details: { families: ['llama'] } },
+            { name: 'qwen2.5vl:latest', details: { families: ['qwen25vl'], parameter_size: '7.6B' } },
+            { name: 'nomic-embed-text:latest', details: { families: ['nomic-bert'] } }
+          ]
+        }
+      });
+      axios.post.mockImplementation(async (url, body) => ({
+        data: body.model === 'qwen2.5vl:latest'
+          ? { capabilities: ['completion', 'vision'], model_info: { 'qwen25vl.context_length': 128000 } }
+          : {}
+      }));
+
+      await llmService.discoverOllamaModels({ force: true });
+      const models = llmService.getAvailableModels();
+      const byId = id => models.find(model => model.id === id);
+
+      expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('/api/tags'), expect.any(Object));
+      expect(byId('ollama/mistral:7b')).toMatchObject({ available: true });
+      expect(byId('ollama/llava')).toMatchObject({ available: false });
+      expect(byId('ollama/llava').reason).toContain('ollama pull llava');
+      expect(byId('ollama/qwen2.5vl')).toMatchObject({
+        available: true,
+        vision: true,
+        maxTokens: 8192,
+        ollamaModel: 'qwen2.5vl:latest',
+        discovered: true
+      });
+      expect(byId('ollama/nomic-embed-text')).toBeUndefined();
+
+      axios.post.mockReset();
+    });
+
+    test('should mark Ollama models unavailable when the host is down', async () => {
+      const error = new Error('connect ECONNREFUSED 127.0.0.1:11434');
+      error.code = 'ECONNREFUSED';
+      axios.get.mockRejectedValueOnce(error);
+
+      await llmService.discoverOllamaModels({ force: true });
+      const ollamaModels = llmService.getAvailableModels().filter(model => model.type === 'ollama');
+
+      expect(ollamaModels.length).toBeGreaterThan(0);
+      expect(ollamaModels.every(model => model.available === false)).toBe(true);
+      expect(ollamaModels[0].reason).toContain('not reachable');
+    });
+
+    test('should reuse cached results within the refresh interval', async () => {
+      axios.get.mockResolvedValueOnce({ data: { models: [] } });
+
+      await llmService.discoverOllamaModels({ force: true });
+      await llmService.discoverOllamaModels();
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('availability and fallback chains', () => {
+    const hfModel = 'huggingface/meta-llama-3.1-8b-instruct';
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      llmService.providerHealth = {};
+      llmService.ollamaDiscovery = { reachable: false, models: [], checkedAt: Date.now() };
+    });
+
+    afterAll(() => {
+      llmService.providerHealth = {};
+      llmService.ollamaDiscovery = null;
+    });
+
+    test('should build the chain from registry fallbacks and end with the built-in assistant', () => {
+      expect(llmService.getFallbackChain('gpt-4o')).toEqual(['gpt-4o', 'ollama/mistral:7b', 'local/instruct']);
+      expect(llmService.getFallbackChain('local/instruct')).toEqual(['local/instruct']);
+      expect(llmService.getFallbackChain('does-not-exist')).toEqual(['local/instruct']);
+    });
+
+    test('should report why a model is unavailable', () => {
+      expect(llmService.getModelAvailability('ollama/mistral:7b')).toEqual({
+        available: false,
+        reason: expect.stringContaining('Ollama is not reachable')
+      });
+      expect(llmService.getModelAvailability('xenova/phi-1_5').reason).toContain('Model files not found');
+      expect(llmService.getModelAvailability('local/instruct')).toEqual({ available: true });
+    });
+
+    test('should follow the fallback chain when a model fails', async () => {
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429, data: {} };
+      axios.post.mockRejectedValueOnce(error);
+
+      const result = await llmService.generateText('Explain docker containers', hfModel);
+
+      expect(result.model).toBe('local/instruct');
+      expect(result.requestedModel).toBe(hfModel);
+      expect(result.fallbacks.map(failure => failure.model)).toEqual([hfModel, 'ollama/mistral:7b']);
+      expect(result.text).toContain('Rate limit reached');
+      expect(result.text).toContain('Using Tiny LLM (Local Assistant) instead.');
+    });
+
+    test('should skip providers that fail their health probe', async () => {
+      axios.get.mockImplementation(async url => {
+        if (url.includes('router.huggingface.co')) {
+          const error = new Error('Request failed with status code 401');
+          error.response = { status: 401, data: { error: { message: 'Invalid token' } } };
+          throw error;
+        }
+        return { data: { models: [] } };
+      });
+
+      const health = await llmService.probeProviders();
+      axios.get.mockReset();
+
+      expect(health.ollama).toMatchObject({ healthy: true });
+      expect(health.huggingface).toMatchObject({ healthy: false });
+      expect(llmService.getModelAvailability(hfModel)).toEqual({
+        available: false,
+        reason: expect.stringContaining('Invalid token')
+      });
+
+      const result = await llmService.chat([{ role: 'user', content: 'Hello' }], hfModel);
+
+      expect(axios.post).not.toHaveBeenCalledWith(expect.stringContaining('huggingface'), expect.anything(), expect.anything());
+      expect(result.model).toBe('local/instruct');
+    });
+  });
+
+  describe('tool calling', () => {
+    const modelId = 'ollama/mistral:7b';
+    const ndjson = lines => Readable.from(lines.map(line => `${JSON.stringify(line)}\n`));
+    const clockTool = {
+      name: 'get_time',
+      description: 'Current time in a timezone',
+      parameters: { type: 'object', properties: { zone: { type: 'string' } } },
+      execute: jest.fn(async () => ({ content: '12:00' }))
+    };
+    const collectEvents = async stream => {
+      const events = [];
+      for await (const event of stream) {
+        events.push(event);
+      }
+      return events;
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      llmService.ollamaDiscovery = null;
+    });
+
+    test('should execute tool calls and feed the results back to the model', async () => {
+      axios.post
+        .mockResolvedValueOnce({
+          data: ndjson([
+            { message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_time', arguments: { zone: 'UTC' } } }] } },
+            { done: true }
+          ])
+        })
+        .mockResolvedValueOnce({
+          data: Readable.from(['{"message":{"content":"It is "}}\n{"message":', '{"content":"12:00."}}\n{"done":true}\n'])
+        });
+
+      const events = await collectEvents(llmService.generateStream(
+        [{ role: 'user', content: 'What time is it?' }],
+        modelId,
+        { tools: [clockTool] }
+      ));
+
+      expect(clockTool.execute).toHaveBeenCalledWith({ zone: 'UTC' });
+      expect(events.filter(event => event.toolEvent).map(event => event.toolEvent.type)).toEqual(['call', 'result']);
+      expect(events.map(event => event.content || '').join('')).toBe('It is 12:00.');
+
+      const [firstBody, secondBody] = axios.post.mock.calls.map(call => call[1]);
+      expect(firstBody.tools[0].function.name).toBe('get_time');
+      expect(secondBody.messages.slice(-1)[0]).toEqual({ role: 'tool', tool_name: 'get_time', content: '12:00' });
+    });
+
+    test('should stop offering tools after the step limit', async () => {
+      const toolCall = { message: { content: '', tool_calls: [{ function: { name: 'get_time', arguments: {} } }] } };
+      axios.post
+        .mockResolvedValueOnce({ data: ndjson([toolCall]) })
+        .mockResolvedValueOnce({ data: ndjson([{ message: { content: 'Done' } }]) });
+
+      await collectEvents(llmService.generateStream('Time?', modelId, { tools: [clockTool], maxToolSteps: 1 }));
+
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(axios.post.mock.calls[1][1]).not.toHaveProperty('tools');
+    });
+  });
+
+  describe('structured output', () => {
+    const jsonSchema = {
+      type: 'object',
+      properties: {
+        city: { type: 'string' },
+        population: { type: 'integer', minimum: 0 }
+      },
+      required: ['city', 'population']
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      llmService.ollamaDiscovery = { reachable: true, models: [{ name: 'mistral:7b' }], checkedAt: Date.now() };
+    });
+
+    afterAll(() => {
+      llmService.ollamaDiscovery = null;
+    });
+
+    test('should use Ollama format and retry with the validation errors', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { response: 'Sure! {"city": "Oslo"}' } })
+        .mockResolvedValueOnce({ data: { response: '```json\n{"city": "Oslo", "population": 709000}\n```' } });
+
+      const result = await llmService.generateText('Largest city in Norway?', 'ollama/mistral:7b', { jsonSchema });
+
+      expect(result.data).toEqual({ city: 'Oslo', population: 709000 });
+      expect(result.attempts).toBe(2);
+
+      const [firstBody, secondBody] = axios.post.mock.calls.map(call => call[1]);
+      expect(firstBody.format).toEqual(jsonSchema);
+      expect(firstBody.prompt).toContain('JSON Schema');
+      expect(secondBody.prompt).toContain('"population" is required');
+    });
+
+    test('should fail with the last validation errors once attempts run out', async () => {
+      axios.post.mockResolvedValue({ data: { response: '{"city": "Oslo", "population": "lots"}' } });
+
+      await expect(llmService.generateText('Largest city in Norway?', 'ollama/mistral:7b', { jsonSchema }))
+        .rejects.toMatchObject({
+          status: 422,
+          details: ['"population" must be a number'],
+          output: '{"city": "Oslo", "population": "lots"}'
+        });
+      expect(axios.post).toHaveBeenCalledTimes(3);
+      axios.post.mockReset();
+    });
+
+    test('should request a json_schema response format from OpenAI', async () => {
+      const create = jest.fn().mockResolvedValue({
+        choices: [{ message: { content: '{"city": "Bergen", "population": 291000}' } }]
+      });
+      const originalKey = process.env.OPENAI_API_KEY;
+      const originalClient = llmService.openaiClient;
+      process.env.OPENAI_API_KEY = 'test-openai-key';
+      llmService.openaiClient = { chat: { completions: { create } } };
+
+      try {
+        const result = await llmService.chat([
+          { role: 'system', content: 'Be concise.' },
+          { role: 'user', content: 'Second largest city in Norway?' }
+        ], 'gpt-4o', { jsonSchema });
+
+        expect(result.data).toEqual({ city: 'Bergen', population: 291000 });
+        const [body] = create.mock.calls[0];
+        expect(body.response_format).toMatchObject({ type: 'json_schema', json_schema: { schema: jsonSchema } });
+        expect(body.messages[0].content).toMatch(/^Be concise\.\n\nRespond with a single JSON value/);
+      } finally {
+        llmService.openaiClient = originalClient;
+        if (originalKey === undefined) {
+          delete process.env.OPENAI_API_KEY;
+        } else {
+          process.env.OPENAI_API_KEY = originalKey;
+        }
+      }
+    });
+
+    test('should reject invalid schemas before calling a model', async () => {
+      await expect(llmService.generateText('Hi', 'ollama/mistral:7b', { jsonSchema: { type: 'tuple' } }))
+        .rejects.toMatchObject({ status: 400 });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('local model context', () => {
+    test('should answer an empty chat turn with text', async () => {
+      const result = await llmService.chat([{ role: 'user', content: '   ' }], 'local/instruct');
+
+      expect(result.message).toEqual(expect.any(String));
+      expect(result.message.length).toBeGreaterThan(0);
+    });
+
+    test('should only let whole multi-word knowledge patterns override the guidance', async () => {
+      const reply = async content => (await llmService.chat([{ role: 'user', content }], 'local/instruct', { documents: false }));
+
+      const greeting = await reply('hi, explain natural language processing features');
+      expect(greeting.message).toContain('advanced NLP capabilities');
+      expect(greeting.knowledgeMatch).toBeNull();
+
+      const python = await reply('Write a python function to reverse a list');
+      expect(python.message).toContain('Here\'s how I\'d approach "Write a python function to reverse a list"');
+      expect(python.knowledgeMatch).toBeNull();
+
+      const deploy = await reply('help me plan a deploy of the billing service');
+      expect(deploy.message).toContain('For deployment and CI/CD');
+      expect(deploy.knowledgeMatch).toBeNull();
+
+      expect((await reply('Who are you?')).knowledgeMatch).toMatchObject({ category: 'identity', id: 'who-are-you' });
+    });
+
+    test('should remember single prompts per session only', async () => {
+      const tinyLLM = require('./tinyLLM');
+
+      await llmService.generateText('How should we monitor the payment gateway?', 'local/instruct', { sessionId: 'ops-1' });
+      await llmService.generateText('How should we monitor the payment gateway?', 'local/instruct');
+
+      expect(tinyLLM.getContext('ops-1')).toHaveLength(2);
+      expect(tinyLLM.sessions.size).toBe(1);
+      tinyLLM.clearSession('ops-1');
+    });
+  });
+
+  describe('cancellation', () => {
+    test('should recognise abort errors from the different clients', () => {
+      expect(llmService.isAbortError({ name: 'CanceledError' })).toBe(true);
+      expect(llmService.isAbortError({ code: 'ERR_CANCELED' })).toBe(true);
+      expect(llmService.isAbortError({ name: 'APIUserAbortError' })).toBe(true);
+      expect(llmService.isAbortError(new Error('boom'))).toBe(false);
+    });
+
+    test('should treat any error as an abort once the signal fired', () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      expect(llmService.isAbortError(new Error('socket hang up'), controller.signal)).toBe(true);
+    });
+
+    test('should stop streaming when the request is aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const chunks = await collect(llmService.generateStream(
+        [{ role: 'user', content: 'Explain docker containers' }],
+        'local/instruct',
+        { abortSignal: controller.signal }
+      ));
+
+      expect(chunks).toEqual([]);
+    });
+
+    test('should pass the abort signal to the Hugging Face router', async () => {
+      const controller = new AbortController();
+      axios.post.mockResolvedValueOnce({ data: Readable.from(['data: [DONE]\n\n']) });
+
+      await collect(llmService.generateStream(
+        [{ role: 'user', content: 'Hi' }],
+        'huggingface/meta-llama-3.1-8b-instruct',
+        { abortSignal: controller.signal }
+      ));
+
+      expect(axios.post).toHaveBeenLastCalledWith(
+        expect.any(String),
+        expect.any(Object),
+        expect.objectContaining({ signal: controller.signal })
+      );
+    });
+  });
+});
@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+
+/**
+ * Local Knowledge Service
+ * The pattern -> response entries the built-in assistant (TinyLLM) answers from. They are
+ * kept as knowledge packs, one JSON or YAML file per category, so teams can teach the
+ * offline assistant their own stack. Packs are edited through /api/v1/local-kb or directly
+ * on disk; changes to the directory are picked up without a restart. The bundled packs in
+ * knowledge/ are read-only seed data for that directory.
+ */
+
+const BUNDLED_DIRECTORY = path.join(__dirname, 'knowledge');
+const DEFAULT_DIRECTORY = path.join(__dirname, 'knowledge_storage');
+const PACK_FORMATS = { '.json': 'json', '.yaml': 'yaml', '.yml': 'yaml' };
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_PATTERN_WORDS = 12;
+const RELOAD_DELAY_MS = 250;
+
+// Patterns are compared with TinyLLM's tokens: lowercase words without punctuation
+function toWords(pattern) {
+  const text = Array.isArray(pattern) ? pattern.join(' ') : `${pattern ?? ''}`;
+  return text.toLowerCase().replace(/[^\w\s]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+const nameSchema = Joi.string().pattern(NAME_PATTERN)
+  .messages({ 'string.pattern.base': '{#label} may only contain lowercase letters, numbers, _ and - (at most 64)' });
+
+const entrySchema = Joi.object({
+  id: nameSchema,
+  pattern: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string()))
+    .custom((value, helpers) => {
+      const words = toWords(value);
+      return words.length && words.length <= MAX_PATTERN_WORDS ? words : helpers.error('any.invalid');
+    })
+    .required()
+    .messages({ 'any.invalid': `"pattern" must have 1 to ${MAX_PATTERN_WORDS} words` }),
+  response: Joi.string().trim().min(1).max(4000).required()
+});
+
+const categorySchema = Joi.object({
+  name: nameSchema.required(),
+  description: Joi.string().allow('').max(500).default(''),
+  format: Joi.string().valid('json', 'yaml').default('json'),
+  entries: Joi.array().default([])
+});
+
+function createKnowledgeError(message, status, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+function validate(schema, value, what) {
+  const { error, value: validated } = schema.validate(value, { abortEarly: false });
+
+  if (error) {
+    throw createKnowledgeError(
+      `Invalid ${what}: ${error.details.map(detail => detail.message).join('; ')}`,
+      400,
+      error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+    );
+  }
+
+  return validated;
+}
+
+function uniqueId(base, usedIds) {
+  let id = base.slice(0, 64).replace(/-+$/, '') || 'entry';
+  for (let suffix = 2; usedIds.has(id); suffix++) {
+    id = `${base.slice(0, 60).replace(/-+$/, '')}-${suffix}`;
+  }
+  return id;
+}
+
+class LocalKnowledgeService {
+  constructor() {
+    this.directory = process.env.TINYLLM_KB_PATH || DEFAULT_DIRECTORY;
+    // category name -> { name, description, format, file, entries: [{ id, pattern, response }] }
+    this.categories = new Map();
+    // Pack files skipped by the last load: [{ file, error }]
+    this.problems = [];
+    this.pendingSave = Promise.resolve();
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.load();
+    this.watch();
+  }
+
+  /**
+   * Read every pack in the directory. A directory that does not exist yet is seeded with
+   * the bundled packs.
+   */
+  load() {
+    let files;
+    try {
+      if (!fs.existsSync(this.directory)) {
+        fs.mkdirSync(this.directory, { recursive: true });
+        for (const file of fs.readdirSync(BUNDLED_DIRECTORY)) {
+          fs.copyFileSync(path.join(BUNDLED_DIRECTORY, file), path.join(this.directory, file));
+        }
+      }
+      files = fs.readdirSync(this.directory)
+        .filter(file => !file.startsWith('.') && PACK_FORMATS[path.extname(file).toLowerCase()])
+        .sort();
+    } catch (error) {
+      logger.error('Failed to load local knowledge', { path: this.directory, error: error.message });
+      return;
+    }
+
+    const categories = new Map();
+    const problems = [];
+
+    for (const file of files) {
+      try {
+        const category = this.parsePack(file, fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        if (categories.has(category.name)) {
+          throw new Error(`category ${category.name} is already defined in ${categories.get(category.name).file}`);
+        }
+        categories.set(category.name, category);
+      } catch (error) {
+        logger.warn('Skipping invalid knowledge pack', { file, error: error.message });
+        problems.push({ file, error: error.message });
+      }
+    }
+
+    this.categories = categories;
+    this.problems = problems;
+    logger.info(`Loaded ${categories.size} knowledge categories`, { path: this.directory, entries: this.entries().length });
+  }
+
+  /**
+   * Parse one pack file: { category?, description?, entries: [{ id?, pattern, response }] }.
+   * The category defaults to the file name.
+   */
+  parsePack(file, content) {
+    const extension = path.extname(file);
+    const format = PACK_FORMATS[extension.toLowerCase()];
+    const data = format === 'yaml' ? yaml.safeLoad(content) : JSON.parse(content);
+
+    if (!data || typeof data !== 'object' || Array.isArray(data) || !Array.isArray(data.entries)) {
+      throw new Error('a knowledge pack must be an object with an entries list');
+    }
+
+    return {
+      ...this.validateCategory({
+        name: data.category || path.basename(file, extension),
+        description: data.description,
+        format,
+        entries: data.entries
+      }),
+      file
+    };
+  }
+
+  /**
+   * Validate a category and its entries; entries without an id get one from their pattern
+   * @throws 400 with `details` when invalid
+   */
+  validateCategory(input) {
+    const { entries, ...category } = validate(categorySchema, input, 'knowledge category');
+    const usedIds = new Set();
+
+    return {
+      ...category,
+      entries: entries.map(entry => {
+        const validated = this.validateEntry(entry, usedIds);
+        usedIds.add(validated.id);
+        return validated;
+      })
+    };
+  }
+
+  validateEntry(input, usedIds = new Set()) {
+    const { id, pattern, response } = validate(entrySchema, input, 'knowledge entry');
+
+    if (id && usedIds.has(id)) {
+      throw createKnowledgeError(`Knowledge entry ${id} already exists`, 409);
+    }
+
+    return { id: id || uniqueId(pattern.join('-'), usedIds), pattern, response };
+  }
+
+  /**
+   * Reload the packs shortly after the directory changes. Writes made by this service go
+   * through dotfiles, which are ignored until they are renamed into place.
+   */
+  watch() {
+    try {
+      this.watcher = fs.watch(this.directory, (event, file) => {
+        if (file && file.startsWith('.')) {
+          return;
+        }
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.load(), RELOAD_DELAY_MS);
+        this.reloadTimer.unref();
+      });
+      this.watcher.on('error', error => {
+        logger.warn('Stopped watching knowledge packs', { path: this.directory, error: error.message });
+      });
+      this.watcher.unref();
+    } catch (error) {
+      logger.warn('Knowledge packs will not be reloaded on change', { path: this.directory, error: error.message });
+    }
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * All entries, in category order, for TinyLLM's matching
+   * @returns {Array<{category: string, id: string, pattern: string[], response: string}>}
+   */
+  entries() {
+    return Array.from(this.categories.values())
+      .flatMap(category => category.entries.map(entry => ({ category: category.name, ...entry })));
+  }
+
+  list() {
+    return {
+      directory: this.directory,
+      categories: Array.from(this.categories.values()).map(({ entries, ...category }) => ({
+        ...category,
+        entryCount: entries.length
+      })),
+      problems: this.problems
+    };
+  }
+
+  get(name) {
+    const category = this.categories.get(name);
+
+    if (!category) {
+      throw createKnowledgeError(`Knowledge category ${name} not found`, 404);
+    }
+
+    return category;
+  }
+
+  async createCategory(input = {}) {
+    const category = this.validateCategory(input);
+    const file = `${category.name}.${category.format}`;
+
+    return this.save(() => {
+      if (this.categories.has(category.name) || fs.existsSync(path.join(this.directory, file))) {
+        throw createKnowledgeError(`Knowledge category ${category.name} already exists`, 409);
+      }
+      return { ...category, file };
+    }, 'created');
+  }
+
+  /**
+   * Change a category's description and, when given, replace its entries
+   */
+  async updateCategory(name, changes = {}) {
+    return this.save(() => {
+      const existing = this.get(name);
+      const category = this.validateCategory({
+        name,
+        format: existing.format,
+        description: changes.description ?? existing.description,
+        entries: changes.entries ?? existing.entries
+      });
+      return { ...category, file: existing.file };
+    }, 'updated');
+  }
+
+  async deleteCategory(name) {
+    return this.queue(async () => {
+      const { file } = this.get(name);
+
+      await fs.promises.rm(path.join(this.directory, file), { force: true });
+      this.categories.delete(name);
+
+      logger.info('Knowledge category deleted', { category: name, file });
+      return { success: true, name };
+    });
+  }
+
+  async addEntry(name, input = {}) {
+    let entry;
+
+    await this.save(() => {
+      const category = this.get(name);
+      entry = this.validateEntry(input, new Set(category.entries.map(existing => existing.id)));
+      return { ...category, entries: [...category.entries, entry] };
+    }, 'updated');
+    return { category: name, ...entry };
+  }
+
+  async updateEntry(name, id, changes = {}) {
+    let entry;
+
+    await this.save(() => {
+      const category = this.get(name);
+      const existing = category.entries.find(current => current.id === id);
+
+      if (!existing) {
+        throw createKnowledgeError(`Knowledge entry ${id} not found in ${name}`, 404);
+      }
+
+      entry = this.validateEntry({ pattern: changes.pattern ?? existing.pattern, response: changes.response ?? existing.response, id });
+      return { ...category, entries: category.entries.map(current => (current.id === id ? entry : current)) };
+    }, 'updated');
+    return { category: name, ...entry };
+  }
+
+  async deleteEntry(name, id) {
+    await this.save(() => {
+      const category = this.get(name);
+
+      if (!category.entries.some(entry => entry.id === id)) {
+        throw createKnowledgeError(`Knowledge entry ${id} not found in ${name}`, 404);
+      }
+
+      return { ...category, entries: category.entries.filter(entry => entry.id !== id) };
+    }, 'updated');
+    return { success: true, category: name, id };
+  }
+
+  /**
+   * Run pack changes one at a time, so each one starts from the categories the previous
+   * one left behind
+   */
+  queue(task) {
+    const run = this.pendingSave.then(task, task);
+    this.pendingSave = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Build a category from the current ones with `change` and write it to its pack file
+   * atomically. Both steps run in the queue, so concurrent changes cannot overwrite each other.
+   * @param {Function} change - () => category; may throw to cancel the write
+   */
+  async save(change, action) {
+    return this.queue(async () => {
+      const category = change();
+      const { name, description, format, file, entries } = category;
+      const pack = { category: name, description, entries };
+      const content = format === 'yaml' ? yaml.safeDump(pack, { lineWidth: 120 }) : `${JSON.stringify(pack, null, 2)}\n`;
+      const tempFile = path.join(this.directory, `.${file}.${process.pid}.tmp`);
+
+      try {
+        await fs.promises.writeFile(tempFile, content);
+        await fs.promises.rename(tempFile, path.join(this.directory, file));
+      } catch (error) {
+        logger.error('Failed to save knowledge pack', { file, error: error.message });
+        throw error;
+      }
+
+      this.categories.set(name, category);
+      logger.info(`Knowledge category ${action}`, { category: name, entries: entries.length });
+      return category;
+    });
+  }
+}
+
+module.exports = new LocalKnowledgeService();
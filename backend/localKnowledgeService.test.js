@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+jest.mock('./logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const knowledgePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'local-kb-')), 'packs');
+process.env.TINYLLM_KB_PATH = knowledgePath;
+
+const localKnowledgeService = require('./localKnowledgeService');
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for the knowledge packs to reload');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+describe('LocalKnowledgeService', () => {
+  afterAll(() => {
+    localKnowledgeService.close();
+    fs.rmSync(path.dirname(knowledgePath), { recursive: true, force: true });
+  });
+
+  test('should seed a new directory with the bundled packs', () => {
+    expect(fs.existsSync(path.join(knowledgePath, 'identity.json'))).toBe(true);
+    expect(localKnowledgeService.get('identity').entries).toContainEqual(expect.objectContaining({
+      id: 'who-are-you',
+      pattern: ['who', 'are', 'you']
+    }));
+    expect(localKnowledgeService.entries()[0]).toEqual(expect.objectContaining({ category: expect.any(String), response: expect.any(String) }));
+  });
+
+  test('should load YAML packs and report the ones it cannot read', () => {
+    fs.writeFileSync(path.join(knowledgePath, 'billing.yaml'), [
+      'description: Billing service',
+      'entries:',
+      '  - pattern: "Billing deploy?"',
+      '    response: Run make deploy-billing from the ops repo.',
+      '  - pattern: [billing, deploy]',
+      '    response: A second answer for the same pattern.'
+    ].join('\n'));
+    fs.writeFileSync(path.join(knowledgePath, 'broken.json'), '{ "entries": [ { "pattern": "" } ] }');
+    fs.writeFileSync(path.join(knowledgePath, 'notes.txt'), 'not a pack');
+
+    localKnowledgeService.load();
+
+    expect(localKnowledgeService.get('billing')).toMatchObject({
+      description: 'Billing service',
+      format: 'yaml',
+      file: 'billing.yaml',
+      entries: [
+        { id: 'billing-deploy', pattern: ['billing', 'deploy'] },
+        { id: 'billing-deploy-2', pattern: ['billing', 'deploy'] }
+      ]
+    });
+    expect(localKnowledgeService.list().problems).toEqual([
+      { file: 'broken.json', error: expect.stringContaining('"pattern"') }
+    ]);
+    expect(() => localKnowledgeService.get('broken')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  test('should write categories and entries back to their pack files', async () => {
+    await localKnowledgeService.createCategory({ name: 'payments', description: 'Payments', format: 'yaml' });
+    await expect(localKnowledgeService.createCategory({ name: 'payments' })).rejects.toMatchObject({ status: 409 });
+    await expect(localKnowledgeService.createCategory({ name: 'Bad Name' })).rejects.toMatchObject({ status: 400 });
+
+    const entry = await localKnowledgeService.addEntry('payments', { pattern: 'Who owns payments?', response: 'The payments team, #payments on chat.' });
+    expect(entry).toEqual({ category: 'payments', id: 'who-owns-payments', pattern: ['who', 'owns', 'payments'], response: 'The payments team, #payments on chat.' });
+    await expect(localKnowledgeService.addEntry('payments', { id: 'who-owns-payments', pattern: 'owner', response: 'Again' }))
+      .rejects.toMatchObject({ status: 409 });
+    await expect(localKnowledgeService.addEntry('payments', { pattern: 'owner' }))
+      .rejects.toMatchObject({ status: 400, details: [expect.objectContaining({ field: 'response' })] });
+
+    await localKnowledgeService.updateEntry('payments', 'who-owns-payments', { response: 'The payments team.' });
+    const pack = yaml.safeLoad(fs.readFileSync(path.join(knowledgePath, 'payments.yaml'), 'utf8'));
+    expect(pack).toEqual({
+      category: 'payments',
+      description: 'Payments',
+      entries: [{ id: 'who-owns-payments', pattern: ['who', 'owns', 'payments'], response: 'The payments team.' }]
+    });
+
+    await localKnowledgeService.deleteEntry('payments', 'who-owns-payments');
+    expect(localKnowledgeService.get('payments').entries).toEqual([]);
+    await expect(localKnowledgeService.updateEntry('payments', 'who-owns-payments', {})).rejects.toMatchObject({ status: 404 });
+
+    await localKnowledgeService.deleteCategory('payments');
+    expect(fs.existsSync(path.join(knowledgePath, 'payments.yaml'))).toBe(false);
+    expect(fs.readdirSync(knowledgePath).filter(file => file.startsWith('.'))).toEqual([]);
+  });
+
+  test('should keep every entry when they are added at the same time', async () => {
+    await localKnowledgeService.createCategory({ name: 'runbooks' });
+
+    await Promise.all([
+      localKnowledgeService.addEntry('runbooks', { pattern: 'restart the queue', response: 'Use the queue runbook.' }),
+      localKnowledgeService.addEntry('runbooks', { pattern: 'rotate the certificates', response: 'Use the certificate runbook.' }),
+      expect(localKnowledgeService.addEntry('missing', { pattern: 'anything', response: 'Nothing.' })).rejects.toMatchObject({ status: 404 })
+    ]);
+
+    const pack = JSON.parse(fs.readFileSync(path.join(knowledgePath, 'runbooks.json'), 'utf8'));
+    expect(pack.entries.map(entry => entry.id)).toEqual(['restart-the-queue', 'rotate-the-certificates']);
+    expect(localKnowledgeService.get('runbooks').entries).toHaveLength(2);
+
+    await localKnowledgeService.deleteCategory('runbooks');
+  });
+
+  test('should reload when a pack changes on disk', async () => {
+    fs.writeFileSync(path.join(knowledgePath, 'oncall.json'), JSON.stringify({
+      entries: [{ pattern: ['who', 'is', 'on', 'call'], response: 'Check the on-call calendar.' }]
+    }));
+
+    await waitFor(() => localKnowledgeService.categories.has('oncall'));
+    expect(localKnowledgeService.entries()).toContainEqual(expect.objectContaining({ category: 'oncall', id: 'who-is-on-call' }));
+  });
+});
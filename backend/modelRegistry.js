@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const logger = require('./logger');
+
+/**
+ * Model Registry
+ * Keeps the LLM model catalogue in a JSON file so models can be registered,
+ * updated and disabled at runtime instead of editing llmService.js.
+ */
+
+const MODEL_TYPES = ['local', 'xenova', 'ollama', 'huggingface', 'openai'];
+
+// The bundled catalogue is read-only seed data; runtime changes go to a gitignored copy
+const BUNDLED_REGISTRY_FILE = path.join(__dirname, 'model_registry.json');
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, 'registry_storage', 'model_registry.json');
+
+// The built-in assistant is the fallback for every other model, so it always exists
+const BUILTIN_MODEL_ID = 'local/instruct';
+const BUILTIN_MODEL = {
+  name: 'Tiny LLM (Local Assistant)',
+  provider: 'Built-in',
+  description: 'Lightweight, rule-based language model running locally. No downloads required.',
+  maxTokens: 1024,
+  free: true,
+  type: 'local',
+  enabled: true
+};
+
+const TYPE_DEFAULTS = {
+  local: { provider: 'Built-in', free: true },
+  xenova: { provider: 'Local CPU', free: true },
+  ollama: { provider: 'Ollama Local', free: true },
+  huggingface: { provider: 'Hugging Face', free: false, requiresKey: 'HUGGINGFACE_API_KEY' },
+  openai: { provider: 'OpenAI', free: false, requiresKey: 'OPENAI_API_KEY' }
+};
+
+const requiredForType = (type) => Joi.string().trim().min(1).when('type', {
+  is: type,
+  then: Joi.required()
+});
+
+const modelSchema = Joi.object({
+  id: Joi.string().trim().max(128).pattern(/^[\w.\-:/]+$/).required()
+    .messages({ 'string.pattern.base': '"id" may only contain letters, numbers and . _ - : /' }),
+  name: Joi.string().trim().max(200).required(),
+  type: Joi.string().valid(...MODEL_TYPES).required(),
+  provider: Joi.string().trim().max(100),
+  description: Joi.string().allow('').max(1000),
+  maxTokens: Joi.number().integer().min(1).max(1000000),
+  free: Joi.boolean(),
+  enabled: Joi.boolean().default(true),
+  vision: Joi.boolean(),
+  // Function calling; OpenAI and Ollama models are assumed to support it unless false
+  tools: Joi.boolean(),
+  notice: Joi.string().allow('').max(500),
+  requiresKey: Joi.string().pattern(/^[A-Z][A-Z0-9_]*$/),
+  endpoint: Joi.string().uri({ scheme: ['http', 'https'] }),
+  transformersModel: requiredForType('xenova'),
+  ollamaModel: requiredForType('ollama'),
+  hfModel: requiredForType('huggingface'),
+  openaiModel: Joi.string().trim(),
+  // Model ids tried in order when this model fails; the built-in assistant is always last
+  fallbacks: Joi.array().items(Joi.string().trim().min(1)).max(10)
+});
+
+function createRegistryError(message, status, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+class ModelRegistry {
+  constructor() {
+    this.registryFile = process.env.MODEL_REGISTRY_FILE || DEFAULT_REGISTRY_FILE;
+    this.models = new Map();
+    // Models found at runtime (e.g. pulled into Ollama). Never written to the registry file.
+    this.discovered = new Map();
+    this.pendingSave = Promise.resolve();
+    this.loadModels();
+  }
+
+  /**
+   * Load the registry file. A registry file that does not exist yet is seeded from the
+   * bundled model_registry.json, which is never written.
+   */
+  loadModels() {
+    let entries = [];
+
+    for (const file of [this.registryFile, BUNDLED_REGISTRY_FILE]) {
+      try {
+        entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+        break;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.error('Failed to load model registry', { file, error: error.message });
+          break;
+        }
+      }
+    }
+
+    this.models.clear();
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      try {
+        const { id, ...info } = this.validate(entry);
+        this.models.set(id, info);
+      } catch (error) {
+        logger.warn('Skipping invalid model registry entry', { id: entry?.id, error: error.message });
+      }
+    }
+
+    if (!this.models.has(BUILTIN_MODEL_ID)) {
+      this.models.set(BUILTIN_MODEL_ID, { ...BUILTIN_MODEL });
+    }
+
+    logger.info(`Loaded ${this.models.size} models from registry`, { file: this.registryFile });
+  }
+
+  async saveModels() {
+    const entries = this.list({ includeDisabled: true, includeDiscovered: false });
+    // Written to a temp file first and renamed into place, so a crash never leaves half a registry
+    const write = async () => {
+      const tempFile = path.join(path.dirname(this.registryFile), `.${path.basename(this.registryFile)}.${process.pid}.tmp`);
+      await fs.promises.mkdir(path.dirname(this.registryFile), { recursive: true });
+      await fs.promises.writeFile(tempFile, `${JSON.stringify(entries, null, 2)}\n`);
+      await fs.promises.rename(tempFile, this.registryFile);
+    };
+
+    // Serialize writes so concurrent updates cannot interleave in the file
+    this.pendingSave = this.pendingSave.then(write, write);
+
+    try {
+      await this.pendingSave;
+    } catch (error) {
+      logger.error('Failed to save model registry', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a model definition and fill in per-type defaults
+   * @param {Object} definition - Model definition including its id
+   * @returns {Object} Normalized definition
+   */
+  validate(definition) {
+    const { error, value } = modelSchema.validate(definition, { abortEarly: false });
+
+    if (error) {
+      throw createRegistryError(
+        `Invalid model definition: ${error.details.map(detail => detail.message).join('; ')}`,
+        400,
+        error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+      );
+    }
+
+    return {
+      ...TYPE_DEFAULTS[value.type],
+      description: '',
+      maxTokens: 2048,
+      ...value
+    };
+  }
+
+  /**
+   * Replace the set of runtime-discovered models. Registered models with the same id win.
+   * @param {Array<Object>} definitions - Model definitions including their ids
+   */
+  setDiscoveredModels(definitions = []) {
+    this.discovered.clear();
+
+    for (const definition of definitions) {
+      try {
+        const { id, ...info } = this.validate(definition);
+        this.discovered.set(id, info);
+      } catch (error) {
+        logger.warn('Skipping invalid discovered model', { id: definition?.id, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Get a model by id. Disabled models are hidden unless explicitly requested.
+   */
+  get(id, { includeDisabled = false } = {}) {
+    const model = this.models.get(id) || this.discovered.get(id);
+
+    if (!model || (!includeDisabled && model.enabled === false)) {
+      return undefined;
+    }
+
+    return model;
+  }
+
+  list({ includeDisabled = false, includeDiscovered = true } = {}) {
+    const registered = Array.from(this.models.entries())
+      .map(([id, info]) => ({ id, ...info }));
+    const discovered = includeDiscovered
+      ? Array.from(this.discovered.entries())
+        .filter(([id]) => !this.models.has(id))
+        .map(([id, info]) => ({ id, ...info, discovered: true }))
+      : [];
+
+    return [...registered, ...discovered]
+      .filter(info => includeDisabled || info.enabled !== false);
+  }
+
+  async register(definition) {
+    const { id, ...info } = this.validate(definition);
+
+    if (this.models.has(id)) {
+      throw createRegistryError(`Model ${id} is already registered`, 409);
+    }
+
+    this.models.set(id, info);
+    await this.saveModels();
+
+    logger.info('Model registered', { id, type: info.type });
+    return { id, ...info };
+  }
+
+  /**
+   * Update a registered model. Updating a discovered model saves it to the registry.
+   */
+  async update(id, changes = {}) {
+    const existing = this.models.get(id) || this.discovered.get(id);
+
+    if (!existing) {
+      throw createRegistryError(`Model ${id} not found`, 404);
+    }
+
+    // The id is the registry key; renaming is done by registering a new model
+    const { id: validatedId, ...info } = this.validate({ ...existing, ...changes, id });
+
+    if (id === BUILTIN_MODEL_ID && (info.enabled === false || info.type !== 'local')) {
+      throw createRegistryError(`${BUILTIN_MODEL_ID} is the fallback model and must stay an enabled local model`, 400);
+    }
+
+    this.models.set(validatedId, info);
+    await this.saveModels();
+
+    logger.info('Model updated', { id, enabled: info.enabled });
+    return { id, ...info };
+  }
+
+  async remove(id) {
+    if (!this.models.has(id)) {
+      throw createRegistryError(`Model ${id} not found`, 404);
+    }
+
+    if (id === BUILTIN_MODEL_ID) {
+      throw createRegistryError(`${BUILTIN_MODEL_ID} is the fallback model and cannot be removed`, 400);
+    }
+
+    this.models.delete(id);
+    await this.saveModels();
+
+    logger.info('Model removed', { id });
+    return { success: true, id };
+  }
+
+  getModelTypes() {
+    return [...MODEL_TYPES];
+  }
+}
+
+module.exports = new ModelRegistry();
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+// The registry directory is created on the first save
+const registryFile = path.join(os.tmpdir(), `model-registry-unit-${process.pid}`, 'model_registry.json');
+process.env.MODEL_REGISTRY_FILE = registryFile;
+
+const modelRegistry = require('./modelRegistry');
+
+describe('ModelRegistry', () => {
+  afterAll(() => {
+    fs.rmSync(path.dirname(registryFile), { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(registryFile, { force: true });
+    modelRegistry.loadModels();
+  });
+
+  test('should seed a new registry file from the bundled models', () => {
+    const ids = modelRegistry.list().map(model => model.id);
+
+    expect(ids).toContain('local/instruct');
+    expect(ids).toContain('gpt-4o');
+  });
+
+  test('should fill in provider defaults for a model type', async () => {
+    const model = await modelRegistry.register({
+      id: 'huggingface/test',
+      name: 'HF Test',
+      type: 'huggingface',
+      hfModel: 'org/test-model'
+    });
+
+    expect(model).toMatchObject({
+      provider: 'Hugging Face',
+      requiresKey: 'HUGGINGFACE_API_KEY',
+      enabled: true
+    });
+    expect(JSON.parse(fs.readFileSync(registryFile, 'utf8')).some(m => m.id === 'huggingface/test')).toBe(true);
+    expect(fs.readdirSync(path.dirname(registryFile))).toEqual(['model_registry.json']);
+  });
+
+  test('should reject duplicate ids and unknown types', async () => {
+    await expect(modelRegistry.register({ id: 'gpt-4o', name: 'Duplicate', type: 'openai' }))
+      .rejects.toMatchObject({ status: 409 });
+    await expect(modelRegistry.register({ id: 'custom/model', name: 'Custom', type: 'unknown' }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  test('should hide disabled models unless requested', async () => {
+    await modelRegistry.update('gpt-4o', { enabled: false });
+
+    expect(modelRegistry.get('gpt-4o')).toBeUndefined();
+    expect(modelRegistry.get('gpt-4o', { includeDisabled: true })).toHaveProperty('enabled', false);
+    expect(modelRegistry.list().some(model => model.id === 'gpt-4o')).toBe(false);
+  });
+
+  test('should protect the built-in fallback model', async () => {
+    await expect(modelRegistry.update('local/instruct', { enabled: false }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(modelRegistry.remove('local/instruct'))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  test('should return 404 errors for unknown models', async () => {
+    await expect(modelRegistry.update('missing/model', { name: 'x' })).rejects.toMatchObject({ status: 404 });
+    await expect(modelRegistry.remove('missing/model')).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -1,6 +1,16 @@
 const nlp = require('compromise');
 const logger = require('./logger');
 
+// Function words that carry no meaning for search ranking
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has',
+  'have', 'he', 'her', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my',
+  'no', 'not', 'of', 'on', 'or', 'our', 'she', 'should', 'so', 'than', 'that', 'the', 'their',
+  'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'too', 'us', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
 /**
  * NLP Service providing deterministic natural language processing capabilities
  * Uses compromise.js - a rule-based NLP library that doesn't hallucinate
@@ -301,6 +311,41 @@ class NLPService {
     }
   }
 
+  /**
+   * Split text into search terms: lowercased, contractions expanded, words reduced to
+   * their root form ("deployed" -> "deploy") and stop words removed
+   * @param {string} text - Input text to tokenize
+   * @returns {array} Terms in document order (repeats kept, for term frequencies)
+   */
+  tokenize(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    try {
+      const doc = nlp(text);
+      doc.compute('root');
+
+      return doc.json()
+        .flatMap(sentence => sentence.terms)
+        .map(term => {
+          // compromise treats the "#" of "C#" as trailing punctuation
+          const suffix = (term.post || '').match(/^[+#]*/)[0];
+          const raw = `${term.text || ''}${suffix}`.toLowerCase().replace(/^[^\w]+|[^\w+#]+$/g, '');
+          // Roots and normal forms mangle technical terms ("node.js" -> "node.j", "C#" -> "c")
+          if (raw && !/^[a-z']+$/.test(raw)) {
+            return raw;
+          }
+          return term.root || term.machine || term.normal || '';
+        })
+        .map(term => term.replace(/^[^\w]+|[^\w+#]+$/g, ''))
+        .filter(term => term && !STOP_WORDS.has(term));
+    } catch (error) {
+      logger.error('Tokenization failed', { error: error.message });
+      return text.toLowerCase().split(/[^\w]+/).filter(term => term && !STOP_WORDS.has(term));
+    }
+  }
+
   /**
    * Comprehensive text analysis combining multiple NLP features
    * @param {string} text - Input text to analyze
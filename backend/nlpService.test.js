@@ -273,6 +273,24 @@ describe('NLP Service', () => {
     });
   });
 
+  describe('tokenize', () => {
+    test('should lowercase, reduce to roots and drop stop words', () => {
+      const result = nlpService.tokenize("The pods weren't restarting after we deployed the new clusters.");
+
+      expect(result).toEqual(['pod', 'restart', 'deploy', 'new', 'cluster']);
+    });
+
+    test('should keep technical terms intact', () => {
+      const result = nlpService.tokenize('Upgrade node.js and C# on 3 servers');
+
+      expect(result).toEqual(expect.arrayContaining(['node.js', 'c#', '3']));
+    });
+
+    test('should handle invalid input', () => {
+      expect(nlpService.tokenize(null)).toEqual([]);
+    });
+  });
+
   describe('analyze (comprehensive)', () => {
     test('should perform comprehensive text analysis', () => {
       const text = 'Microsoft announced a new AI product yesterday. This is exciting news!';
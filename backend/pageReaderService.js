@@ -0,0 +1,244 @@
+const axios = require('axios');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const logger = require('./logger');
+const documentExtractionService = require('./documentExtractionService');
+const ragService = require('./ragService');
+
+/**
+ * Page Reader Service
+ * Fetches the pages behind web search results, extracts their readable text and ranks
+ * it against the question with ragService, so answers can use more than the snippets.
+ * Fetching is limited by domain allow/deny lists, a byte and a time budget, and never
+ * reaches loopback or private network addresses.
+ */
+
+function parseList(value) {
+  return `${value || ''}`.split(',').map(domain => domain.trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean);
+}
+
+function parsePositive(value, fallback) {
+  const number = parseInt(value, 10);
+  return number > 0 ? number : fallback;
+}
+
+const MAX_REDIRECTS = 3;
+const USER_AGENT = 'Mozilla/5.0 (compatible; ai-app-page-reader/1.0)';
+// Content types that can be read, with the extension documentExtractionService knows them by
+const READABLE_TYPES = {
+  'text/html': '.html',
+  'application/xhtml+xml': '.html',
+  'text/plain': '.txt',
+  'text/markdown': '.md',
+  'application/pdf': '.pdf'
+};
+
+function matchesDomain(hostname, domains) {
+  return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+// Loopback, private, link-local and other non-public ranges, IPv4 and IPv6
+function isPrivateAddress(address) {
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168);
+  }
+
+  const normalized = address.toLowerCase();
+  return normalized === '::' || normalized === '::1' || /^f[cd]/.test(normalized) || /^fe[89ab]/.test(normalized);
+}
+
+// A dns.lookup() replacement that only answers with the addresses checkUrl() approved, so
+// the connection cannot be pointed elsewhere by a DNS answer that changes after the check
+function pinnedLookup(addresses) {
+  const entries = addresses.map(address => ({ address, family: net.isIPv6(address) ? 6 : 4 }));
+
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    const family = typeof options === 'number' ? options : options?.family;
+    const matching = entries.filter(entry => !family || entry.family === family);
+
+    if (!matching.length) {
+      const error = new Error(`No checked address for ${hostname}`);
+      error.code = 'ENOTFOUND';
+      callback(error);
+    } else if (options?.all) {
+      callback(null, matching);
+    } else {
+      callback(null, matching[0].address, matching[0].family);
+    }
+  };
+}
+
+function createReaderError(message, reason) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+class PageReaderService {
+  constructor() {
+    this.maxPages = parsePositive(process.env.WEB_READER_MAX_PAGES, 3);
+    this.maxPassages = parsePositive(process.env.WEB_READER_MAX_PASSAGES, 4);
+    this.maxPageBytes = parsePositive(process.env.WEB_READER_MAX_PAGE_BYTES, 1024 * 1024);
+    this.maxTotalBytes = parsePositive(process.env.WEB_READER_MAX_TOTAL_BYTES, 3 * 1024 * 1024);
+    this.timeoutMs = parsePositive(process.env.WEB_READER_TIMEOUT_MS, 8000);
+    this.allowDomains = parseList(process.env.WEB_READER_ALLOW_DOMAINS);
+    this.denyDomains = parseList(process.env.WEB_READER_DENY_DOMAINS);
+  }
+
+  /**
+   * Whether a URL may be fetched: http(s), allowed by the domain lists and not resolving
+   * to a private address
+   * @returns {Promise<{url: URL, addresses: string[]}>} The URL and the addresses it resolved to
+   * @throws Error with `reason` (invalid_url, denied_domain, private_address)
+   */
+  async checkUrl(url, { allow = this.allowDomains, deny = this.denyDomains } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw createReaderError(`Invalid URL ${url}`, 'invalid_url');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol) || parsed.username || parsed.password) {
+      throw createReaderError(`Only plain http(s) URLs can be read: ${url}`, 'invalid_url');
+    }
+
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (matchesDomain(hostname, deny) || (allow.length && !matchesDomain(hostname, allow))) {
+      throw createReaderError(`${hostname} is not allowed`, 'denied_domain');
+    }
+
+    const addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.lookup(hostname, { all: true })).map(entry => entry.address);
+    if (hostname === 'localhost' || addresses.some(isPrivateAddress)) {
+      throw createReaderError(`${hostname} is a private address`, 'private_address');
+    }
+
+    return { url: parsed, addresses };
+  }
+
+  /**
+   * Download one page, following redirects only to URLs that pass checkUrl(). Each request
+   * connects to the addresses that were checked rather than resolving the host again.
+   * @returns {Promise<{url: string, contentType: string, buffer: Buffer}>}
+   */
+  async fetchPage(url, { signal, maxBytes = this.maxPageBytes, ...rules } = {}) {
+    let current = url;
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      const { addresses } = await this.checkUrl(current, rules);
+      const lookup = pinnedLookup(addresses);
+
+      const response = await axios.get(current, {
+        responseType: 'arraybuffer',
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        httpAgent: new http.Agent({ lookup }),
+        httpsAgent: new https.Agent({ lookup }),
+        signal,
+        headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9,application/pdf;q=0.8' },
+        validateStatus: status => status < 400
+      });
+
+      if (response.status >= 300) {
+        if (!response.headers.location) {
+          throw createReaderError(`${current} redirected without a location`, 'fetch_failed');
+        }
+        current = new URL(response.headers.location, current).toString();
+        continue;
+      }
+
+      return {
+        url: current,
+        contentType: `${response.headers['content-type'] || ''}`.split(';')[0].trim().toLowerCase(),
+        buffer: Buffer.from(response.data)
+      };
+    }
+
+    throw createReaderError(`${url} redirected more than ${MAX_REDIRECTS} times`, 'fetch_failed');
+  }
+
+  /**
+   * Read the top search results and pick the passages that best answer the question.
+   * Pages that are not allowed, too large, too slow or unreadable are skipped and reported.
+   * @param {Array<{title: string, link: string, snippet: string}>} results - Search results, best first
+   * @param {string} question - What the passages should answer
+   * @param {Object} options - { maxPages, maxPassages, allow, deny, timeoutMs, maxTotalBytes }
+   * @returns {Promise<{passages: Array<{url, title, content, score}>, pages: Array<{url, title, status, reason?}>}>}
+   */
+  async readPages(results = [], question, options = {}) {
+    const {
+      maxPages = this.maxPages,
+      maxPassages = this.maxPassages,
+      timeoutMs = this.timeoutMs,
+      maxTotalBytes = this.maxTotalBytes,
+      allow = this.allowDomains,
+      deny = this.denyDomains
+    } = options;
+
+    const targets = results.filter(result => result && result.link).slice(0, maxPages);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let totalBytes = 0;
+
+    const pages = await Promise.all(targets.map(async ({ link, title }) => {
+      try {
+        const page = await this.fetchPage(link, { signal: controller.signal, allow, deny });
+
+        totalBytes += page.buffer.length;
+        if (totalBytes > maxTotalBytes) {
+          return { url: link, title, status: 'skipped', reason: 'byte_budget' };
+        }
+
+        const extension = READABLE_TYPES[page.contentType];
+        if (!extension) {
+          return { url: link, title, status: 'skipped', reason: 'unsupported_type' };
+        }
+
+        const { text, metadata } = await documentExtractionService.extract(page.buffer, {
+          filename: `page${extension}`,
+          mimeType: page.contentType
+        });
+        return { url: page.url, title: title || metadata.title || page.url, status: 'read', text };
+      } catch (error) {
+        const reason = error.reason
+          || (controller.signal.aborted ? 'time_budget' : null)
+          || (/maxContentLength/.test(error.message) ? 'too_large' : null)
+          || (error.code === 'UNREADABLE_DOCUMENT' || error.code === 'EMPTY_DOCUMENT' ? 'unreadable' : 'fetch_failed');
+        logger.warn('Skipped web page', { url: link, reason, error: error.message });
+        return { url: link, title, status: reason === 'denied_domain' || reason === 'private_address' ? 'skipped' : 'failed', reason };
+      }
+    }));
+    clearTimeout(timer);
+
+    const read = pages.filter(page => page.status === 'read');
+    const passages = read.length
+      ? await ragService.rankPassages(question, read.map(({ url, title, text }) => ({ url, title, text })), { maxResults: maxPassages })
+      : [];
+
+    logger.info('Read web pages', { requested: targets.length, read: read.length, passages: passages.length, bytes: totalBytes });
+
+    return {
+      passages: passages.map(({ url, title, content, score }) => ({ url, title, content, score })),
+      pages: pages.map(({ text, ...page }) => page)
+    };
+  }
+}
+
+module.exports = new PageReaderService();
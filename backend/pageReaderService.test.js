@@ -0,0 +1,118 @@
+jest.mock('axios');
+jest.mock('./logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+jest.mock('./ragService', () => ({
+  rankPassages: jest.fn(async (query, passages) => passages.map(({ text, ...passage }) => ({ ...passage, content: text, score: 1 })))
+}));
+
+const axios = require('axios');
+const dns = require('dns').promises;
+const ragService = require('./ragService');
+const pageReaderService = require('./pageReaderService');
+
+const html = body => Buffer.from(`<html><head><title>Page</title></head><body><nav>Menu</nav><main>${body}</main></body></html>`);
+const respond = (data, contentType = 'text/html; charset=utf-8', status = 200, headers = {}) => ({
+  status,
+  data,
+  headers: { 'content-type': contentType, ...headers }
+});
+
+describe('PageReaderService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(dns, 'lookup').mockImplementation(async hostname => [
+      { address: hostname === 'intranet.example.com' ? '10.0.0.8' : '93.184.216.34', family: 4 }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkUrl', () => {
+    test.each([
+      ['ftp://example.com/file', 'invalid_url'],
+      ['http://localhost:3000/admin', 'private_address'],
+      ['http://169.254.169.254/latest/meta-data', 'private_address'],
+      ['http://[::1]/', 'private_address'],
+      ['https://intranet.example.com/wiki', 'private_address'],
+      ['https://ads.tracker.test/page', 'denied_domain']
+    ])('should refuse %s', async (url, reason) => {
+      await expect(pageReaderService.checkUrl(url, { allow: [], deny: ['tracker.test'] })).rejects.toMatchObject({ reason });
+    });
+
+    test('should only read allowed domains when an allow list is set', async () => {
+      await expect(pageReaderService.checkUrl('https://docs.nodejs.org/api', { allow: ['nodejs.org'], deny: [] }))
+        .resolves.toEqual({ url: expect.any(URL), addresses: ['93.184.216.34'] });
+      await expect(pageReaderService.checkUrl('https://example.com/', { allow: ['nodejs.org'], deny: [] }))
+        .rejects.toMatchObject({ reason: 'denied_domain' });
+    });
+  });
+
+  describe('fetchPage', () => {
+    test('should connect to the checked address even if the host resolves elsewhere later', async () => {
+      axios.get.mockResolvedValue(respond(html('<p>Hello</p>')));
+
+      await pageReaderService.fetchPage('https://example.com/page', { allow: [], deny: [] });
+      dns.lookup.mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+
+      const { lookup } = axios.get.mock.calls[0][1].httpsAgent.options;
+      const resolve = options => new Promise((done, fail) => lookup('example.com', options, (error, ...result) => (error ? fail(error) : done(result))));
+
+      await expect(resolve({})).resolves.toEqual(['93.184.216.34', 4]);
+      await expect(resolve({ all: true })).resolves.toEqual([[{ address: '93.184.216.34', family: 4 }]]);
+      await expect(resolve({ family: 6 })).rejects.toMatchObject({ code: 'ENOTFOUND' });
+      expect(axios.get.mock.calls[0][1].httpAgent.options.lookup).toBe(lookup);
+    });
+  });
+
+  describe('readPages', () => {
+    test('should read the main content of the top results and rank it against the question', async () => {
+      axios.get.mockImplementation(async url => {
+        if (url === 'https://example.com/streams') {
+          return respond(html('<p>Backpressure stops a fast producer from overwhelming a slow consumer.</p>'));
+        }
+        if (url === 'https://example.com/moved') {
+          return respond('', 'text/html', 301, { location: 'http://127.0.0.1/secret' });
+        }
+        return respond(Buffer.from('PK\u0003\u0004'), 'application/zip');
+      });
+
+      const { passages, pages } = await pageReaderService.readPages([
+        { title: 'Streams', link: 'https://example.com/streams', snippet: '' },
+        { title: 'Moved', link: 'https://example.com/moved', snippet: '' },
+        { title: 'Archive', link: 'https://example.com/archive.zip', snippet: '' },
+        { title: 'Not read', link: 'https://example.com/fourth', snippet: '' }
+      ], 'What is backpressure?', { maxPages: 3, allow: [], deny: [] });
+
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      expect(axios.get.mock.calls[0][1]).toMatchObject({ maxRedirects: 0, maxContentLength: pageReaderService.maxPageBytes });
+      expect(pages).toEqual([
+        { url: 'https://example.com/streams', title: 'Streams', status: 'read' },
+        { url: 'https://example.com/moved', title: 'Moved', status: 'skipped', reason: 'private_address' },
+        { url: 'https://example.com/archive.zip', title: 'Archive', status: 'skipped', reason: 'unsupported_type' }
+      ]);
+      expect(ragService.rankPassages).toHaveBeenCalledWith('What is backpressure?', [
+        { url: 'https://example.com/streams', title: 'Streams', text: 'Backpressure stops a fast producer from overwhelming a slow consumer.' }
+      ], { maxResults: pageReaderService.maxPassages });
+      expect(passages[0]).toMatchObject({ url: 'https://example.com/streams', content: expect.not.stringContaining('Menu') });
+    });
+
+    test('should stay within the byte budget', async () => {
+      axios.get.mockResolvedValue(respond(html('<p>Some text about streams.</p>')));
+
+      const { passages, pages } = await pageReaderService.readPages(
+        [{ title: 'Streams', link: 'https://example.com/streams', snippet: '' }],
+        'streams',
+        { maxTotalBytes: 10, allow: [], deny: [] }
+      );
+
+      expect(pages[0]).toMatchObject({ status: 'skipped', reason: 'byte_budget' });
+      expect(passages).toEqual([]);
+      expect(ragService.rankPassages).not.toHaveBeenCalled();
+    });
+  });
+});
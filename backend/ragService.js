@@ -2,6 +2,13 @@ const logger = require('./logger');
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const embeddingService = require('./embeddingService');
+const nlpService = require('./nlpService');
+const documentExtractionService = require('./documentExtractionService');
+const documentStorageService = require('./documentStorageService');
+const repositoryIndexService = require('./repositoryIndexService');
+const modelRegistry = require('./modelRegistry');
 
 let octokitLoadPromise;
 
@@ -30,17 +37,268 @@ async function loadOctokitCtor() {
   return octokitLoadPromise;
 }
 
+const INDEXED_EXTENSIONS = ['.txt', '.md', '.json'];
+const INDEX_VERSION = 2;
+// Sidecar directory (inside each collection's directory) with metadata about converted uploads
+const METADATA_DIR = '.meta';
+// Every stored version of a document: .versions/<filename>/versions.json plus <version>.txt snapshots
+const VERSIONS_DIR = '.versions';
+const VERSIONS_FILE = 'versions.json';
+// Line diffs fall back to "everything replaced" beyond this many compared line pairs
+const MAX_DIFF_CELLS = 4000000;
+// Uploads without a collection live directly in the storage path; named collections in subdirectories
+const DEFAULT_COLLECTION = 'default';
+const COLLECTIONS_DIR = 'collections';
+const COLLECTIONS_FILE = '.collections.json';
+const COLLECTION_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const CHUNK_SIZE = parseInt(process.env.RAG_CHUNK_SIZE, 10) || 1000;
+const CHUNK_OVERLAP = parseInt(process.env.RAG_CHUNK_OVERLAP, 10) || 200;
+// Cosine similarity below this is treated as unrelated
+const MIN_VECTOR_SCORE = 0.2;
+const SEARCH_MODES = ['keyword', 'vector', 'hybrid'];
+// What a search looks at: uploaded documents, indexed repositories or both
+const SEARCH_SCOPES = ['server', 'repository', 'all'];
+// BM25 term-frequency saturation and document-length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Reciprocal-rank fusion damping; 60 is the value from the original RRF paper
+const RRF_K = 60;
+const RERANK_ENABLED = process.env.RAG_RERANK === 'true';
+// Grounding: context that does not clear these is not used to answer, and with none left the
+// query is answered with NO_ANSWER instead of asking the model
+const MIN_RELEVANCE = parseFloat(process.env.RAG_MIN_RELEVANCE) || 0.3;
+const MIN_RERANK_SCORE = parseFloat(process.env.RAG_MIN_RERANK_SCORE || '0');
+// Share of the query's terms a keyword-only match has to contain
+const MIN_TERM_COVERAGE = 0.5;
+// Share of an answer sentence's terms that have to appear in the sources it is checked against
+const MIN_SENTENCE_SUPPORT = 0.5;
+const NO_ANSWER = "I couldn't find an answer to that in your documents.";
+// A sentence ends at . ! or ? followed by whitespace (so "node.js" stays whole), plus any citation markers
+const SENTENCE = /[^\n]+?(?:[.!?](?=\s|$)(?:\s*\[\d+(?:\s*,\s*\d+)*\])*|$)/gm;
+const CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+// Extractive answers (for the built-in local model): at most this many quoted sentences,
+// each covering at least this share of the question's terms (besides the best one)
+const EXTRACT_MAX_SENTENCES = 3;
+const EXTRACT_MIN_COVERAGE = 0.3;
+// Document answers from answerFromDocuments(): the best sentence must cover this share of the question
+const DOCUMENT_ANSWER_MIN_COVERAGE = 0.5;
+// Query rewriting: how many alternative phrasings are searched besides the question itself,
+// and how many prior turns a follow-up is condensed from
+const QUERY_VARIANTS = parseInt(process.env.RAG_QUERY_VARIANTS, 10) || 3;
+const HISTORY_TURNS = 6;
+const FOLLOW_UP = /^(and|also|so|then|what about|how about)\b|\b(it|its|this|that|these|those|they|them|their|there|one)\b/i;
+const QUERY_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    standalone: { type: 'string' },
+    queries: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['standalone', 'queries']
+};
+// Phrasings that docs and questions tend to disagree on, for rewriting without an LLM
+const QUERY_SYNONYMS = [
+  ['roll back', 'rollback', 'revert', 'undo'],
+  ['deploy', 'release', 'ship', 'rollout'],
+  ['restart', 'reboot', 'bounce'],
+  ['outage', 'incident', 'downtime'],
+  ['credentials', 'secrets', 'password', 'api key'],
+  ['set up', 'setup', 'install', 'configure'],
+  ['log in', 'login', 'sign in', 'authenticate'],
+  ['delete', 'remove', 'drop'],
+  ['error', 'failure', 'exception']
+];
+
+// Preferred places to end a chunk, best first
+const CHUNK_BREAKS = [/\n\s*\n/g, /[.!?]\s/g, /\s/g];
+
+function findLastBreak(window, minIndex) {
+  for (const pattern of CHUNK_BREAKS) {
+    let breakAt = -1;
+    for (const match of window.matchAll(pattern)) {
+      if (match.index >= minIndex) {
+        breakAt = match.index + match[0].length;
+      }
+    }
+    if (breakAt > 0) {
+      return breakAt;
+    }
+  }
+  return -1;
+}
+
+function countTerms(terms) {
+  const counts = {};
+  terms.forEach(term => {
+    counts[term] = (counts[term] || 0) + 1;
+  });
+  return counts;
+}
+
+// Chunks ordered by score, best first; ties keep index order
+function rankBy(items, key) {
+  return items
+    .filter(item => item[key] !== undefined)
+    .sort((a, b) => b[key] - a[key]);
+}
+
+// Trimmed, non-empty queries with case-insensitive repeats removed
+function uniqueQueries(queries) {
+  const seen = new Set();
+  return queries
+    .filter(query => typeof query === 'string' && query.trim())
+    .map(query => query.trim())
+    .filter(query => !seen.has(query.toLowerCase()) && seen.add(query.toLowerCase()));
+}
+
+// Share of `terms` that are also in `found` (both Sets of nlpService terms)
+function termCoverage(terms, found) {
+  if (!terms.size) {
+    return 0;
+  }
+  return Array.from(terms).filter(term => found.has(term)).length / terms.size;
+}
+
+function createRAGError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+}
+
+// Index keys of repository files; uploaded documents are keyed by filename
+function repositoryKey(repositoryId, filePath) {
+  return `repo:${repositoryId}:${filePath}`;
+}
+
+// Documents in the default collection keep their plain filename as index key
+function documentKey(collection, filename) {
+  return collection === DEFAULT_COLLECTION ? filename : `${collection}/${filename}`;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(`${token}`).digest('hex');
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Index key of a pinned older version of a document
+function versionKey(key, version) {
+  return `${key}@v${version}`;
+}
+
+/**
+ * Line diff of two texts (longest common subsequence), as runs of added and removed
+ * lines with the line number they start at in the old and new text
+ */
+function diffLines(oldText, newText) {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix += 1;
+  }
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix
+    && oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix += 1;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const operations = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a.forEach(line => operations.push(['removed', line]));
+    b.forEach(line => operations.push(['added', line]));
+  } else {
+    // lengths[i][j]: longest common subsequence of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i -= 1) {
+      for (let j = b.length - 1; j >= 0; j -= 1) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        operations.push(['unchanged', a[i]]);
+        i += 1;
+        j += 1;
+      } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        operations.push(['removed', a[i]]);
+        i += 1;
+      } else {
+        operations.push(['added', b[j]]);
+        j += 1;
+      }
+    }
+  }
+
+  const changes = [];
+  let oldLine = prefix + 1;
+  let newLine = prefix + 1;
+  operations.forEach(([type, line]) => {
+    if (type !== 'unchanged') {
+      const last = changes[changes.length - 1];
+      const continues = last && last.type === type
+        && (type === 'added' ? last.newLine + last.lines.length === newLine : last.oldLine + last.lines.length === oldLine);
+      if (continues) {
+        last.lines.push(line);
+      } else {
+        changes.push({ type, oldLine, newLine, lines: [line] });
+      }
+    }
+    if (type !== 'added') {
+      oldLine += 1;
+    }
+    if (type !== 'removed') {
+      newLine += 1;
+    }
+  });
+
+  return changes;
+}
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
 /**
  * RAG (Retrieval-Augmented Generation) Service
- * Supports two data sources: GitHub repositories and local server storage
+ * Supports two data sources: code repositories and local server storage.
+ * Server documents are split into overlapping chunks and embedded locally; the
+ * chunk index is persisted next to the documents and kept in sync with them.
+ * Repositories (GitHub or local git checkouts) are indexed into the same store
+ * and re-synced incrementally by commit and blob SHA.
  */
 
 class RAGService {
   constructor() {
     this.githubClient = null;
-    this.serverStoragePath = path.join(__dirname, 'rag_storage');
-    this.vectorStore = new Map(); // Simple in-memory vector store
-    
+    this.serverStoragePath = process.env.RAG_STORAGE_PATH || path.join(__dirname, 'rag_storage');
+    this.indexPath = process.env.RAG_INDEX_PATH || path.join(__dirname, 'rag_index.json');
+    // filename (or repo:<id>:<path>, or <filename>@v<n> for a pinned older version)
+    //   -> { mtimeMs, size, version, embeddingModel, chunks: [{ index, start, end, text, embedding }] }
+    this.vectorStore = new Map();
+    // repository id -> { id, type, owner, repo, localPath, branch, ref, commit, syncedAt, sync }
+    this.repositories = new Map();
+    // collection name -> { name, description, createdAt, tokenHash }
+    this.collections = new Map();
+    this.collectionsLoaded = null;
+    this.repositorySyncs = new Map();
+    this.indexLoaded = null;
+    this.indexQueue = Promise.resolve();
+
     this.initializeGitHubClient();
     this.initializeServerStorage();
   }
@@ -135,199 +393,1644 @@ class RAGService {
   }
 
   /**
-   * Search server storage for relevant documents
+   * Split text into overlapping chunks, ending each at a paragraph, sentence or
+   * word boundary where possible
+   * @returns {Array<{text: string, start: number, end: number}>} Chunks with their offsets in `text`
    */
-  async searchServer(query, options = {}) {
-    try {
-      const { maxResults = 5 } = options;
+  chunkText(text, { chunkSize = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+    const chunks = [];
+    let start = 0;
 
-      logger.info('Searching server storage', { query, path: this.serverStoragePath });
+    while (start < text.length) {
+      let end = Math.min(start + chunkSize, text.length);
 
-      // Read all files from storage
-      const files = await fs.readdir(this.serverStoragePath);
-      const results = [];
-
-      for (const file of files) {
-        if (file.endsWith('.txt') || file.endsWith('.md') || file.endsWith('.json')) {
-          const filePath = path.join(this.serverStoragePath, file);
-          const content = await fs.readFile(filePath, 'utf-8');
-
-          // Simple keyword matching (can be replaced with vector similarity)
-          const relevanceScore = this.calculateRelevance(query, content);
-
-          if (relevanceScore > 0) {
-            results.push({
-              source: 'server',
-              path: file,
-              content: content.substring(0, 1000),
-              score: relevanceScore,
-              timestamp: (await fs.stat(filePath)).mtime
-            });
-          }
+      if (end < text.length) {
+        const breakAt = findLastBreak(text.slice(start, end), Math.floor(chunkSize / 2));
+        if (breakAt > 0) {
+          end = start + breakAt;
         }
       }
 
-      // Sort by relevance and limit results
-      results.sort((a, b) => b.score - a.score);
-      return results.slice(0, maxResults);
-    } catch (error) {
-      logger.error('Server search failed', { error: error.message });
-      throw error;
+      const chunk = text.slice(start, end).trim();
+      if (chunk) {
+        chunks.push({ text: chunk, start, end });
+      }
+
+      if (end >= text.length) {
+        break;
+      }
+
+      // Step back by the overlap, then forward to the next word so chunks do not start mid-word
+      let next = Math.max(end - overlap, start + 1);
+      const wordStart = /\S/.test(text[next - 1]) ? text.slice(next, end).search(/\s\S/) : -1;
+      if (wordStart >= 0) {
+        next += wordStart + 1;
+      }
+      start = next;
     }
+
+    return chunks;
   }
 
   /**
-   * Calculate simple relevance score
+   * Chunk row-per-line text (converted CSV) without splitting rows
    */
-  calculateRelevance(query, content) {
-    const queryTerms = query.toLowerCase().split(/\s+/);
-    const contentLower = content.toLowerCase();
-    let score = 0;
+  chunkRows(text, { chunkSize = CHUNK_SIZE } = {}) {
+    const chunks = [];
+    let current = null;
+    let offset = 0;
+
+    for (const line of text.split('\n')) {
+      const start = offset;
+      const end = start + line.length;
+      offset = end + 1;
+
+      if (!line.trim()) {
+        continue;
+      }
+
+      if (current && end - current.start <= chunkSize) {
+        current.end = end;
+        continue;
+      }
+
+      if (current) {
+        chunks.push(current);
+      }
+
+      if (line.length > chunkSize) {
+        chunks.push(...this.chunkText(line, { chunkSize }).map(chunk => ({
+          ...chunk,
+          start: start + chunk.start,
+          end: start + chunk.end
+        })));
+        current = null;
+      } else {
+        current = { start, end };
+      }
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
 
-    for (const term of queryTerms) {
-      const count = (contentLower.match(new RegExp(term, 'g')) || []).length;
-      score += count;
+    return chunks.map(chunk => ({ text: chunk.text || text.slice(chunk.start, chunk.end).trim(), start: chunk.start, end: chunk.end }));
+  }
+
+  collectionPath(collection = DEFAULT_COLLECTION) {
+    return collection === DEFAULT_COLLECTION
+      ? this.serverStoragePath
+      : path.join(this.serverStoragePath, COLLECTIONS_DIR, collection);
+  }
+
+  metadataPath(filename, collection = DEFAULT_COLLECTION) {
+    return path.join(this.collectionPath(collection), METADATA_DIR, `${filename}.json`);
+  }
+
+  async readMetadata(filename, collection = DEFAULT_COLLECTION) {
+    try {
+      return JSON.parse(await fs.readFile(this.metadataPath(filename, collection), 'utf-8'));
+    } catch (error) {
+      return null;
     }
+  }
 
-    return score;
+  versionsPath(filename, collection = DEFAULT_COLLECTION) {
+    return path.join(this.collectionPath(collection), VERSIONS_DIR, filename);
   }
 
   /**
-   * Upload document to server storage
+   * Version history of a document, oldest first: [{ version, hash, size, uploader, uploadedAt }]
    */
-  async uploadDocument(filename, content) {
+  async readVersions(filename, collection = DEFAULT_COLLECTION) {
     try {
-      const filePath = path.join(this.serverStoragePath, filename);
-      await fs.writeFile(filePath, content, 'utf-8');
+      return JSON.parse(await fs.readFile(path.join(this.versionsPath(filename, collection), VERSIONS_FILE), 'utf-8'));
+    } catch (error) {
+      return [];
+    }
+  }
 
-      logger.info('Document uploaded to server storage', { filename });
+  async readVersionContent(filename, version, collection = DEFAULT_COLLECTION) {
+    return fs.readFile(path.join(this.versionsPath(filename, collection), `${version}.txt`), 'utf-8');
+  }
 
-      return {
-        success: true,
-        filename,
-        path: filePath,
-        size: content.length
+  /**
+   * Keep `content` as the next version of a document unless it matches the latest one.
+   * A document stored before versioning existed becomes version 1 first.
+   * @returns {Promise<{version: Object, unchanged: boolean}>}
+   */
+  async recordVersion(filename, content, { collection = DEFAULT_COLLECTION, uploader = null, metadata = null } = {}) {
+    const directory = this.versionsPath(filename, collection);
+    const versions = await this.readVersions(filename, collection);
+    const hash = hashContent(content);
+    let changed = false;
+
+    await fs.mkdir(directory, { recursive: true });
+
+    if (!versions.length) {
+      const filePath = path.join(this.collectionPath(collection), filename);
+      const existing = await fs.readFile(filePath, 'utf-8').catch(() => null);
+      if (existing !== null) {
+        await fs.writeFile(path.join(directory, '1.txt'), existing, 'utf-8');
+        versions.push({
+          version: 1,
+          hash: hashContent(existing),
+          size: Buffer.byteLength(existing),
+          uploader: null,
+          uploadedAt: (await fs.stat(filePath)).mtime.toISOString()
+        });
+        changed = true;
+      }
+    }
+
+    const latest = versions[versions.length - 1];
+    const unchanged = latest?.hash === hash;
+
+    if (!unchanged) {
+      const version = {
+        version: (latest?.version || 0) + 1,
+        hash,
+        size: Buffer.byteLength(content),
+        uploader: uploader || null,
+        uploadedAt: new Date().toISOString(),
+        ...(metadata && { originalName: metadata.originalName, format: metadata.format, chunking: metadata.chunking })
       };
-    } catch (error) {
-      logger.error('Document upload failed', { error: error.message, filename });
-      throw error;
+      await fs.writeFile(path.join(directory, `${version.version}.txt`), content, 'utf-8');
+      versions.push(version);
+      changed = true;
+    }
+
+    if (changed) {
+      await fs.writeFile(path.join(directory, VERSIONS_FILE), JSON.stringify(versions, null, 2));
+    }
+
+    return { version: versions[versions.length - 1], unchanged };
+  }
+
+  async loadCollections() {
+    if (!this.collectionsLoaded) {
+      this.collectionsLoaded = (async () => {
+        try {
+          const collections = JSON.parse(await fs.readFile(path.join(this.serverStoragePath, COLLECTIONS_FILE), 'utf-8'));
+          Object.values(collections).forEach(collection => this.collections.set(collection.name, collection));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            logger.error('Failed to load RAG collections', { error: error.message });
+          }
+        }
+      })();
     }
+
+    return this.collectionsLoaded;
+  }
+
+  async saveCollections() {
+    const file = path.join(this.serverStoragePath, COLLECTIONS_FILE);
+    const tempFile = `${file}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempFile, JSON.stringify(Object.fromEntries(this.collections), null, 2));
+    await fs.rename(tempFile, file);
   }
 
   /**
-   * List documents in server storage
+   * Check that a collection exists and, when it was created with an access token,
+   * that `token` matches it
+   * @throws {Error} 404 for unknown collections, 403 for a missing or wrong token
    */
-  async listDocuments() {
-    try {
-      const files = await fs.readdir(this.serverStoragePath);
-      const documents = [];
+  async authorizeCollection(name = DEFAULT_COLLECTION, token) {
+    await this.loadCollections();
+    if (name === DEFAULT_COLLECTION) {
+      return DEFAULT_COLLECTION;
+    }
 
-      for (const file of files) {
-        const filePath = path.join(this.serverStoragePath, file);
-        const stats = await fs.stat(filePath);
+    const collection = this.collections.get(name);
+    if (!collection) {
+      throw createRAGError(`Collection ${name} not found`, 404, 'COLLECTION_NOT_FOUND');
+    }
 
-        documents.push({
-          filename: file,
-          size: stats.size,
-          created: stats.birthtime,
-          modified: stats.mtime
-        });
+    if (collection.tokenHash) {
+      const expected = Buffer.from(collection.tokenHash, 'hex');
+      const actual = Buffer.from(hashToken(token || ''), 'hex');
+      if (!token || !crypto.timingSafeEqual(expected, actual)) {
+        throw createRAGError(`Access to collection ${name} requires its access token`, 403, 'COLLECTION_FORBIDDEN');
       }
+    }
 
-      return documents;
-    } catch (error) {
-      logger.error('Failed to list documents', { error: error.message });
-      throw error;
+    return name;
+  }
+
+  /**
+   * Collections a search covers: the requested ones (each authorized), or every
+   * collection that does not need a token
+   */
+  async resolveCollections(requested, token) {
+    await this.loadCollections();
+    const names = [].concat(requested || []).filter(Boolean);
+
+    if (!names.length) {
+      return [DEFAULT_COLLECTION, ...Array.from(this.collections.values())
+        .filter(collection => !collection.tokenHash)
+        .map(collection => collection.name)];
     }
+
+    return Promise.all([...new Set(names)].map(name => this.authorizeCollection(name, token)));
   }
 
   /**
-   * Delete document from server storage
+   * Create a named collection
+   * @param {Object} input - { name, description, accessToken, maxBytes } (with an access token,
+   * reading or changing the collection requires it; maxBytes overrides RAG_MAX_COLLECTION_BYTES)
    */
-  async deleteDocument(filename) {
-    try {
-      const filePath = path.join(this.serverStoragePath, filename);
-      await fs.unlink(filePath);
+  async createCollection({ name, description = '', accessToken, maxBytes } = {}) {
+    await this.loadCollections();
+
+    if (typeof name !== 'string' || !COLLECTION_NAME.test(name) || name === DEFAULT_COLLECTION) {
+      throw createRAGError('Invalid collection name: use 1-64 lowercase letters, numbers, _ or -, not "default"', 400);
+    }
+    if (this.collections.has(name)) {
+      throw createRAGError(`Collection ${name} already exists`, 409);
+    }
+    if (accessToken !== undefined && (typeof accessToken !== 'string' || accessToken.length < 8)) {
+      throw createRAGError('accessToken must be a string of at least 8 characters', 400);
+    }
+    if (maxBytes !== undefined && !(Number.isInteger(maxBytes) && maxBytes > 0)) {
+      throw createRAGError('maxBytes must be a positive integer', 400);
+    }
 
-      logger.info('Document deleted from server storage', { filename });
+    const collection = {
+      name,
+      description: `${description}`.slice(0, 500),
+      createdAt: new Date().toISOString(),
+      ...(maxBytes && { maxBytes }),
+      ...(accessToken && { tokenHash: hashToken(accessToken) })
+    };
 
-      return { success: true, filename };
-    } catch (error) {
-      logger.error('Document deletion failed', { error: error.message, filename });
-      throw error;
+    await fs.mkdir(this.collectionPath(name), { recursive: true });
+    this.collections.set(name, collection);
+    await this.saveCollections();
+
+    logger.info('RAG collection created', { name, protected: Boolean(accessToken) });
+    return this.getCollection(name);
+  }
+
+  /**
+   * Delete a collection with all of its documents
+   */
+  async deleteCollection(name, { token } = {}) {
+    if (name === DEFAULT_COLLECTION) {
+      throw createRAGError('The default collection cannot be deleted', 400);
     }
+    await this.authorizeCollection(name, token);
+
+    await fs.rm(this.collectionPath(name), { recursive: true, force: true });
+    this.collections.delete(name);
+    await this.saveCollections();
+    await this.syncIndex();
+
+    logger.info('RAG collection deleted', { name });
+    return { success: true, name };
   }
 
   /**
-   * Perform RAG query (retrieve + generate)
+   * Collection details with index statistics; never includes the access token
    */
-  async query(userQuery, options = {}) {
-    const { source = 'auto', llmService } = options;
+  getCollection(name) {
+    const collection = name === DEFAULT_COLLECTION
+      ? { name: DEFAULT_COLLECTION, description: 'Documents uploaded without a collection' }
+      : this.collections.get(name);
 
-    try {
-      let context = [];
+    if (!collection) {
+      return null;
+    }
 
-      // Retrieve relevant documents
-      if (source === 'github' || source === 'auto') {
-        if (this.githubClient) {
-          const githubResults = await this.searchGitHub(userQuery, options);
-          context.push(...githubResults);
+    const { tokenHash, ...details } = collection;
+    const entries = Array.from(this.vectorStore.values())
+      .filter(entry => !entry.repository && !entry.historical && (entry.collection || DEFAULT_COLLECTION) === name);
+
+    return {
+      ...details,
+      maxBytes: details.maxBytes || documentStorageService.maxCollectionBytes,
+      protected: Boolean(tokenHash),
+      documents: entries.length,
+      chunks: entries.reduce((total, entry) => total + entry.chunks.length, 0),
+      size: entries.reduce((total, entry) => total + entry.size, 0)
+    };
+  }
+
+  async listCollections() {
+    await this.loadCollections();
+    await this.loadIndex();
+    return [DEFAULT_COLLECTION, ...this.collections.keys()].map(name => this.getCollection(name));
+  }
+
+  async loadIndex() {
+    if (!this.indexLoaded) {
+      this.indexLoaded = (async () => {
+        try {
+          const index = JSON.parse(await fs.readFile(this.indexPath, 'utf-8'));
+          if (index.version === INDEX_VERSION) {
+            Object.entries(index.documents || {}).forEach(([file, entry]) => this.vectorStore.set(file, entry));
+            Object.values(index.repositories || {}).forEach(repository => {
+              // A sync that was running when the process stopped has to be started again
+              if (repository.sync?.state === 'running') {
+                repository.sync = { ...repository.sync, state: 'interrupted' };
+              }
+              this.repositories.set(repository.id, repository);
+            });
+          }
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            logger.warn('Ignoring unreadable RAG index, documents will be re-indexed', { error: error.message });
+          }
+        }
+      })();
+    }
+
+    return this.indexLoaded;
+  }
+
+  async saveIndex() {
+    const index = {
+      version: INDEX_VERSION,
+      documents: Object.fromEntries(this.vectorStore),
+      repositories: Object.fromEntries(this.repositories)
+    };
+    const tempFile = `${this.indexPath}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempFile, JSON.stringify(index));
+    await fs.rename(tempFile, this.indexPath);
+  }
+
+  /**
+   * Add search statistics and embeddings to chunks
+   * @param {string} header - Text embedded and tokenized with every chunk (e.g. the file path)
+   * @param {Object} previous - Earlier index entry of the same file; chunks whose text is
+   *   unchanged keep its statistics and embeddings instead of being embedded again
+   */
+  async buildChunks(chunks, embeddingModel, header = '', previous = null) {
+    const reusable = new Map(previous && previous.embeddingModel === embeddingModel
+      ? previous.chunks.map(chunk => [chunk.text, chunk])
+      : []);
+    const texts = chunks.map(chunk => (header ? `${header}\n${chunk.text}` : chunk.text));
+    const missing = chunks.map((chunk, index) => index).filter(index => !reusable.has(chunks[index].text));
+    const computed = embeddingModel && missing.length
+      ? await embeddingService.embed(missing.map(index => texts[index]))
+      : null;
+    const embeddings = new Map(computed ? missing.map((index, i) => [index, computed[i]]) : []);
+    const embedded = Boolean(embeddingModel) && (Boolean(computed) || !missing.length);
+
+    return {
+      embeddingModel: embedded ? embeddingModel : null,
+      chunks: chunks.map((chunk, index) => {
+        const reused = reusable.get(chunk.text);
+        if (reused) {
+          return { index, ...chunk, terms: reused.terms, length: reused.length, embedding: embedded ? reused.embedding : null };
         }
+
+        const terms = nlpService.tokenize(texts[index]);
+        return {
+          index,
+          ...chunk,
+          // BM25 statistics: term frequencies and chunk length in terms
+          terms: countTerms(terms),
+          length: terms.length,
+          // Five decimals keep the ranking intact and the index file small
+          embedding: embedded ? embeddings.get(index).map(value => Math.round(value * 1e5) / 1e5) : null
+        };
+      })
+    };
+  }
+
+  async indexFile({ key, collection, filename }, stats, embeddingModel) {
+    const content = await fs.readFile(path.join(this.collectionPath(collection), filename), 'utf-8');
+    const metadata = await this.readMetadata(filename, collection);
+    const chunks = metadata?.chunking === 'rows' ? this.chunkRows(content) : this.chunkText(content);
+    // Files changed on disk outside uploadDocument have no matching version
+    const latest = (await this.readVersions(filename, collection)).pop();
+    const version = latest?.hash === hashContent(content) ? latest : null;
+
+    this.vectorStore.set(key, {
+      collection,
+      filename,
+      mtimeMs: stats.mtimeMs,
+      size: stats.size,
+      ...(version && { version: version.version, hash: version.hash }),
+      ...(metadata && { originalName: metadata.originalName, format: metadata.format }),
+      ...(await this.buildChunks(chunks, embeddingModel, '', this.vectorStore.get(key)))
+    });
+  }
+
+  /**
+   * Index an older version of a document next to the latest one
+   */
+  async indexVersion({ key, collection, filename }, version, embeddingModel) {
+    const content = await this.readVersionContent(filename, version.version, collection);
+    const chunks = version.chunking === 'rows' ? this.chunkRows(content) : this.chunkText(content);
+
+    this.vectorStore.set(versionKey(key, version.version), {
+      collection,
+      filename,
+      historical: true,
+      mtimeMs: Date.parse(version.uploadedAt),
+      size: version.size,
+      version: version.version,
+      hash: version.hash,
+      ...(version.originalName && { originalName: version.originalName, format: version.format }),
+      ...(await this.buildChunks(chunks, embeddingModel, '', this.vectorStore.get(key)))
+    });
+    await this.saveIndex();
+  }
+
+  /**
+   * Make sure the requested versions of documents are indexed, so a search can use them
+   * in place of the latest ones
+   * @param {Object} versions - filename -> version number, applied in every searched collection
+   * @returns {Promise<Map<string, string>>} Index key of the latest version -> key of the pinned one
+   */
+  async pinVersions(versions, collections) {
+    const pinned = new Map();
+    const embeddingModel = embeddingService.isAvailable() ? embeddingService.modelName : null;
+
+    for (const [filename, requested] of Object.entries(versions || {})) {
+      documentStorageService.validateId(filename);
+      const number = parseInt(requested, 10);
+      const stored = collections.filter(collection => this.vectorStore.has(documentKey(collection, filename)));
+
+      if (!stored.length) {
+        throw createRAGError(`Document ${filename} not found`, 404, 'DOCUMENT_NOT_FOUND');
       }
 
-      if (source === 'server' || source === 'auto') {
-        const serverResults = await this.searchServer(userQuery, options);
-        context.push(...serverResults);
+      for (const collection of stored) {
+        const key = documentKey(collection, filename);
+        if (this.vectorStore.get(key).version === number) {
+          continue;
+        }
+
+        const version = (await this.readVersions(filename, collection)).find(entry => entry.version === number);
+        if (!version) {
+          throw createRAGError(`Version ${requested} of ${filename} not found`, 404);
+        }
+
+        if (this.vectorStore.get(versionKey(key, number))?.embeddingModel !== embeddingModel) {
+          await this.enqueueIndexTask(() => this.indexVersion({ key, collection, filename }, version, embeddingModel));
+        }
+        pinned.set(key, versionKey(key, number));
       }
+    }
 
-      // Sort by relevance
-      context.sort((a, b) => b.score - a.score);
-      const topContext = context.slice(0, 3);
+    return pinned;
+  }
 
-      // Build augmented prompt
-      const contextText = topContext.map((ctx, idx) => 
-        `[Source ${idx + 1}: ${ctx.source} - ${ctx.path}]\n${ctx.content}`
-      ).join('\n\n---\n\n');
+  /**
+   * Run a change to the index after the ones already queued
+   */
+  async enqueueIndexTask(task) {
+    this.indexQueue = this.indexQueue.then(task, task);
+    return this.indexQueue;
+  }
 
-      const augmentedPrompt = `Based on the following context, please answer the question.
+  /**
+   * Bring the chunk index in line with the files in storage: new and modified files are
+   * (re-)indexed, deleted ones dropped. Runs are serialized.
+   */
+  async syncIndex() {
+    return this.enqueueIndexTask(() => this.refreshIndex());
+  }
 
-Context:
-${contextText}
+  async refreshIndex() {
+    await this.loadIndex();
+    await this.loadCollections();
 
-Question: ${userQuery}
+    const files = [];
+    for (const collection of [DEFAULT_COLLECTION, ...this.collections.keys()]) {
+      const entries = await fs.readdir(this.collectionPath(collection), { withFileTypes: true }).catch(() => []);
+      entries
+        // Dotfiles are the service's own bookkeeping (registry, index), not documents
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.')
+          && INDEXED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .forEach(entry => files.push({ key: documentKey(collection, entry.name), collection, filename: entry.name }));
+    }
+    const keys = new Set(files.map(file => file.key));
+    const embeddingModel = embeddingService.isAvailable() ? embeddingService.modelName : null;
+    let changed = false;
 
-Answer:`;
+    for (const file of files) {
+      const stats = await fs.stat(path.join(this.collectionPath(file.collection), file.filename));
+      const entry = this.vectorStore.get(file.key);
 
-      return {
-        context: topContext,
-        augmentedPrompt,
-        sources: topContext.map(ctx => ({
-          source: ctx.source,
-          path: ctx.path,
-          url: ctx.url,
-          score: ctx.score
-        }))
-      };
-    } catch (error) {
-      logger.error('RAG query failed', { error: error.message, query: userQuery });
-      throw error;
+      if (!entry || entry.mtimeMs !== stats.mtimeMs || entry.size !== stats.size || entry.embeddingModel !== embeddingModel) {
+        await this.indexFile(file, stats, embeddingModel);
+        changed = true;
+      }
+    }
+
+    for (const [key, entry] of this.vectorStore) {
+      // Pinned older versions stay as long as their document does
+      const stored = keys.has(entry.historical ? documentKey(entry.collection, entry.filename) : key);
+      if (!entry.repository && !stored) {
+        this.vectorStore.delete(key);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await this.saveIndex();
+      logger.info('RAG index updated', { documents: this.vectorStore.size, embeddingModel });
     }
   }
 
   /**
-   * Check if RAG sources are configured
+   * BM25 score of every chunk containing at least one query term
+   * @param {Array<string>} queryTerms - Tokenized query
+   * @param {Array<Object>} candidates - { chunk } entries across all documents
    */
-  getStatus() {
-    return {
-      github: {
-        configured: !!this.githubClient,
-        owner: process.env.GITHUB_RAG_OWNER || null,
-        repo: process.env.GITHUB_RAG_REPO || null
-      },
-      server: {
-        configured: true,
-        path: this.serverStoragePath
+  scoreKeywords(queryTerms, candidates) {
+    const uniqueTerms = [...new Set(queryTerms)];
+    const totalChunks = candidates.length;
+    const averageLength = candidates.reduce((total, { chunk }) => total + chunk.length, 0) / (totalChunks || 1);
+
+    const idf = {};
+    uniqueTerms.forEach(term => {
+      const documentFrequency = candidates.filter(({ chunk }) => chunk.terms[term]).length;
+      idf[term] = Math.log(1 + (totalChunks - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    });
+
+    candidates.forEach(candidate => {
+      const { terms, length } = candidate.chunk;
+      let score = 0;
+
+      uniqueTerms.forEach(term => {
+        const frequency = terms[term] || 0;
+        if (frequency) {
+          score += idf[term] * (frequency * (BM25_K1 + 1))
+            / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * (length / (averageLength || 1))));
+        }
+      });
+
+      if (score > 0) {
+        candidate.keywordScore = score;
       }
+    });
+  }
+
+  async scoreVectors(query, candidates, minScore) {
+    const [queryEmbedding] = (await embeddingService.embed([query])) || [];
+    if (!queryEmbedding) {
+      return false;
+    }
+
+    candidates.forEach(candidate => {
+      const score = dotProduct(queryEmbedding, candidate.chunk.embedding);
+      if (score >= minScore) {
+        candidate.vectorScore = score;
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Score `candidates` ({ chunk } with BM25 terms and embeddings) against the query and
+   * sort them, fusing the keyword and vector rankings in hybrid mode. Candidates that
+   * match neither way are dropped.
+   * @returns {Promise<{ranked: Array, retrieval: string}>} `retrieval` is the mode actually used
+   */
+  async rankCandidates(query, candidates, { mode = 'hybrid', minScore = MIN_VECTOR_SCORE, embedded = false } = {}) {
+    const useVectors = mode !== 'keyword' && embedded && await this.scoreVectors(query, candidates, minScore);
+    const useKeywords = mode !== 'vector' || !useVectors;
+    if (useKeywords) {
+      this.scoreKeywords(nlpService.tokenize(query), candidates);
+    }
+
+    const retrieval = useVectors && useKeywords ? 'hybrid' : (useVectors ? 'vector' : 'keyword');
+
+    if (retrieval !== 'hybrid') {
+      const key = retrieval === 'vector' ? 'vectorScore' : 'keywordScore';
+      return {
+        ranked: rankBy(candidates, key).map(candidate => Object.assign(candidate, { score: candidate[key] })),
+        retrieval
+      };
+    }
+
+    const fused = new Map();
+    [rankBy(candidates, 'keywordScore'), rankBy(candidates, 'vectorScore')].forEach(ranking => {
+      ranking.forEach((candidate, rank) => {
+        fused.set(candidate, (fused.get(candidate) || 0) + 1 / (RRF_K + rank + 1));
+      });
+    });
+    fused.forEach((score, candidate) => {
+      candidate.score = score;
+    });
+    return { ranked: rankBy(Array.from(fused.keys()), 'score'), retrieval };
+  }
+
+  /**
+   * Rank text that is not in the index (e.g. fetched web pages) against a question, with
+   * the same chunking and scoring as indexed documents
+   * @param {string} query - Question
+   * @param {Array<{text: string}>} passages - Texts to chunk; other fields are kept on the results
+   * @param {Object} options - { maxResults, mode }
+   * @returns {Promise<Array>} Best chunks: the passage fields plus { content, score, retrieval }
+   */
+  async rankPassages(query, passages = [], { maxResults = 5, mode = 'hybrid' } = {}) {
+    const embeddingModel = mode !== 'keyword' && embeddingService.isAvailable() ? embeddingService.modelName : null;
+    const candidates = [];
+
+    for (const { text, ...passage } of passages) {
+      const { chunks } = await this.buildChunks(this.chunkText(text || ''), embeddingModel);
+      chunks.forEach(chunk => candidates.push({ passage, chunk }));
+    }
+
+    const embedded = candidates.length > 0 && candidates.every(({ chunk }) => chunk.embedding);
+    const { ranked, retrieval } = await this.rankCandidates(query, candidates, { mode, embedded });
+
+    return ranked.slice(0, maxResults).map(({ passage, chunk, score, keywordScore, vectorScore }) => ({
+      ...passage,
+      content: chunk.text,
+      score,
+      scores: { keyword: keywordScore, vector: vectorScore },
+      retrieval
+    }));
+  }
+
+  /**
+   * Search the index for the chunks most relevant to the query.
+   * - keyword: BM25 over nlpService terms
+   * - vector: cosine similarity of local embeddings
+   * - hybrid (default): both rankings merged with reciprocal-rank fusion
+   * Without an embedding model every mode falls back to keyword search. With
+   * `rerank` (or RAG_RERANK=true) the fused candidates are re-scored by a local cross-encoder.
+   * `scope` picks uploaded documents (server), indexed repositories or all of them;
+   * `collections` (with `token` for protected ones) narrows the documents searched, and
+   * `versions` ({ filename: version }) searches older versions of documents instead of the latest.
+   */
+  async searchIndex(query, options = {}) {
+    try {
+      const {
+        maxResults = 5,
+        minScore = MIN_VECTOR_SCORE,
+        mode = 'hybrid',
+        rerank = RERANK_ENABLED,
+        scope = 'server',
+        collections,
+        token,
+        versions
+      } = options;
+
+      if (!SEARCH_MODES.includes(mode)) {
+        throw createRAGError(`Invalid search mode "${mode}". Use one of: ${SEARCH_MODES.join(', ')}`, 400);
+      }
+      if (!SEARCH_SCOPES.includes(scope)) {
+        throw createRAGError(`Invalid search scope "${scope}". Use one of: ${SEARCH_SCOPES.join(', ')}`, 400);
+      }
+
+      const searched = new Set(scope === 'repository' ? [] : await this.resolveCollections(collections, token));
+
+      logger.info('Searching RAG index', { query, mode, scope, collections: Array.from(searched) });
+
+      await this.syncIndex();
+      const pinned = scope === 'repository' ? new Map() : await this.pinVersions(versions, Array.from(searched));
+      const pinnedKeys = new Set(pinned.values());
+
+      const entries = Array.from(this.vectorStore.entries()).filter(([key, entry]) => {
+        if (entry.repository) {
+          return scope !== 'server';
+        }
+        if (scope === 'repository' || !searched.has(entry.collection || DEFAULT_COLLECTION)) {
+          return false;
+        }
+        return entry.historical ? pinnedKeys.has(key) : !pinned.has(key);
+      });
+      const candidates = entries.flatMap(([file, entry]) => entry.chunks.map(chunk => ({ file, entry, chunk })));
+      const embedded = candidates.length > 0 && entries.every(([, entry]) => entry.embeddingModel);
+
+      let { ranked, retrieval } = await this.rankCandidates(query, candidates, { mode, minScore, embedded });
+
+      // The cross-encoder is slow, so it only sees a shortlist
+      let reranked = false;
+      if (rerank && ranked.length > 1) {
+        const shortlist = ranked.slice(0, Math.max(maxResults * 4, 20));
+        const rerankScores = await embeddingService.rerank(query, shortlist.map(({ chunk }) => chunk.text));
+
+        if (rerankScores) {
+          shortlist.forEach((candidate, i) => {
+            candidate.rerankScore = rerankScores[i];
+            candidate.score = rerankScores[i];
+          });
+          ranked = rankBy(shortlist, 'score');
+          reranked = true;
+        }
+      }
+
+      return ranked.slice(0, maxResults).map(({ file, entry, chunk, score, keywordScore, vectorScore, rerankScore }) => ({
+        ...this.describeEntry(file, entry, chunk),
+        content: chunk.text,
+        chunk: chunk.index,
+        start: chunk.start,
+        end: chunk.end,
+        score,
+        scores: { keyword: keywordScore, vector: vectorScore, rerank: rerankScore },
+        retrieval,
+        reranked,
+        timestamp: new Date(entry.mtimeMs)
+      }));
+    } catch (error) {
+      logger.error('Index search failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Where a search result comes from: an uploaded document or a repository file
+   */
+  describeEntry(file, entry, chunk) {
+    if (!entry.repository) {
+      return {
+        source: 'server',
+        path: entry.filename || file,
+        collection: entry.collection || DEFAULT_COLLECTION,
+        ...(entry.version && { version: entry.version }),
+        ...(entry.originalName && { originalName: entry.originalName, format: entry.format })
+      };
+    }
+
+    const repository = this.repositories.get(entry.repository);
+    return {
+      source: 'repository',
+      path: entry.path,
+      repository: entry.repository,
+      commit: repository?.commit,
+      language: entry.language,
+      startLine: chunk.startLine,
+      endLine: chunk.endLine,
+      url: repositoryIndexService.fileUrl(repository, entry.path, chunk)
+    };
+  }
+
+  /**
+   * Search uploaded documents
+   */
+  async searchServer(query, options = {}) {
+    return this.searchIndex(query, { ...options, scope: 'server' });
+  }
+
+  /**
+   * Search indexed repositories
+   */
+  async searchRepositories(query, options = {}) {
+    return this.searchIndex(query, { ...options, scope: 'repository' });
+  }
+
+  /**
+   * Register a repository and index it. The sync runs in the background unless
+   * `wait` is set; its progress is reported by getStatus().
+   * @param {Object} input - { owner, repo, branch } for GitHub or { localPath, branch } for a local checkout
+   * @param {Object} options - { token, wait }
+   */
+  async addRepository(input, { token, wait = false } = {}) {
+    await this.loadIndex();
+    const repository = repositoryIndexService.normalizeRepository(input);
+    const existing = this.repositories.get(repository.id);
+
+    if (existing && (existing.type !== repository.type || existing.localPath !== repository.localPath
+      || existing.owner !== repository.owner || existing.repo !== repository.repo)) {
+      throw createRAGError(`Repository ${repository.id} is already indexed from another source`, 409);
+    }
+
+    this.repositories.set(repository.id, {
+      ...existing,
+      ...repository,
+      // A different branch means a different tree; the next sync replaces the files
+      ...(existing && existing.branch !== repository.branch && { commit: null })
+    });
+
+    const sync = this.syncRepository(repository.id, { token });
+    if (wait) {
+      await sync;
+    } else {
+      sync.catch(() => {});
+    }
+
+    return this.getRepository(repository.id);
+  }
+
+  /**
+   * Bring a repository's files in the index up to date with its branch head. Only
+   * files whose blob SHA changed are re-read and re-embedded.
+   * @param {Object} options - { token, force } (force re-indexes every file)
+   */
+  async syncRepository(id, { token, force = false } = {}) {
+    await this.loadIndex();
+    const repository = this.repositories.get(id);
+
+    if (!repository) {
+      throw createRAGError(`Repository ${id} not found`, 404);
+    }
+
+    if (!this.repositorySyncs.has(id)) {
+      const run = this.runRepositorySync(repository, { token, force })
+        .finally(() => this.repositorySyncs.delete(id));
+      this.repositorySyncs.set(id, run);
+    }
+
+    return this.repositorySyncs.get(id);
+  }
+
+  async runRepositorySync(repository, { token, force }) {
+    const startedAt = new Date().toISOString();
+    repository.sync = { state: 'running', startedAt };
+
+    try {
+      const githubClient = token ? new (await loadOctokitCtor())({ auth: token }) : this.githubClient;
+      const reader = repositoryIndexService.createReader(repository, { githubClient });
+      const ref = await reader.resolveBranch();
+      const commit = await reader.getCommit(ref);
+      const embeddingModel = embeddingService.isAvailable() ? embeddingService.modelName : null;
+      const existing = new Map(Array.from(this.vectorStore.values())
+        .filter(entry => entry.repository === repository.id)
+        .map(entry => [entry.path, entry]));
+      const upToDate = !force && commit === repository.commit
+        && Array.from(existing.values()).every(entry => entry.embeddingModel === embeddingModel);
+
+      const stats = { files: existing.size, indexed: 0, unchanged: existing.size, removed: 0, skipped: 0 };
+      const updates = new Map();
+      let files = null;
+
+      if (!upToDate) {
+        logger.info('Syncing repository', { repository: repository.id, commit, previous: repository.commit || null });
+
+        files = repositoryIndexService.selectFiles(await reader.listFiles(commit), repository.id);
+        stats.unchanged = 0;
+
+        for (const file of files) {
+          const entry = existing.get(file.path);
+          if (!force && entry && entry.blobSha === file.sha && entry.embeddingModel === embeddingModel) {
+            stats.unchanged += 1;
+            continue;
+          }
+
+          const content = await reader.readFile(file);
+          if (content.includes(0)) {
+            stats.skipped += 1;
+            continue;
+          }
+
+          const chunks = repositoryIndexService.chunkCode(content.toString('utf-8'), file.path);
+          updates.set(file.path, {
+            repository: repository.id,
+            path: file.path,
+            blobSha: file.sha,
+            commit,
+            language: repositoryIndexService.detectLanguage(file.path).language,
+            mtimeMs: Date.now(),
+            size: content.length,
+            ...(await this.buildChunks(chunks, embeddingModel, `File: ${file.path}`, force ? null : entry))
+          });
+          stats.indexed += 1;
+        }
+      }
+
+      await this.enqueueIndexTask(async () => {
+        if (files) {
+          const listed = new Set(files.map(file => file.path));
+          for (const [key, entry] of this.vectorStore) {
+            if (entry.repository === repository.id && !listed.has(entry.path)) {
+              this.vectorStore.delete(key);
+              stats.removed += 1;
+            }
+          }
+          updates.forEach((entry, filePath) => this.vectorStore.set(repositoryKey(repository.id, filePath), entry));
+          stats.files = listed.size - stats.skipped;
+        }
+
+        Object.assign(repository, {
+          ref,
+          commit,
+          syncedAt: new Date().toISOString(),
+          sync: { state: 'idle', startedAt, finishedAt: new Date().toISOString(), ...stats }
+        });
+        await this.saveIndex();
+      });
+
+      logger.info('Repository synced', { repository: repository.id, commit, ...stats });
+      return this.getRepository(repository.id);
+    } catch (error) {
+      repository.sync = { state: 'failed', startedAt, finishedAt: new Date().toISOString(), error: error.message };
+      logger.error('Repository sync failed', { repository: repository.id, error: error.message });
+      throw error;
+    }
+  }
+
+  async removeRepository(id) {
+    await this.loadIndex();
+    if (!this.repositories.has(id)) {
+      throw createRAGError(`Repository ${id} not found`, 404);
+    }
+
+    await (this.repositorySyncs.get(id) || Promise.resolve()).catch(() => {});
+    await this.enqueueIndexTask(async () => {
+      for (const [key, entry] of this.vectorStore) {
+        if (entry.repository === id) {
+          this.vectorStore.delete(key);
+        }
+      }
+      this.repositories.delete(id);
+      await this.saveIndex();
+    });
+
+    logger.info('Repository removed from RAG index', { repository: id });
+    return { success: true, id };
+  }
+
+  getRepository(id) {
+    const repository = this.repositories.get(id);
+    if (!repository) {
+      return null;
+    }
+
+    const entries = Array.from(this.vectorStore.values()).filter(entry => entry.repository === id);
+    return {
+      ...repository,
+      index: {
+        files: entries.length,
+        chunks: entries.reduce((total, entry) => total + entry.chunks.length, 0)
+      }
+    };
+  }
+
+  listRepositories() {
+    return Array.from(this.repositories.keys()).map(id => this.getRepository(id));
+  }
+
+  /**
+   * Upload pasted text to server storage. Re-uploading a file adds a version; identical
+   * content is left alone. HTML and CSV still go through their extractors.
+   */
+  async uploadDocument(filename, content, { collection = DEFAULT_COLLECTION, token, uploader } = {}) {
+    return this.ingestDocument(filename, Buffer.from(`${content}`, 'utf-8'), {
+      mimeType: 'text/plain',
+      collection,
+      token,
+      uploader
+    });
+  }
+
+  /**
+   * Store an uploaded file (PDF, DOCX, HTML, CSV, text): its text is saved under a
+   * document ID derived from the file name (see documentStorageService) and indexed, with
+   * the original name and file details in a metadata sidecar. Text in formats the index
+   * does not read, and extracted text, is stored as `<id>.txt`.
+   * @param {string} filename - Original file name, kept as the display name
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { mimeType, collection, token, uploader }
+   * @throws 400 INVALID_FILENAME, 403/404 for the collection, 409 DOCUMENT_NAME_CONFLICT,
+   *   413 DOCUMENT_TOO_LARGE or QUOTA_EXCEEDED, 415 UNSUPPORTED_TYPE or CONTENT_MISMATCH,
+   *   422 UNREADABLE_DOCUMENT or EMPTY_DOCUMENT
+   */
+  async ingestDocument(filename, buffer, { mimeType, collection = DEFAULT_COLLECTION, token, uploader } = {}) {
+    try {
+      await this.authorizeCollection(collection, token);
+      const id = documentStorageService.documentId(filename);
+      documentStorageService.checkDocumentSize(buffer.length, filename);
+
+      const extracted = await documentExtractionService.extract(buffer, { filename, mimeType });
+      const storedName = extracted.format === 'text' && INDEXED_EXTENSIONS.includes(path.extname(id).toLowerCase())
+        ? id
+        : `${id}.txt`;
+      const filePath = documentStorageService.resolve(this.collectionPath(collection), storedName);
+      const metadata = {
+        originalName: filename,
+        format: extracted.format,
+        mimeType: mimeType || null,
+        originalSize: buffer.length,
+        chunking: extracted.chunking,
+        uploadedAt: new Date().toISOString(),
+        ...extracted.metadata
+      };
+
+      // Versions are numbered in the index queue so concurrent uploads cannot claim the same one
+      const { version, unchanged } = await this.enqueueIndexTask(async () => {
+        const latest = (await this.readVersions(storedName, collection)).pop();
+        if (latest?.originalName && latest.originalName !== filename) {
+          throw createRAGError(
+            `${filename} would be stored as ${storedName}, which already holds ${latest.originalName}; rename the file`,
+            409,
+            'DOCUMENT_NAME_CONFLICT'
+          );
+        }
+
+        // New text is stored twice: as the current document and as its version snapshot
+        if (latest?.hash === hashContent(extracted.text)) {
+          return this.recordVersion(storedName, extracted.text, { collection, uploader, metadata });
+        }
+        await documentStorageService.checkQuota({
+          name: collection,
+          directory: this.collectionPath(collection),
+          skip: collection === DEFAULT_COLLECTION ? [COLLECTIONS_DIR] : [],
+          maxBytes: this.collections.get(collection)?.maxBytes
+        }, this.serverStoragePath, 2 * Buffer.byteLength(extracted.text));
+
+        return this.recordVersion(storedName, extracted.text, { collection, uploader, metadata });
+      });
+
+      if (!unchanged) {
+        await fs.mkdir(path.dirname(this.metadataPath(storedName, collection)), { recursive: true });
+        await fs.writeFile(this.metadataPath(storedName, collection), JSON.stringify(metadata, null, 2));
+        await fs.writeFile(filePath, extracted.text, 'utf-8');
+        await this.syncIndex();
+      }
+
+      logger.info('Document stored', {
+        filename,
+        storedName,
+        collection,
+        format: extracted.format,
+        version: version.version,
+        unchanged
+      });
+
+      return {
+        success: true,
+        filename: storedName,
+        name: filename,
+        collection,
+        size: extracted.text.length,
+        version: version.version,
+        unchanged,
+        metadata
+      };
+    } catch (error) {
+      logger.error('Document upload failed', { error: error.message, code: error.code, filename });
+      throw error;
+    }
+  }
+
+  /**
+   * List the documents of a collection
+   */
+  async listDocuments({ collection = DEFAULT_COLLECTION, token } = {}) {
+    try {
+      await this.authorizeCollection(collection, token);
+      const files = await fs.readdir(this.collectionPath(collection), { withFileTypes: true });
+      const documents = [];
+
+      for (const file of files) {
+        if (file.name.startsWith('.') || !file.isFile()) {
+          continue;
+        }
+
+        const filePath = path.join(this.collectionPath(collection), file.name);
+        const stats = await fs.stat(filePath);
+        const metadata = await this.readMetadata(file.name, collection);
+        const versions = await this.readVersions(file.name, collection);
+        const latest = versions[versions.length - 1];
+
+        // Files placed in storage by hand have no history; their mtime is the best there is
+        documents.push({
+          filename: file.name,
+          name: metadata?.originalName || file.name,
+          collection,
+          size: stats.size,
+          created: versions.length ? versions[0].uploadedAt : stats.mtime,
+          modified: latest ? latest.uploadedAt : stats.mtime,
+          version: latest ? latest.version : null,
+          versions: versions.length,
+          ...(latest && { hash: latest.hash, uploader: latest.uploader }),
+          ...(metadata && { metadata })
+        });
+      }
+
+      return documents;
+    } catch (error) {
+      logger.error('Failed to list documents', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a document from a collection
+   */
+  async deleteDocument(filename, { collection = DEFAULT_COLLECTION, token } = {}) {
+    try {
+      await this.authorizeCollection(collection, token);
+      const filePath = documentStorageService.resolve(this.collectionPath(collection), filename);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (!stats?.isFile()) {
+        throw createRAGError(`Document ${filename} not found`, 404, 'DOCUMENT_NOT_FOUND');
+      }
+
+      await fs.unlink(filePath);
+      await fs.rm(this.metadataPath(filename, collection), { force: true });
+      await fs.rm(this.versionsPath(filename, collection), { recursive: true, force: true });
+      await this.syncIndex();
+
+      logger.info('Document deleted from server storage', { filename, collection });
+
+      return { success: true, filename, collection };
+    } catch (error) {
+      logger.error('Document deletion failed', { error: error.message, filename });
+      throw error;
+    }
+  }
+
+  /**
+   * Version history of a document
+   */
+  async listVersions(filename, { collection = DEFAULT_COLLECTION, token } = {}) {
+    await this.authorizeCollection(collection, token);
+    documentStorageService.validateId(filename);
+    const versions = await this.readVersions(filename, collection);
+
+    if (!versions.length) {
+      throw createRAGError(`No version history for ${filename}`, 404, 'DOCUMENT_NOT_FOUND');
+    }
+
+    return { filename, collection, latest: versions[versions.length - 1].version, versions };
+  }
+
+  /**
+   * One version of a document with its content
+   */
+  async getVersion(filename, version, { collection = DEFAULT_COLLECTION, token } = {}) {
+    const { versions } = await this.listVersions(filename, { collection, token });
+    const entry = versions.find(candidate => candidate.version === parseInt(version, 10));
+
+    if (!entry) {
+      throw createRAGError(`Version ${version} of ${filename} not found`, 404);
+    }
+
+    return { filename, collection, ...entry, content: await this.readVersionContent(filename, entry.version, collection) };
+  }
+
+  /**
+   * Line diff between two versions of a document; defaults to the latest version
+   * against the one before it
+   */
+  async diffVersions(filename, { from, to, collection = DEFAULT_COLLECTION, token } = {}) {
+    const { versions } = await this.listVersions(filename, { collection, token });
+    const find = version => versions.find(candidate => candidate.version === parseInt(version, 10));
+    const target = to ? find(to) : versions[versions.length - 1];
+    const base = from ? find(from) : versions[versions.indexOf(target) - 1];
+
+    if (!target) {
+      throw createRAGError(`Version ${to} of ${filename} not found`, 404);
+    }
+    if (!base) {
+      throw createRAGError(from ? `Version ${from} of ${filename} not found` : `No version of ${filename} before ${target.version}`, 404);
+    }
+
+    const changes = diffLines(
+      await this.readVersionContent(filename, base.version, collection),
+      await this.readVersionContent(filename, target.version, collection)
+    );
+    const count = type => changes.filter(change => change.type === type).reduce((total, change) => total + change.lines.length, 0);
+
+    return {
+      filename,
+      collection,
+      from: base.version,
+      to: target.version,
+      added: count('added'),
+      removed: count('removed'),
+      changes
+    };
+  }
+
+  /**
+   * Turn a question into the searches to run for it. A follow-up is condensed into a
+   * standalone question using the prior turns; with `rewrite` the question is also expanded
+   * into alternative phrasings. The selected LLM does the rewriting, except for the built-in
+   * local model (or when the LLM fails), where nlpService keywords and entities are used.
+   * @param {string} userQuery - Question as asked
+   * @param {Object} options - { history: [{ role, content }], rewrite, llmService, model }
+   * @returns {Promise<{original: string, standalone: string, queries: Array<string>, method: string}>}
+   */
+  async planQueries(userQuery, { history, rewrite = false, llmService, model } = {}) {
+    const turns = (Array.isArray(history) ? history : [])
+      .filter(turn => turn && ['user', 'assistant'].includes(turn.role) && typeof turn.content === 'string' && turn.content.trim())
+      .slice(-HISTORY_TURNS);
+
+    if (!turns.length && !rewrite) {
+      return { original: userQuery, standalone: userQuery, queries: [userQuery], method: 'none' };
+    }
+
+    const modelId = model || llmService?.defaultModel;
+    if (llmService && modelRegistry.get(modelId)?.type !== 'local') {
+      try {
+        return await this.planQueriesWithLLM(userQuery, turns, rewrite, llmService, modelId);
+      } catch (error) {
+        logger.warn('LLM query rewriting failed, using keywords', { error: error.message, model: modelId });
+      }
+    }
+
+    return this.planQueriesLocally(userQuery, turns, rewrite);
+  }
+
+  async planQueriesWithLLM(userQuery, turns, rewrite, llmService, model) {
+    const conversation = turns
+      .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content.slice(0, 500)}`)
+      .join('\n');
+    const prompt = [
+      'You write search queries for a document collection.',
+      turns.length ? `Conversation so far:\n${conversation}\n` : null,
+      `Question: ${userQuery}`,
+      '',
+      turns.length
+        ? 'Set "standalone" to the question rewritten so it can be understood without the conversation. Do not answer it.'
+        : 'Set "standalone" to the question unchanged.',
+      rewrite
+        ? `Set "queries" to ${QUERY_VARIANTS} different search queries for it, using other wording and the terms documentation would likely use.`
+        : 'Set "queries" to an empty list.'
+    ].filter(line => line !== null).join('\n');
+
+    const result = await llmService.generateText(prompt, model, { temperature: 0, jsonSchema: QUERY_PLAN_SCHEMA });
+    const standalone = (turns.length && result.data.standalone.trim()) || userQuery;
+
+    return {
+      original: userQuery,
+      standalone,
+      queries: uniqueQueries([standalone, ...(rewrite ? result.data.queries : [])]).slice(0, QUERY_VARIANTS + 1),
+      method: 'llm'
+    };
+  }
+
+  planQueriesLocally(userQuery, turns, rewrite) {
+    const terms = nlpService.tokenize(userQuery);
+    const previous = turns.filter(turn => turn.role === 'user').pop();
+    let standalone = userQuery;
+
+    // A short or pronoun-led follow-up carries over the terms of the question before it
+    if (previous && (terms.length < 3 || FOLLOW_UP.test(userQuery))) {
+      const carried = Array.from(new Set(nlpService.tokenize(previous.content))).filter(term => !terms.includes(term));
+      if (carried.length) {
+        standalone = `${userQuery} (${carried.join(' ')})`;
+      }
+    }
+
+    const queries = [standalone];
+    if (rewrite) {
+      const keywords = nlpService.tokenize(standalone);
+      const alternatives = QUERY_SYNONYMS.flatMap(group => {
+        const found = group.find(phrase => new RegExp(`\\b${phrase}\\b`, 'i').test(standalone));
+        return found ? group.filter(phrase => phrase !== found) : [];
+      });
+      const entities = nlpService.extractEntities(standalone);
+      const phrases = [
+        ...entities.topics,
+        ...entities.organizations,
+        ...nlpService.extractKeywords(standalone, 5).map(keyword => keyword.text)
+      ].filter(phrase => nlpService.tokenize(phrase).length);
+
+      queries.push(keywords.join(' '));
+      if (alternatives.length) {
+        queries.push([...keywords, ...alternatives].join(' '));
+      }
+      queries.push(phrases.join(' '));
+    }
+
+    return {
+      original: userQuery,
+      standalone,
+      queries: uniqueQueries(queries).slice(0, QUERY_VARIANTS + 1),
+      method: 'local'
+    };
+  }
+
+  /**
+   * One retrieval pass over the sources selected by `options.source`
+   */
+  async retrieve(query, options = {}) {
+    const { source = 'auto' } = options;
+    const repositoriesIndexed = this.repositories.size > 0;
+    const context = [];
+
+    if (source === 'auto' && repositoriesIndexed) {
+      // One ranking over documents and code, so scores are comparable
+      context.push(...await this.searchIndex(query, { ...options, scope: 'all' }));
+    } else {
+      if (source === 'github' || source === 'auto') {
+        if (repositoriesIndexed) {
+          context.push(...await this.searchRepositories(query, options));
+        } else if (this.githubClient) {
+          // Live code search until a repository has been indexed
+          const githubResults = await this.searchGitHub(query, options);
+          context.push(...githubResults);
+        }
+      }
+
+      if (source === 'server' || source === 'auto') {
+        const serverResults = await this.searchServer(query, options);
+        context.push(...serverResults);
+      }
+    }
+
+    return context.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Perform RAG query (retrieve + generate). With `history` (prior turns) or `rewrite`
+   * the question is planned by planQueries() first; each query is retrieved separately
+   * and the rankings are fused, so `score` is then a reciprocal rank fusion score.
+   */
+  async query(userQuery, options = {}) {
+    const { history, rewrite = false, llmService, model } = options;
+
+    try {
+      await this.loadIndex();
+      const plan = await this.planQueries(userQuery, { history, rewrite, llmService, model });
+
+      // Retrieve relevant documents for each query, remembering which queries found a chunk
+      const matches = new Map();
+      for (const [index, searchQuery] of plan.queries.entries()) {
+        const results = await this.retrieve(searchQuery, options);
+        results.forEach((ctx, rank) => {
+          const key = [ctx.source, ctx.repository || ctx.collection, ctx.path, ctx.version, ctx.chunk].join(':');
+          const match = matches.get(key) || { ctx, fused: 0, queries: [] };
+          match.fused += 1 / (RRF_K + rank + 1);
+          match.queries.push(index);
+          matches.set(key, match);
+        });
+      }
+
+      const ranked = Array.from(matches.values());
+      if (plan.queries.length > 1) {
+        ranked.forEach(match => {
+          match.ctx.score = match.fused;
+        });
+      }
+      ranked.sort((a, b) => b.ctx.score - a.ctx.score);
+
+      // Drop matches too weak to answer from, judged against the query that found them
+      const queryTerms = plan.queries.map(searchQuery => new Set(nlpService.tokenize(searchQuery)));
+      const topContext = ranked
+        .filter(({ ctx, queries }) => queries.some(index => this.isRelevant(ctx, queryTerms[index], options)))
+        .map(({ ctx }) => ctx)
+        .slice(0, 3);
+
+      if (!topContext.length) {
+        logger.info('No relevant context found, abstaining', { query: userQuery, queries: plan.queries, candidates: ranked.length });
+        return {
+          answerable: false,
+          answer: NO_ANSWER,
+          context: [],
+          augmentedPrompt: null,
+          sources: [],
+          rewrite: plan,
+          grounding: { answerable: false, reason: 'no_relevant_sources', sentences: [], unsupported: 0 }
+        };
+      }
+
+      // Build augmented prompt; sources are numbered so the answer can cite them as [1], [2]
+      const contextText = topContext.map((ctx, idx) =>
+        `[${idx + 1}] ${ctx.source} - ${ctx.path}\n${ctx.content}`
+      ).join('\n\n---\n\n');
+
+      const augmentedPrompt = `Based on the following numbered sources, please answer the question.
+After each statement, cite the sources that support it by number in square brackets, e.g. [1] or [1][2].
+Only cite sources from the list, and only state what the sources say.
+If the sources do not answer the question, reply only with: ${NO_ANSWER}
+
+Sources:
+${contextText}
+
+Question: ${plan.standalone}
+
+Answer:`;
+
+      return {
+        answerable: true,
+        context: topContext,
+        augmentedPrompt,
+        rewrite: plan,
+        sources: topContext.map((ctx, idx) => ({
+          id: idx + 1,
+          source: ctx.source,
+          path: ctx.path,
+          url: ctx.url,
+          chunk: ctx.chunk,
+          score: ctx.score,
+          ...(ctx.collection && { collection: ctx.collection }),
+          ...(ctx.version && { version: ctx.version }),
+          ...(ctx.repository && {
+            repository: ctx.repository,
+            commit: ctx.commit,
+            startLine: ctx.startLine,
+            endLine: ctx.endLine
+          })
+        }))
+      };
+    } catch (error) {
+      logger.error('RAG query failed', { error: error.message, query: userQuery });
+      throw error;
+    }
+  }
+
+  /**
+   * Citation markers ([1], [2][3], [1, 2]) used in an answer, split into those that
+   * refer to a source and those that do not
+   * @returns {{cited: Array<number>, invalid: Array<number>}} Source ids in order of first use
+   */
+  extractCitations(answer = '', sources = []) {
+    const ids = new Set(sources.map(source => source.id));
+    const used = [];
+
+    for (const match of `${answer}`.matchAll(CITATION_MARKER)) {
+      match[1].split(',').forEach(value => {
+        const id = parseInt(value, 10);
+        if (!used.includes(id)) {
+          used.push(id);
+        }
+      });
+    }
+
+    return {
+      cited: used.filter(id => ids.has(id)),
+      invalid: used.filter(id => !ids.has(id))
+    };
+  }
+
+  /**
+   * Extractive answer for models that cannot write one (the built-in local model): the
+   * sentences of the context that cover the most of the question, quoted with the number
+   * of their source ([1] is context[0], as in query())
+   * @param {string} question - Question to answer
+   * @param {Array} context - Retrieved chunks, best first
+   * @returns {{text: string, sentences: Array<{text, source, coverage}>, cited: Array<number>}|null}
+   *   null when no sentence shares a term with the question
+   */
+  extractAnswer(question, context = [], { maxSentences = EXTRACT_MAX_SENTENCES } = {}) {
+    const questionTerms = new Set(nlpService.tokenize(question || ''));
+    const seen = new Set();
+    const candidates = [];
+
+    // Chunks overlap, so the same sentence can turn up more than once
+    context.forEach((ctx, idx) => {
+      for (const match of `${ctx.content || ''}`.matchAll(SENTENCE)) {
+        const text = match[0].replace(/^[\s#>*-]+/, '').replace(/\s+/g, ' ').trim();
+        if (!text || seen.has(text.toLowerCase())) {
+          continue;
+        }
+        seen.add(text.toLowerCase());
+
+        const coverage = termCoverage(questionTerms, new Set(nlpService.tokenize(text)));
+        if (coverage > 0) {
+          candidates.push({ text, source: idx + 1, coverage });
+        }
+      }
+    });
+
+    if (!candidates.length) {
+      return null;
+    }
+
+    // Stable sort: equally good sentences keep their source and document order
+    const ranked = candidates.sort((a, b) => b.coverage - a.coverage);
+    const minCoverage = Math.max(EXTRACT_MIN_COVERAGE, ranked[0].coverage / 2);
+    const sentences = ranked
+      .filter((candidate, idx) => idx === 0 || candidate.coverage >= minCoverage)
+      .slice(0, maxSentences)
+      .map(({ text, source, coverage }) => ({ text, source, coverage: Math.round(coverage * 100) / 100 }));
+
+    return {
+      text: `From your documents:\n\n${sentences.map(sentence => `> ${sentence.text} [${sentence.source}]`).join('\n>\n')}`,
+      sentences,
+      cited: [...new Set(sentences.map(sentence => sentence.source))]
+    };
+  }
+
+  /**
+   * Answer a question by quoting the uploaded documents, without any neural model: keyword
+   * search over the collections readable without a token, then extractAnswer(). Only
+   * questions are looked up, so requests to plan, draft or explain keep the caller's reply.
+   * Lookup errors are logged and treated as no answer, since callers fall back to other replies.
+   * @param {Object} options - { maxResults, minCoverage: share of the question's terms the
+   *   best sentence must contain }
+   * @returns {Promise<{text: string, sources: Array}|null>} The quotes followed by the names
+   *   of their documents, or null when the documents do not cover the question
+   */
+  async answerFromDocuments(question, { maxResults = 3, minCoverage = DOCUMENT_ANSWER_MIN_COVERAGE } = {}) {
+    const queryTerms = new Set(nlpService.tokenize(question || ''));
+    if (!queryTerms.size || nlpService.analyze(question).intent?.intent !== 'question') {
+      return null;
+    }
+
+    try {
+      await this.loadIndex();
+      const context = (await this.searchServer(question, { mode: 'keyword', rerank: false, maxResults: maxResults * 2 }))
+        .filter(ctx => this.isRelevant(ctx, queryTerms))
+        .slice(0, maxResults);
+      const extract = context.length ? this.extractAnswer(question, context) : null;
+
+      if (!extract || extract.sentences[0].coverage < minCoverage) {
+        return null;
+      }
+
+      const sources = extract.cited.map(id => ({
+        id,
+        path: context[id - 1].path,
+        collection: context[id - 1].collection,
+        chunk: context[id - 1].chunk,
+        score: context[id - 1].score,
+        ...(context[id - 1].version && { version: context[id - 1].version })
+      }));
+
+      return {
+        text: `${extract.text}\n\nSources:\n${sources.map(source => `[${source.id}] ${source.path}`).join('\n')}`,
+        sources
+      };
+    } catch (error) {
+      logger.warn('Document lookup failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Whether a retrieved chunk is related enough to answer from. Uses the strongest signal
+   * it has: the cross-encoder score, then cosine similarity, then query term coverage
+   */
+  isRelevant(ctx, queryTerms, { minRelevance = MIN_RELEVANCE } = {}) {
+    const scores = ctx.scores || {};
+
+    if (scores.rerank !== undefined) {
+      return scores.rerank >= MIN_RERANK_SCORE;
+    }
+    if (scores.vector !== undefined) {
+      return scores.vector >= minRelevance;
+    }
+    return termCoverage(queryTerms, new Set(nlpService.tokenize(ctx.content || ''))) >= MIN_TERM_COVERAGE;
+  }
+
+  /**
+   * Check an answer sentence by sentence against the context it was generated from.
+   * A sentence is supported when enough of its terms appear in one of the sources it
+   * cites (or, without citations, in any source); sentences of fewer than three terms
+   * are not checked.
+   * @param {string} answer - Generated answer
+   * @param {Array} context - `context` returned by query(), in source order
+   * @returns {{answerable: boolean, sentences: Array, unsupported: number}}
+   */
+  checkGrounding(answer = '', context = []) {
+    const text = `${answer}`;
+
+    if (text.trim().startsWith(NO_ANSWER)) {
+      return { answerable: false, reason: 'model_abstained', sentences: [], unsupported: 0 };
+    }
+
+    const sources = context.map((ctx, idx) => ({ id: idx + 1, terms: new Set(nlpService.tokenize(ctx.content || '')) }));
+    const sentences = Array.from(text.matchAll(SENTENCE))
+      .filter(match => match[0].trim())
+      .map(match => {
+        const sentence = match[0].trim();
+        const start = match.index + match[0].indexOf(sentence);
+        const cited = this.extractCitations(sentence, sources).cited;
+        const terms = new Set(nlpService.tokenize(sentence.replace(CITATION_MARKER, ' ')));
+
+        if (terms.size < 3) {
+          return { text: sentence, start, end: start + sentence.length, sources: cited, support: null, supported: true };
+        }
+
+        const checked = cited.length ? sources.filter(source => cited.includes(source.id)) : sources;
+        const support = Math.max(0, ...checked.map(source => termCoverage(terms, source.terms)));
+
+        return {
+          text: sentence,
+          start,
+          end: start + sentence.length,
+          sources: cited,
+          support: Math.round(support * 100) / 100,
+          supported: support >= MIN_SENTENCE_SUPPORT
+        };
+      });
+
+    return {
+      answerable: true,
+      sentences,
+      unsupported: sentences.filter(sentence => !sentence.supported).length
+    };
+  }
+
+  /**
+   * Check if RAG sources are configured
+   */
+  getStatus() {
+    const documents = Array.from(this.vectorStore.values()).filter(entry => !entry.repository && !entry.historical);
+
+    return {
+      github: {
+        configured: !!this.githubClient,
+        owner: process.env.GITHUB_RAG_OWNER || null,
+        repo: process.env.GITHUB_RAG_REPO || null
+      },
+      server: {
+        configured: true,
+        path: this.serverStoragePath,
+        index: {
+          documents: documents.length,
+          chunks: documents.reduce((total, entry) => total + entry.chunks.length, 0)
+        },
+        embeddings: embeddingService.getStatus(),
+        collections: [DEFAULT_COLLECTION, ...this.collections.keys()].map(name => this.getCollection(name))
+      },
+      repositories: this.listRepositories()
     };
   }
 }
@@ -0,0 +1,662 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+jest.mock('./logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+// Bag-of-words vectors stand in for the transformers.js model
+const VOCABULARY = ['backup', 'restore', 'snapshot', 'kubernetes', 'pod', 'deploy', 'invoice', 'payment'];
+const mockEmbed = text => {
+  const words = text.toLowerCase().match(/[a-z]+/g) || [];
+  const vector = VOCABULARY.map(term => words.filter(word => word.startsWith(term)).length);
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+};
+
+jest.mock('./embeddingService', () => ({
+  modelName: 'test/bag-of-words',
+  available: true,
+  isAvailable() {
+    return this.available;
+  },
+  getStatus() {
+    return { model: this.modelName, available: this.available, reason: null };
+  },
+  embed: jest.fn(async texts => texts.map(mockEmbed)),
+  rerank: jest.fn(async () => null)
+}));
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-storage-'));
+process.env.RAG_STORAGE_PATH = storagePath;
+process.env.RAG_INDEX_PATH = path.join(storagePath, '..', `rag-index-${process.pid}.json`);
+
+const embeddingService = require('./embeddingService');
+const documentStorageService = require('./documentStorageService');
+const ragService = require('./ragService');
+
+const filler = sentence => Array.from({ length: 30 }, () => sentence).join(' ');
+
+describe('RAGService', () => {
+  beforeEach(() => {
+    embeddingService.available = true;
+    embeddingService.embed.mockClear();
+  });
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+    fs.rmSync(process.env.RAG_INDEX_PATH, { force: true });
+  });
+
+  describe('chunkText', () => {
+    test('should split long text into overlapping chunks at sentence boundaries', () => {
+      const text = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} talks about something.`).join(' ');
+      const chunks = ragService.chunkText(text, { chunkSize: 200, overlap: 50 });
+
+      expect(chunks.length).toBeGreaterThan(5);
+      chunks.forEach(chunk => {
+        expect(chunk.text.length).toBeLessThanOrEqual(200);
+        expect(text.slice(chunk.start, chunk.end).trim()).toBe(chunk.text);
+      });
+      chunks.slice(0, -1).forEach((chunk, i) => {
+        expect(chunk.text).toMatch(/\.$/);
+        expect(chunks[i + 1].start).toBeLessThan(chunk.end);
+      });
+    });
+
+    test('should keep short text in a single chunk', () => {
+      expect(ragService.chunkText('Just one line.')).toEqual([{ text: 'Just one line.', start: 0, end: 14 }]);
+    });
+  });
+
+  describe('searchServer', () => {
+    beforeAll(async () => {
+      await ragService.uploadDocument('runbook.md', [
+        filler('This runbook covers general operations for the platform team.'),
+        'To restore a database, pick the latest backup snapshot and run the restore job.',
+        filler('Escalate anything else to the on-call engineer.')
+      ].join('\n\n'));
+      await ragService.uploadDocument('billing.txt', 'Every invoice is settled by payment within 30 days.');
+    });
+
+    test('should return the matching chunk rather than the start of the file', async () => {
+      const [top] = await ragService.searchServer('How do I restore from a backup snapshot?', { mode: 'vector' });
+
+      expect(top).toMatchObject({ source: 'server', path: 'runbook.md', retrieval: 'vector' });
+      expect(top.content).toContain('latest backup snapshot');
+      expect(top.chunk).toBeGreaterThan(0);
+      expect(top.score).toBeGreaterThan(0.9);
+    });
+
+    test('should persist the index and only embed changed documents', async () => {
+      const index = JSON.parse(fs.readFileSync(process.env.RAG_INDEX_PATH, 'utf8'));
+      expect(Object.keys(index.documents).sort()).toEqual(['billing.txt', 'runbook.md']);
+      expect(index.documents['billing.txt'].embeddingModel).toBe('test/bag-of-words');
+
+      await ragService.searchServer('invoice payment', { mode: 'vector' });
+
+      // Only the query is embedded; the documents are unchanged
+      expect(embeddingService.embed).toHaveBeenCalledTimes(1);
+      expect(embeddingService.embed).toHaveBeenCalledWith(['invoice payment']);
+    });
+
+    test('should fall back to keyword matching without an embedding model', async () => {
+      embeddingService.available = false;
+
+      const results = await ragService.searchServer('invoice');
+
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ path: 'billing.txt', retrieval: 'keyword' });
+      expect(embeddingService.embed).not.toHaveBeenCalled();
+    });
+
+    test('should rank with BM25 so long documents and common words do not dominate', async () => {
+      await ragService.uploadDocument('notes.txt', 'Platform notes. Backups are verified weekly.');
+
+      const results = await ragService.searchServer('platform backups', { mode: 'keyword' });
+
+      expect(results[0].path).toBe('notes.txt');
+      expect(results[0].retrieval).toBe('keyword');
+      expect(results[0].scores.keyword).toBeGreaterThan(results[1].scores.keyword);
+      await ragService.deleteDocument('notes.txt');
+    });
+
+    test('should treat query terms literally', async () => {
+      await expect(ragService.searchServer('c++ (backup', { mode: 'keyword' })).resolves.toEqual(expect.any(Array));
+    });
+
+    test('should fuse keyword and vector rankings in hybrid mode', async () => {
+      const results = await ragService.searchServer('restore backup snapshot');
+
+      expect(results[0]).toMatchObject({ path: 'runbook.md', retrieval: 'hybrid' });
+      expect(results[0].scores.keyword).toBeGreaterThan(0);
+      expect(results[0].scores.vector).toBeGreaterThan(0.9);
+      // Reciprocal-rank fusion: first place in both rankings
+      expect(results[0].score).toBeCloseTo(2 / 61, 5);
+    });
+
+    test('should reorder candidates with the reranker when requested', async () => {
+      embeddingService.rerank.mockImplementationOnce(async (query, passages) =>
+        passages.map(passage => (passage.includes('invoice') ? 5 : -5)));
+
+      const results = await ragService.searchServer('restore backup invoice', { rerank: true });
+
+      expect(embeddingService.rerank).toHaveBeenCalledWith('restore backup invoice', expect.any(Array));
+      expect(results[0]).toMatchObject({ path: 'billing.txt', reranked: true, score: 5 });
+    });
+
+    test('should reject unknown search modes', async () => {
+      await expect(ragService.searchServer('backup', { mode: 'fuzzy' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('should drop deleted documents from the index', async () => {
+      await ragService.deleteDocument('billing.txt');
+
+      const results = await ragService.searchServer('invoice payment');
+
+      expect(results.map(result => result.path)).not.toContain('billing.txt');
+      expect(ragService.getStatus().server.index.documents).toBe(1);
+    });
+  });
+
+  describe('rankPassages', () => {
+    test('should rank text outside the index with the same scoring', async () => {
+      const passages = await ragService.rankPassages('restore a backup snapshot', [
+        { url: 'https://example.com/billing', text: 'Every invoice is settled by payment within 30 days.' },
+        { url: 'https://example.com/backups', text: 'To restore, pick the latest backup snapshot and run the restore job.' }
+      ], { maxResults: 1 });
+
+      expect(passages).toEqual([expect.objectContaining({
+        url: 'https://example.com/backups',
+        content: 'To restore, pick the latest backup snapshot and run the restore job.',
+        retrieval: 'hybrid'
+      })]);
+    });
+  });
+
+  describe('ingestDocument', () => {
+    test('should index converted CSV rows without splitting them', async () => {
+      const rows = Array.from({ length: 60 }, (_, i) => `web-${i},ops,Restarts nightly after backup ${i}`);
+      const csv = ['host,owner,notes', ...rows].join('\n');
+
+      const result = await ragService.ingestDocument('hosts.csv', Buffer.from(csv), { mimeType: 'text/csv' });
+
+      expect(result).toMatchObject({
+        success: true,
+        filename: 'hosts.csv.txt',
+        metadata: { originalName: 'hosts.csv', format: 'csv', chunking: 'rows', rows: 60 }
+      });
+
+      const index = JSON.parse(fs.readFileSync(process.env.RAG_INDEX_PATH, 'utf8'));
+      const chunks = index.documents['hosts.csv.txt'].chunks;
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => {
+        chunk.text.split('\n').forEach(line => expect(line).toMatch(/^host: web-\d+; owner: ops; notes: .+ \d+$/));
+      });
+    });
+
+    test('should list the original file details and remove them on delete', async () => {
+      const documents = await ragService.listDocuments();
+      const hosts = documents.find(document => document.filename === 'hosts.csv.txt');
+
+      expect(hosts.metadata).toMatchObject({ originalName: 'hosts.csv', format: 'csv' });
+      expect(documents.map(document => document.filename)).not.toContain('.meta');
+
+      const [top] = await ragService.searchServer('web-42', { mode: 'keyword' });
+      expect(top).toMatchObject({ path: 'hosts.csv.txt', originalName: 'hosts.csv', format: 'csv' });
+
+      await ragService.deleteDocument('hosts.csv.txt');
+      expect(fs.existsSync(ragService.metadataPath('hosts.csv.txt'))).toBe(false);
+    });
+  });
+
+  describe('citations', () => {
+    test('should number the sources in the prompt', async () => {
+      const result = await ragService.query('restore backup snapshot', { source: 'server' });
+
+      expect(result.sources[0]).toMatchObject({ id: 1, path: 'runbook.md' });
+      expect(result.augmentedPrompt).toContain('[1] server - runbook.md');
+      expect(result.augmentedPrompt).toContain('square brackets');
+    });
+
+    test('should split citation markers into known and unknown sources', () => {
+      const sources = [{ id: 1 }, { id: 2 }];
+
+      expect(ragService.extractCitations('Use snapshots [2]. Verify weekly [1, 2][7].', sources))
+        .toEqual({ cited: [2, 1], invalid: [7] });
+      expect(ragService.extractCitations('No markers here.', sources)).toEqual({ cited: [], invalid: [] });
+    });
+  });
+
+  describe('grounding', () => {
+    test('should abstain when nothing relevant is retrieved', async () => {
+      const unrelated = await ragService.query('How do I deploy a kubernetes pod?', { source: 'server', mode: 'vector' });
+      expect(unrelated).toMatchObject({
+        answerable: false,
+        augmentedPrompt: null,
+        sources: [],
+        grounding: { answerable: false, reason: 'no_relevant_sources' }
+      });
+
+      // A single shared word is not enough for a keyword match to count
+      const weak = await ragService.query('restore the quarterly tax filing', { source: 'server', mode: 'keyword' });
+      expect(weak.answerable).toBe(false);
+      expect(weak.answer).toContain("couldn't find");
+    });
+
+    test('should flag answer sentences the cited sources do not support', () => {
+      const context = [
+        { content: 'To restore a database, pick the latest backup snapshot and run the restore job.' },
+        { content: 'Every invoice is settled by payment within 30 days.' }
+      ];
+      const answer = 'Pick the latest backup snapshot and run the restore job [1]. '
+        + 'Invoices are settled within 30 days [1]. Snapshots are encrypted with customer keys. Done.';
+
+      const grounding = ragService.checkGrounding(answer, context);
+
+      expect(grounding.sentences.map(sentence => [sentence.text, sentence.supported])).toEqual([
+        ['Pick the latest backup snapshot and run the restore job [1].', true],
+        ['Invoices are settled within 30 days [1].', false],
+        ['Snapshots are encrypted with customer keys.', false],
+        ['Done.', true]
+      ]);
+      expect(grounding.unsupported).toBe(2);
+      grounding.sentences.forEach(sentence => expect(answer.slice(sentence.start, sentence.end)).toBe(sentence.text));
+    });
+
+    test('should report when the model itself declines to answer', () => {
+      const grounding = ragService.checkGrounding("I couldn't find an answer to that in your documents.", [{ content: 'x' }]);
+      expect(grounding).toMatchObject({ answerable: false, reason: 'model_abstained' });
+    });
+  });
+
+  describe('extractive answers', () => {
+    beforeAll(async () => {
+      await ragService.uploadDocument('oncall.md', [
+        '# On-call',
+        '',
+        'The primary on-call engineer is paged through PagerDuty. Escalations go to the platform lead after 15 minutes.',
+        'Lunch is served at noon.'
+      ].join('\n'));
+    });
+
+    test('should quote the sentences that cover the question', () => {
+      const context = [
+        { content: '# Restore\n\nTo restore a database, pick the latest backup snapshot. Lunch is at noon.' },
+        { content: 'Then run the restore job for the database. To restore a database, pick the latest backup snapshot.' }
+      ];
+
+      const extract = ragService.extractAnswer('How do I restore a database from a backup?', context);
+
+      expect(extract.sentences.map(sentence => [sentence.text, sentence.source])).toEqual([
+        ['To restore a database, pick the latest backup snapshot.', 1],
+        ['Then run the restore job for the database.', 2]
+      ]);
+      expect(extract.cited).toEqual([1, 2]);
+      expect(extract.text).toBe([
+        'From your documents:',
+        '',
+        '> To restore a database, pick the latest backup snapshot. [1]',
+        '>',
+        '> Then run the restore job for the database. [2]'
+      ].join('\n'));
+      expect(ragService.extractAnswer('quarterly tax filing', context)).toBeNull();
+    });
+
+    test('should answer from the uploaded documents without embedding the question', async () => {
+      const answer = await ragService.answerFromDocuments('Where do escalations go?');
+
+      expect(answer.text).toContain('> Escalations go to the platform lead after 15 minutes. [1]');
+      expect(answer.text).toContain('Sources:\n[1] oncall.md');
+      expect(answer.text).not.toContain('Lunch');
+      expect(answer.sources).toEqual([expect.objectContaining({ id: 1, path: 'oncall.md', collection: 'default' })]);
+      expect(embeddingService.embed).not.toHaveBeenCalled();
+
+      expect(await ragService.answerFromDocuments('quarterly tax filing deadline')).toBeNull();
+
+      const halfCovered = 'Where do escalations go and who approves the budget?';
+      expect(await ragService.answerFromDocuments(halfCovered)).not.toBeNull();
+      expect(await ragService.answerFromDocuments(halfCovered, { minCoverage: 0.75 })).toBeNull();
+      expect(await ragService.answerFromDocuments('Draft a page for escalations to the platform lead')).toBeNull();
+      expect(await ragService.answerFromDocuments('?')).toBeNull();
+    });
+  });
+
+  describe('query rewriting', () => {
+    const llmService = {
+      defaultModel: 'test/remote',
+      generateText: jest.fn()
+    };
+
+    beforeEach(() => {
+      llmService.generateText.mockReset();
+    });
+
+    test('should search LLM paraphrases alongside the question', async () => {
+      llmService.generateText.mockResolvedValue({
+        data: { standalone: 'How do we get the data back?', queries: ['restore a database from a backup snapshot', 'Restore a database from a backup snapshot'] }
+      });
+      const options = { source: 'server', mode: 'keyword', llmService };
+
+      expect((await ragService.query('How do we get the data back?', options)).answerable).toBe(false);
+      expect(llmService.generateText).not.toHaveBeenCalled();
+
+      const result = await ragService.query('How do we get the data back?', { ...options, rewrite: true });
+
+      expect(result.answerable).toBe(true);
+      expect(result.sources[0].path).toBe('runbook.md');
+      expect(result.rewrite).toEqual({
+        original: 'How do we get the data back?',
+        standalone: 'How do we get the data back?',
+        queries: ['How do we get the data back?', 'restore a database from a backup snapshot'],
+        method: 'llm'
+      });
+      expect(llmService.generateText).toHaveBeenCalledWith(
+        expect.stringContaining('different search queries'),
+        'test/remote',
+        expect.objectContaining({ jsonSchema: expect.any(Object) })
+      );
+    });
+
+    test('should condense a follow-up into a standalone question', async () => {
+      llmService.generateText.mockResolvedValue({
+        data: { standalone: 'Which job restores a database from a backup snapshot?', queries: [] }
+      });
+      const history = [
+        { role: 'user', content: 'How do I restore a database from a backup snapshot?' },
+        { role: 'assistant', content: 'Pick the latest backup snapshot [1].' }
+      ];
+
+      const result = await ragService.query('Which job does that?', { source: 'server', mode: 'keyword', llmService, history });
+
+      expect(llmService.generateText.mock.calls[0][0]).toContain('User: How do I restore a database');
+      expect(result.rewrite.queries).toEqual(['Which job restores a database from a backup snapshot?']);
+      expect(result.augmentedPrompt).toContain('Question: Which job restores a database from a backup snapshot?');
+    });
+
+    test('should rewrite with keywords for the local model or when the LLM fails', async () => {
+      const history = [{ role: 'user', content: 'How do I restore a backup snapshot?' }];
+
+      const local = await ragService.query('What about it?', { source: 'server', mode: 'keyword', llmService, model: 'local/instruct', history });
+      expect(llmService.generateText).not.toHaveBeenCalled();
+      expect(local.rewrite).toMatchObject({ method: 'local', standalone: expect.stringMatching(/restore.*backup.*snapshot/) });
+      expect(local.sources[0].path).toBe('runbook.md');
+
+      llmService.generateText.mockRejectedValue(new Error('model offline'));
+      const plan = await ragService.planQueries('How do we roll back?', { rewrite: true, llmService });
+      expect(plan.method).toBe('local');
+      expect(plan.queries[0]).toBe('How do we roll back?');
+      expect(plan.queries).toContainEqual(expect.stringContaining('rollback revert undo'));
+    });
+  });
+
+  describe('versions', () => {
+    const policy = days => [
+      filler('Backups of the billing database run every night.'),
+      `Backup snapshots are kept for ${days} days.`
+    ].join('\n\n');
+
+    beforeAll(async () => {
+      await ragService.uploadDocument('retention.md', policy(7), { uploader: 'alice' });
+      await ragService.uploadDocument('retention.md', policy(30), { uploader: 'bob' });
+    });
+
+    test('should keep a version per distinct upload', async () => {
+      const unchanged = await ragService.uploadDocument('retention.md', policy(30), { uploader: 'carol' });
+      const { versions, latest } = await ragService.listVersions('retention.md');
+
+      expect(unchanged).toMatchObject({ version: 2, unchanged: true });
+      expect(latest).toBe(2);
+      expect(versions.map(version => [version.version, version.uploader])).toEqual([[1, 'alice'], [2, 'bob']]);
+      expect(versions[0].hash).toMatch(/^[0-9a-f]{64}$/);
+
+      const document = (await ragService.listDocuments()).find(doc => doc.filename === 'retention.md');
+      expect(document).toMatchObject({ version: 2, versions: 2, uploader: 'bob', created: versions[0].uploadedAt });
+    });
+
+    test('should diff two versions line by line', async () => {
+      const diff = await ragService.diffVersions('retention.md');
+
+      expect(diff).toMatchObject({ from: 1, to: 2, added: 1, removed: 1 });
+      expect(diff.changes).toEqual([
+        { type: 'removed', oldLine: 3, newLine: 3, lines: ['Backup snapshots are kept for 7 days.'] },
+        { type: 'added', oldLine: 4, newLine: 3, lines: ['Backup snapshots are kept for 30 days.'] }
+      ]);
+      await expect(ragService.diffVersions('retention.md', { from: 9 })).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should search the latest version unless another is requested', async () => {
+      const [latest] = await ragService.searchServer('how long are snapshots kept', { mode: 'keyword' });
+      const [pinned] = await ragService.searchServer('how long are snapshots kept', {
+        mode: 'keyword',
+        versions: { 'retention.md': 1 }
+      });
+
+      expect(latest).toMatchObject({ path: 'retention.md', version: 2 });
+      expect(latest.content).toContain('30 days');
+      expect(pinned).toMatchObject({ path: 'retention.md', version: 1 });
+      expect(pinned.content).toContain('7 days');
+      await expect(ragService.searchServer('snapshots', { versions: { 'retention.md': 5 } })).rejects.toMatchObject({ status: 404 });
+
+      const collection = await ragService.listCollections();
+      expect(collection[0].documents).toBe((await ragService.listDocuments()).length);
+    });
+
+    test('should only embed the chunks that changed', async () => {
+      embeddingService.embed.mockClear();
+      await ragService.uploadDocument('retention.md', policy(90), { uploader: 'alice' });
+
+      const chunks = ragService.vectorStore.get('retention.md').chunks;
+      const embedded = embeddingService.embed.mock.calls.flatMap(([texts]) => texts);
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(embedded).toHaveLength(1);
+      expect(embedded[0]).toContain('90 days');
+    });
+
+    test('should start the history of files stored before versioning', async () => {
+      fs.writeFileSync(path.join(storagePath, 'legacy.md'), 'Old runbook.');
+      await ragService.uploadDocument('legacy.md', 'New runbook.');
+
+      const { versions } = await ragService.listVersions('legacy.md');
+      expect(versions.map(version => [version.version, version.uploader])).toEqual([[1, null], [2, null]]);
+      expect((await ragService.getVersion('legacy.md', 1)).content).toBe('Old runbook.');
+
+      await ragService.deleteDocument('legacy.md');
+      await expect(ragService.listVersions('legacy.md')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('storage safety', () => {
+    test('should refuse names that leave the storage directory', async () => {
+      const outside = path.join(storagePath, '..', 'escaped.md');
+
+      await expect(ragService.uploadDocument('../escaped.md', 'overwritten'))
+        .rejects.toMatchObject({ status: 400, code: 'INVALID_FILENAME' });
+      await expect(ragService.deleteDocument('../../app.js')).rejects.toMatchObject({ status: 400, code: 'INVALID_FILENAME' });
+      expect(fs.existsSync(outside)).toBe(false);
+    });
+
+    test('should store display names under a safe document ID', async () => {
+      const result = await ragService.uploadDocument('Disaster Recovery (v2).md', 'Fail over to the standby region.');
+      expect(result).toMatchObject({ filename: 'Disaster-Recovery-v2.md', name: 'Disaster Recovery (v2).md' });
+
+      const logs = await ragService.uploadDocument('deploy.log', 'Deployed 1.4.2 to production.');
+      expect(logs.filename).toBe('deploy.log.txt');
+
+      const documents = await ragService.listDocuments();
+      expect(documents.find(doc => doc.filename === 'Disaster-Recovery-v2.md').name).toBe('Disaster Recovery (v2).md');
+
+      await expect(ragService.uploadDocument('Disaster Recovery v2.md', 'Another plan.'))
+        .rejects.toMatchObject({ status: 409, code: 'DOCUMENT_NAME_CONFLICT' });
+    });
+
+    test('should report missing documents and binary uploads with their own codes', async () => {
+      await expect(ragService.deleteDocument('missing.md')).rejects.toMatchObject({ status: 404, code: 'DOCUMENT_NOT_FOUND' });
+      await expect(ragService.deleteDocument('collections')).rejects.toMatchObject({ status: 404 });
+      await expect(ragService.ingestDocument('photo.txt', Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10])))
+        .rejects.toMatchObject({ status: 415, code: 'CONTENT_MISMATCH' });
+    });
+
+    test('should enforce the collection quota', async () => {
+      const { maxCollectionBytes } = documentStorageService;
+      documentStorageService.maxCollectionBytes = 1;
+
+      try {
+        await expect(ragService.uploadDocument('big.md', 'Too much text for the quota.'))
+          .rejects.toMatchObject({ status: 413, code: 'QUOTA_EXCEEDED' });
+        // Re-uploading unchanged content stores nothing, so it is not held to the quota
+        await expect(ragService.uploadDocument('deploy.log', 'Deployed 1.4.2 to production.'))
+          .resolves.toMatchObject({ unchanged: true });
+      } finally {
+        documentStorageService.maxCollectionBytes = maxCollectionBytes;
+      }
+      expect(fs.existsSync(path.join(storagePath, 'big.md'))).toBe(false);
+    });
+  });
+
+  describe('collections', () => {
+    beforeAll(async () => {
+      await ragService.createCollection({ name: 'security', description: 'Runbooks', accessToken: 'sec-token-123' });
+      await ragService.createCollection({ name: 'frontend' });
+      await ragService.uploadDocument('incident.md', 'Rotate the leaked backup credentials first.', {
+        collection: 'security',
+        token: 'sec-token-123'
+      });
+      await ragService.uploadDocument('design.md', 'Buttons restore the previous backup view.', { collection: 'frontend' });
+    });
+
+    test('should keep protected collections out of searches that do not ask for them', async () => {
+      const results = await ragService.searchServer('backup', { mode: 'keyword' });
+
+      expect(results.map(result => result.collection)).toContain('frontend');
+      expect(results.map(result => result.collection)).not.toContain('security');
+    });
+
+    test('should search only the requested collections', async () => {
+      const results = await ragService.searchServer('backup', {
+        mode: 'keyword',
+        collections: ['security'],
+        token: 'sec-token-123'
+      });
+
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ path: 'incident.md', collection: 'security' });
+    });
+
+    test('should require the access token of a protected collection', async () => {
+      await expect(ragService.searchServer('backup', { collections: 'security' })).rejects.toMatchObject({ status: 403 });
+      await expect(ragService.listDocuments({ collection: 'security', token: 'wrong-token' })).rejects.toMatchObject({ status: 403 });
+      await expect(ragService.uploadDocument('x.md', 'x', { collection: 'missing' })).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should report per-collection stats without the token', async () => {
+      const collections = await ragService.listCollections();
+      const security = collections.find(collection => collection.name === 'security');
+
+      expect(collections.map(collection => collection.name)).toEqual(['default', 'security', 'frontend']);
+      expect(security).toMatchObject({ description: 'Runbooks', protected: true, documents: 1 });
+      expect(security).not.toHaveProperty('tokenHash');
+      expect(fs.existsSync(path.join(storagePath, 'collections', 'security', 'incident.md'))).toBe(true);
+    });
+
+    test('should reject invalid and duplicate names', async () => {
+      await expect(ragService.createCollection({ name: 'Bad Name' })).rejects.toMatchObject({ status: 400 });
+      await expect(ragService.createCollection({ name: 'frontend' })).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should delete a collection with its documents', async () => {
+      await ragService.deleteCollection('frontend');
+      await ragService.deleteCollection('security', { token: 'sec-token-123' });
+
+      const results = await ragService.searchServer('backup restore', { mode: 'keyword' });
+      expect(results.map(result => result.collection)).not.toContain('frontend');
+      expect((await ragService.listCollections()).map(collection => collection.name)).toEqual(['default']);
+    });
+  });
+
+  describe('repositories', () => {
+    let repoPath;
+    const git = (...args) => execFileSync('git', ['-C', repoPath, ...args], { stdio: 'pipe' });
+    const commit = message => {
+      git('add', '-A');
+      git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', message);
+    };
+
+    beforeAll(() => {
+      repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-repo-'));
+      process.env.RAG_LOCAL_REPOS_ROOT = path.dirname(repoPath);
+      git('init', '-q');
+      fs.writeFileSync(path.join(repoPath, 'backup.js'), [
+        'function restoreBackup(snapshot) {',
+        '  return restore(snapshot);',
+        '}',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(repoPath, 'billing.py'), 'def invoice_total(payment):\n    return payment\n');
+      commit('init');
+    });
+
+    afterAll(() => {
+      delete process.env.RAG_LOCAL_REPOS_ROOT;
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    test('should index a local checkout with path and commit metadata', async () => {
+      const repository = await ragService.addRepository({ localPath: repoPath, name: 'ops-tools' }, { wait: true });
+
+      expect(repository).toMatchObject({
+        id: 'ops-tools',
+        type: 'local',
+        commit: git('rev-parse', 'HEAD').toString().trim(),
+        sync: { state: 'idle', indexed: 2 },
+        index: { files: 2 }
+      });
+
+      const [top] = await ragService.searchRepositories('restore backup snapshot');
+      expect(top).toMatchObject({
+        source: 'repository',
+        repository: 'ops-tools',
+        path: 'backup.js',
+        language: 'javascript',
+        commit: repository.commit,
+        startLine: 1,
+        endLine: 3
+      });
+    });
+
+    test('should keep repository files out of document searches and listings', async () => {
+      const results = await ragService.searchServer('restore backup snapshot');
+
+      expect(results.every(result => result.source === 'server')).toBe(true);
+      expect(ragService.getStatus().repositories.map(repository => repository.id)).toEqual(['ops-tools']);
+    });
+
+    test('should only re-index files changed since the last synced commit', async () => {
+      fs.writeFileSync(path.join(repoPath, 'backup.js'), 'function verifyBackup() {\n  return true;\n}\n');
+      fs.rmSync(path.join(repoPath, 'billing.py'));
+      commit('change');
+      embeddingService.embed.mockClear();
+
+      const repository = await ragService.syncRepository('ops-tools');
+
+      expect(repository.sync).toMatchObject({ state: 'idle', indexed: 1, removed: 1, files: 1 });
+      expect(embeddingService.embed).toHaveBeenCalledTimes(1);
+      expect(embeddingService.embed.mock.calls[0][0][0]).toContain('File: backup.js');
+
+      const unchanged = await ragService.syncRepository('ops-tools');
+      expect(unchanged.sync).toMatchObject({ indexed: 0, unchanged: 1 });
+    });
+
+    test('should remove a repository and its chunks', async () => {
+      await ragService.removeRepository('ops-tools');
+
+      expect(ragService.listRepositories()).toEqual([]);
+      await expect(ragService.searchRepositories('backup')).resolves.toEqual([]);
+      await expect(ragService.syncRepository('ops-tools')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
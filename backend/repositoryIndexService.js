@@ -0,0 +1,295 @@
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const logger = require('./logger');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Repository Index Service
+ * Reads the files of a repository at a commit, from the GitHub API or a local git
+ * checkout, and splits source files into chunks at function/class boundaries.
+ * ragService owns the index; this module only knows about repositories and code.
+ */
+
+const MAX_FILE_BYTES = parseInt(process.env.RAG_REPO_MAX_FILE_BYTES, 10) || 200 * 1024;
+const MAX_FILES = parseInt(process.env.RAG_REPO_MAX_FILES, 10) || 2000;
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+const SKIPPED_DIRECTORIES = ['node_modules', 'vendor', 'dist', 'build', 'coverage', '.git', '.next', '__pycache__', 'target'];
+const SKIPPED_FILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'Cargo.lock', 'poetry.lock', 'composer.lock'];
+
+// Declarations that start a new top-level or member definition, per language
+const JS_BOUNDARY = /^\s*(?:export\s+(?:default\s+)?)?(?:(?:async|abstract|declare)\s+)*(?:function\*?|class|interface|type|enum)\s+[\w$]|^\s*(?:export\s+)?(?:const|let|var)\s+[\w$]+\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[\w$]+\s*=>)|^\s*module\.exports\b|^\s+(?:(?:static|async|get|set|public|private|protected|readonly)\s+)*(?!(?:if|for|while|switch|catch|return|function)\b)[\w$#]+\s*\([^)]*\)\s*(?::[^{]+)?\{\s*$/;
+const C_FAMILY_BOUNDARY = /^\s*(?:(?:public|private|protected|internal|static|final|abstract|override|sealed|async|virtual|open|data|suspend|partial|inline)\s+)*(?:class|interface|enum|record|struct|object|fun|namespace)\s+\w|^\s*(?:(?:public|private|protected|internal|static|final|abstract|override|sealed|async|virtual|synchronized)\s+)+[\w<>[\],.?\s]+\s+\w+\s*\(/;
+
+const LANGUAGES = [
+  { language: 'javascript', extensions: ['.js', '.jsx', '.mjs', '.cjs'], boundary: JS_BOUNDARY },
+  { language: 'typescript', extensions: ['.ts', '.tsx'], boundary: JS_BOUNDARY },
+  { language: 'python', extensions: ['.py'], boundary: /^\s*(?:async\s+)?def\s+\w|^\s*class\s+\w/ },
+  { language: 'go', extensions: ['.go'], boundary: /^func\s|^type\s+\w+\s|^(?:var|const)\s+\(/ },
+  { language: 'rust', extensions: ['.rs'], boundary: /^\s*(?:pub(?:\([\w:]+\))?\s+)?(?:async\s+|unsafe\s+|const\s+)*(?:fn|struct|enum|trait|impl|mod)\b/ },
+  { language: 'java', extensions: ['.java'], boundary: C_FAMILY_BOUNDARY },
+  { language: 'kotlin', extensions: ['.kt', '.kts'], boundary: C_FAMILY_BOUNDARY },
+  { language: 'csharp', extensions: ['.cs'], boundary: C_FAMILY_BOUNDARY },
+  { language: 'ruby', extensions: ['.rb'], boundary: /^\s*(?:def|class|module)\s/ },
+  { language: 'php', extensions: ['.php'], boundary: /^\s*(?:(?:public|private|protected|static|abstract|final)\s+)*(?:function|class|interface|trait)\s/ },
+  { language: 'c', extensions: ['.c', '.h'], boundary: /^[A-Za-z_][\w\s*]*\b\w+\s*\([^;]*$|^(?:typedef\s+)?struct\s+\w+/ },
+  { language: 'cpp', extensions: ['.cpp', '.cc', '.hpp'], boundary: /^[A-Za-z_][\w\s*&:<>,]*\b[\w:~]+\s*\([^;]*$|^(?:class|struct|namespace)\s+\w/ },
+  { language: 'shell', extensions: ['.sh', '.bash'], boundary: /^(?:function\s+)?[\w-]+\s*\(\)\s*\{|^function\s+[\w-]+/ },
+  { language: 'markdown', extensions: ['.md', '.markdown', '.rst'], boundary: /^#{1,6}\s/ },
+  { language: 'text', extensions: ['.txt', '.json', '.yaml', '.yml', '.toml', '.sql', '.html', '.css', '.scss', '.tf', '.graphql'] }
+];
+
+// Lines that belong to the declaration below them (doc comments, decorators, annotations)
+const LEAD_IN = /^\s*(?:\/\/|\/\*|\*|#(?!include|define|if|endif|else)|@|\[\w)/;
+
+const GITHUB_NAME = /^[\w.-]+$/;
+const GIT_REF = /^(?!-)[\w./-]+$/;
+const REPOSITORY_NAME = /^[\w.-]+(?:\/[\w.-]+)?$/;
+
+function createRepositoryError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function git(cwd, args, options = {}) {
+  return execFileAsync('git', ['-C', cwd, ...args], { maxBuffer: GIT_MAX_BUFFER, ...options });
+}
+
+class RepositoryIndexService {
+  detectLanguage(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    return LANGUAGES.find(entry => entry.extensions.includes(extension)) || null;
+  }
+
+  shouldIndex(filePath, size = 0) {
+    const segments = filePath.split('/');
+    const name = segments[segments.length - 1];
+
+    return Boolean(this.detectLanguage(filePath))
+      && size <= MAX_FILE_BYTES
+      && !SKIPPED_FILES.includes(name)
+      && !/\.min\.(?:js|css)$/.test(name)
+      && !segments.slice(0, -1).some(segment => SKIPPED_DIRECTORIES.includes(segment));
+  }
+
+  /**
+   * Split source code into chunks that start at declarations. Small declarations
+   * are packed together; one longer than `chunkSize` is split between lines.
+   * @returns {Array<{text: string, start: number, end: number, startLine: number, endLine: number}>}
+   */
+  chunkCode(text, filePath, { chunkSize = 1500 } = {}) {
+    const boundary = this.detectLanguage(filePath)?.boundary;
+    const lines = text.split('\n');
+    const offsets = [];
+    let offset = 0;
+    lines.forEach(line => {
+      offsets.push(offset);
+      offset += line.length + 1;
+    });
+
+    // Section starts: each declaration, moved up over its comments and decorators
+    const starts = [0];
+    if (boundary) {
+      lines.forEach((line, i) => {
+        if (i === 0 || !boundary.test(line)) {
+          return;
+        }
+        let start = i;
+        while (start > starts[starts.length - 1] + 1 && LEAD_IN.test(lines[start - 1])) {
+          start -= 1;
+        }
+        if (start > starts[starts.length - 1]) {
+          starts.push(start);
+        }
+      });
+    }
+
+    const sections = starts.map((start, i) => ({ startLine: start, endLine: (starts[i + 1] ?? lines.length) - 1 }));
+    const lineEnd = line => offsets[line] + lines[line].length;
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+      if (current) {
+        const chunkText = text.slice(offsets[current.startLine], lineEnd(current.endLine)).replace(/\s+$/, '');
+        if (chunkText.trim()) {
+          chunks.push({
+            text: chunkText,
+            start: offsets[current.startLine],
+            end: offsets[current.startLine] + chunkText.length,
+            startLine: current.startLine + 1,
+            endLine: current.startLine + chunkText.split('\n').length
+          });
+        }
+        current = null;
+      }
+    };
+
+    // Sections longer than a chunk (and files without declarations) are packed line by line,
+    // starting a new chunk so the declaration is not split from its first lines
+    const units = sections.flatMap(section => {
+      const length = lineEnd(section.endLine) - offsets[section.startLine];
+      if (length <= chunkSize) {
+        return [section];
+      }
+      return Array.from({ length: section.endLine - section.startLine + 1 }, (_, i) => ({
+        startLine: section.startLine + i,
+        endLine: section.startLine + i,
+        fresh: i === 0
+      }));
+    });
+
+    units.forEach(unit => {
+      if (current && !unit.fresh && lineEnd(unit.endLine) - offsets[current.startLine] <= chunkSize) {
+        current.endLine = unit.endLine;
+        return;
+      }
+      flush();
+
+      // A single line longer than a chunk (generated code, long literals) is cut into pieces
+      if (lineEnd(unit.endLine) - offsets[unit.startLine] > chunkSize) {
+        for (let start = offsets[unit.startLine]; start < lineEnd(unit.endLine); start += chunkSize) {
+          const end = Math.min(start + chunkSize, lineEnd(unit.endLine));
+          chunks.push({ text: text.slice(start, end), start, end, startLine: unit.startLine + 1, endLine: unit.startLine + 1 });
+        }
+        return;
+      }
+      current = { startLine: unit.startLine, endLine: unit.endLine };
+    });
+    flush();
+
+    return chunks;
+  }
+
+  /**
+   * Reader for a repository record: { type: 'github', owner, repo, branch } or
+   * { type: 'local', localPath, branch }. Each reader resolves the commit to index,
+   * lists its files ({ path, sha, size }) and reads a file by blob sha.
+   */
+  createReader(repository, { githubClient } = {}) {
+    if (repository.type === 'github') {
+      return this.createGitHubReader(repository, githubClient);
+    }
+    return this.createLocalReader(repository);
+  }
+
+  createGitHubReader({ owner, repo, branch }, client) {
+    if (!client) {
+      throw createRepositoryError('GitHub token not configured. Set GITHUB_TOKEN or pass a token.');
+    }
+
+    return {
+      resolveBranch: async () => branch || (await client.repos.get({ owner, repo })).data.default_branch,
+      getCommit: async ref => (await client.repos.getBranch({ owner, repo, branch: ref })).data.commit.sha,
+      listFiles: async commit => {
+        const { data } = await client.git.getTree({ owner, repo, tree_sha: commit, recursive: 'true' });
+        if (data.truncated) {
+          logger.warn('GitHub tree listing truncated, some files will not be indexed', { owner, repo, commit });
+        }
+        return data.tree
+          .filter(item => item.type === 'blob')
+          .map(item => ({ path: item.path, sha: item.sha, size: item.size }));
+      },
+      readFile: async file => {
+        const { data } = await client.git.getBlob({ owner, repo, file_sha: file.sha });
+        return Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf-8');
+      }
+    };
+  }
+
+  createLocalReader({ localPath, branch }) {
+    return {
+      resolveBranch: async () => branch || 'HEAD',
+      getCommit: async ref => (await git(localPath, ['rev-parse', '--verify', `${ref}^{commit}`])).stdout.trim(),
+      listFiles: async commit => {
+        const { stdout } = await git(localPath, ['ls-tree', '-r', '-l', '-z', commit]);
+        return stdout.split('\0').filter(Boolean).flatMap(line => {
+          const match = line.match(/^\d+ blob ([0-9a-f]+)\s+(\d+)\t(.+)$/);
+          return match ? [{ path: match[3], sha: match[1], size: parseInt(match[2], 10) }] : [];
+        });
+      },
+      readFile: async file => (await git(localPath, ['cat-file', 'blob', file.sha], { encoding: 'buffer' })).stdout
+    };
+  }
+
+  /**
+   * Link to the chunk's lines on GitHub; local checkouts have none
+   */
+  fileUrl(repository, filePath, { startLine, endLine } = {}) {
+    if (repository?.type !== 'github' || !repository.commit) {
+      return undefined;
+    }
+    const lines = startLine ? `#L${startLine}-L${endLine}` : '';
+    return `https://github.com/${repository.owner}/${repository.repo}/blob/${repository.commit}/${filePath}${lines}`;
+  }
+
+  /**
+   * Validate a request to index a repository and turn it into a repository record
+   * @param {Object} input - { owner, repo, branch } or { localPath, branch, name }
+   */
+  normalizeRepository(input = {}) {
+    const { owner, repo, localPath, branch, name } = input;
+
+    if (branch !== undefined && (typeof branch !== 'string' || !GIT_REF.test(branch))) {
+      throw createRepositoryError('Invalid branch name');
+    }
+    if (name !== undefined && (typeof name !== 'string' || !REPOSITORY_NAME.test(name))) {
+      throw createRepositoryError('name may only contain letters, numbers, ., _, / and -');
+    }
+
+    if (localPath) {
+      const roots = (process.env.RAG_LOCAL_REPOS_ROOT || '').split(',').map(root => root.trim()).filter(Boolean);
+      if (!roots.length) {
+        throw createRepositoryError('Indexing local checkouts is disabled. Set RAG_LOCAL_REPOS_ROOT to allow it.', 403);
+      }
+
+      const resolved = path.resolve(localPath);
+      const allowed = roots.some(root => {
+        const relative = path.relative(path.resolve(root), resolved);
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+      });
+      if (!allowed) {
+        throw createRepositoryError('localPath must be inside RAG_LOCAL_REPOS_ROOT', 403);
+      }
+
+      return {
+        id: name || path.basename(resolved),
+        type: 'local',
+        localPath: resolved,
+        branch: branch || null
+      };
+    }
+
+    if (!owner || !repo || !GITHUB_NAME.test(owner) || !GITHUB_NAME.test(repo)) {
+      throw createRepositoryError('Invalid request: owner and repo, or localPath, are required');
+    }
+
+    return {
+      id: name || `${owner}/${repo}`,
+      type: 'github',
+      owner,
+      repo,
+      branch: branch || null
+    };
+  }
+
+  /**
+   * Files worth indexing, capped at RAG_REPO_MAX_FILES
+   */
+  selectFiles(files, repositoryId) {
+    const selected = files.filter(file => this.shouldIndex(file.path, file.size));
+    if (selected.length > MAX_FILES) {
+      logger.warn('Repository has more files than RAG_REPO_MAX_FILES, indexing the first ones', {
+        repository: repositoryId,
+        files: selected.length,
+        limit: MAX_FILES
+      });
+    }
+    return selected.slice(0, MAX_FILES);
+  }
+}
+
+module.exports = new RepositoryIndexService();
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+jest.mock('./logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const repositoryIndexService = require('./repositoryIndexService');
+
+const SOURCE = `const fs = require('fs');
+
+/**
+ * Read a config file
+ */
+function readConfig(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+class Cache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+}
+
+module.exports = { readConfig, Cache };
+`;
+
+describe('RepositoryIndexService', () => {
+  describe('chunkCode', () => {
+    test('should start chunks at declarations and keep doc comments with them', () => {
+      const chunks = repositoryIndexService.chunkCode(SOURCE, 'src/config.js', { chunkSize: 120 });
+
+      expect(chunks.map(chunk => chunk.text.split('\n')[0])).toEqual([
+        "const fs = require('fs');",
+        '/**',
+        'class Cache {',
+        'module.exports = { readConfig, Cache };'
+      ]);
+      expect(chunks[1].text).toContain('function readConfig(file)');
+      expect(chunks[2].text).toContain('  get(key) {');
+      chunks.forEach(chunk => {
+        expect(SOURCE.slice(chunk.start, chunk.end)).toBe(chunk.text);
+        expect(SOURCE.split('\n').slice(chunk.startLine - 1, chunk.endLine).join('\n')).toBe(chunk.text);
+      });
+    });
+
+    test('should pack small declarations into one chunk', () => {
+      const chunks = repositoryIndexService.chunkCode(SOURCE, 'src/config.js', { chunkSize: 1000 });
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0]).toMatchObject({ startLine: 1, endLine: 20 });
+    });
+
+    test('should attach Python decorators to their function', () => {
+      const source = 'import os\n\n\n@cached\ndef load():\n    return os.environ\n';
+      const chunks = repositoryIndexService.chunkCode(source, 'app/settings.py', { chunkSize: 45 });
+
+      expect(chunks.map(chunk => chunk.text)).toEqual(['import os', '@cached\ndef load():\n    return os.environ']);
+    });
+
+    test('should cut very long lines', () => {
+      const chunks = repositoryIndexService.chunkCode(`const data = "${'x'.repeat(250)}";`, 'data.js', { chunkSize: 100 });
+
+      expect(chunks).toHaveLength(3);
+      chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(100));
+    });
+  });
+
+  describe('shouldIndex', () => {
+    test('should skip dependencies, lock files and unknown file types', () => {
+      expect(repositoryIndexService.shouldIndex('src/app.ts', 100)).toBe(true);
+      expect(repositoryIndexService.shouldIndex('node_modules/lib/index.js', 100)).toBe(false);
+      expect(repositoryIndexService.shouldIndex('package-lock.json', 100)).toBe(false);
+      expect(repositoryIndexService.shouldIndex('public/logo.png', 100)).toBe(false);
+      expect(repositoryIndexService.shouldIndex('src/huge.js', 10 * 1024 * 1024)).toBe(false);
+    });
+  });
+
+  describe('normalizeRepository', () => {
+    const originalRoot = process.env.RAG_LOCAL_REPOS_ROOT;
+
+    afterEach(() => {
+      process.env.RAG_LOCAL_REPOS_ROOT = originalRoot;
+      if (originalRoot === undefined) {
+        delete process.env.RAG_LOCAL_REPOS_ROOT;
+      }
+    });
+
+    test('should describe GitHub repositories by owner and name', () => {
+      expect(repositoryIndexService.normalizeRepository({ owner: 'octo', repo: 'docs', branch: 'main' }))
+        .toEqual({ id: 'octo/docs', type: 'github', owner: 'octo', repo: 'docs', branch: 'main' });
+    });
+
+    test('should reject unsafe branch names', () => {
+      expect(() => repositoryIndexService.normalizeRepository({ owner: 'octo', repo: 'docs', branch: '--upload-pack=x' }))
+        .toThrow('Invalid branch name');
+    });
+
+    test('should only allow local checkouts inside RAG_LOCAL_REPOS_ROOT', () => {
+      delete process.env.RAG_LOCAL_REPOS_ROOT;
+      expect(() => repositoryIndexService.normalizeRepository({ localPath: '/srv/repos/app' }))
+        .toThrow(expect.objectContaining({ status: 403 }));
+
+      process.env.RAG_LOCAL_REPOS_ROOT = '/srv/repos';
+      expect(() => repositoryIndexService.normalizeRepository({ localPath: '/srv/repos/../etc' }))
+        .toThrow(expect.objectContaining({ status: 403 }));
+      expect(repositoryIndexService.normalizeRepository({ localPath: '/srv/repos/app' }))
+        .toMatchObject({ id: 'app', type: 'local', localPath: '/srv/repos/app' });
+    });
+  });
+
+  describe('local reader', () => {
+    let repoPath;
+
+    beforeAll(() => {
+      repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-reader-'));
+      const git = (...args) => execFileSync('git', ['-C', repoPath, ...args], { stdio: 'pipe' });
+      git('init', '-q');
+      fs.mkdirSync(path.join(repoPath, 'src'));
+      fs.writeFileSync(path.join(repoPath, 'src', 'config.js'), SOURCE);
+      git('add', '.');
+      git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'init');
+    });
+
+    afterAll(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    test('should list and read the files of a commit', async () => {
+      const reader = repositoryIndexService.createReader({ type: 'local', localPath: repoPath });
+      const commit = await reader.getCommit(await reader.resolveBranch());
+      const files = await reader.listFiles(commit);
+
+      expect(commit).toMatch(/^[0-9a-f]{40}$/);
+      expect(files).toEqual([{ path: 'src/config.js', sha: expect.stringMatching(/^[0-9a-f]{40}$/), size: SOURCE.length }]);
+      expect((await reader.readFile(files[0])).toString('utf-8')).toBe(SOURCE);
+    });
+  });
+
+  test('should link GitHub chunks to their lines at the indexed commit', () => {
+    const repository = { type: 'github', owner: 'octo', repo: 'docs', commit: 'abc123' };
+
+    expect(repositoryIndexService.fileUrl(repository, 'src/app.js', { startLine: 3, endLine: 9 }))
+      .toBe('https://github.com/octo/docs/blob/abc123/src/app.js#L3-L9');
+    expect(repositoryIndexService.fileUrl({ type: 'local', commit: 'abc123' }, 'src/app.js')).toBeUndefined();
+  });
+});
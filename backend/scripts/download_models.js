@@ -10,7 +10,7 @@ async function downloadModel() {
     delete process.env.HF_HUB_TOKEN;
 
     try {
-        const { pipeline, env } = await import('@xenova/transformers');
+        const { pipeline, env, AutoTokenizer, AutoModelForSequenceClassification } = await import('@xenova/transformers');
 
         // Explicitly clear token in the library env
         env.HF_TOKEN = null;
@@ -32,6 +32,23 @@ async function downloadModel() {
             quantized: true
         });
 
+        // Sentence embeddings for RAG retrieval (see embeddingService.js)
+        const embeddingModelId = process.env.RAG_EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+
+        console.log(`Fetching ${embeddingModelId}...`);
+        await pipeline('feature-extraction', embeddingModelId, {
+            quantized: true
+        });
+
+        // Optional cross-encoder for reranking RAG results (RAG_RERANK=true)
+        const rerankerModelId = process.env.RAG_RERANKER_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+        console.log(`Fetching ${rerankerModelId}...`);
+        await AutoTokenizer.from_pretrained(rerankerModelId);
+        await AutoModelForSequenceClassification.from_pretrained(rerankerModelId, {
+            quantized: true
+        });
+
         console.log('Download complete! You can now run the app offline.');
 
     } catch (error) {
@@ -0,0 +1,152 @@
+const axios = require('axios');
+const logger = require('./logger');
+
+/**
+ * Search Provider Service
+ * Adapters for the web search APIs used by /api/v1/tools/search, the chat search mode and
+ * the web_search tool. Every provider's results are normalized to { title, link, snippet },
+ * and kept for a while since chat turns often repeat a search.
+ */
+
+const DEFAULT_RESULT_COUNT = 5;
+const MAX_RESULT_COUNT = 10;
+const REQUEST_TIMEOUT_MS = 10000;
+const CACHE_TTL_MS = parseInt(process.env.SEARCH_CACHE_TTL_MS, 10) || 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 200;
+
+// Keyed by the API id used in api_config.json; `requires` lists the settings a search needs
+const PROVIDERS = {
+  google_search: {
+    requires: ['apiKey', 'cx'],
+    request: (query, { baseUrl, apiKey, cx }, count) => ({
+      url: baseUrl,
+      params: { key: apiKey, cx, q: query, num: count }
+    }),
+    parse: data => (data.items || []).map(item => ({ title: item.title, link: item.link, snippet: item.snippet }))
+  },
+  bing_search: {
+    requires: ['apiKey'],
+    request: (query, { baseUrl, apiKey }, count) => ({
+      url: baseUrl,
+      params: { q: query, count },
+      headers: { 'Ocp-Apim-Subscription-Key': apiKey }
+    }),
+    parse: data => (data.webPages?.value || []).map(item => ({ title: item.name, link: item.url, snippet: item.snippet }))
+  },
+  // Self-hosted; the instance has to allow the json format (search.formats in settings.yml)
+  searxng_search: {
+    requires: ['baseUrl'],
+    request: (query, { baseUrl, apiKey }) => ({
+      url: baseUrl,
+      params: { q: query, format: 'json' },
+      ...(apiKey && { headers: { Authorization: `Bearer ${apiKey}` } })
+    }),
+    parse: data => (data.results || []).map(item => ({ title: item.title, link: item.url, snippet: item.content }))
+  }
+};
+
+function createSearchError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function plainText(value) {
+  return `${value || ''}`.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+class SearchProviderService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  isSearchApi(id) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, id);
+  }
+
+  /**
+   * Settings a provider still needs before it can search
+   * @param {Object} settings - { baseUrl, apiKey, ...config }
+   */
+  missingSettings(id, settings = {}) {
+    return (PROVIDERS[id]?.requires || []).filter(key => !settings[key]);
+  }
+
+  /**
+   * Search the web with one provider
+   * @param {string} id - Provider (API) id
+   * @param {string} query - Search query
+   * @param {Object} settings - { baseUrl, apiKey, ...config } with credentials decrypted
+   * @param {Object} options - { count }
+   * @returns {Promise<Array<{title: string, link: string, snippet: string}>>}
+   * @throws 400 SEARCH_NOT_CONFIGURED, 502 SEARCH_FAILED
+   */
+  async search(id, query, settings = {}, { count = DEFAULT_RESULT_COUNT } = {}) {
+    const provider = PROVIDERS[id];
+    if (!provider) {
+      throw createSearchError(`${id} is not a web search provider`, 400, 'SEARCH_NOT_CONFIGURED');
+    }
+
+    const missing = this.missingSettings(id, settings);
+    if (missing.length) {
+      throw createSearchError(`${id} is missing ${missing.join(', ')}`, 400, 'SEARCH_NOT_CONFIGURED');
+    }
+
+    const limit = Math.min(Math.max(parseInt(count, 10) || DEFAULT_RESULT_COUNT, 1), MAX_RESULT_COUNT);
+    const text = `${query}`.trim();
+    const cacheKey = JSON.stringify([id, settings.baseUrl, text.toLowerCase(), limit]);
+    const cached = this.cache.get(cacheKey);
+
+    if (cached && Date.now() - cached.storedAt < CACHE_TTL_MS) {
+      logger.info('Web search served from cache', { provider: id, query: text });
+      return cached.results;
+    }
+
+    const { url, params, headers } = provider.request(text, settings, limit);
+    let response;
+    try {
+      response = await axios.get(url, { params, headers, timeout: REQUEST_TIMEOUT_MS });
+    } catch (error) {
+      const status = error.response?.status;
+      logger.error('Web search failed', { provider: id, status, error: error.message });
+      throw createSearchError(`${id} search failed: ${status ? `HTTP ${status}` : error.message}`, 502, 'SEARCH_FAILED');
+    }
+
+    const results = this.normalize(provider.parse(response.data || {})).slice(0, limit);
+
+    this.cache.delete(cacheKey);
+    this.cache.set(cacheKey, { results, storedAt: Date.now() });
+    if (this.cache.size > CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    logger.info('Web search completed', { provider: id, query: text, results: results.length });
+    return results;
+  }
+
+  /**
+   * Plain-text titles and snippets, http(s) links only, each link once
+   */
+  normalize(items = []) {
+    const seen = new Set();
+
+    return items
+      .map(item => ({ title: plainText(item.title), link: `${item.link || ''}`.trim(), snippet: plainText(item.snippet) }))
+      .filter(item => /^https?:\/\//i.test(item.link) && !seen.has(item.link) && seen.add(item.link))
+      .map(item => ({ ...item, title: item.title || item.link }));
+  }
+
+  /**
+   * Forget cached results, e.g. after a provider's settings change
+   */
+  clearCache(id) {
+    for (const key of this.cache.keys()) {
+      if (!id || JSON.parse(key)[0] === id) {
+        this.cache.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new SearchProviderService();
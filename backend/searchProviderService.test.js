@@ -0,0 +1,76 @@
+jest.mock('axios');
+jest.mock('./logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const axios = require('axios');
+const searchProviderService = require('./searchProviderService');
+
+describe('SearchProviderService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    searchProviderService.clearCache();
+  });
+
+  test('should query Google Custom Search and normalize its items', async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        items: [
+          { title: 'Node.js <b>streams</b>', link: 'https://nodejs.org/api/stream.html', snippet: 'Streams  are\ncollections of data' },
+          { title: 'Duplicate', link: 'https://nodejs.org/api/stream.html', snippet: '' },
+          { title: 'Not a web page', link: 'javascript:alert(1)', snippet: '' }
+        ]
+      }
+    });
+
+    const results = await searchProviderService.search('google_search', ' node streams ', {
+      baseUrl: 'https://www.googleapis.com/customsearch/v1',
+      apiKey: 'key',
+      cx: 'engine'
+    }, { count: 3 });
+
+    expect(axios.get).toHaveBeenCalledWith('https://www.googleapis.com/customsearch/v1', expect.objectContaining({
+      params: { key: 'key', cx: 'engine', q: 'node streams', num: 3 }
+    }));
+    expect(results).toEqual([
+      { title: 'Node.js streams', link: 'https://nodejs.org/api/stream.html', snippet: 'Streams are collections of data' }
+    ]);
+  });
+
+  test('should map Bing and SearXNG results to the same shape', async () => {
+    axios.get.mockResolvedValueOnce({ data: { webPages: { value: [{ name: 'Bing hit', url: 'https://example.com/b', snippet: 'From Bing' }] } } });
+    axios.get.mockResolvedValueOnce({ data: { results: [{ title: 'SearXNG hit', url: 'https://example.com/s', content: 'From SearXNG' }] } });
+
+    const bing = await searchProviderService.search('bing_search', 'query', { baseUrl: 'https://api.bing.microsoft.com/v7.0/search', apiKey: 'key' });
+    const searxng = await searchProviderService.search('searxng_search', 'query', { baseUrl: 'http://searx.local/search' });
+
+    expect(axios.get.mock.calls[0][1].headers).toEqual({ 'Ocp-Apim-Subscription-Key': 'key' });
+    expect(axios.get.mock.calls[1][1].params).toEqual({ q: 'query', format: 'json' });
+    expect(bing).toEqual([{ title: 'Bing hit', link: 'https://example.com/b', snippet: 'From Bing' }]);
+    expect(searxng).toEqual([{ title: 'SearXNG hit', link: 'https://example.com/s', snippet: 'From SearXNG' }]);
+  });
+
+  test('should cache results per provider and query', async () => {
+    axios.get.mockResolvedValue({ data: { results: [{ title: 'Hit', url: 'https://example.com', content: '' }] } });
+    const settings = { baseUrl: 'http://searx.local/search' };
+
+    await searchProviderService.search('searxng_search', 'Cached query', settings);
+    await searchProviderService.search('searxng_search', 'cached query', settings);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+
+    searchProviderService.clearCache('searxng_search');
+    await searchProviderService.search('searxng_search', 'cached query', settings);
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('should report missing settings and failed requests', async () => {
+    await expect(searchProviderService.search('google_search', 'query', { baseUrl: 'https://www.googleapis.com/customsearch/v1', apiKey: 'key' }))
+      .rejects.toMatchObject({ status: 400, code: 'SEARCH_NOT_CONFIGURED', message: expect.stringContaining('cx') });
+
+    axios.get.mockRejectedValue(Object.assign(new Error('Request failed'), { response: { status: 403 } }));
+    await expect(searchProviderService.search('bing_search', 'query', { baseUrl: 'https://api.bing.microsoft.com/v7.0/search', apiKey: 'bad' }))
+      .rejects.toMatchObject({ status: 502, code: 'SEARCH_FAILED', message: expect.stringContaining('HTTP 403') });
+  });
+});
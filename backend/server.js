@@ -1,5 +1,6 @@
 const createApp = require('./app');
 const logger = require('./logger');
+const llmService = require('./llmService');
 
 const PORT = process.env.PORT || 4000;
 const app = createApp();
@@ -10,10 +11,13 @@ if (process.env.NODE_ENV !== 'test') {
     logger.info(`Backend server running on port ${PORT}`);
     logger.info(`Health check available at: http://localhost:${PORT}/health`);
     logger.info(`Metrics available at: http://localhost:${PORT}/metrics`);
+    llmService.startHealthProbes();
   });
 }
 
 const gracefulShutdown = () => {
+  llmService.stopHealthProbes();
+
   if (server && server.listening) {
     logger.info('Received shutdown signal, closing server gracefully...');
     server.close(() => {
@@ -1,7 +1,32 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
+
+// Keep registry changes made by the tests out of the bundled model_registry.json
+process.env.MODEL_REGISTRY_FILE = path.join(os.tmpdir(), `model-registry-${process.pid}.json`);
+process.env.CONVERSATION_STORAGE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+process.env.RAG_STORAGE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-storage-'));
+process.env.RAG_INDEX_PATH = path.join(process.env.RAG_STORAGE_PATH, '.index.json');
+// A knowledge directory that does not exist yet is seeded with the bundled packs
+process.env.TINYLLM_KB_PATH = path.join(os.tmpdir(), `local-kb-${process.pid}`);
+
+// Every request in this file comes from the same address, so the API limiter gets a higher limit
+jest.mock('express-rate-limit', () => {
+  const rateLimit = jest.requireActual('express-rate-limit');
+  return options => rateLimit({ ...options, max: 1000 });
+});
+
 const app = require('./server');
 
 describe('Backend API Tests', () => {
+  afterAll(() => {
+    fs.rmSync(process.env.MODEL_REGISTRY_FILE, { force: true });
+    fs.rmSync(process.env.CONVERSATION_STORAGE_PATH, { recursive: true, force: true });
+    fs.rmSync(process.env.RAG_STORAGE_PATH, { recursive: true, force: true });
+    fs.rmSync(process.env.TINYLLM_KB_PATH, { recursive: true, force: true });
+  });
+
   describe('GET /health', () => {
     it('should return healthy status', async () => {
       const res = await request(app).get('/health');
@@ -447,4 +472,501 @@ describe('Backend API Tests', () => {
       });
     });
   });
+
+  describe('Model Registry', () => {
+    const modelId = 'ollama/test-model:1b';
+
+    it('should register, disable and remove a model', async () => {
+      const created = await request(app)
+        .post('/api/v1/models')
+        .send({ id: modelId, name: 'Test Model', type: 'ollama', ollamaModel: 'test-model:1b' });
+      expect(created.statusCode).toBe(201);
+      expect(created.body).toMatchObject({ id: modelId, provider: 'Ollama Local', enabled: true });
+
+      const disabled = await request(app).put(`/api/v1/models/${modelId}`).send({ enabled: false });
+      expect(disabled.statusCode).toBe(200);
+      expect(disabled.body).toHaveProperty('enabled', false);
+
+      const listed = await request(app).get('/api/v1/models');
+      expect(listed.body.models.some(m => m.id === modelId)).toBe(false);
+
+      const removed = await request(app).delete(`/api/v1/models/${modelId}`);
+      expect(removed.statusCode).toBe(200);
+
+      const missing = await request(app).get(`/api/v1/models/${modelId}`);
+      expect(missing.statusCode).toBe(404);
+    });
+
+    it('should reject invalid model definitions', async () => {
+      const res = await request(app)
+        .post('/api/v1/models')
+        .send({ id: 'xenova/broken', name: 'Broken', type: 'xenova' });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.details.some(d => d.field === 'transformersModel')).toBe(true);
+    });
+  });
+
+  describe('Local knowledge base', () => {
+    it('should teach the local assistant a new entry and report the match', async () => {
+      const created = await request(app)
+        .post('/api/v1/local-kb')
+        .send({ name: 'platform', description: 'Our platform', entries: [{ pattern: 'staging database', response: 'Staging uses the pg-staging-1 cluster.' }] });
+      expect(created.statusCode).toBe(201);
+      expect(created.body.entries[0]).toMatchObject({ id: 'staging-database' });
+
+      const added = await request(app)
+        .post('/api/v1/local-kb/platform/entries')
+        .send({ pattern: ['feature', 'flags'], response: 'Feature flags live in LaunchDarkly.' });
+      expect(added.statusCode).toBe(201);
+
+      const listed = await request(app).get('/api/v1/local-kb');
+      expect(listed.body.categories).toContainEqual(expect.objectContaining({ name: 'platform', entryCount: 2 }));
+
+      const generated = await request(app)
+        .post('/api/v1/generate')
+        .send({ prompt: 'Where is the staging database?', model: 'local/instruct' });
+      expect(generated.body.text).toContain('pg-staging-1');
+      expect(generated.body.knowledgeMatch).toEqual({ category: 'platform', id: 'staging-database', pattern: ['staging', 'database'], score: 1.5 });
+
+      const chat = await request(app)
+        .post('/api/v1/chat')
+        .send({ model: 'local/instruct', messages: [{ role: 'user', content: 'How do we manage feature flags?' }] });
+      expect(chat.body.message).toBe('Feature flags live in LaunchDarkly.');
+      expect(chat.body.knowledgeMatch).toMatchObject({ category: 'platform', id: 'feature-flags' });
+
+      const updated = await request(app).put('/api/v1/local-kb/platform/entries/feature-flags').send({ response: 'Flags live in Unleash.' });
+      expect(updated.body).toMatchObject({ id: 'feature-flags', response: 'Flags live in Unleash.' });
+
+      expect((await request(app).delete('/api/v1/local-kb/platform/entries/staging-database')).statusCode).toBe(200);
+      expect((await request(app).delete('/api/v1/local-kb/platform')).statusCode).toBe(200);
+      expect((await request(app).get('/api/v1/local-kb/platform')).statusCode).toBe(404);
+    });
+
+    it('should reject invalid entries', async () => {
+      const res = await request(app).post('/api/v1/local-kb/identity/entries').send({ pattern: '?!', response: 'Nothing to match' });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.details).toContainEqual(expect.objectContaining({ field: 'pattern' }));
+    });
+  });
+
+  describe('Structured output', () => {
+    it('should return 400 for an unusable jsonSchema', async () => {
+      const res = await request(app)
+        .post('/api/v1/generate')
+        .send({ prompt: 'List three colors', model: 'local/instruct', options: { jsonSchema: { type: 'colour' } } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toContain('Invalid jsonSchema');
+    });
+  });
+
+  describe('Conversations API', () => {
+    it('should create, append to, search and delete a conversation', async () => {
+      const created = await request(app)
+        .put('/api/v1/conversations/conv-test-1')
+        .send({ model: 'local/instruct', messages: [{ role: 'user', content: 'Explain blue-green deployments' }] });
+      expect(created.statusCode).toBe(200);
+      expect(created.body).toHaveProperty('title', 'Explain blue-green deployments');
+
+      const appended = await request(app)
+        .post('/api/v1/conversations/conv-test-1/messages')
+        .send({ role: 'assistant', content: 'Two identical environments take turns serving traffic.' });
+      expect(appended.statusCode).toBe(201);
+      expect(appended.body.messages).toHaveLength(2);
+
+      const search = await request(app).get('/api/v1/conversations').query({ q: 'identical environments' });
+      expect(search.body.conversations.map(c => c.id)).toEqual(['conv-test-1']);
+
+      const removed = await request(app).delete('/api/v1/conversations/conv-test-1');
+      expect(removed.statusCode).toBe(200);
+
+      const missing = await request(app).get('/api/v1/conversations/conv-test-1');
+      expect(missing.statusCode).toBe(404);
+    });
+
+    it('should reject invalid conversation ids', async () => {
+      const res = await request(app).put('/api/v1/conversations/bad.id').send({ messages: [] });
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('POST /api/v1/rag/upload/file', () => {
+    it('should extract and store uploaded files', async () => {
+      const res = await request(app)
+        .post('/api/v1/rag/upload/file')
+        .attach('files', Buffer.from('host,owner\nweb-1,ops\n'), 'hosts.csv')
+        .attach('files', Buffer.from('<html><body><p>Rotate keys yearly.</p></body></html>'), 'policy.html');
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.documents.map(doc => doc.filename)).toEqual(['hosts.csv.txt', 'policy.html.txt']);
+      expect(res.body.documents[0].metadata).toMatchObject({ originalName: 'hosts.csv', format: 'csv' });
+
+      const documents = await request(app).get('/api/v1/rag/documents');
+      expect(documents.body.documents.map(doc => doc.filename).sort()).toEqual(['hosts.csv.txt', 'policy.html.txt']);
+    });
+
+    it('should report unsupported files', async () => {
+      const res = await request(app)
+        .post('/api/v1/rag/upload/file')
+        .attach('files', Buffer.from('MZ'), 'setup.exe');
+
+      expect(res.statusCode).toBe(415);
+      expect(res.body.documents[0]).toMatchObject({ success: false, filename: 'setup.exe' });
+    });
+
+    it('should require a file', async () => {
+      const res = await request(app).post('/api/v1/rag/upload/file').field('note', 'no file');
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('POST /api/v1/chat/stream', () => {
+    it('should handle image intents itself when the tool-capable model is unavailable', async () => {
+      const imageGenerationService = require('./imageGenerationService');
+      const generateImage = jest.spyOn(imageGenerationService, 'generateImage').mockResolvedValue('/images/cat.png');
+      const apiKey = process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+
+      try {
+        const res = await request(app)
+          .post('/api/v1/chat/stream')
+          .send({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Generate image of a cat on a keyboard' }] });
+
+        expect(generateImage).toHaveBeenCalledWith('Generate image of a cat on a keyboard');
+        expect(res.text).toContain('![Generated Image](/images/cat.png)');
+      } finally {
+        generateImage.mockRestore();
+        if (apiKey !== undefined) {
+          process.env.OPENAI_API_KEY = apiKey;
+        }
+      }
+    });
+  });
+
+  describe('POST /api/v1/rag/query/stream', () => {
+    it('should send the sources before the answer', async () => {
+      await request(app)
+        .post('/api/v1/rag/upload')
+        .send({ filename: 'rotation.md', content: 'Rotate database credentials every 90 days.' });
+
+      const res = await request(app)
+        .post('/api/v1/rag/query/stream')
+        .send({ query: 'How often are database credentials rotated?', source: 'server', model: 'local/instruct' });
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toContain('text/event-stream');
+
+      const events = res.text.split('\n\n').filter(Boolean).map(line => line.replace(/^data: /, ''));
+      expect(events[events.length - 1]).toBe('[DONE]');
+
+      const payloads = events.slice(0, -1).map(event => JSON.parse(event));
+      expect(payloads[0].sources[0]).toMatchObject({ id: 1, path: 'rotation.md' });
+      expect(payloads.slice(1, -1).every(payload => typeof payload.content === 'string')).toBe(true);
+      expect(payloads[payloads.length - 1]).toHaveProperty('citations');
+    });
+
+    it('should end with the grounding check', async () => {
+      const res = await request(app)
+        .post('/api/v1/rag/query/stream')
+        .send({ query: 'How often are database credentials rotated?', source: 'server', model: 'local/instruct' });
+
+      const events = res.text.split('\n\n').filter(Boolean).map(line => line.replace(/^data: /, ''));
+      const final = JSON.parse(events[events.length - 2]);
+      expect(final.grounding).toMatchObject({ answerable: expect.any(Boolean), sentences: expect.any(Array) });
+    });
+
+    it('should quote the sources when answering with the local model', async () => {
+      const res = await request(app)
+        .post('/api/v1/rag/query')
+        .send({ query: 'How often are database credentials rotated?', source: 'server', model: 'local/instruct' });
+
+      expect(res.body.answer).toContain('> Rotate database credentials every 90 days. [1]');
+      expect(res.body.citations).toEqual([1]);
+      expect(res.body.grounding.unsupported).toBe(0);
+
+      const chat = await request(app)
+        .post('/api/v1/chat')
+        .send({ model: 'local/instruct', messages: [{ role: 'user', content: 'When do we rotate database credentials?' }] });
+      expect(chat.body.message).toContain('Rotate database credentials every 90 days.');
+      expect(chat.body.message).toContain('[1] rotation.md');
+      expect(chat.body.sources[0]).toMatchObject({ id: 1, path: 'rotation.md' });
+    });
+
+    it('should keep the local guidance for requests the documents do not answer', async () => {
+      const plan = await request(app)
+        .post('/api/v1/chat')
+        .send({ model: 'local/instruct', messages: [{ role: 'user', content: 'Help me plan how we rotate database credentials' }] });
+      expect(plan.body.message).toContain('For database operations related to');
+      expect(plan.body.sources).toBeUndefined();
+
+      const generated = await request(app)
+        .post('/api/v1/generate')
+        .send({ prompt: 'Help me plan how we rotate database credentials', model: 'local/instruct' });
+      expect(generated.body.text).not.toContain('From your documents');
+      expect(generated.body.sources).toBeUndefined();
+    });
+
+    it('should abstain without calling the model when nothing relevant is found', async () => {
+      const res = await request(app)
+        .post('/api/v1/rag/query')
+        .send({ query: 'quarterly invoice reconciliation deadline', source: 'server', mode: 'keyword' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({
+        sources: [],
+        grounding: { answerable: false, reason: 'no_relevant_sources' }
+      });
+      expect(res.body.answer).toContain("couldn't find");
+    });
+
+    it('should condense follow-ups using the conversation history', async () => {
+      const res = await request(app)
+        .post('/api/v1/rag/query/stream')
+        .send({
+          query: 'And how often is that done?',
+          source: 'server',
+          mode: 'keyword',
+          model: 'local/instruct',
+          rewrite: true,
+          history: [{ role: 'user', content: 'Which database credentials get rotated?' }]
+        });
+
+      const events = res.text.split('\n\n').filter(Boolean).map(line => line.replace(/^data: /, ''));
+      const first = JSON.parse(events[0]);
+      expect(first.rewrite).toMatchObject({ original: 'And how often is that done?', method: 'local' });
+      expect(first.rewrite.standalone).toMatch(/database.*credential/);
+      expect(first.sources[0]).toMatchObject({ path: 'rotation.md' });
+    });
+
+    it('should reject a history that is not a list of turns', async () => {
+      const res = await request(app)
+        .post('/api/v1/rag/query')
+        .send({ query: 'How often?', history: 'rotation' });
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should validate the query before streaming', async () => {
+      const res = await request(app).post('/api/v1/rag/query/stream').send({ mode: 'hybrid' });
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('RAG document storage errors', () => {
+    it('should reject path traversal with INVALID_FILENAME', async () => {
+      const upload = await request(app).post('/api/v1/rag/upload').send({ filename: '../../app.js', content: 'x' });
+      expect(upload.statusCode).toBe(400);
+      expect(upload.body.code).toBe('INVALID_FILENAME');
+
+      const removal = await request(app).delete(`/api/v1/rag/documents/${encodeURIComponent('../server.js')}`);
+      expect(removal.statusCode).toBe(400);
+      expect(removal.body.code).toBe('INVALID_FILENAME');
+    });
+
+    it('should return DOCUMENT_NOT_FOUND when deleting an unknown document', async () => {
+      const res = await request(app).delete('/api/v1/rag/documents/nothing-here.md');
+      expect(res.statusCode).toBe(404);
+      expect(res.body).toMatchObject({ code: 'DOCUMENT_NOT_FOUND' });
+    });
+
+    it('should flag uploads whose content does not match their type', async () => {
+      const res = await request(app)
+        .post('/api/v1/rag/upload/file')
+        .attach('files', Buffer.from('%PDF-1.4 not really text'), 'notes.md');
+
+      expect(res.statusCode).toBe(415);
+      expect(res.body.code).toBe('CONTENT_MISMATCH');
+    });
+
+    it('should require text content', async () => {
+      const res = await request(app).post('/api/v1/rag/upload').send({ filename: 'a.md', content: { text: 'x' } });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('INVALID_REQUEST');
+    });
+  });
+
+  describe('RAG document versions', () => {
+    it('should list, fetch and diff the versions of a document', async () => {
+      await request(app).post('/api/v1/rag/upload').send({ filename: 'oncall.md', content: 'Page the DBA.', uploader: 'alice' });
+      const updated = await request(app)
+        .post('/api/v1/rag/upload')
+        .send({ filename: 'oncall.md', content: 'Page the SRE.', uploader: 'bob' });
+      expect(updated.body).toMatchObject({ version: 2, unchanged: false });
+
+      const history = await request(app).get('/api/v1/rag/documents/oncall.md/versions');
+      expect(history.statusCode).toBe(200);
+      expect(history.body.versions.map(version => version.uploader)).toEqual(['alice', 'bob']);
+
+      const first = await request(app).get('/api/v1/rag/documents/oncall.md/versions/1');
+      expect(first.body.content).toBe('Page the DBA.');
+
+      const diff = await request(app).get('/api/v1/rag/documents/oncall.md/diff').query({ from: 1, to: 2 });
+      expect(diff.body).toMatchObject({ from: 1, to: 2, added: 1, removed: 1 });
+    });
+
+    it('should return 404 for unknown versions', async () => {
+      const res = await request(app).get('/api/v1/rag/documents/oncall.md/versions/7');
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('RAG collections', () => {
+    it('should create a protected collection and require its token', async () => {
+      const created = await request(app)
+        .post('/api/v1/rag/collections')
+        .send({ name: 'sre', accessToken: 'sre-secret-1' });
+      expect(created.statusCode).toBe(201);
+      expect(created.body).toMatchObject({ name: 'sre', protected: true, documents: 0 });
+
+      const upload = await request(app)
+        .post('/api/v1/rag/upload')
+        .set('X-Collection-Token', 'sre-secret-1')
+        .send({ filename: 'oncall.md', content: 'Page the database owner.', collection: 'sre' });
+      expect(upload.statusCode).toBe(200);
+
+      const denied = await request(app).get('/api/v1/rag/documents').query({ collection: 'sre' });
+      expect(denied.statusCode).toBe(403);
+
+      const stats = await request(app).get('/api/v1/rag/collections/sre').set('X-Collection-Token', 'sre-secret-1');
+      expect(stats.body).toMatchObject({ name: 'sre', documents: 1 });
+
+      const removed = await request(app).delete('/api/v1/rag/collections/sre').set('X-Collection-Token', 'sre-secret-1');
+      expect(removed.statusCode).toBe(200);
+    });
+  });
+
+  describe('RAG repositories', () => {
+    it('should require a GitHub repository or a local path', async () => {
+      const res = await request(app).post('/api/v1/rag/repositories').send({ branch: 'main' });
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should return 404 when syncing an unknown repository', async () => {
+      const res = await request(app).post('/api/v1/rag/repositories/octo/missing/sync').send({});
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('Web search providers', () => {
+    it('should list the built-in providers with the settings they still need', async () => {
+      const res = await request(app).get('/api/v1/apis');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.filter(api => api.search).map(api => api.id)).toEqual(['google_search', 'bing_search', 'searxng_search']);
+      expect(res.body.find(api => api.id === 'google_search')).toMatchObject({ hasKey: false, missing: ['apiKey', 'cx'] });
+    });
+
+    it('should refuse to enable a provider without its key', async () => {
+      const res = await request(app).put('/api/v1/apis/bing_search').send({ enabled: true });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toContain('apiKey');
+    });
+
+    it('should report when no provider is enabled', async () => {
+      const res = await request(app).post('/api/v1/tools/search').send({ query: 'latest node release' });
+      expect(res.statusCode).toBe(503);
+    });
+  });
+
+  describe('OpenAI-compatible API', () => {
+    describe('GET /v1/models', () => {
+      it('should list models in the OpenAI format', async () => {
+        const res = await request(app).get('/v1/models');
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toHaveProperty('object', 'list');
+        expect(Array.isArray(res.body.data)).toBe(true);
+        expect(res.body.data.some(m => m.id === 'local/instruct' && m.object === 'model')).toBe(true);
+      });
+
+      it('should retrieve a single model with a slash in its id', async () => {
+        const res = await request(app).get('/v1/models/local/instruct');
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toHaveProperty('id', 'local/instruct');
+      });
+    });
+
+    describe('POST /v1/chat/completions', () => {
+      it('should return a chat completion', async () => {
+        const res = await request(app)
+          .post('/v1/chat/completions')
+          .send({
+            model: 'local/instruct',
+            messages: [{ role: 'user', content: 'How do I deploy with docker?' }]
+          });
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toHaveProperty('object', 'chat.completion');
+        expect(res.body.choices[0].message.role).toBe('assistant');
+        expect(typeof res.body.choices[0].message.content).toBe('string');
+        expect(res.body).toHaveProperty('usage');
+      });
+
+      it('should stream chunks in the choices[].delta format', async () => {
+        const res = await request(app)
+          .post('/v1/chat/completions')
+          .send({
+            model: 'local/instruct',
+            stream: true,
+            messages: [{ role: 'user', content: [{ type: 'text', text: 'Hello' }] }]
+          });
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toContain('text/event-stream');
+
+        const events = res.text.split('\n\n').filter(Boolean).map(line => line.replace(/^data: /, ''));
+        expect(events[events.length - 1]).toBe('[DONE]');
+
+        const chunks = events.slice(0, -1).map(event => JSON.parse(event));
+        expect(chunks[0].choices[0].delta.role).toBe('assistant');
+        expect(chunks.every(chunk => chunk.object === 'chat.completion.chunk')).toBe(true);
+        expect(chunks[chunks.length - 1].choices[0].finish_reason).toBe('stop');
+        expect(chunks.map(chunk => chunk.choices[0].delta.content || '').join('').length).toBeGreaterThan(0);
+      });
+
+      it('should return 400 when messages are missing', async () => {
+        const res = await request(app).post('/v1/chat/completions').send({ model: 'local/instruct' });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toHaveProperty('type', 'invalid_request_error');
+      });
+
+      it('should return 400 for image URLs that are not data: URLs', async () => {
+        const image = url => ({
+          model: 'local/instruct',
+          messages: [{ role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url } }] }]
+        });
+
+        const res = await request(app).post('/v1/chat/completions').send(image('https://example.com/cat.png'));
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toMatchObject({ type: 'invalid_request_error', param: 'messages' });
+
+        const inline = await request(app).post('/v1/chat/completions').send(image('data:image/png;base64,iVBORw0KGgo='));
+        expect(inline.statusCode).toBe(200);
+      });
+
+      it('should return 404 for unknown models', async () => {
+        const res = await request(app)
+          .post('/v1/chat/completions')
+          .send({ model: 'does-not-exist', messages: [{ role: 'user', content: 'Hi' }] });
+        expect(res.statusCode).toBe(404);
+        expect(res.body.error).toHaveProperty('code', 'model_not_found');
+      });
+
+      it('should return 404 for models /v1/models hides as unavailable', async () => {
+        const apiKey = process.env.OPENAI_API_KEY;
+        delete process.env.OPENAI_API_KEY;
+
+        try {
+          const listed = await request(app).get('/v1/models');
+          expect(listed.body.data.some(m => m.id === 'gpt-4o')).toBe(false);
+
+          const res = await request(app)
+            .post('/v1/chat/completions')
+            .send({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }] });
+          expect(res.statusCode).toBe(404);
+          expect(res.body.error).toHaveProperty('code', 'model_not_found');
+          expect((await request(app).get('/v1/models/gpt-4o')).statusCode).toBe(404);
+        } finally {
+          if (apiKey) {
+            process.env.OPENAI_API_KEY = apiKey;
+          }
+        }
+      });
+    });
+  });
 });
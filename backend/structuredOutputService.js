@@ -0,0 +1,317 @@
+const Joi = require('joi');
+
+/**
+ * Structured Output Service
+ * Turns a JSON Schema into a Joi validator, pulls JSON out of model replies and
+ * builds the prompts that ask (and re-ask) a model for schema-conforming JSON.
+ */
+
+const MAX_SCHEMA_CHARS = 20000;
+const MAX_FEEDBACK_ERRORS = 10;
+
+const STRING_FORMATS = {
+  email: schema => schema.email({ tlds: { allow: false } }),
+  uri: schema => schema.uri(),
+  uuid: schema => schema.guid(),
+  'date-time': schema => schema.isoDate(),
+  date: schema => schema.pattern(/^\d{4}-\d{2}-\d{2}$/, 'date')
+};
+
+function createSchemaError(message) {
+  const error = new Error(`Invalid jsonSchema: ${message}`);
+  error.status = 400;
+  return error;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function compileString(schema) {
+  // Joi rejects '' by default; JSON Schema only does with minLength
+  let validator = schema.minLength > 0 ? Joi.string() : Joi.string().allow('');
+
+  if (Number.isInteger(schema.minLength)) validator = validator.min(schema.minLength);
+  if (Number.isInteger(schema.maxLength)) validator = validator.max(schema.maxLength);
+  if (typeof schema.pattern === 'string') {
+    try {
+      validator = validator.pattern(new RegExp(schema.pattern));
+    } catch (error) {
+      throw createSchemaError(`pattern ${schema.pattern} is not a valid regular expression`);
+    }
+  }
+  if (STRING_FORMATS[schema.format]) {
+    validator = STRING_FORMATS[schema.format](validator);
+  }
+
+  return validator;
+}
+
+function compileNumber(schema, integer) {
+  let validator = Joi.number();
+
+  if (integer) validator = validator.integer();
+  if (typeof schema.minimum === 'number') validator = validator.min(schema.minimum);
+  if (typeof schema.maximum === 'number') validator = validator.max(schema.maximum);
+  if (typeof schema.exclusiveMinimum === 'number') validator = validator.greater(schema.exclusiveMinimum);
+  if (typeof schema.exclusiveMaximum === 'number') validator = validator.less(schema.exclusiveMaximum);
+  if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) validator = validator.multiple(schema.multipleOf);
+
+  return validator;
+}
+
+function compileObject(schema) {
+  const properties = isPlainObject(schema.properties) ? schema.properties : {};
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  const keys = {};
+
+  Object.entries(properties).forEach(([key, propertySchema]) => {
+    keys[key] = compileNode(propertySchema);
+  });
+  required.forEach(key => {
+    keys[key] = (keys[key] || Joi.any()).required();
+  });
+
+  let validator = Joi.object(keys);
+
+  if (schema.additionalProperties === false) {
+    validator = validator.unknown(false);
+  } else if (isPlainObject(schema.additionalProperties)) {
+    validator = validator.pattern(/./, compileNode(schema.additionalProperties));
+  } else {
+    validator = validator.unknown(true);
+  }
+
+  if (Number.isInteger(schema.minProperties)) validator = validator.min(schema.minProperties);
+  if (Number.isInteger(schema.maxProperties)) validator = validator.max(schema.maxProperties);
+
+  return validator;
+}
+
+function compileArray(schema) {
+  let validator = Joi.array();
+  const tuple = Array.isArray(schema.prefixItems) ? schema.prefixItems : (Array.isArray(schema.items) ? schema.items : null);
+
+  if (tuple) {
+    validator = validator.ordered(...tuple.map(compileNode));
+  } else if (schema.items !== undefined) {
+    validator = validator.items(compileNode(schema.items));
+  }
+
+  if (Number.isInteger(schema.minItems)) validator = validator.min(schema.minItems);
+  if (Number.isInteger(schema.maxItems)) validator = validator.max(schema.maxItems);
+  if (schema.uniqueItems === true) validator = validator.unique();
+
+  return validator;
+}
+
+function compileType(type, schema) {
+  switch (type) {
+    case 'string':
+      return compileString(schema);
+    case 'number':
+      return compileNumber(schema, false);
+    case 'integer':
+      return compileNumber(schema, true);
+    case 'boolean':
+      return Joi.boolean();
+    case 'null':
+      return Joi.valid(null);
+    case 'object':
+      return compileObject(schema);
+    case 'array':
+      return compileArray(schema);
+    default:
+      throw createSchemaError(`unsupported type "${type}"`);
+  }
+}
+
+// Keywords without a counterpart here (e.g. $ref, if/then) are ignored rather than rejected
+function compileNode(schema) {
+  if (schema === true || schema === undefined) {
+    return Joi.any();
+  }
+  if (schema === false) {
+    return Joi.any().forbidden();
+  }
+  if (!isPlainObject(schema)) {
+    throw createSchemaError('every schema must be an object or a boolean');
+  }
+
+  if (Array.isArray(schema.enum)) {
+    return Joi.any().valid(...schema.enum);
+  }
+  if (Object.prototype.hasOwnProperty.call(schema, 'const')) {
+    return Joi.any().valid(schema.const);
+  }
+
+  const combinator = ['anyOf', 'oneOf', 'allOf'].find(keyword => Array.isArray(schema[keyword]));
+  if (combinator) {
+    const match = { anyOf: 'any', oneOf: 'one', allOf: 'all' }[combinator];
+    return Joi.alternatives().try(...schema[combinator].map(compileNode)).match(match);
+  }
+
+  let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (!schema.type) {
+    if (isPlainObject(schema.properties)) types = ['object'];
+    else if (schema.items !== undefined || schema.prefixItems) types = ['array'];
+    else return Joi.any();
+  }
+
+  const validators = types.map(type => compileType(type, schema));
+  return validators.length === 1 ? validators[0] : Joi.alternatives().try(...validators);
+}
+
+// Index of the bracket closing the JSON value that starts at `start`, or -1
+function findClosingBracket(text, start) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') i += 1;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return -1;
+      if (!stack.length) return i;
+    }
+  }
+
+  return -1;
+}
+
+class StructuredOutputService {
+  /**
+   * Compile a JSON Schema into a Joi validator
+   * @param {Object} jsonSchema - JSON Schema describing the expected output
+   * @returns {Object} Joi schema
+   * @throws {Error} With status 400 when the schema is unusable
+   */
+  compile(jsonSchema) {
+    if (!isPlainObject(jsonSchema)) {
+      throw createSchemaError('must be a JSON Schema object');
+    }
+    if (JSON.stringify(jsonSchema).length > MAX_SCHEMA_CHARS) {
+      throw createSchemaError(`must be smaller than ${MAX_SCHEMA_CHARS} characters`);
+    }
+
+    return compileNode(jsonSchema);
+  }
+
+  /**
+   * Extract the JSON value from a model reply. Code fences and prose around the
+   * value are tolerated; the value itself must be valid JSON.
+   */
+  parse(text = '') {
+    const trimmed = `${text}`.trim();
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidate = fenced ? fenced[1].trim() : trimmed;
+
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      const start = candidate.search(/[[{]/);
+      const end = start >= 0 ? findClosingBracket(candidate, start) : -1;
+
+      if (end < 0) {
+        throw new Error('Output does not contain a JSON object or array');
+      }
+
+      return JSON.parse(candidate.slice(start, end + 1));
+    }
+  }
+
+  /**
+   * Parse and validate a model reply
+   * @returns {{value?: *, errors?: Array<string>}} The parsed value, or what is wrong with it
+   */
+  validate(text, validator) {
+    let parsed;
+    try {
+      parsed = this.parse(text);
+    } catch (error) {
+      return { errors: [`Output is not valid JSON: ${error.message}`] };
+    }
+
+    const { error, value } = validator.validate(parsed, { abortEarly: false, convert: false });
+    if (error) {
+      return { errors: error.details.map(detail => detail.message) };
+    }
+
+    return { value };
+  }
+
+  buildInstruction(jsonSchema) {
+    return [
+      'Respond with a single JSON value that matches this JSON Schema.',
+      'Do not add explanations, markdown or code fences.',
+      `JSON Schema:\n${JSON.stringify(jsonSchema, null, 2)}`
+    ].join('\n');
+  }
+
+  buildFeedback(errors) {
+    return [
+      'Your previous reply did not match the JSON Schema:',
+      ...errors.slice(0, MAX_FEEDBACK_ERRORS).map(message => `- ${message}`),
+      'Reply again with only the corrected JSON.'
+    ].join('\n');
+  }
+
+  /**
+   * Prompt for text generation: the instruction, then every rejected reply with its errors.
+   * @param {Array<{output: string, errors: Array<string>}>} previousAttempts
+   */
+  buildPrompt(prompt, jsonSchema, previousAttempts = []) {
+    const retries = previousAttempts.map(({ output, errors }) =>
+      `Previous reply:\n${output}\n\n${this.buildFeedback(errors)}`);
+
+    return [prompt, this.buildInstruction(jsonSchema), ...retries].join('\n\n');
+  }
+
+  /**
+   * Messages for chat: the instruction joins the system prompt and rejected replies
+   * are answered with their validation errors.
+   */
+  buildMessages(messages, jsonSchema, previousAttempts = []) {
+    const instruction = this.buildInstruction(jsonSchema);
+    const conversation = messages.map(message => ({ ...message }));
+    const system = conversation.find(message => message.role === 'system');
+
+    if (system) {
+      system.content = `${system.content}\n\n${instruction}`;
+    } else {
+      conversation.unshift({ role: 'system', content: instruction });
+    }
+
+    previousAttempts.forEach(({ output, errors }) => {
+      conversation.push({ role: 'assistant', content: output });
+      conversation.push({ role: 'user', content: this.buildFeedback(errors) });
+    });
+
+    return conversation;
+  }
+
+  /**
+   * `response_format` for OpenAI-compatible APIs. Not strict: strict mode rejects
+   * many ordinary schemas (optional properties, missing additionalProperties).
+   */
+  toResponseFormat(jsonSchema) {
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: 'response',
+        schema: jsonSchema,
+        strict: false
+      }
+    };
+  }
+}
+
+module.exports = new StructuredOutputService();
@@ -0,0 +1,69 @@
+const structuredOutputService = require('./structuredOutputService');
+
+describe('StructuredOutputService', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+      rating: { type: ['integer', 'null'], minimum: 1, maximum: 5 },
+      status: { enum: ['draft', 'published'] }
+    },
+    required: ['title', 'status'],
+    additionalProperties: false
+  };
+
+  test('should accept output matching the schema', () => {
+    const validator = structuredOutputService.compile(schema);
+    const { value, errors } = structuredOutputService.validate(
+      '{"title": "Hello", "tags": ["a"], "rating": null, "status": "draft"}',
+      validator
+    );
+
+    expect(errors).toBeUndefined();
+    expect(value).toEqual({ title: 'Hello', tags: ['a'], rating: null, status: 'draft' });
+  });
+
+  test('should report every violation without coercing types', () => {
+    const validator = structuredOutputService.compile(schema);
+    const { errors } = structuredOutputService.validate(
+      '{"title": "", "tags": ["a", "b", "c", "d"], "rating": "5", "extra": true}',
+      validator
+    );
+
+    expect(errors).toEqual(expect.arrayContaining([
+      '"title" is not allowed to be empty',
+      '"status" is required',
+      '"extra" is not allowed',
+      '"tags" must contain less than or equal to 3 items'
+    ]));
+    expect(errors.some(message => message.includes('"rating"'))).toBe(true);
+  });
+
+  test('should extract JSON wrapped in prose or code fences', () => {
+    expect(structuredOutputService.parse('Here you go:\n```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(structuredOutputService.parse('Result: {"a": "}"} Hope that helps!')).toEqual({ a: '}' });
+    expect(structuredOutputService.parse('[1, 2] and more')).toEqual([1, 2]);
+    expect(() => structuredOutputService.parse('No JSON here')).toThrow('does not contain a JSON');
+  });
+
+  test('should reject unusable schemas with status 400', () => {
+    expect(() => structuredOutputService.compile('not a schema')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => structuredOutputService.compile({ type: 'date' })).toThrow('unsupported type "date"');
+  });
+
+  test('should feed rejected replies back into chat retries', () => {
+    const messages = structuredOutputService.buildMessages(
+      [{ role: 'user', content: 'Summarize' }],
+      schema,
+      [{ output: '{"title": 1}', errors: ['"title" must be a string'] }]
+    );
+
+    expect(messages[0].role).toBe('system');
+    expect(messages[0].content).toContain('"additionalProperties": false');
+    expect(messages.slice(-2)).toEqual([
+      { role: 'assistant', content: '{"title": 1}' },
+      { role: 'user', content: expect.stringContaining('- "title" must be a string') }
+    ]);
+  });
+});
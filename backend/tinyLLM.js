@@ -1,169 +1,146 @@
 
 const nlpService = require('./nlpService');
+const localKnowledgeService = require('./localKnowledgeService');
+const ragService = require('./ragService');
 const logger = require('./logger');
 
+// Context remembered per session: idle sessions expire after the TTL, and the least
+// recently used ones are dropped beyond MAX_SESSIONS
+const SESSION_TTL_MS = parseInt(process.env.TINYLLM_SESSION_TTL_MS, 10) || 30 * 60 * 1000;
+const MAX_SESSIONS = 1000;
+
 /**
  * TinyLLM v2 - Enhanced lightweight, local language model
  * Improvements: Better tokenization, expanded KB, smarter matching
+ * The knowledge base lives in editable packs, see localKnowledgeService.js; questions it
+ * does not cover are answered by quoting the uploaded documents when they can be
  */
 class TinyLLM {
     constructor() {
-        this.context = [];
+        // session id -> { messages: [{ role, content }], lastUsed }
+        this.sessions = new Map();
         this.maxContext = 5;
+        // Knowledge pattern -> its forms to match, see patternForms()
+        this.patternWords = new Map();
+    }
 
-        // Enhanced Knowledge Base with more patterns
-        this.knowledge = {
-            // Identity & Capabilities
-            identity: [
-                { pattern: ['who', 'are', 'you'], response: "I am the Local Assistant, a lightweight AI running entirely on your machine. I use advanced NLP and pattern matching to help with coding, DevOps, and technical questions." },
-                { pattern: ['are', 'you', 'real'], response: "No, I am a code-based AI assistant designed to be helpful and privacy-focused. All processing happens locally." },
-                { pattern: ['are', 'you', 'human'], response: "No, I'm an AI assistant that runs locally on your computer. I don't send any data to external servers." },
-                { pattern: ['what', 'can', 'you', 'do'], response: "I can help with coding (JavaScript, React, Python), DevOps (Docker, CI/CD, Kubernetes), debugging, system operations, and general technical questions. I use advanced NLP to understand your intent." },
-                { pattern: ['how', 'do', 'you', 'work'], response: "I analyze your input using NLP (compromise.js) to extract intent, entities, and keywords. Then I match against my knowledge base or construct contextual responses. All processing is local and instant." },
-                { pattern: ['what', 'are', 'you'], response: "I'm a local AI assistant called Tiny LLM. I combine rule-based logic with NLP analysis to provide helpful responses without needing external APIs." }
-            ],
-
-            // Coding Knowledge - JavaScript
-            javascript: [
-                { pattern: ['function', 'javascript'], response: "In JavaScript, you can define functions in several ways:\n1. Function declaration: `function myFunc() { }`\n2. Arrow function: `const myFunc = () => { }`\n3. Function expression: `const myFunc = function() { }`\n\nArrow functions are preferred for concise syntax and lexical `this` binding." },
-                { pattern: ['write', 'function'], response: "To write a function, use: `function name(params) { return value; }` or the modern arrow syntax: `const name = (params) => value;`" },
-                { pattern: ['async', 'await'], response: "Async/await is syntactic sugar for Promises. Use `async` before a function to make it return a Promise, and `await` inside to pause execution until a Promise resolves:\n```javascript\nasync function fetchData() {\n  const data = await fetch(url);\n  return data.json();\n}\n```" },
-                { pattern: ['promise'], response: "Promises represent eventual completion of async operations. Use `.then()` for chaining or `async/await` for cleaner syntax." },
-                { pattern: ['variable'], response: "Variables store data. Use `const` for constants, `let` for mutable values, avoid `var`. Example: `const name = 'value';`" }
-            ],
-
-            // Coding Knowledge - React
-            react: [
-                { pattern: ['react', 'component'], response: "React components are building blocks of UI. Functional components are preferred:\n```javascript\nconst MyComponent = ({ props }) => {\n  return <div>{props.text}</div>;\n}\n```\nUse hooks like `useState` and `useEffect` for state and side effects." },
-                { pattern: ['component'], response: "Components are reusable UI pieces. In React, write functional components with JSX. Pass data via props." },
-                { pattern: ['react'], response: "React is a JavaScript library for building user interfaces using components. It uses a virtual DOM for efficient updates." }
-            ],
-
-            // Coding Knowledge - Python
-            python: [
-                { pattern: ['python', 'loop'], response: "Python loops:\n```python\n# For loop\nfor i in range(10):\n    print(i)\n\n# While loop\nwhile condition:\n    do_something()\n\n# List comprehension\nresult = [x*2 for x in range(10)]\n```" },
-                { pattern: ['python'], response: "Python is a high-level programming language. It's great for scripting, data science, and automation." }
-            ],
-
-            // APIs & Architecture
-            apis: [
-                { pattern: ['rest', 'api'], response: "REST APIs use standard HTTP methods:\n- GET: Retrieve data\n- POST: Create data\n- PUT/PATCH: Update data\n- DELETE: Remove data\n\nDesign around resources (nouns) and use proper status codes (200, 201, 404, 500)." },
-                { pattern: ['api'], response: "APIs (Application Programming Interfaces) allow programs to communicate. REST is the most common style for web APIs." }
-            ],
-
-            // DevOps Knowledge - Docker
-            docker: [
-                { pattern: ['docker', 'container'], response: "Docker containers package code and dependencies together. Key concepts:\n- `Dockerfile`: Defines the image\n- `docker build`: Creates an image\n- `docker run`: Starts a container\n- `docker-compose.yml`: Orchestrates multiple containers\n\nContainers are isolated, portable, and lightweight compared to VMs." },
-                { pattern: ['docker'], response: "Docker is a containerization platform. It packages applications with dependencies into portable containers. Use `Dockerfile` to define images and `docker-compose` for multi-container apps." },
-                { pattern: ['container'], response: "Containers are lightweight, isolated environments that package code with dependencies. Docker is the most popular container platform." }
-            ],
-
-            // DevOps Knowledge - CI/CD
-            cicd: [
-                { pattern: ['ci', 'cd'], response: "CI/CD automates software delivery:\n- **CI (Continuous Integration)**: Automatically test code on each commit\n- **CD (Continuous Deployment)**: Automatically deploy to production\n\nPopular tools: GitHub Actions, Jenkins, GitLab CI, CircleCI. Pipeline stages: build → test → deploy." },
-                { pattern: ['pipeline'], response: "CI/CD pipelines automate build, test, and deployment stages. Define them in YAML files for tools like GitHub Actions or GitLab CI." },
-                { pattern: ['deploy'], response: "Deployment involves releasing code to production. Use CI/CD pipelines, Docker for consistency, and rolling updates to minimize downtime." }
-            ],
-
-            // DevOps Knowledge - Kubernetes
-            kubernetes: [
-                { pattern: ['kubernetes'], response: "Kubernetes (K8s) orchestrates containerized applications across clusters. Key concepts:\n- **Pods**: Smallest deployable units\n- **Services**: Expose pods to network\n- **Deployments**: Manage pod replicas\n- **ConfigMaps/Secrets**: Configuration management\n\nUse `kubectl` CLI to manage clusters." },
-                { pattern: ['k8s'], response: "K8s is short for Kubernetes. It manages container orchestration, scaling, and self-healing." }
-            ],
-
-            // General Conversation
-            greetings: [
-                { pattern: ['hello'], response: "Hello! How can I assist you with your project today? I can help with coding, DevOps, debugging, or technical questions." },
-                { pattern: ['hi'], response: "Hi there! What are you working on? I'm here to help with code, systems, or technical challenges." },
-                { pattern: ['hey'], response: "Hey! Ready to tackle some code or technical problems?" },
-                { pattern: ['good', 'morning'], response: "Good morning! Let's start the day with some productive coding or problem-solving." },
-                { pattern: ['good', 'afternoon'], response: "Good afternoon! What can I help you with?" },
-                { pattern: ['good', 'evening'], response: "Good evening! Still working? Let me know how I can help." }
-            ],
-
-            thanks: [
-                { pattern: ['thank'], response: "You're welcome! Let me know if you need anything else." },
-                { pattern: ['thanks'], response: "Happy to help! Feel free to ask more questions." }
-            ],
-
-            goodbye: [
-                { pattern: ['bye'], response: "Goodbye! Happy coding." },
-                { pattern: ['goodbye'], response: "See you later! Keep building great things." },
-                { pattern: ['see', 'you'], response: "See you! Come back anytime." }
-            ]
-        };
+    /**
+     * Generate a response based on the input prompt.
+     * Context comes from `messages` (the conversation sent with the request, which wins) or
+     * from what was remembered for `sessionId`; with neither, nothing is remembered.
+     * @param {string} prompt - Latest user input
+     * @param {Object} options - { sessionId, messages: [{ role, content }] }
+     */
+    async generate(prompt, options = {}) {
+        return (await this.respond(prompt, options)).text;
     }
 
     /**
-     * Generate a response based on the input prompt
+     * Same as generate(), also reporting the knowledge entry that answered (for debugging)
+     * or the documents that were quoted. `documents: false` skips the document lookup.
+     * @returns {Promise<{text: string, match: {category, id, pattern, score}|null, sources?: Array}>}
      */
-    async generate(prompt) {
+    async respond(prompt, { sessionId, messages, documents = true } = {}) {
+        const context = this.resolveContext(prompt, { sessionId, messages });
+        const reply = (text, match = null, sources) => {
+            if (!Array.isArray(messages) && sessionId) {
+                this.remember(sessionId, prompt, text);
+            }
+            return { text, match, ...(sources && { sources }) };
+        };
+
         try {
             // Handle empty input
             if (!prompt || !prompt.trim()) {
-                return "I'm here to help. What would you like to know about coding, DevOps, or technical topics?";
+                return { text: "I'm here to help. What would you like to know about coding, DevOps, or technical topics?", match: null };
             }
 
             // 1. Analyze Input using NLP Service
             const analysis = nlpService.analyze(prompt);
 
             // 2. Better tokenization: remove punctuation, lowercase, normalize spaces
-            const normalized = (analysis.normalized || prompt)
-                .toLowerCase()
-                .replace(/[^\w\s]/g, ' ')  // Replace punctuation wit spaces
-                .replace(/\s+/g, ' ')       // Normalize whitespace
-                .trim();
-            const tokens = normalized.split(' ').filter(t => t.length > 0);
+            const { tokens, normalized } = this.tokenize(analysis.normalized || prompt);
 
-            // 3. Update Context
-            this.updateContext('user', prompt);
+            // 3. Topic of the previous question, for follow-ups that don't name one
+            const previousTopic = this.previousTopic(context);
 
             // 4. Check for Direct Matches in Knowledge Base
             const directMatch = this.findBestMatch(tokens, normalized);
             if (directMatch) {
-                this.updateContext('assistant', directMatch);
-                return directMatch;
+                const { response, ...match } = directMatch;
+                return reply(response, match);
+            }
+
+            // 5. Quote the uploaded documents (runbooks etc.) when they cover the question
+            if (documents) {
+                const answer = await ragService.answerFromDocuments(prompt);
+                if (answer) {
+                    return reply(answer.text, null, answer.sources);
+                }
             }
 
-            // 5. Intent-Based Generation
+            // 6. Intent-Based Generation
             if (analysis.intent) {
-                const intentResponse = this.generateFromIntent(analysis, tokens);
+                const intentResponse = this.generateFromIntent(analysis, tokens, previousTopic);
                 if (intentResponse) {
-                    this.updateContext('assistant', intentResponse);
-                    return intentResponse;
+                    return reply(intentResponse);
                 }
             }
 
-            // 6. Fallback / Constructed Response
-            const fallback = this.constructFallback(analysis);
-            this.updateContext('assistant', fallback);
-            return fallback;
+            // 7. Fallback / Constructed Response
+            return reply(this.constructFallback(analysis, previousTopic));
 
         } catch (error) {
             logger.error('TinyLLM generation failed', { error: error.message });
-            return "I encountered an error processing that request. Please try rephrasing.";
+            return { text: "I encountered an error processing that request. Please try rephrasing.", match: null };
         }
     }
 
+    tokenize(text) {
+        const normalized = `${text || ''}`
+            .toLowerCase()
+            .replace(/[^\w\s]/g, ' ')  // Replace punctuation wit spaces
+            .replace(/\s+/g, ' ')       // Normalize whitespace
+            .trim();
+        return { tokens: normalized.split(' ').filter(t => t.length > 0), normalized };
+    }
+
     /**
-     * Find the best matching response from the knowledge base
+     * The knowledge entry a text matches, without generating anything
+     * @param {Object} options - { phrase: only match multi-word patterns found as a whole phrase }
+     * @returns {{category, id, pattern, response, score}|null}
      */
-    findBestMatch(tokens, normalized) {
+    matchKnowledge(text, options = {}) {
+        const { tokens, normalized } = this.tokenize(nlpService.normalizeText(`${text || ''}`));
+        return tokens.length ? this.findBestMatch(tokens, normalized, options) : null;
+    }
+
+    /**
+     * Find the best matching entry in the knowledge base
+     * @returns {{category, id, pattern, response, score}|null}
+     */
+    findBestMatch(tokens, normalized, { phrase = false } = {}) {
         let bestMatch = null;
         let maxScore = 0;
 
-        for (const category in this.knowledge) {
-            for (const item of this.knowledge[category]) {
+        for (const item of localKnowledgeService.entries()) {
+            for (const pattern of this.patternForms(item.pattern)) {
+                // A single word or scattered words are too weak a signal when the caller
+                // has answers of its own
+                if (phrase && (pattern.length < 2 || !` ${normalized} `.includes(` ${pattern.join(' ')} `))) {
+                    continue;
+                }
+
                 // Count how many pattern words appear in the input
                 let matches = 0;
-                for (const word of item.pattern) {
+                for (const word of pattern) {
                     if (tokens.includes(word)) {
                         matches++;
                     }
                 }
 
                 // Calculate score
-                const patternLength = item.pattern.length;
+                const patternLength = pattern.length;
                 const score = matches / patternLength;
 
                 // For short patterns (1-2 words), require higher match rate
@@ -175,13 +152,13 @@ class TinyLLM {
                 else threshold = 0.5;  // At least half
 
                 // Bonus for exact substring match
-                const patternPhrase = item.pattern.join(' ');
+                const patternPhrase = pattern.join(' ');
                 const exactMatch = normalized.includes(patternPhrase);
                 const finalScore = exactMatch ? score + 0.5 : score;
 
                 if (score >= threshold && finalScore > maxScore) {
                     maxScore = finalScore;
-                    bestMatch = item.response;
+                    bestMatch = { ...item, score: finalScore };
                 }
             }
         }
@@ -189,10 +166,26 @@ class TinyLLM {
         return bestMatch;
     }
 
+    /**
+     * A pattern as written and, when different, normalized like the input
+     * ("who are you" -> "who be you"), since the input is matched after normalization
+     */
+    patternForms(pattern) {
+        const phrase = pattern.join(' ');
+        if (!this.patternWords.has(phrase)) {
+            if (this.patternWords.size >= 5000) {
+                this.patternWords.clear();
+            }
+            const normalized = this.tokenize(nlpService.normalizeText(phrase)).tokens;
+            this.patternWords.set(phrase, normalized.join(' ') === phrase ? [pattern] : [pattern, normalized]);
+        }
+        return this.patternWords.get(phrase);
+    }
+
     /**
      * Generate response based on detected intent and entities
      */
-    generateFromIntent(analysis, tokens) {
+    generateFromIntent(analysis, tokens, previousTopic) {
         const { intent, entities, keywords } = analysis;
 
         if (intent.intent === 'question') {
@@ -200,6 +193,9 @@ class TinyLLM {
                 if (keywords.length > 0) {
                     return `You're asking about "${keywords[0].text}". Based on the context, I'd recommend breaking this down into specific components. What aspect would you like to explore first?`;
                 }
+                if (previousTopic) {
+                    return `Still on "${previousTopic}"? Tell me which part you'd like to go deeper on and I'll focus there.`;
+                }
                 return "That's a good question. Could you provide more context about what you're trying to achieve?";
             }
             if (intent.details.isHowQuestion) {
@@ -216,7 +212,7 @@ class TinyLLM {
     /**
      * Construct a fallback response using analysis data
      */
-    constructFallback(analysis) {
+    constructFallback(analysis, previousTopic) {
         const { sentiment, keywords, entities } = analysis;
 
         // Use entities to make it sound smart
@@ -241,13 +237,73 @@ class TinyLLM {
             return "Great enthusiasm! What are you building? I can help with architecture, code, or deployment strategies.";
         }
 
+        if (previousTopic) {
+            return `Let's keep going with "${previousTopic}". What would you like to look at next?`;
+        }
+
         return "I'm listening. Tell me more about what you're working on - whether it's code, infrastructure, or debugging.";
     }
 
-    updateContext(role, content) {
-        this.context.push({ role, content });
-        if (this.context.length > this.maxContext * 2) {
-            this.context.shift();
+    /**
+     * The turns before `prompt`: the explicit `messages` when given (the latest user
+     * message is the prompt itself), otherwise the session's remembered turns
+     */
+    resolveContext(prompt, { sessionId, messages } = {}) {
+        if (Array.isArray(messages)) {
+            const turns = messages.filter(msg => msg && ['user', 'assistant'].includes(msg.role) && typeof msg.content === 'string');
+            const last = turns[turns.length - 1];
+            if (last && last.role === 'user' && last.content.trim() === `${prompt || ''}`.trim()) {
+                turns.pop();
+            }
+            return turns.slice(-this.maxContext * 2);
+        }
+
+        return sessionId ? this.getContext(sessionId) : [];
+    }
+
+    previousTopic(context) {
+        const lastUser = [...context].reverse().find(msg => msg.role === 'user');
+        if (!lastUser) {
+            return null;
+        }
+        const keywords = nlpService.extractKeywords(lastUser.content, 3)
+            .filter(keyword => nlpService.tokenize(keyword.text).length > 0);
+        return keywords.length ? keywords[0].text : null;
+    }
+
+    /**
+     * Remembered turns of a session (oldest first); expired sessions are forgotten
+     */
+    getContext(sessionId) {
+        this.evictSessions();
+        const session = this.sessions.get(sessionId);
+        return session ? [...session.messages] : [];
+    }
+
+    remember(sessionId, prompt, response) {
+        const session = this.sessions.get(sessionId) || { messages: [] };
+        session.messages.push({ role: 'user', content: prompt }, { role: 'assistant', content: response });
+        session.messages = session.messages.slice(-this.maxContext * 2);
+        session.lastUsed = Date.now();
+
+        // Re-insert so the Map stays in least-recently-used order
+        this.sessions.delete(sessionId);
+        this.sessions.set(sessionId, session);
+        this.evictSessions();
+    }
+
+    clearSession(sessionId) {
+        return this.sessions.delete(sessionId);
+    }
+
+    evictSessions(now = Date.now()) {
+        for (const [id, session] of this.sessions) {
+            if (now - session.lastUsed > SESSION_TTL_MS) {
+                this.sessions.delete(id);
+            }
+        }
+        while (this.sessions.size > MAX_SESSIONS) {
+            this.sessions.delete(this.sessions.keys().next().value);
         }
     }
 }
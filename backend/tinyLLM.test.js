@@ -0,0 +1,80 @@
+jest.mock('./logger', () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+}));
+jest.mock('./ragService', () => ({
+    answerFromDocuments: jest.fn(async () => null)
+}));
+
+const ragService = require('./ragService');
+const tinyLLM = require('./tinyLLM');
+
+describe('TinyLLM', () => {
+    beforeEach(() => {
+        tinyLLM.sessions.clear();
+    });
+
+    test('should keep the context of each session apart', async () => {
+        await tinyLLM.generate('How should we monitor the payment gateway?', { sessionId: 'alice' });
+        await tinyLLM.generate('Who are you?', { sessionId: 'bob' });
+
+        expect(tinyLLM.getContext('alice').map(msg => msg.content)).toEqual([
+            'How should we monitor the payment gateway?',
+            expect.any(String)
+        ]);
+        expect(tinyLLM.getContext('bob')[0].content).toBe('Who are you?');
+
+        // A follow-up without a topic of its own refers back to the session's earlier question
+        expect(await tinyLLM.generate('hmm', { sessionId: 'alice' })).toContain('payment gateway');
+        expect(await tinyLLM.generate('hmm', { sessionId: 'bob' })).not.toContain('payment gateway');
+    });
+
+    test('should use the messages of the request instead of remembering them', async () => {
+        const messages = [
+            { role: 'user', content: 'Our build pipeline keeps failing' },
+            { role: 'assistant', content: 'Which step fails?' },
+            { role: 'user', content: 'hmm' }
+        ];
+
+        expect(await tinyLLM.generate('hmm', { sessionId: 'carol', messages })).toContain('build pipeline');
+        expect(tinyLLM.getContext('carol')).toEqual([]);
+        expect(await tinyLLM.generate('hmm')).not.toContain('build pipeline');
+    });
+
+    test('should report the knowledge entry that answered', async () => {
+        const { text, match } = await tinyLLM.respond('Who are you, exactly?');
+
+        expect(match).toEqual({ category: 'identity', id: 'who-are-you', pattern: ['who', 'are', 'you'], score: 1.5 });
+        expect(text).toContain('Local Assistant');
+        expect((await tinyLLM.respond('Tell me about lighthouses')).match).toBeNull();
+        expect(tinyLLM.matchKnowledge('Kubernetes?')).toMatchObject({ category: 'kubernetes', id: 'kubernetes' });
+    });
+
+    test('should quote the documents before falling back to a canned reply', async () => {
+        ragService.answerFromDocuments.mockResolvedValueOnce({
+            text: 'From your documents:\n\n> Restores run from the nightly snapshot. [1]\n\nSources:\n[1] runbook.md',
+            sources: [{ id: 1, path: 'runbook.md' }]
+        });
+
+        const answer = await tinyLLM.respond('Where are the billing database snapshots kept?');
+        expect(ragService.answerFromDocuments).toHaveBeenCalledWith('Where are the billing database snapshots kept?');
+        expect(answer).toEqual({ text: expect.stringContaining('nightly snapshot'), match: null, sources: [{ id: 1, path: 'runbook.md' }] });
+
+        // Knowledge entries answer first, and the lookup can be turned off
+        ragService.answerFromDocuments.mockClear();
+        await tinyLLM.respond('Who are you?');
+        await tinyLLM.respond('Where are the billing database snapshots kept?', { documents: false });
+        expect(ragService.answerFromDocuments).not.toHaveBeenCalled();
+    });
+
+    test('should trim each session and drop idle ones', async () => {
+        for (let i = 0; i < tinyLLM.maxContext + 2; i++) {
+            await tinyLLM.generate(`Question ${i}`, { sessionId: 'dave' });
+        }
+        expect(tinyLLM.getContext('dave')).toHaveLength(tinyLLM.maxContext * 2);
+
+        tinyLLM.evictSessions(Date.now() + 24 * 60 * 60 * 1000);
+        expect(tinyLLM.sessions.has('dave')).toBe(false);
+    });
+});
@@ -0,0 +1,210 @@
+const logger = require('./logger');
+const apiOrchestrationService = require('./apiOrchestrationService');
+const ragService = require('./ragService');
+const imageGenerationService = require('./imageGenerationService');
+const searchProviderService = require('./searchProviderService');
+
+/**
+ * Tool Service
+ * Exposes web search, RAG retrieval, image generation and the configured external
+ * APIs as function-calling tools, and executes the calls a model makes.
+ */
+
+// Tool output is fed back into the model's context, so keep it bounded
+const MAX_TOOL_RESULT_CHARS = 4000;
+const MAX_RAG_SNIPPET_CHARS = 1200;
+const MAX_API_ENDPOINTS_LISTED = 25;
+
+// Function names must match ^[a-zA-Z0-9_-]{1,64}$ for both OpenAI and Ollama
+function toToolName(prefix, value) {
+  const slug = `${value}`.toLowerCase().replace(/[^a-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '');
+  return `${prefix}_${slug}`.slice(0, 64);
+}
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit)}\n...[truncated]` : text;
+}
+
+function stringifyResult(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return truncate(text || '', MAX_TOOL_RESULT_CHARS);
+}
+
+class ToolService {
+  /**
+   * Build the tools currently usable, based on which APIs and services are configured.
+   * @returns {Array<Object>} Tool definitions ({ name, description, parameters, execute })
+   */
+  getTools() {
+    const tools = [this.createRagTool(), this.createImageTool()];
+    const apis = apiOrchestrationService.listApis().filter(api => api.enabled !== false);
+
+    const searchApi = apis.find(api => searchProviderService.isSearchApi(api.id));
+    if (searchApi) {
+      tools.unshift(this.createSearchTool(searchApi));
+    }
+
+    apis
+      .filter(api => !searchProviderService.isSearchApi(api.id) && api.baseUrl)
+      .forEach(api => tools.push(this.createApiTool(api)));
+
+    return tools;
+  }
+
+  /**
+   * Convert tool definitions to the function schema shared by OpenAI and Ollama.
+   */
+  toFunctionSchemas(tools = []) {
+    return tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  createSearchTool(searchApi) {
+    return {
+      name: 'web_search',
+      description: `Search the web with ${searchApi.name}. Use for current events or facts you are unsure about.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Search query' }
+        },
+        required: ['query']
+      },
+      execute: async ({ query }) => {
+        const results = await apiOrchestrationService.executeSearch(query, searchApi.id);
+        return {
+          content: stringifyResult((results || []).map(({ title, link, snippet }) => ({ title, link, snippet })))
+        };
+      }
+    };
+  }
+
+  createRagTool() {
+    return {
+      name: 'rag_query',
+      description: 'Search the uploaded documents and the configured GitHub repository for passages relevant to a question.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'What to look for' },
+          source: {
+            type: 'string',
+            enum: ['auto', 'server', 'github'],
+            description: 'Where to search; "auto" searches everything'
+          }
+        },
+        required: ['query']
+      },
+      execute: async ({ query, source = 'auto' }) => {
+        const result = await ragService.query(query, { source });
+        const passages = (result.context || []).map(ctx => ({
+          source: ctx.source,
+          path: ctx.path,
+          url: ctx.url,
+          content: truncate(ctx.content || '', MAX_RAG_SNIPPET_CHARS)
+        }));
+
+        return {
+          content: passages.length ? stringifyResult(passages) : 'No relevant documents found.'
+        };
+      }
+    };
+  }
+
+  createImageTool() {
+    return {
+      name: 'generate_image',
+      description: 'Generate an image from a text description. The image is shown to the user directly.',
+      parameters: {
+        type: 'object',
+        properties: {
+          prompt: { type: 'string', description: 'Detailed description of the image' }
+        },
+        required: ['prompt']
+      },
+      execute: async ({ prompt }) => {
+        const imageUrl = await imageGenerationService.generateImage(prompt);
+        // The data URL is far too large for the model's context; only the user gets it
+        return {
+          content: 'The image was generated and is already displayed to the user. Do not repeat it.',
+          image: imageUrl
+        };
+      }
+    };
+  }
+
+  createApiTool(api) {
+    const endpoints = (api.endpoints || []).slice(0, MAX_API_ENDPOINTS_LISTED);
+    const endpointList = endpoints
+      .map(endpoint => `- ${endpoint.method} ${endpoint.path}${endpoint.description ? `: ${endpoint.description}` : ''}`)
+      .join('\n');
+
+    return {
+      name: toToolName('api', api.name || api.id),
+      description: [
+        `Call the ${api.name} API (${api.baseUrl}).`,
+        api.description,
+        endpointList && `Endpoints:\n${endpointList}`
+      ].filter(Boolean).join(' '),
+      parameters: {
+        type: 'object',
+        properties: {
+          path: {
+            type: 'string',
+            description: 'Endpoint path relative to the base URL, e.g. /users/{id}',
+            ...(endpoints.length && { enum: [...new Set(endpoints.map(endpoint => endpoint.path))] })
+          },
+          method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] },
+          params: { type: 'object', description: 'Path and query parameters' },
+          body: { type: 'object', description: 'JSON request body' }
+        },
+        required: ['path']
+      },
+      execute: async ({ path, method = 'GET', params = {}, body = {} }) => {
+        const response = await apiOrchestrationService.executeRequest(api.id, path, method.toUpperCase(), params, body);
+        return { content: stringifyResult({ status: response.status, data: response.data }) };
+      }
+    };
+  }
+
+  /**
+   * Execute a tool call. Failures are returned as the tool result so the model can react.
+   * @param {Array<Object>} tools - Tools offered to the model
+   * @param {string} name - Tool name chosen by the model
+   * @param {Object|string} args - Arguments object or JSON string
+   * @returns {Promise<{content: string, image?: string, error?: boolean}>}
+   */
+  async executeTool(tools, name, args) {
+    const tool = tools.find(entry => entry.name === name);
+
+    if (!tool) {
+      return { content: `Error: unknown tool "${name}"`, error: true };
+    }
+
+    let parsedArgs = args || {};
+    if (typeof args === 'string') {
+      try {
+        parsedArgs = args.trim() ? JSON.parse(args) : {};
+      } catch (error) {
+        return { content: `Error: arguments for ${name} are not valid JSON`, error: true };
+      }
+    }
+
+    try {
+      const result = await tool.execute(parsedArgs);
+      logger.info('Tool call executed', { tool: name });
+      return result;
+    } catch (error) {
+      logger.error('Tool call failed', { tool: name, error: error.message });
+      return { content: `Error: ${error.message}`, error: true };
+    }
+  }
+}
+
+module.exports = new ToolService();
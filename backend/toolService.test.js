@@ -0,0 +1,105 @@
+jest.mock('./logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+jest.mock('./apiOrchestrationService', () => ({
+  listApis: jest.fn(() => []),
+  executeSearch: jest.fn(),
+  executeRequest: jest.fn()
+}));
+jest.mock('./ragService', () => ({
+  query: jest.fn()
+}));
+jest.mock('./imageGenerationService', () => ({
+  generateImage: jest.fn()
+}));
+
+const apiOrchestrationService = require('./apiOrchestrationService');
+const imageGenerationService = require('./imageGenerationService');
+const toolService = require('./toolService');
+
+describe('ToolService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    apiOrchestrationService.listApis.mockReturnValue([]);
+  });
+
+  describe('getTools', () => {
+    test('should always offer document search and image generation', () => {
+      const names = toolService.getTools().map(tool => tool.name);
+
+      expect(names).toEqual(['rag_query', 'generate_image']);
+    });
+
+    test('should add web search and one tool per configured API', () => {
+      apiOrchestrationService.listApis.mockReturnValue([
+        { id: 'google_search', name: 'Google Search', enabled: true },
+        { id: 'bing_search', name: 'Bing Search', enabled: false },
+        {
+          id: 'abc-123',
+          name: 'Pet Store API',
+          baseUrl: 'https://petstore.example.com',
+          endpoints: [{ method: 'GET', path: '/pets/{id}', description: 'Find pet by ID' }]
+        }
+      ]);
+
+      const tools = toolService.getTools();
+      const apiTool = tools.find(tool => tool.name === 'api_pet_store_api');
+
+      expect(tools.map(tool => tool.name)).toEqual(['web_search', 'rag_query', 'generate_image', 'api_pet_store_api']);
+      expect(apiTool.description).toContain('GET /pets/{id}: Find pet by ID');
+      expect(apiTool.parameters.properties.path.enum).toEqual(['/pets/{id}']);
+    });
+
+    test('should convert tools to function schemas', () => {
+      const [schema] = toolService.toFunctionSchemas(toolService.getTools());
+
+      expect(schema).toEqual({
+        type: 'function',
+        function: {
+          name: 'rag_query',
+          description: expect.any(String),
+          parameters: expect.objectContaining({ type: 'object', required: ['query'] })
+        }
+      });
+    });
+  });
+
+  describe('executeTool', () => {
+    test('should parse JSON arguments and call the API', async () => {
+      apiOrchestrationService.listApis.mockReturnValue([{ id: 'abc-123', name: 'Pets', baseUrl: 'https://pets.example.com' }]);
+      apiOrchestrationService.executeRequest.mockResolvedValue({ status: 200, data: { name: 'Rex' } });
+
+      const result = await toolService.executeTool(
+        toolService.getTools(),
+        'api_pets',
+        '{"path":"/pets/{id}","params":{"id":1}}'
+      );
+
+      expect(apiOrchestrationService.executeRequest).toHaveBeenCalledWith('abc-123', '/pets/{id}', 'GET', { id: 1 }, {});
+      expect(JSON.parse(result.content)).toEqual({ status: 200, data: { name: 'Rex' } });
+    });
+
+    test('should keep generated images out of the model context', async () => {
+      imageGenerationService.generateImage.mockResolvedValue('data:image/png;base64,AAAA');
+
+      const result = await toolService.executeTool(toolService.getTools(), 'generate_image', { prompt: 'a cat' });
+
+      expect(result.image).toBe('data:image/png;base64,AAAA');
+      expect(result.content).not.toContain('base64');
+    });
+
+    test('should report failures as tool results', async () => {
+      imageGenerationService.generateImage.mockRejectedValue(new Error('No image generation provider available'));
+      const tools = toolService.getTools();
+
+      await expect(toolService.executeTool(tools, 'missing_tool', {})).resolves.toMatchObject({ error: true });
+      await expect(toolService.executeTool(tools, 'rag_query', '{not json')).resolves.toMatchObject({ error: true });
+      await expect(toolService.executeTool(tools, 'generate_image', { prompt: 'x' })).resolves.toEqual({
+        content: 'Error: No image generation provider available',
+        error: true
+      });
+    });
+  });
+});
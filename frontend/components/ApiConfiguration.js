@@ -42,10 +42,11 @@ const ApiConfiguration = ({ isOpen, onClose }) => {
                 setEditingId(null);
                 fetchApis();
             } else {
-                throw new Error('Failed to update');
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Failed to update API configuration');
             }
         } catch (error) {
-            toast.error('Failed to update API configuration');
+            toast.error(error.message || 'Failed to update API configuration');
         }
     };
 
@@ -125,6 +126,11 @@ const ApiConfiguration = ({ isOpen, onClose }) => {
                                     </div>
                                 </div>
                                 <p style={{ margin: '0 0 1rem 0', fontSize: '0.9rem', color: '#aaa' }}>{api.description}</p>
+                                {api.search && api.missing?.length > 0 && (
+                                    <p style={{ margin: '0 0 1rem 0', fontSize: '0.8rem', color: '#f39c12' }}>
+                                        Needs {api.missing.join(', ')} before it can be enabled
+                                    </p>
+                                )}
 
                                 {editingId === api.id && (
                                     <div style={{ display: 'flex', flexDirection: 'column', gap: '0.8rem', paddingTop: '1rem', borderTop: '1px solid #444' }}>
@@ -137,8 +143,29 @@ const ApiConfiguration = ({ isOpen, onClose }) => {
                                             Enable API
                                         </label>
 
+                                        {api.id === 'searxng_search' && (
+                                            <div>
+                                                <label style={{ display: 'block', marginBottom: '0.3rem', fontSize: '0.9rem' }}>Search URL</label>
+                                                <input
+                                                    type="url"
+                                                    placeholder={api.baseUrl || 'https://searx.example.com/search'}
+                                                    onChange={e => setEditForm({ ...editForm, baseUrl: e.target.value })}
+                                                    style={{
+                                                        width: '100%',
+                                                        padding: '0.5rem',
+                                                        background: '#111',
+                                                        border: '1px solid #444',
+                                                        borderRadius: '0.3rem',
+                                                        color: '#fff'
+                                                    }}
+                                                />
+                                            </div>
+                                        )}
+
                                         <div>
-                                            <label style={{ display: 'block', marginBottom: '0.3rem', fontSize: '0.9rem' }}>API Key</label>
+                                            <label style={{ display: 'block', marginBottom: '0.3rem', fontSize: '0.9rem' }}>
+                                                {api.id === 'searxng_search' ? 'API Key (optional)' : 'API Key'}
+                                            </label>
                                             <input
                                                 type="password"
                                                 placeholder={api.hasKey ? '********' : 'Enter API Key'}
@@ -159,7 +186,7 @@ const ApiConfiguration = ({ isOpen, onClose }) => {
                                                 <label style={{ display: 'block', marginBottom: '0.3rem', fontSize: '0.9rem' }}>Search Engine ID (CX)</label>
                                                 <input
                                                     type="text"
-                                                    placeholder="Enter CX"
+                                                    placeholder={api.config?.cx || 'Enter CX'}
                                                     onChange={e => setEditForm({ ...editForm, cx: e.target.value })}
                                                     style={{
                                                         width: '100%',
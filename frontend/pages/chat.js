@@ -9,6 +9,8 @@ import ApiConfiguration from '../components/ApiConfiguration';
 const API_BASE = (process.env.NEXT_PUBLIC_API_URL || '').replace(/\/$/, '');
 const STORAGE_KEY_PREFIX = 'ai-app-conv-';
 const ACTIVE_CONVERSATION_KEY = 'ai-app-active-conversation';
+// Streaming updates the conversation on every chunk; only sync once it settles
+const SYNC_DELAY_MS = 1500;
 
 export default function Chat() {
   const [messages, setMessages] = useState([]);
@@ -22,17 +24,31 @@ export default function Chat() {
   const [menuOpen, setMenuOpen] = useState(false);
   const [apiConfigOpen, setApiConfigOpen] = useState(false);
   const [searchMode, setSearchMode] = useState('auto');
+  const [conversationQuery, setConversationQuery] = useState('');
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const syncTimerRef = useRef(null);
 
   useEffect(() => {
     fetchModels();
     loadConversation();
+    syncLocalConversations();
   }, []);
 
+  useEffect(() => () => clearTimeout(syncTimerRef.current), []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => loadConversationsList(conversationQuery), 300);
+    return () => clearTimeout(timer);
+  }, [conversationQuery]);
+
   useEffect(() => {
     scrollToBottom();
   }, [messages]);
 
+  // Cancel any in-flight generation when leaving the page
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
   useEffect(() => {
     if (conversationId && messages.length > 0) {
       saveConversation();
@@ -47,6 +63,84 @@ export default function Chat() {
 
   const generateConversationId = () => `conv-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
+  const readLocalConversation = (convId) => {
+    try {
+      const data = localStorage.getItem(STORAGE_KEY_PREFIX + convId);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Failed to parse conversation:', error);
+      return null;
+    }
+  };
+
+  // The server copy is shared across devices; localStorage stays as the offline cache
+  const pushConversation = async (conversation) => {
+    try {
+      const response = await fetch(apiUrl(`/api/v1/conversations/${encodeURIComponent(conversation.id)}`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: conversation.model || '',
+          messages: conversation.messages || [],
+        }),
+      });
+      if (!response.ok) {
+        return null;
+      }
+
+      const saved = await response.json();
+      const cached = readLocalConversation(conversation.id);
+      if (cached && cached.title !== saved.title) {
+        localStorage.setItem(STORAGE_KEY_PREFIX + conversation.id, JSON.stringify({ ...cached, title: saved.title }));
+      }
+      return saved;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const scheduleSync = (conversation) => {
+    clearTimeout(syncTimerRef.current);
+    syncTimerRef.current = setTimeout(async () => {
+      if (await pushConversation(conversation)) {
+        loadConversationsList(conversationQuery);
+      }
+    }, SYNC_DELAY_MS);
+  };
+
+  const fetchServerConversations = async (query = '') => {
+    try {
+      const params = new URLSearchParams({ limit: '200' });
+      if (query) {
+        params.set('q', query);
+      }
+      const response = await fetch(apiUrl(`/api/v1/conversations?${params}`));
+      if (!response.ok) {
+        return null;
+      }
+      const data = await response.json();
+      return data.conversations || [];
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Upload conversations that were created or changed while the server was unreachable
+  const syncLocalConversations = async () => {
+    const serverConversations = await fetchServerConversations();
+    if (!serverConversations) {
+      return;
+    }
+
+    const serverUpdatedAt = new Map(serverConversations.map((conv) => [conv.id, conv.updatedAt]));
+    const pending = getLocalConversations().filter((conv) => conv.messages?.length > 0 && (
+      !serverUpdatedAt.has(conv.id) || new Date(conv.updatedAt || 0) > new Date(serverUpdatedAt.get(conv.id))
+    ));
+
+    await Promise.all(pending.map(pushConversation));
+    loadConversationsList();
+  };
+
   const loadConversation = () => {
     try {
       const activeId = localStorage.getItem(ACTIVE_CONVERSATION_KEY);
@@ -88,7 +182,8 @@ export default function Chat() {
       };
       localStorage.setItem(STORAGE_KEY_PREFIX + conversationId, JSON.stringify(conversation));
       localStorage.setItem(ACTIVE_CONVERSATION_KEY, conversationId);
-      loadConversationsList();
+      scheduleSync(conversation);
+      loadConversationsList(conversationQuery);
     } catch (error) {
       console.error('Failed to save conversation:', error);
       toast.error('Failed to save conversation');
@@ -104,7 +199,9 @@ export default function Chat() {
     if (confirm('Are you sure you want to clear this conversation? This cannot be undone.')) {
       try {
         if (conversationId) {
+          clearTimeout(syncTimerRef.current);
           localStorage.removeItem(STORAGE_KEY_PREFIX + conversationId);
+          deleteServerConversation(conversationId);
         }
 
         const newId = generateConversationId();
@@ -135,39 +232,85 @@ export default function Chat() {
     setMenuOpen(false);
   };
 
-  const loadConversationsList = () => {
-    try {
-      const allConversations = [];
-      for (let i = 0; i < localStorage.length; i += 1) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith(STORAGE_KEY_PREFIX)) {
-          const data = localStorage.getItem(key);
-          if (data) {
-            try {
-              const conv = JSON.parse(data);
-              allConversations.push(conv);
-            } catch (e) {
-              console.error('Failed to parse conversation:', e);
-            }
-          }
+  const getLocalConversations = () => {
+    const allConversations = [];
+    for (let i = 0; i < localStorage.length; i += 1) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(STORAGE_KEY_PREFIX)) {
+        const conv = readLocalConversation(key.slice(STORAGE_KEY_PREFIX.length));
+        if (conv) {
+          allConversations.push(conv);
         }
       }
-      allConversations.sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
-      setConversations(allConversations);
+    }
+    return allConversations;
+  };
+
+  const matchesQuery = (conv, query) => {
+    const needle = query.toLowerCase();
+    return (conv.title || '').toLowerCase().includes(needle)
+      || (conv.messages || []).some((msg) => (msg.content || '').toLowerCase().includes(needle));
+  };
+
+  const loadConversationsList = async (query = '') => {
+    try {
+      const trimmedQuery = query.trim();
+      const localConversations = getLocalConversations()
+        .filter((conv) => !trimmedQuery || matchesQuery(conv, trimmedQuery));
+      const byId = new Map(localConversations.map((conv) => [conv.id, conv]));
+      const sortAndSet = () => setConversations(
+        Array.from(byId.values()).sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))
+      );
+
+      sortAndSet();
+
+      // Offline: the local cache is all there is
+      const serverConversations = await fetchServerConversations(trimmedQuery);
+      if (!serverConversations) {
+        return;
+      }
+
+      serverConversations.forEach((conv) => {
+        const local = byId.get(conv.id);
+        if (!local || new Date(conv.updatedAt) > new Date(local.updatedAt || 0)) {
+          byId.set(conv.id, conv);
+        } else if (conv.snippet) {
+          byId.set(conv.id, { ...local, snippet: conv.snippet });
+        }
+      });
+      sortAndSet();
     } catch (error) {
       console.error('Failed to load conversations list:', error);
     }
   };
 
-  const switchConversation = (convId) => {
+  const deleteServerConversation = async (convId) => {
+    try {
+      await fetch(apiUrl(`/api/v1/conversations/${encodeURIComponent(convId)}`), { method: 'DELETE' });
+    } catch (error) {
+      console.error('Failed to delete conversation on the server:', error);
+    }
+  };
+
+  const switchConversation = async (convId) => {
     try {
       if (conversationId && messages.length > 0) {
         saveConversation();
       }
 
-      const savedConv = localStorage.getItem(STORAGE_KEY_PREFIX + convId);
-      if (savedConv) {
-        const conversation = JSON.parse(savedConv);
+      let conversation = readLocalConversation(convId);
+      const summary = conversations.find((conv) => conv.id === convId);
+
+      // Started on another device, or changed there since it was cached here
+      if (!conversation || (summary && new Date(summary.updatedAt) > new Date(conversation.updatedAt || 0))) {
+        const response = await fetch(apiUrl(`/api/v1/conversations/${encodeURIComponent(convId)}`));
+        if (response.ok) {
+          conversation = await response.json();
+          localStorage.setItem(STORAGE_KEY_PREFIX + convId, JSON.stringify(conversation));
+        }
+      }
+
+      if (conversation) {
         setMessages(conversation.messages || []);
         setConversationId(convId);
         if (conversation.model) {
@@ -189,15 +332,16 @@ export default function Chat() {
     if (confirm('Delete this conversation? This cannot be undone.')) {
       try {
         localStorage.removeItem(STORAGE_KEY_PREFIX + convId);
+        deleteServerConversation(convId).then(() => loadConversationsList(conversationQuery));
 
         if (convId === conversationId) {
+          clearTimeout(syncTimerRef.current);
           const newId = generateConversationId();
           setConversationId(newId);
           setMessages([]);
           localStorage.setItem(ACTIVE_CONVERSATION_KEY, newId);
         }
 
-        loadConversationsList();
         toast.success('Conversation deleted');
       } catch (error) {
         console.error('Failed to delete conversation:', error);
@@ -229,97 +373,148 @@ export default function Chat() {
     toast.success(`Exported as ${format.toUpperCase()}`);
   };
 
-  const regenerateMessage = async () => {
-    if (messages.length === 0 || loading) return;
-
-    const lastMsg = messages[messages.length - 1];
-    let newMessages = [...messages];
+  const appendToLastAssistant = (text) => {
+    setMessages((prev) => {
+      const msgs = [...prev];
+      const lastIndex = msgs.length - 1;
+      if (lastIndex < 0 || msgs[lastIndex].role !== 'assistant') return prev;
+      msgs[lastIndex] = { ...msgs[lastIndex], content: msgs[lastIndex].content + text };
+      return msgs;
+    });
+  };
 
-    if (lastMsg.role === 'assistant') {
-      newMessages.pop();
+  // Tool calls made by the model are tracked on the assistant message and listed above its text
+  const recordToolEvent = (event) => {
+    setMessages((prev) => {
+      const msgs = [...prev];
+      const lastIndex = msgs.length - 1;
+      if (lastIndex < 0 || msgs[lastIndex].role !== 'assistant') return prev;
+
+      const toolCalls =
+        event.type === 'call'
+          ? [...(msgs[lastIndex].toolCalls || []), { id: event.id, name: event.name, arguments: event.arguments, status: 'running' }]
+          : (msgs[lastIndex].toolCalls || []).map((call) =>
+              call.id === event.id ? { ...call, status: event.error ? 'error' : 'done' } : call
+            );
+      msgs[lastIndex] = { ...msgs[lastIndex], toolCalls };
+      return msgs;
+    });
+
+    if (event.image) {
+      appendToLastAssistant(`![Generated Image](${event.image})\n\n`);
     }
+  };
 
-    if (newMessages.length === 0) return;
-
-    const lastUserMsg = newMessages[newMessages.length - 1];
-    if (lastUserMsg.role !== 'user') return;
-
-    setMessages(newMessages);
-    setLoading(true);
+  const formatToolArguments = (args) => {
+    if (!args) return '';
+    const text = typeof args === 'string' ? args : JSON.stringify(args);
+    return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+  };
 
-    setMessages((prev) => [
-      ...prev,
-      { role: 'assistant', content: '', modelName: selectedModel }
-    ]);
+  // Streams a completion into the trailing assistant placeholder. The request can be
+  // cancelled with stopGeneration(), which also stops generation on the backend.
+  const streamCompletion = async (requestMessages, options) => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
     try {
       const response = await fetch(apiUrl('/api/v1/chat/stream'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          messages: newMessages,
+          messages: requestMessages,
           model: selectedModel,
+          ...(options && { options }),
         }),
+        signal: controller.signal,
       });
 
       if (!response.ok) throw new Error('Failed to start streaming');
 
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
+      let buffer = '';
 
       while (true) {
         const { done, value } = await reader.read();
         if (done) break;
 
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n');
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
 
         for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data.trim() === '[DONE]') break;
-
-            try {
-              const parsed = JSON.parse(data);
-              if (parsed.content) {
-                setMessages((prev) => {
-                  const msgs = [...prev];
-                  const lastIndex = msgs.length - 1;
-                  const last = { ...msgs[lastIndex] };
-                  if (last.role === 'assistant') {
-                    last.content += parsed.content;
-                    msgs[lastIndex] = last;
-                  }
-                  return msgs;
-                });
-              }
-            } catch (e) { }
-          }
+          if (!line.startsWith('data: ')) continue;
+
+          const data = line.slice(6);
+          if (data.trim() === '[DONE]') break;
+
+          try {
+            const parsed = JSON.parse(data);
+            if (parsed.tool) {
+              recordToolEvent(parsed.tool);
+            } else if (parsed.content) {
+              appendToLastAssistant(parsed.content);
+            } else if (parsed.error) {
+              appendToLastAssistant(`\n[Error: ${parsed.error}]`);
+            }
+          } catch (e) { }
         }
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        appendToLastAssistant('\n\n*[Stopped]*');
+        return;
+      }
       console.error('Streaming error:', error);
-      setMessages((prev) => {
-        const msgs = [...prev];
-        const last = msgs[msgs.length - 1];
-        last.content += `\n[Error: ${error.message}]`;
-        return msgs;
-      });
+      appendToLastAssistant(`\n[Error: ${error.message}]`);
     } finally {
+      abortControllerRef.current = null;
       setLoading(false);
     }
   };
 
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const regenerateMessage = async () => {
+    if (messages.length === 0 || loading) return;
+
+    const lastMsg = messages[messages.length - 1];
+    let newMessages = [...messages];
+
+    if (lastMsg.role === 'assistant') {
+      newMessages.pop();
+    }
+
+    if (newMessages.length === 0) return;
+
+    const lastUserMsg = newMessages[newMessages.length - 1];
+    if (lastUserMsg.role !== 'user') return;
+
+    setMessages(newMessages);
+    setLoading(true);
+
+    setMessages((prev) => [
+      ...prev,
+      { role: 'assistant', content: '', modelName: selectedModel }
+    ]);
+
+    await streamCompletion(newMessages);
+  };
+
   const fetchModels = async () => {
     try {
       const response = await fetch(apiUrl('/api/v1/models'));
       const data = await response.json();
 
       setModels(data.models || []);
+      const runnable = (data.models || []).filter((m) => m.available !== false);
       const defaultModel =
-        data.models?.find((m) => m.id?.toLowerCase().includes('tinyllama'))?.id ||
+        runnable.find((m) => m.id?.toLowerCase().includes('tinyllama'))?.id ||
         data.default ||
-        data.models?.[0]?.id;
+        runnable[0]?.id;
       setSelectedModel(defaultModel || '');
     } catch (error) {
       console.error('Failed to fetch models:', error);
@@ -410,47 +605,7 @@ export default function Chat() {
       { role: 'assistant', content: '', modelName: selectedModel }
     ]);
 
-    try {
-      const response = await fetch(apiUrl('/api/v1/chat/stream'), {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          messages: [...messages, userMessage],
-          model: selectedModel,
-          options: { searchMode }
-        }),
-      });
-
-      if (!response.ok) throw new Error('Failed to start streaming');
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n');
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data.trim() === '[DONE]') break;
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Streaming error:', error);
-      setMessages((prev) => {
-        const newMessages = [...prev];
-        const lastMsg = newMessages[newMessages.length - 1];
-        lastMsg.content += `\n[Error: ${error.message}]`;
-        return newMessages;
-      });
-    } finally {
-      setLoading(false);
-    }
+    await streamCompletion([...messages, userMessage], { searchMode });
   };
 
   const formatTime = (timestamp) => {
@@ -492,10 +647,19 @@ export default function Chat() {
             Close
           </button>
         </div>
+        <div className={styles.conversationSearch}>
+          <input
+            type="search"
+            value={conversationQuery}
+            onChange={(e) => setConversationQuery(e.target.value)}
+            placeholder="Search conversations..."
+            aria-label="Search conversations"
+          />
+        </div>
         <div className={styles.conversationsList}>
           {conversations.length === 0 ? (
             <div className={styles.emptyConversations}>
-              <p>No saved conversations</p>
+              <p>{conversationQuery ? 'No matching conversations' : 'No saved conversations'}</p>
             </div>
           ) : (
             conversations.map((conv) => (
@@ -508,8 +672,9 @@ export default function Chat() {
                 <div className={styles.conversationInfo}>
                   <div className={styles.conversationTitle}>{conv.title || 'New Conversation'}</div>
                   <div className={styles.conversationMeta}>
-                    {conv.messages?.length || 0} messages · {formatTime(conv.updatedAt)}
+                    {conv.messageCount ?? conv.messages?.length ?? 0} messages · {formatTime(conv.updatedAt)}
                   </div>
+                  {conv.snippet && <div className={styles.conversationSnippet}>{conv.snippet}</div>}
                 </div>
                 <button
                   onClick={(e) => deleteConversation(conv.id, e)}
@@ -594,8 +759,9 @@ export default function Chat() {
                       className={styles.menuModelSelect}
                     >
                       {models.map((m) => (
-                        <option key={m.id} value={m.id}>
+                        <option key={m.id} value={m.id} disabled={m.available === false} title={m.reason}>
                           {m.name} {m.free ? '(Free)' : '(Paid)'}
+                          {m.available === false ? ' - unavailable' : ''}
                         </option>
                       ))}
                     </select>
@@ -637,6 +803,17 @@ export default function Chat() {
               )}
               {msg.role === 'assistant' ? (
                 <>
+                  {msg.toolCalls?.length > 0 && (
+                    <div className={styles.toolCalls}>
+                      {msg.toolCalls.map((call) => (
+                        <div key={call.id} className={styles.toolCall}>
+                          <span>{call.status === 'running' ? '⏳' : call.status === 'error' ? '⚠️' : '✓'}</span>
+                          <strong>{call.name}</strong>
+                          <code>{formatToolArguments(call.arguments)}</code>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                   <MessageRenderer content={msg.content} />
                   <button
                     onClick={() => speakMessage(msg.content)}
@@ -723,9 +900,15 @@ export default function Chat() {
             className={styles.input}
             disabled={loading}
           />
-          <button type="submit" className={styles.sendButton} disabled={loading || (!input.trim() && !selectedImage)}>
-            {loading ? '...' : 'Send'}
-          </button>
+          {loading ? (
+            <button type="button" onClick={stopGeneration} className={styles.sendButton} title="Stop generating">
+              Stop
+            </button>
+          ) : (
+            <button type="submit" className={styles.sendButton} disabled={!input.trim() && !selectedImage}>
+              Send
+            </button>
+          )}
         </form>
       </div>
 
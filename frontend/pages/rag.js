@@ -11,20 +11,38 @@ export default function RAG() {
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [source, setSource] = useState('auto');
+  const [searchMode, setSearchMode] = useState('hybrid');
   const [models, setModels] = useState([]);
   const [selectedModel, setSelectedModel] = useState('');
   const [documents, setDocuments] = useState([]);
   const [ragStatus, setRagStatus] = useState(null);
   const [activeTab, setActiveTab] = useState('query'); // query, upload, documents, status
+  const [dragActive, setDragActive] = useState(false);
+  const [uploadingFiles, setUploadingFiles] = useState(false);
+  const [collections, setCollections] = useState([]);
+  const [activeCollection, setActiveCollection] = useState('default');
+  const [queryCollections, setQueryCollections] = useState([]);
+  const [collectionToken, setCollectionToken] = useState('');
+  const [uploader, setUploader] = useState('');
+  const [history, setHistory] = useState(null); // { filename, versions, diff }
+  const [rewriteQuery, setRewriteQuery] = useState(false);
+  const [turns, setTurns] = useState([]); // prior questions and answers, so follow-ups can refer to them
 
   const apiUrl = (path) => `${API_BASE}${path.startsWith('/') ? path : `/${path}`}`;
+  // Protected collections need their access token on every request that touches them
+  const collectionHeaders = (headers = {}) => (collectionToken ? { ...headers, 'X-Collection-Token': collectionToken } : headers);
 
   useEffect(() => {
     fetchModels();
     fetchRagStatus();
-    fetchDocuments();
+    fetchCollections();
   }, []);
 
+  useEffect(() => {
+    fetchDocuments();
+    setHistory(null);
+  }, [activeCollection]);
+
   const fetchModels = async () => {
     try {
       const response = await fetch(apiUrl('/api/v1/models'));
@@ -51,13 +69,88 @@ export default function RAG() {
     }
   };
 
+  const fetchCollections = async () => {
+    try {
+      const response = await fetch(apiUrl('/api/v1/rag/collections'));
+      const data = await response.json();
+      setCollections(data.collections || []);
+    } catch (error) {
+      console.error('Failed to fetch collections:', error);
+    }
+  };
+
   const fetchDocuments = async () => {
     try {
-      const response = await fetch(apiUrl('/api/v1/rag/documents'));
+      const response = await fetch(apiUrl(`/api/v1/rag/documents?collection=${encodeURIComponent(activeCollection)}`), {
+        headers: collectionHeaders(),
+      });
       const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load documents');
+      }
+
       setDocuments(data.documents || []);
     } catch (error) {
-      console.error('Failed to fetch documents:', error);
+      setDocuments([]);
+      toast.error(error.message);
+    }
+  };
+
+  const handleCreateCollection = async (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const accessToken = formData.get('accessToken');
+
+    try {
+      const response = await fetch(apiUrl('/api/v1/rag/collections'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name: formData.get('name'),
+          description: formData.get('description'),
+          ...(accessToken && { accessToken }),
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create collection');
+      }
+
+      toast.success(`Collection ${data.name} created`);
+      e.target.reset();
+      if (accessToken) {
+        setCollectionToken(accessToken);
+      }
+      await fetchCollections();
+      setActiveCollection(data.name);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleDeleteCollection = async () => {
+    if (!confirm(`Delete collection ${activeCollection} and all of its documents?`)) return;
+
+    try {
+      const response = await fetch(apiUrl(`/api/v1/rag/collections/${encodeURIComponent(activeCollection)}`), {
+        method: 'DELETE',
+        headers: collectionHeaders(),
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to delete collection');
+      }
+
+      toast.success(`Collection ${activeCollection} deleted`);
+      setActiveCollection('default');
+      fetchCollections();
+    } catch (error) {
+      toast.error(error.message);
     }
   };
 
@@ -69,15 +162,19 @@ export default function RAG() {
     setResult(null);
 
     try {
-      const response = await fetch(apiUrl('/api/v1/rag/query'), {
+      const response = await fetch(apiUrl('/api/v1/rag/query/stream'), {
         method: 'POST',
-        headers: {
+        headers: collectionHeaders({
           'Content-Type': 'application/json',
-        },
+        }),
         body: JSON.stringify({
           query,
           source,
+          mode: searchMode,
+          ...(queryCollections.length > 0 && { collections: queryCollections }),
           model: selectedModel,
+          rewrite: rewriteQuery,
+          ...(turns.length > 0 && { history: turns }),
           options: {
             maxTokens: 1000,
             temperature: 0.7,
@@ -90,9 +187,49 @@ export default function RAG() {
         throw new Error(error.error || 'Failed to get response');
       }
 
-      const data = await response.json();
-      setResult(data);
-      toast.success('Answer generated with RAG!');
+      // Sources arrive first, then the answer streams in, then the citations it used
+      setResult({ answer: '', sources: [], citations: [], notices: [] });
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let answer = '';
+      let failed = false;
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith('data: ')) continue;
+
+          const data = line.slice(6);
+          if (data.trim() === '[DONE]') break;
+
+          try {
+            const parsed = JSON.parse(data);
+            if (parsed.sources) {
+              setResult((prev) => ({ ...prev, sources: parsed.sources, rewrite: parsed.rewrite }));
+            } else if (parsed.content) {
+              answer += parsed.content;
+              setResult((prev) => ({ ...prev, answer: prev.answer + parsed.content }));
+            } else if (parsed.citations) {
+              setResult((prev) => ({ ...prev, citations: parsed.citations, grounding: parsed.grounding }));
+            } else if (parsed.error) {
+              failed = true;
+              toast.error(parsed.error);
+            }
+          } catch (e) { }
+        }
+      }
+
+      if (!failed) {
+        setTurns((prev) => [...prev, { role: 'user', content: query }, { role: 'assistant', content: answer }].slice(-6));
+        toast.success('Answer generated with RAG!');
+      }
     } catch (error) {
       console.error('RAG query error:', error);
       toast.error(error.message || 'Failed to process query');
@@ -101,6 +238,50 @@ export default function RAG() {
     }
   };
 
+  // Turn [1] / [1, 2] markers into links to the numbered sources; unknown numbers stay plain text
+  const renderCitations = (answer, sources) => {
+    const ids = new Set(sources.map((src) => src.id));
+
+    return answer.split(/(\[\d+(?:\s*,\s*\d+)*\])/g).map((part, idx) => {
+      const marker = part.match(/^\[([\d,\s]+)\]$/);
+      if (!marker) return part;
+
+      const numbers = marker[1].split(',').map((value) => parseInt(value, 10));
+      if (!numbers.every((id) => ids.has(id))) return part;
+
+      return (
+        <sup key={idx}>
+          {numbers.map((id) => (
+            <a key={id} href={`#rag-source-${id}`} className={styles.citation}>
+              [{id}]
+            </a>
+          ))}
+        </sup>
+      );
+    });
+  };
+
+  // Highlight the sentences the grounding check could not match to the sources
+  const renderAnswer = (answer, sources, grounding) => {
+    const unsupported = (grounding?.sentences || []).filter((sentence) => !sentence.supported);
+    if (unsupported.length === 0) return renderCitations(answer, sources);
+
+    const parts = [];
+    let cursor = 0;
+    unsupported.forEach((sentence, idx) => {
+      parts.push(<span key={`text-${idx}`}>{renderCitations(answer.slice(cursor, sentence.start), sources)}</span>);
+      parts.push(
+        <mark key={`unsupported-${idx}`} className={styles.unsupported} title="Not supported by the sources">
+          {renderCitations(answer.slice(sentence.start, sentence.end), sources)}
+        </mark>
+      );
+      cursor = sentence.end;
+    });
+    parts.push(<span key="text-end">{renderCitations(answer.slice(cursor), sources)}</span>);
+
+    return parts;
+  };
+
   const handleUpload = async (e) => {
     e.preventDefault();
     const formData = new FormData(e.target);
@@ -114,22 +295,120 @@ export default function RAG() {
 
     try {
       const response = await fetch(apiUrl('/api/v1/rag/upload'), {
+        method: 'POST',
+        headers: collectionHeaders({
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({ filename, content, collection: activeCollection, uploader: uploader || undefined }),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Upload failed');
+      }
+
+      toast.success(data.unchanged ? 'Document unchanged, no new version' : `Document uploaded as version ${data.version}`);
+      e.target.reset();
+      fetchDocuments();
+      fetchCollections();
+    } catch (error) {
+      toast.error(error.message || 'Failed to upload document');
+    }
+  };
+
+  const uploadFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    const formData = new FormData();
+    formData.append('collection', activeCollection);
+    if (uploader) formData.append('uploader', uploader);
+    files.forEach((file) => formData.append('files', file));
+
+    setUploadingFiles(true);
+    try {
+      const response = await fetch(apiUrl('/api/v1/rag/upload/file'), {
+        method: 'POST',
+        headers: collectionHeaders(),
+        body: formData,
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Upload failed');
+      }
+
+      const failed = (data.documents || []).filter((doc) => !doc.success);
+      failed.forEach((doc) => toast.error(`${doc.filename}: ${doc.error}`));
+      const uploaded = files.length - failed.length;
+      toast.success(`Uploaded ${uploaded} file${uploaded === 1 ? '' : 's'}`);
+      fetchDocuments();
+      fetchCollections();
+    } catch (error) {
+      toast.error(error.message || 'Failed to upload files');
+    } finally {
+      setUploadingFiles(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    uploadFiles(e.dataTransfer.files);
+  };
+
+  const handleAddRepository = async (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const [owner, repo] = (formData.get('repository') || '').trim().split('/');
+    const branch = (formData.get('branch') || '').trim();
+
+    if (!owner || !repo) {
+      toast.error('Enter the repository as owner/name');
+      return;
+    }
+
+    try {
+      const response = await fetch(apiUrl('/api/v1/rag/repositories'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ filename, content }),
+        body: JSON.stringify({ owner, repo, ...(branch && { branch }) }),
       });
+      const data = await response.json();
 
       if (!response.ok) {
-        throw new Error('Upload failed');
+        throw new Error(data.error || 'Indexing failed');
       }
 
-      toast.success('Document uploaded successfully!');
+      toast.success(`Indexing ${data.id}...`);
       e.target.reset();
-      fetchDocuments();
+      fetchRagStatus();
     } catch (error) {
-      toast.error('Failed to upload document');
+      toast.error(error.message || 'Failed to index repository');
+    }
+  };
+
+  const handleRepositoryAction = async (id, action) => {
+    try {
+      const response = await fetch(apiUrl(`/api/v1/rag/repositories/${id}${action === 'sync' ? '/sync' : ''}`), {
+        method: action === 'sync' ? 'POST' : 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        ...(action === 'sync' && { body: JSON.stringify({}) }),
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Failed to ${action} repository`);
+      }
+
+      toast.success(action === 'sync' ? `Syncing ${id}...` : `Removed ${id}`);
+      fetchRagStatus();
+    } catch (error) {
+      toast.error(error.message);
     }
   };
 
@@ -137,21 +416,91 @@ export default function RAG() {
     if (!confirm(`Delete ${filename}?`)) return;
 
     try {
-      const response = await fetch(apiUrl(`/api/v1/rag/documents/${filename}`), {
-        method: 'DELETE',
-      });
+      const response = await fetch(
+        apiUrl(`/api/v1/rag/documents/${encodeURIComponent(filename)}?collection=${encodeURIComponent(activeCollection)}`),
+        {
+          method: 'DELETE',
+          headers: collectionHeaders(),
+        }
+      );
 
       if (!response.ok) {
-        throw new Error('Delete failed');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to delete document');
       }
 
       toast.success('Document deleted!');
       fetchDocuments();
+      fetchCollections();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const documentPath = (filename, suffix) =>
+    apiUrl(`/api/v1/rag/documents/${encodeURIComponent(filename)}/${suffix}`);
+
+  const handleShowHistory = async (filename) => {
+    try {
+      const response = await fetch(`${documentPath(filename, 'versions')}?collection=${encodeURIComponent(activeCollection)}`, {
+        headers: collectionHeaders(),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load versions');
+      }
+
+      setHistory({ filename, versions: data.versions, diff: null });
     } catch (error) {
-      toast.error('Failed to delete document');
+      toast.error(error.message);
     }
   };
 
+  const handleShowDiff = async (version) => {
+    try {
+      const params = new URLSearchParams({ collection: activeCollection, from: version - 1, to: version });
+      const response = await fetch(`${documentPath(history.filename, 'diff')}?${params}`, {
+        headers: collectionHeaders(),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to compare versions');
+      }
+
+      setHistory((prev) => ({ ...prev, diff: data }));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const collectionPicker = (
+    <div className={styles.formRow}>
+      <div className={styles.formGroup}>
+        <label>Collection:</label>
+        <select value={activeCollection} onChange={(e) => setActiveCollection(e.target.value)}>
+          {collections.map((collection) => (
+            <option key={collection.name} value={collection.name}>
+              {collection.name}
+              {collection.protected ? ' (protected)' : ''} - {collection.documents} docs
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className={styles.formGroup}>
+        <label>Access token:</label>
+        <input
+          type="password"
+          value={collectionToken}
+          onChange={(e) => setCollectionToken(e.target.value)}
+          onBlur={fetchDocuments}
+          placeholder="Only for protected collections"
+        />
+      </div>
+    </div>
+  );
+
   return (
     <div className={styles.container}>
       <Head>
@@ -211,21 +560,66 @@ export default function RAG() {
                   </select>
                 </div>
 
+                <div className={styles.formGroup}>
+                  <label>Collections:</label>
+                  <select
+                    multiple
+                    value={queryCollections}
+                    onChange={(e) => setQueryCollections(Array.from(e.target.selectedOptions, (option) => option.value))}
+                    disabled={loading || source === 'github'}
+                    title="None selected searches every collection that does not need a token"
+                  >
+                    {collections.map((collection) => (
+                      <option key={collection.name} value={collection.name}>
+                        {collection.name}
+                        {collection.protected ? ' (protected)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className={styles.formGroup}>
+                  <label>Search:</label>
+                  <select value={searchMode} onChange={(e) => setSearchMode(e.target.value)} disabled={loading}>
+                    <option value="hybrid">Hybrid (Keyword + Semantic)</option>
+                    <option value="keyword">Keyword (BM25)</option>
+                    <option value="vector">Semantic (Embeddings)</option>
+                  </select>
+                </div>
+
                 <div className={styles.formGroup}>
                   <label>Model:</label>
                   <select value={selectedModel} onChange={(e) => setSelectedModel(e.target.value)} disabled={loading}>
                     {models.map((model) => (
-                      <option key={model.id} value={model.id}>
+                      <option key={model.id} value={model.id} disabled={model.available === false} title={model.reason}>
                         {model.name} ({model.provider})
+                        {model.available === false ? ' - unavailable' : ''}
                       </option>
                     ))}
                   </select>
                 </div>
               </div>
 
+              <div className={styles.formGroup}>
+                <label title="Also search paraphrases of the question written by the model (keywords for the local model)">
+                  <input
+                    type="checkbox"
+                    checked={rewriteQuery}
+                    onChange={(e) => setRewriteQuery(e.target.checked)}
+                    disabled={loading}
+                  />{' '}
+                  Rewrite query
+                </label>
+              </div>
+
               <button type="submit" disabled={loading || !query.trim()} className={styles.sendButton}>
-                {loading ? 'Processing...' : 'Submit Query'}
+                {loading ? 'Processing...' : turns.length > 0 ? 'Ask Follow-up' : 'Submit Query'}
               </button>
+              {turns.length > 0 && (
+                <button type="button" onClick={() => setTurns([])} className={styles.deleteButton} disabled={loading}>
+                  New Conversation ({turns.length / 2} previous)
+                </button>
+              )}
             </form>
 
             {result && (
@@ -239,14 +633,29 @@ export default function RAG() {
                     ))}
                   </div>
                 )}
+                {result.rewrite && result.rewrite.method !== 'none' && (
+                  <p className={styles.groundingNote}>Searched for: {result.rewrite.queries.join(' | ')}</p>
+                )}
                 <h3>Answer:</h3>
-                <div className={styles.answer}>{result.answer}</div>
+                <div className={styles.answer}>
+                  {result.answer ? renderAnswer(result.answer, result.sources, result.grounding) : loading && 'Generating...'}
+                </div>
+                {result.grounding?.unsupported > 0 && (
+                  <p className={styles.groundingNote}>
+                    {result.grounding.unsupported} highlighted sentence(s) could not be matched to the sources.
+                  </p>
+                )}
 
                 <h4>Sources ({result.sources.length}):</h4>
                 <div className={styles.sources}>
                   {result.sources.map((src, idx) => (
-                    <div key={idx} className={styles.source}>
-                      <strong>{src.source}:</strong> {src.path}
+                    <div
+                      key={idx}
+                      id={`rag-source-${src.id}`}
+                      className={`${styles.source} ${result.citations?.includes(src.id) ? styles.sourceCited : ''}`}
+                    >
+                      <strong>[{src.id}] {src.source}:</strong> {src.path}
+                      {src.startLine && ` (lines ${src.startLine}-${src.endLine})`}
                       {src.url && (
                         <a href={src.url} target="_blank" rel="noopener noreferrer">
                           {' '}
@@ -264,6 +673,40 @@ export default function RAG() {
 
         {activeTab === 'upload' && (
           <div className={styles.uploadSection}>
+            {collectionPicker}
+            <div className={styles.formGroup}>
+              <label>Uploaded by (optional):</label>
+              <input
+                type="text"
+                value={uploader}
+                onChange={(e) => setUploader(e.target.value)}
+                placeholder="Recorded in the document's version history"
+              />
+            </div>
+
+            <label
+              className={`${styles.dropZone} ${dragActive ? styles.dropZoneActive : ''}`}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDragActive(true);
+              }}
+              onDragLeave={() => setDragActive(false)}
+              onDrop={handleDrop}
+            >
+              <input
+                type="file"
+                multiple
+                accept=".pdf,.docx,.html,.htm,.csv,.tsv,.txt,.md,.markdown,.json,.log"
+                disabled={uploadingFiles}
+                onChange={(e) => {
+                  uploadFiles(e.target.files);
+                  e.target.value = '';
+                }}
+              />
+              <strong>{uploadingFiles ? 'Uploading...' : 'Drop files here or click to browse'}</strong>
+              <span className={styles.dropZoneHint}>PDF, DOCX, HTML, CSV and text files</span>
+            </label>
+
             <form onSubmit={handleUpload} className={styles.uploadForm}>
               <div className={styles.formGroup}>
                 <label>Filename:</label>
@@ -284,11 +727,19 @@ export default function RAG() {
 
         {activeTab === 'documents' && (
           <div className={styles.documentsSection}>
+            {collectionPicker}
+            {activeCollection !== 'default' && (
+              <button onClick={handleDeleteCollection} className={styles.deleteButton}>
+                Delete Collection
+              </button>
+            )}
+
             <table className={styles.documentsTable}>
               <thead>
                 <tr>
                   <th>Filename</th>
                   <th>Size</th>
+                  <th>Version</th>
                   <th>Modified</th>
                   <th>Actions</th>
                 </tr>
@@ -296,10 +747,27 @@ export default function RAG() {
               <tbody>
                 {documents.map((doc, idx) => (
                   <tr key={idx}>
-                    <td>{doc.filename}</td>
+                    <td>
+                      {doc.name || doc.filename}
+                      {doc.name && doc.name !== doc.filename && (
+                        <div className={styles.dropZoneHint}>
+                          stored as {doc.filename}
+                          {doc.metadata?.format && doc.metadata.format !== 'text' ? ` (from ${doc.metadata.format})` : ''}
+                        </div>
+                      )}
+                    </td>
                     <td>{(doc.size / 1024).toFixed(2)} KB</td>
+                    <td>
+                      {doc.version ? `v${doc.version}` : '-'}
+                      {doc.uploader && <div className={styles.dropZoneHint}>by {doc.uploader}</div>}
+                    </td>
                     <td>{new Date(doc.modified).toLocaleString()}</td>
                     <td>
+                      {doc.versions > 0 && (
+                        <button onClick={() => handleShowHistory(doc.filename)} className={styles.sendButton}>
+                          History
+                        </button>
+                      )}
                       <button onClick={() => handleDelete(doc.filename)} className={styles.deleteButton}>
                         Delete
                       </button>
@@ -308,13 +776,80 @@ export default function RAG() {
                 ))}
                 {documents.length === 0 && (
                   <tr>
-                    <td colSpan="4" style={{ textAlign: 'center' }}>
+                    <td colSpan="5" style={{ textAlign: 'center' }}>
                       No documents uploaded yet
                     </td>
                   </tr>
                 )}
               </tbody>
             </table>
+
+            {history && (
+              <div className={styles.statusCard}>
+                <h4>Versions of {history.filename}</h4>
+                <table className={styles.documentsTable}>
+                  <tbody>
+                    {[...history.versions].reverse().map((version) => (
+                      <tr key={version.version}>
+                        <td>v{version.version}</td>
+                        <td>{new Date(version.uploadedAt).toLocaleString()}</td>
+                        <td>{version.uploader || 'unknown'}</td>
+                        <td>{(version.size / 1024).toFixed(2)} KB</td>
+                        <td>
+                          {version.version > 1 && (
+                            <button onClick={() => handleShowDiff(version.version)} className={styles.sendButton}>
+                              Changes
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {history.diff && (
+                  <>
+                    <p>
+                      v{history.diff.from} → v{history.diff.to}: +{history.diff.added} / -{history.diff.removed} lines
+                    </p>
+                    <pre className={styles.diff}>
+                      {history.diff.changes.map((change, idx) => (
+                        <div key={idx} className={change.type === 'added' ? styles.diffAdded : styles.diffRemoved}>
+                          {change.lines
+                            .map((line) => `${change.type === 'added' ? '+' : '-'} ${line}`)
+                            .join('\n')}
+                        </div>
+                      ))}
+                    </pre>
+                  </>
+                )}
+
+                <button onClick={() => setHistory(null)} className={styles.deleteButton}>
+                  Close
+                </button>
+              </div>
+            )}
+
+            <form onSubmit={handleCreateCollection} className={styles.uploadForm}>
+              <h4>New Collection</h4>
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label>Name:</label>
+                  <input type="text" name="name" placeholder="security-runbooks" pattern="[a-z0-9][a-z0-9_-]*" required />
+                </div>
+                <div className={styles.formGroup}>
+                  <label>Description:</label>
+                  <input type="text" name="description" placeholder="What belongs in this collection" />
+                </div>
+                <div className={styles.formGroup}>
+                  <label>Access token (optional):</label>
+                  <input type="password" name="accessToken" minLength={8} placeholder="Required to read or change it" />
+                </div>
+              </div>
+              <button type="submit" className={styles.sendButton}>
+                Create Collection
+              </button>
+            </form>
           </div>
         )}
 
@@ -338,6 +873,45 @@ export default function RAG() {
               )}
             </div>
 
+            <div className={styles.statusCard}>
+              <h4>Indexed Repositories</h4>
+              {(ragStatus.repositories || []).length === 0 && (
+                <p className={styles.helpText}>No repositories indexed yet</p>
+              )}
+              {(ragStatus.repositories || []).map((repository) => (
+                <div key={repository.id}>
+                  <p>
+                    <strong>{repository.id}</strong> ({repository.ref || repository.branch || 'default branch'})
+                    {repository.commit && ` @ ${repository.commit.slice(0, 7)}`}
+                  </p>
+                  <p>
+                    Sync: {repository.sync?.state || 'pending'}
+                    {repository.sync?.error && ` - ${repository.sync.error}`}
+                    {' '}| Files: {repository.index?.files ?? 0} | Chunks: {repository.index?.chunks ?? 0}
+                  </p>
+                  <button onClick={() => handleRepositoryAction(repository.id, 'sync')} className={styles.sendButton}>
+                    Sync
+                  </button>{' '}
+                  <button onClick={() => handleRepositoryAction(repository.id, 'remove')} className={styles.deleteButton}>
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <form onSubmit={handleAddRepository} className={styles.uploadForm}>
+                <div className={styles.formGroup}>
+                  <label>GitHub repository:</label>
+                  <input type="text" name="repository" placeholder="owner/name" required />
+                </div>
+                <div className={styles.formGroup}>
+                  <label>Branch (optional):</label>
+                  <input type="text" name="branch" placeholder="main" />
+                </div>
+                <button type="submit" className={styles.sendButton}>
+                  Index Repository
+                </button>
+              </form>
+            </div>
+
             <div className={styles.statusCard}>
               <h4>Server Storage</h4>
               <p>Configured: Yes</p>